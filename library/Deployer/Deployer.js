@@ -3,6 +3,9 @@ import { EventEmitter } from 'events';
 import { DEPLOYER_EVENTS } from './events/index.js';
 import prepareDeploy from './methods/prepareDeploy.js';
 import deploy from './methods/deploy.js';
+import deployProxy from './methods/deployProxy.js';
+import deployCreate2, { deployArtifact, ensureCreate2Factory } from './methods/deployCreate2.js';
+import checkpointLogs, { anchorLogs } from './methods/checkpointLogs.js';
 import executeTGE from './methods/executeTGE.js';
 import prepareTGE from './methods/prepareTGE.js';
 import prepareTokenDeployment from './methods/prepareTokenDeployment.js';
@@ -16,38 +19,64 @@ import prepareTokenPermissions from './methods/prepareTokenPermissions.js';
 import executeTokenPermissions from './methods/executeTokenPermissions.js';
 import ParaLogger from './utils/ParaLogger/ParaLogger.js';
 import readArtifactFile from './methods/readArtifactFile.js';
+import readBuildInfo from './methods/readBuildInfo.js';
 import readNetworkFile from './methods/readNetworkFile.js';
 import saveDeploymentState from './methods/saveDeploymentState.js';
 import loadDeploymentState from './methods/loadDeploymentState.js';
 
 import StateAdapter from './adapters/StateAdapter/StateAdapter.js';
+import SignerAdapter from './adapters/SignerAdapter/SignerAdapter.js';
+import promptPassword from './utils/promptPassword.js';
+import TransactionManager from './utils/TransactionManager/TransactionManager.js';
+import { configureRedaction, registerSecret } from './utils/redaction.js';
 
 class Deployer extends EventEmitter {
     constructor(options = {}) {
         super();
-        // this.logger = new ParaLogger(5.5);
-        this.logger = new ParaLogger(1);
-        // Is set when network is set
+        // Are set when network is set
         this.stateAdapter = null;
+        this.signerAdapter = null;
         this.options = {
-            confirmations: true,
+            // Overrides the `confirmations` of the network file (receipts and links) when set to a number
+            confirmations: null,
             verbose: true,
+            // When false, nothing is written to networks/.deployments (plan mode)
+            persistState: true,
+            // Overrides the `logs` block of the network file (simulation: no checkpoints from an impersonated account)
+            logs: null,
+            // Proof of work of every log entry, see `node utils/ParaLogger/calibrateParalogger` for a value per target time
+            logDifficulty: Number(process.env.LOG_DIFFICULTY) || 1,
             ...options
         };
+        this.logger = new ParaLogger(this.options.logDifficulty);
         this.deployedContracts = {};
+        // Contract name => proxy options of the manifest, and the proxies deployed (deployment.proxies, see prepareEnvironment)
+        this.proxyOptions = {};
+        this.proxies = {};
+        // Manifest `create2` ({ factory, salts }) and the contracts deployed through the factory (deployment.create2)
+        this.create2Options = null;
+        this.create2 = {};
+        // Configs of the running process sequence (runProcessesSequence), replayed by the prepareContracts simulation
+        this.processConfigs = null;
         this.currentStatus = {
             completedSteps: [],
             currentStep: null,
             errors: []
         };
         this.signer = null;
+        // Owns the nonces of this.signer (see getTransactionManager)
+        this.transactionManager = null;
 
         this.networks = {};
+        // Set by plan mode to route every provider / wallet to an in-process fork
+        this.providerOverride = null;
 
         // Forward logger events to deployer events
         this.logger.on('ADD_LOG', (log) => {
             this.emit(DEPLOYER_EVENTS.STATUS_UPDATE, { 
                 type: log.type, 
+                level: log.level,
+                scope: log.scope,
                 data: log.data 
             });
         });
@@ -61,6 +90,10 @@ class Deployer extends EventEmitter {
             
             const handler = ({ input }) => {
                 this.removeListener(DEPLOYER_EVENTS.INPUT_RECEIVED, handler);
+                // A password is never logged nor saved, wherever it ends up
+                if (type === 'password') {
+                    registerSecret(input);
+                }
                 resolve(input);
             };
             
@@ -68,6 +101,16 @@ class Deployer extends EventEmitter {
         });
     }
 
+    // Secrets are asked through the UI when there is one (masked), straight from the terminal otherwise
+    async requirePassword(prompt) {
+        if (this.listenerCount(DEPLOYER_EVENTS.INPUT_REQUIRED) > 0) {
+            return this.requireInput(prompt, 'password');
+        }
+        const password = await promptPassword(prompt);
+        registerSecret(password);
+        return password;
+    }
+
     async requireConfirmation(message, data = {}) {
         return new Promise((resolve) => {
             this.emit(DEPLOYER_EVENTS.CONFIRMATION_REQUIRED, { message, data });
@@ -82,38 +125,36 @@ class Deployer extends EventEmitter {
         });
     }
 
+    // txFunction(signer) returns the transaction request to send ({ to, data, value... }): the transaction manager
+    // sends it with a managed nonce and bumps its fees until mined. A transaction already sent (with a hash) is only awaited.
     async executeTransaction(description, txFunction) {
         this.emit(DEPLOYER_EVENTS.TRANSACTION_START, { description });
         
         try {
             const signer = this.getSigner();
+            const transactionManager = this.getTransactionManager();
             const tx = await txFunction(signer);
-            
-            // Ensure we have a valid transaction hash
-            if (!tx?.hash) {
-                throw new Error('No transaction hash returned from transaction');
+            if (!tx) {
+                throw new Error('No transaction returned from transaction function');
             }
-            
-            this.emit(DEPLOYER_EVENTS.TRANSACTION_HASH, { hash: tx.hash });
-            
-            // Wait for transaction confirmation
-            const receipt = await signer.provider.waitForTransaction(tx.hash);
-            
-            if (!receipt) {
-                throw new Error('No receipt received for transaction');
+
+            let result;
+            if (tx.hash) {
+                this.emit(DEPLOYER_EVENTS.TRANSACTION_HASH, { hash: tx.hash });
+                const receipt = await transactionManager.waitForTransaction(tx.hash, description);
+                result = { ...tx, hash: tx.hash, receipt };
+            } else {
+                const { hash, receipt, nonce, attempts } = await transactionManager.send(tx, description);
+                result = { hash, receipt, nonce, attempts };
             }
             
             this.emit(DEPLOYER_EVENTS.TRANSACTION_CONFIRMED, { 
-                hash: tx.hash, 
-                receipt,
-                ...tx
+                hash: result.hash, 
+                receipt: result.receipt,
+                ...result
             });
             
-            return {
-                hash: tx.hash,
-                receipt,
-                ...tx
-            };
+            return result;
         } catch (error) {
             this.emit(DEPLOYER_EVENTS.TRANSACTION_ERROR, { 
                 description, 
@@ -123,6 +164,50 @@ class Deployer extends EventEmitter {
         }
     }
 
+    // Calls a state-changing contract method through the transaction manager, resolves with the receipt
+    async executeContractCall(description, contract, method, args = []) {
+        const { receipt } = await this.executeTransaction(
+            description,
+            () => contract[method].populateTransaction(...args)
+        );
+        return receipt;
+    }
+
+    getTransactionManager() {
+        const signer = this.getSigner();
+        if (this.transactionManager?.signer !== signer) {
+            const network = this.getNetwork(this.stateAdapter?.network);
+            this.transactionManager = new TransactionManager(signer, {
+                ...network?.transactions,
+                confirmations: this.getConfirmations().receipts,
+            });
+            this.transactionManager.on('TX_SENT', (data) => {
+                this.logger.addLog('TX_SENT', data);
+                this.emit(DEPLOYER_EVENTS.TRANSACTION_HASH, { hash: data.hash });
+            });
+            this.transactionManager.on('TX_BUMPED', (data) => {
+                this.logger.addLog('TX_BUMPED', data);
+                this.emit(DEPLOYER_EVENTS.TRANSACTION_BUMPED, data);
+            });
+            this.transactionManager.on('TX_MINED', (data) => this.logger.addLog('TX_MINED', data));
+            this.transactionManager.on('TX_REORGED', (data) => {
+                this.logger.addLog('TX_REORGED', data);
+                this.emit(DEPLOYER_EVENTS.TRANSACTION_REORGED, data);
+            });
+        }
+        return this.transactionManager;
+    }
+
+    // { receipts, links } - blocks before a receipt is final / before a deployed address is trusted by link processes
+    getConfirmations() {
+        const network = this.getNetwork(this.stateAdapter?.network);
+        if (typeof this.options.confirmations === 'number') {
+            return { receipts: this.options.confirmations, links: this.options.confirmations };
+        }
+        const receipts = network?.confirmations?.receipts ?? 1;
+        return { receipts, links: Math.max(network?.confirmations?.links ?? receipts, receipts) };
+    }
+
     updateStatus(stepId, status) {
         if (status === 'complete') {
             this.currentStatus.completedSteps.push(stepId);
@@ -183,12 +268,27 @@ class Deployer extends EventEmitter {
         return this.stateAdapter;
     }
 
+    getSignerAdapter() {
+        if(!this.signerAdapter) {
+            throw new Error('Signer adapter not initialized. Run setNetwork first.');
+        }
+        return this.signerAdapter;
+    }
+
     setNetwork(network) {
         if(!network?.network) {
             throw new Error('Network is required as Network object');
         }
         this.networks[network.network] = network;
-        this.stateAdapter = new StateAdapter(network.network);
+        // Extra patterns of the network file, before anything of the network is logged
+        if (network.redaction) {
+            configureRedaction(network.redaction);
+        }
+        this.stateAdapter = new StateAdapter(network.network, network.stateBackend);
+        // Keep an unlocked signer when the same network is set again
+        if (this.signerAdapter?.network !== network.network) {
+            this.signerAdapter = new SignerAdapter(network.network, network.signer);
+        }
     }
 
     getNetwork(network) {
@@ -204,9 +304,21 @@ class Deployer extends EventEmitter {
         if (!this.getNetwork(network)) {
             throw new Error(`Network ${network} not found`);
         }
+        if (this.providerOverride) {
+            return this.providerOverride;
+        }
         return new ethers.JsonRpcProvider(this.getNetwork(network).rpcUrl);
     }
 
+    // Signer of the network signer adapter (keystore, remote...), unlocked beforehand
+    createNetworkSigner(network) {
+        const signer = this.getSignerAdapter().connect(this.createProvider(network));
+        if(!this.signer) {
+            this.signer = signer;
+        }
+        return signer;
+    }
+
     createWallet(mnemonic, network) {
         const provider = this.createProvider(network);
         const wallet = ethers.Wallet.fromPhrase(mnemonic, provider);
@@ -221,10 +333,17 @@ class Deployer extends EventEmitter {
 Deployer.prototype.DEPLOYER_EVENTS = DEPLOYER_EVENTS;
 
 Deployer.prototype.readArtifactFile = readArtifactFile;
+Deployer.prototype.readBuildInfo = readBuildInfo;
 Deployer.prototype.listNetworkFiles = listNetworkFiles;
 Deployer.prototype.readNetworkFile = readNetworkFile;
 Deployer.prototype.prepareDeploy = prepareDeploy;
 Deployer.prototype.deploy = deploy;
+Deployer.prototype.deployProxy = deployProxy;
+Deployer.prototype.deployArtifact = deployArtifact;
+Deployer.prototype.deployCreate2 = deployCreate2;
+Deployer.prototype.ensureCreate2Factory = ensureCreate2Factory;
+Deployer.prototype.checkpointLogs = checkpointLogs;
+Deployer.prototype.anchorLogs = anchorLogs;
 Deployer.prototype.prepareTGE = prepareTGE;
 Deployer.prototype.executeTGE = executeTGE;
 Deployer.prototype.prepareTokenDeployment = prepareTokenDeployment;
@@ -0,0 +1,31 @@
+import createSignerSource from './sources/index.js';
+
+class SignerAdapter {
+    constructor(network, signerConfig) {
+        this.network = network;
+        // Where the deployment wallet comes from (keystore, remote or mnemonic)
+        this.source = createSignerSource(signerConfig);
+        this.address = null;
+    }
+
+    get type() {
+        return this.source.type;
+    }
+
+    // Address of the wallet without unlocking it (plan mode impersonates it on a fork)
+    async getAddress() {
+        return this.address || this.source.getAddress();
+    }
+
+    // requestPassword(prompt) => Promise<string>, only called by sources holding an encrypted key
+    async unlock(requestPassword) {
+        this.address = await this.source.unlock(requestPassword);
+        return this.address;
+    }
+
+    connect(provider) {
+        return this.source.connect(provider);
+    }
+}
+
+export default SignerAdapter;
@@ -0,0 +1,25 @@
+import { ethers } from 'ethers';
+
+// Simulations only (see utils/simulateDeployment.js): sends as `address` on an in-memory Hardhat network
+// through hardhat_impersonateAccount. Nothing is signed, so no key or password is needed.
+export default class ImpersonatedSource {
+    constructor(options = {}) {
+        this.type = 'impersonated';
+        this.address = options.address || null;
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            throw new Error('Impersonated signer has no address');
+        }
+        return ethers.getAddress(this.address);
+    }
+
+    async unlock() {
+        return this.getAddress();
+    }
+
+    connect(provider) {
+        return new ethers.JsonRpcSigner(provider, ethers.getAddress(this.address));
+    }
+}
@@ -0,0 +1,93 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_KEYSTORE_DIR = path.join(__dirname, '..', '..', '..', '.keystores');
+
+// Encrypted JSON keystores (ethers encryptKeystoreJson), one <address>.json file per account in the keystore directory.
+// The password is requested when unlocking, the decrypted key only lives in memory.
+export default class KeystoreSource {
+    constructor(options = {}) {
+        this.type = 'keystore';
+        this.dir = process.env.KEYSTORE_DIR || options.dir || DEFAULT_KEYSTORE_DIR;
+        this.account = process.env.DEPLOYER_ACCOUNT || options.account || null;
+        this.wallet = null;
+    }
+
+    static getDefaultDir() {
+        return DEFAULT_KEYSTORE_DIR;
+    }
+
+    static listKeystores(dir = DEFAULT_KEYSTORE_DIR) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                const json = fs.readFileSync(path.join(dir, file), 'utf8');
+                return { file: path.join(dir, file), address: ethers.getAddress(JSON.parse(json).address) };
+            });
+    }
+
+    static async saveKeystore(dir, account, password) {
+        if (!password || password.length < 8) {
+            throw new Error('Keystore password must be at least 8 characters');
+        }
+        const json = await ethers.encryptKeystoreJson(
+            { address: account.address, privateKey: account.privateKey },
+            password
+        );
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+        const file = path.join(dir, `${account.address}.json`);
+        if (fs.existsSync(file)) {
+            throw new Error(`A keystore already exists for ${account.address}: ${file}`);
+        }
+        fs.writeFileSync(file, json, { mode: 0o600 });
+        return file;
+    }
+
+    findKeystore() {
+        const keystores = KeystoreSource.listKeystores(this.dir);
+        if (keystores.length === 0) {
+            throw new Error(`No keystore in ${this.dir} - create one with: node keystore new`);
+        }
+        if (!this.account) {
+            if (keystores.length > 1) {
+                throw new Error(`Several keystores in ${this.dir}, set DEPLOYER_ACCOUNT to one of: ${keystores.map(k => k.address).join(', ')}`);
+            }
+            return keystores[0];
+        }
+        const keystore = keystores.find(({ address }) => address.toLowerCase() === this.account.toLowerCase());
+        if (!keystore) {
+            throw new Error(`No keystore for ${this.account} in ${this.dir}`);
+        }
+        return keystore;
+    }
+
+    // The address is stored unencrypted in the keystore, no password needed
+    async getAddress() {
+        return this.findKeystore().address;
+    }
+
+    async unlock(requestPassword) {
+        const { file, address } = this.findKeystore();
+        const password = await requestPassword(`Password of keystore ${address}`);
+        if (!password) {
+            throw new Error(`No password given for keystore ${address}`);
+        }
+        try {
+            this.wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(file, 'utf8'), password);
+        } catch (error) {
+            throw new Error(`Cannot decrypt keystore ${address}: ${error.shortMessage || error.message}`);
+        }
+        return this.wallet.address;
+    }
+
+    connect(provider) {
+        if (!this.wallet) {
+            throw new Error('Keystore is locked. Run unlock first.');
+        }
+        return this.wallet.connect(provider);
+    }
+}
@@ -0,0 +1,33 @@
+import { ethers } from 'ethers';
+
+// Development only: the wallet is derived from process.env.MNEMONIC (e.g. the Hardhat mnemonic on `local`).
+// Never configure it on a network holding real funds - use a keystore or a remote signer.
+export default class MnemonicSource {
+    constructor() {
+        this.type = 'mnemonic';
+        this.mnemonic = null;
+    }
+
+    static readMnemonic() {
+        const mnemonic = process.env.MNEMONIC;
+        if (!mnemonic) throw new Error('MNEMONIC is not set');
+        if (!ethers.Mnemonic.isValidMnemonic(mnemonic)) throw new Error('MNEMONIC is not a valid mnemonic');
+        return mnemonic;
+    }
+
+    async getAddress() {
+        return ethers.Wallet.fromPhrase(MnemonicSource.readMnemonic()).address;
+    }
+
+    async unlock() {
+        this.mnemonic = MnemonicSource.readMnemonic();
+        return ethers.Wallet.fromPhrase(this.mnemonic).address;
+    }
+
+    connect(provider) {
+        if (!this.mnemonic) {
+            throw new Error('Mnemonic signer is locked. Run unlock first.');
+        }
+        return ethers.Wallet.fromPhrase(this.mnemonic, provider);
+    }
+}
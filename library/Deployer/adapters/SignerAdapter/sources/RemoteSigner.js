@@ -0,0 +1,121 @@
+import { ethers } from 'ethers';
+
+// ethers Signer delegating every signature to a remote signer over HTTP JSON-RPC:
+//  - eth_accounts                        => [address]
+//  - eth_signTransaction [tx]            => raw signed transaction
+//  - eth_sign [address, message]         => EIP-191 signature
+//  - eth_signTypedData_v4 [address, json] => EIP-712 signature
+// Any service speaking this subset (e.g. Web3Signer, or remote_signer.js locally) can be plugged in.
+// Every signature is recovered locally and rejected if it was not produced by the expected address.
+export default class RemoteSigner extends ethers.AbstractSigner {
+    constructor(url, address, provider = null, headers = {}) {
+        super(provider);
+        this.url = url;
+        this.address = ethers.getAddress(address);
+        this.headers = headers;
+        this.requestId = 0;
+    }
+
+    static async request(url, method, params = [], headers = {}) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ jsonrpc: '2.0', id: Date.now(), method, params }),
+        });
+        if (!response.ok) {
+            throw new Error(`Remote signer ${url} answered ${response.status} to ${method}`);
+        }
+        const { result, error } = await response.json();
+        if (error) {
+            throw new Error(`Remote signer ${method} failed: ${error.message || JSON.stringify(error)}`);
+        }
+        return result;
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new RemoteSigner(this.url, this.address, provider, this.headers);
+    }
+
+    async signTransaction(transaction) {
+        // With a provider, every field (nonce, gas, fees, chainId) is set here: the remote signer has nothing to fill in
+        const tx = this.provider
+            ? await this.populateTransaction(transaction)
+            : await ethers.resolveProperties({
+                ...transaction,
+                to: transaction.to ? ethers.resolveAddress(transaction.to, this) : null,
+                from: transaction.from ? ethers.resolveAddress(transaction.from, this) : this.address,
+            });
+        if (ethers.getAddress(tx.from) !== this.address) {
+            throw new Error(`Transaction from ${tx.from} cannot be signed by ${this.address}`);
+        }
+
+        const signed = await RemoteSigner.request(this.url, 'eth_signTransaction', [toRpcTransaction(tx)], this.headers);
+        const parsed = ethers.Transaction.from(signed);
+        if (parsed.from !== this.address) {
+            throw new Error(`Remote signer signed with ${parsed.from} instead of ${this.address}`);
+        }
+        // The whole unsigned transaction must be the one requested, not only its sender and recipient
+        const expected = ethers.Transaction.from({ ...tx, from: undefined });
+        if (parsed.unsignedHash !== expected.unsignedHash) {
+            const changed = SIGNED_FIELDS.filter(key => JSON.stringify(parsed[key], toJSON) !== JSON.stringify(expected[key], toJSON));
+            throw new Error(`Remote signer changed the transaction (${changed.join(', ') || 'encoding'})`);
+        }
+        return signed;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+        const signature = await RemoteSigner.request(this.url, 'eth_sign', [this.address, ethers.hexlify(data)], this.headers);
+        if (ethers.verifyMessage(data, signature) !== this.address) {
+            throw new Error(`Remote signer message signature does not recover to ${this.address}`);
+        }
+        return signature;
+    }
+
+    async signTypedData(domain, types, value) {
+        const resolved = await ethers.TypedDataEncoder.resolveNames(domain, types, value, (name) => this.resolveName(name));
+        const payload = ethers.TypedDataEncoder.getPayload(resolved.domain, types, resolved.value);
+        const signature = await RemoteSigner.request(this.url, 'eth_signTypedData_v4', [this.address, JSON.stringify(payload)], this.headers);
+        if (ethers.verifyTypedData(resolved.domain, types, resolved.value, signature) !== this.address) {
+            throw new Error(`Remote signer typed data signature does not recover to ${this.address}`);
+        }
+        return signature;
+    }
+}
+
+const SIGNED_FIELDS = ['type', 'chainId', 'nonce', 'to', 'value', 'data', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'accessList'];
+
+const toJSON = (key, value) => typeof value === 'bigint' ? value.toString() : value;
+
+// JSON-RPC transaction object (hex quantities) - also parsed back by remote_signer.js
+export function toRpcTransaction(tx) {
+    const rpcTransaction = {};
+    for (const key of ['chainId', 'nonce', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'value', 'type']) {
+        if (tx[key] !== undefined && tx[key] !== null) {
+            rpcTransaction[key === 'gasLimit' ? 'gas' : key] = ethers.toQuantity(tx[key]);
+        }
+    }
+    for (const key of ['from', 'to', 'data']) {
+        if (tx[key]) rpcTransaction[key] = tx[key];
+    }
+    if (tx.accessList) rpcTransaction.accessList = ethers.accessListify(tx.accessList);
+    return rpcTransaction;
+}
+
+export function fromRpcTransaction(rpcTransaction) {
+    const tx = {};
+    for (const key of ['chainId', 'gas', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'value']) {
+        if (rpcTransaction[key] !== undefined) tx[key === 'gas' ? 'gasLimit' : key] = BigInt(rpcTransaction[key]);
+    }
+    for (const key of ['nonce', 'type']) {
+        if (rpcTransaction[key] !== undefined) tx[key] = Number(rpcTransaction[key]);
+    }
+    for (const key of ['from', 'to', 'data', 'accessList']) {
+        if (rpcTransaction[key] !== undefined) tx[key] = rpcTransaction[key];
+    }
+    return tx;
+}
@@ -0,0 +1,45 @@
+import { ethers } from 'ethers';
+import RemoteSigner from './RemoteSigner.js';
+
+// Signs through a remote signer (see RemoteSigner for the protocol), the key never reaches the deployer.
+// REMOTE_SIGNER_TOKEN, when set, is sent as a bearer token.
+export default class RemoteSource {
+    constructor(options = {}) {
+        this.type = 'remote';
+        this.url = process.env.REMOTE_SIGNER_URL || options.url;
+        this.account = process.env.DEPLOYER_ACCOUNT || options.account || null;
+        this.headers = process.env.REMOTE_SIGNER_TOKEN
+            ? { Authorization: `Bearer ${process.env.REMOTE_SIGNER_TOKEN}` }
+            : {};
+        this.address = null;
+    }
+
+    async getAddress() {
+        if (!this.url) {
+            throw new Error('Remote signer url is not set (signer.url or REMOTE_SIGNER_URL)');
+        }
+        const accounts = (await RemoteSigner.request(this.url, 'eth_accounts', [], this.headers)).map(ethers.getAddress);
+        if (accounts.length === 0) {
+            throw new Error(`Remote signer ${this.url} exposes no account`);
+        }
+        if (this.account && !accounts.includes(ethers.getAddress(this.account))) {
+            throw new Error(`Remote signer ${this.url} does not hold ${this.account} (accounts: ${accounts.join(', ')})`);
+        }
+        if (!this.account && accounts.length > 1) {
+            throw new Error(`Remote signer ${this.url} holds several accounts, set DEPLOYER_ACCOUNT to one of: ${accounts.join(', ')}`);
+        }
+        return this.account ? ethers.getAddress(this.account) : accounts[0];
+    }
+
+    async unlock() {
+        this.address = await this.getAddress();
+        return this.address;
+    }
+
+    connect(provider) {
+        if (!this.address) {
+            throw new Error('Remote signer is locked. Run unlock first.');
+        }
+        return new RemoteSigner(this.url, this.address, provider, this.headers);
+    }
+}
@@ -0,0 +1,24 @@
+import KeystoreSource from './KeystoreSource.js';
+import RemoteSource from './RemoteSource.js';
+import MnemonicSource from './MnemonicSource.js';
+import ImpersonatedSource from './ImpersonatedSource.js';
+
+const SOURCES = {
+    keystore: KeystoreSource,
+    remote: RemoteSource,
+    mnemonic: MnemonicSource,
+    impersonated: ImpersonatedSource,
+};
+
+// A signer source provides the deployment wallet:
+// getAddress() => address (no secret asked), unlock(requestPassword) => address (asks for secrets if needed),
+// connect(provider) => ethers Signer
+// `config` is the `signer` of the network file. There is no env override: the network decides how it is signed.
+export default function createSignerSource(config = {}) {
+    const type = config.type || 'keystore';
+    const Source = SOURCES[type];
+    if (!Source) {
+        throw new Error(`Unknown signer ${type} (expected one of ${Object.keys(SOURCES).join(', ')})`);
+    }
+    return new Source(config);
+}
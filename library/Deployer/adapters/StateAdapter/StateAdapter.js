@@ -4,6 +4,12 @@ import listNetworkFiles from './methods/listNetworkFiles.js';
 import saveDeploymentState from './methods/saveDeploymentState.js';
 import listDeploymentFiles from './methods/listDeploymentFiles.js';
 import readDeploymentStateFile from './methods/readDeploymentStateFile.js';
+import readDeploymentHistory from './methods/readDeploymentHistory.js';
+import saveDeploymentCheckpoint from './methods/saveDeploymentCheckpoint.js';
+import readDeploymentCheckpoint from './methods/readDeploymentCheckpoint.js';
+import readDeploymentCheckpoints from './methods/readDeploymentCheckpoints.js';
+import saveDeploymentPlan from './methods/saveDeploymentPlan.js';
+import createStateBackend from './backends/index.js';
 
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -12,9 +18,11 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class StateAdapter {
-    constructor(network) {
+    constructor(network, backendConfig) {
         this.network = network;
         this.dirname = __dirname;
+        // Where deployment states, checkpoints and plans are stored (filesystem, sqlite or memory)
+        this.backend = createStateBackend(backendConfig);
     }
 }
 
@@ -24,5 +32,10 @@ StateAdapter.prototype.readNetworkFile = readNetworkFile;
 StateAdapter.prototype.readArtifactFile = readArtifactFile;
 StateAdapter.prototype.saveDeploymentState = saveDeploymentState;
 StateAdapter.prototype.readDeploymentStateFile = readDeploymentStateFile;
+StateAdapter.prototype.readDeploymentHistory = readDeploymentHistory;
+StateAdapter.prototype.saveDeploymentCheckpoint = saveDeploymentCheckpoint;
+StateAdapter.prototype.readDeploymentCheckpoint = readDeploymentCheckpoint;
+StateAdapter.prototype.readDeploymentCheckpoints = readDeploymentCheckpoints;
+StateAdapter.prototype.saveDeploymentPlan = saveDeploymentPlan;
 
 export default StateAdapter;
\ No newline at end of file
@@ -0,0 +1,51 @@
+import ensureDirectoryExists from '../utils/ensureDirectoryExists.js';
+import findNetworksRoot from '../utils/findNetworksRoot.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+// One JSON file per document: networks/.deployments/<network>/[<collection>/]<key>.json
+// Deployment states stay at the root of the network folder, as they always did.
+export default class FilesystemBackend {
+    constructor(options = {}) {
+        this.type = 'filesystem';
+        this.root = options.root || null;
+    }
+
+    async getCollectionPath(network, collection) {
+        const root = this.root || path.join(await findNetworksRoot(), '.deployments');
+        return collection === 'deployments'
+            ? path.join(root, network)
+            : path.join(root, network, collection);
+    }
+
+    async write(network, collection, key, document) {
+        const collectionPath = await this.getCollectionPath(network, collection);
+        await ensureDirectoryExists(collectionPath);
+        const documentPath = path.join(collectionPath, `${key}.json`);
+        await fs.writeFile(documentPath, JSON.stringify(document, null, 2));
+        return documentPath;
+    }
+
+    async read(network, collection, key) {
+        const collectionPath = await this.getCollectionPath(network, collection);
+        try {
+            return JSON.parse(await fs.readFile(path.join(collectionPath, `${key}.json`), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async list(network, collection) {
+        const collectionPath = await this.getCollectionPath(network, collection);
+        try {
+            const entries = await fs.readdir(collectionPath, { withFileTypes: true });
+            return entries
+                .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+                .map(entry => entry.name.slice(0, -'.json'.length));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+}
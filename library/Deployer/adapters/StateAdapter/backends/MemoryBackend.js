@@ -0,0 +1,34 @@
+// Shared by every StateAdapter of the process (setNetwork creates a new adapter), lost on exit.
+// Used for ephemeral networks (CI Hardhat nodes) and tests.
+const store = new Map();
+
+export default class MemoryBackend {
+    constructor() {
+        this.type = 'memory';
+    }
+
+    getCollection(network, collection) {
+        const id = `${network}/${collection}`;
+        if (!store.has(id)) store.set(id, new Map());
+        return store.get(id);
+    }
+
+    async write(network, collection, key, document) {
+        // Stored as JSON so callers never share references with the stored document
+        this.getCollection(network, collection).set(key, JSON.stringify(document));
+        return `memory:${network}/${collection}/${key}`;
+    }
+
+    async read(network, collection, key) {
+        const document = this.getCollection(network, collection).get(key);
+        return document === undefined ? null : JSON.parse(document);
+    }
+
+    async list(network, collection) {
+        return [...this.getCollection(network, collection).keys()];
+    }
+
+    static clear() {
+        store.clear();
+    }
+}
@@ -0,0 +1,70 @@
+import ensureDirectoryExists from '../utils/ensureDirectoryExists.js';
+import findNetworksRoot from '../utils/findNetworksRoot.js';
+import path from 'path';
+
+// Every document of every network in a single SQLite file (default: networks/.deployments/state.sqlite).
+// Uses the built-in node:sqlite module: Node.js >= 22.13 or >= 23.4, or 22.5 to 22.12 with --experimental-sqlite.
+export default class SQLiteBackend {
+    constructor(options = {}) {
+        this.type = 'sqlite';
+        this.file = options.file || null;
+        this.database = null;
+    }
+
+    async getDatabase() {
+        if (this.database) return this.database;
+
+        let sqlite;
+        try {
+            sqlite = await import('node:sqlite');
+        } catch (error) {
+            throw new Error(
+                `The sqlite state backend requires node:sqlite: Node.js >= 22.13 or >= 23.4, or 22.5 to 22.12 with --experimental-sqlite ` +
+                `(running ${process.version}). Upgrade Node.js or set stateBackend: { type: 'filesystem' } in the network file.`
+            );
+        }
+
+        if (!this.file) {
+            this.file = path.join(await findNetworksRoot(), '.deployments', 'state.sqlite');
+        }
+        await ensureDirectoryExists(path.dirname(this.file));
+
+        this.database = new sqlite.DatabaseSync(this.file);
+        this.database.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                network TEXT NOT NULL,
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                document TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (network, collection, key)
+            )
+        `);
+        return this.database;
+    }
+
+    async write(network, collection, key, document) {
+        const database = await this.getDatabase();
+        database.prepare(`
+            INSERT INTO documents (network, collection, key, document, updated_at) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (network, collection, key) DO UPDATE SET document = excluded.document, updated_at = excluded.updated_at
+        `).run(network, collection, key, JSON.stringify(document), Date.now());
+        return `${this.file}#${network}/${collection}/${key}`;
+    }
+
+    async read(network, collection, key) {
+        const database = await this.getDatabase();
+        const row = database
+            .prepare('SELECT document FROM documents WHERE network = ? AND collection = ? AND key = ?')
+            .get(network, collection, key);
+        return row ? JSON.parse(row.document) : null;
+    }
+
+    async list(network, collection) {
+        const database = await this.getDatabase();
+        return database
+            .prepare('SELECT key FROM documents WHERE network = ? AND collection = ? ORDER BY key')
+            .all(network, collection)
+            .map(({ key }) => key);
+    }
+}
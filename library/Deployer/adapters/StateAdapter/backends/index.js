@@ -0,0 +1,21 @@
+import FilesystemBackend from './FilesystemBackend.js';
+import SQLiteBackend from './SQLiteBackend.js';
+import MemoryBackend from './MemoryBackend.js';
+
+const BACKENDS = {
+    filesystem: FilesystemBackend,
+    sqlite: SQLiteBackend,
+    memory: MemoryBackend,
+};
+
+// A backend stores JSON documents by network, collection (deployments, checkpoints, plans) and key:
+// write(network, collection, key, document) => location, read(...) => document | null, list(network, collection) => keys
+// `config` is the `stateBackend` of the network file, STATE_BACKEND overrides its type.
+export default function createStateBackend(config = {}) {
+    const type = process.env.STATE_BACKEND || config.type || 'filesystem';
+    const Backend = BACKENDS[type];
+    if (!Backend) {
+        throw new Error(`Unknown state backend ${type} (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return new Backend(config);
+}
@@ -0,0 +1,17 @@
+export default async function readDeploymentCheckpoint(deploymentId) {
+    const network = this.network;
+
+    const checkpoint = await this.backend.read(network, 'checkpoints', deploymentId);
+    if (!checkpoint) {
+        throw new Error(`No checkpoint found for deployment ${deploymentId} on ${network}`);
+    }
+
+    const logs = await this.backend.read(network, 'checkpoints', `${deploymentId}.logs`);
+    if (logs) {
+        checkpoint.logs = logs;
+    } else {
+        console.error(`No logger checkpoint found for deployment ${deploymentId} on ${network}`);
+    }
+
+    return checkpoint;
+}
@@ -0,0 +1,13 @@
+// Reads the checkpoint of every deployment of the network (without logs), oldest first.
+// A checkpoint holds the whole deployment run (contracts, receipts, costs...), saved after each of its processes.
+export default async function readDeploymentCheckpoints() {
+    const keys = (await this.backend.list(this.network, 'checkpoints')).filter(key => !key.endsWith('.logs'));
+
+    const checkpoints = [];
+    for (const key of keys) {
+        const checkpoint = await this.backend.read(this.network, 'checkpoints', key);
+        if (checkpoint) checkpoints.push(checkpoint);
+    }
+    // Deployment ids are creation timestamps in hex (see utils/createDeployment.js)
+    return checkpoints.sort((a, b) => parseInt(a.id, 16) - parseInt(b.id, 16));
+}
@@ -0,0 +1,12 @@
+// Reads every deployment state of the network (without logs), oldest first.
+// A state holds the results of a single deploy call: use readDeploymentCheckpoints for whole deployments.
+export default async function readDeploymentHistory() {
+    const keys = await this.listDeploymentFiles();
+
+    const history = [];
+    for (const key of keys) {
+        const state = await this.backend.read(this.network, 'deployments', key);
+        if (state) history.push({ key, ...state });
+    }
+    return history.sort((a, b) => a.timestamp - b.timestamp);
+}
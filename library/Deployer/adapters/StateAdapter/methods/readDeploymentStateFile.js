@@ -1,38 +1,26 @@
-import findDeploymentsRoot from '../utils/findDeploymentsRoot.js';
-import fs from 'fs/promises';
-import path from 'path';
-
-export default async function readDeploymentStateFile() {
+// Reads a deployment state by hash, or the latest one when no hash is given
+export default async function readDeploymentStateFile(deploymentHash) {
     const network = this.network;
-    const dirname = this.dirname;
 
-    const list = await this.listDeploymentFiles(true);
+    const list = await this.listDeploymentFiles();
 
-    // List of form {TS}_{TX_HASH}.json, when there is many files, select the latest one by timestamp
-    const latestFile = list.sort((a, b) => b.split('_')[0] - a.split('_')[0])[0];
+    // List of form {TS}_{TX_HASH}, when there is many states, select the latest one by timestamp
+    const key = deploymentHash
+        ? list.find(name => name === deploymentHash || name.endsWith(`_${deploymentHash}`))
+        : list.sort((a, b) => b.split('_')[0] - a.split('_')[0])[0];
 
-    if (!latestFile) {
-        throw new Error(`No deployment state file found for ${network}`);
+    if (!key) {
+        throw new Error(`No deployment state found for ${deploymentHash || 'latest deployment'} on ${network}`);
     }
 
-    const deploymentsPath = await findDeploymentsRoot(dirname);
-    const deploymentStateFile = await fs.readFile(
-        path.join(deploymentsPath, `${network}/${latestFile}`), 
-        'utf8'
-    );
-
-    const deploymentState = JSON.parse(deploymentStateFile);
+    const deploymentState = await this.backend.read(network, 'deployments', key);
 
-    try {
-        const loggerStateFile = await fs.readFile(
-            path.join(deploymentsPath, `${network}/${latestFile}.logs.json`), 
-            'utf8'
-        );
-        const loggerState = JSON.parse(loggerStateFile);
+    const loggerState = await this.backend.read(network, 'deployments', `${key}.logs`);
+    if (loggerState) {
         deploymentState.logs = loggerState;
-    } catch (error) {
-        console.error(`No logger state file found for ${network}`);
+    } else {
+        console.error(`No logger state found for ${key} on ${network}`);
     }
 
     return deploymentState;
-}
\ No newline at end of file
+}
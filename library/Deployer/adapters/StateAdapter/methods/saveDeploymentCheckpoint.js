@@ -0,0 +1,34 @@
+import prepareBigIntForJSON from '../utils/prepareBigIntForJSON.js';
+import { redact } from '../../../utils/redaction.js';
+
+// Checkpoints are keyed by deployment id (not by tx hash) so a failed run can be resumed with --resume <deploymentId>
+export default async function saveDeploymentCheckpoint(deploymentId, state, loggerState) {
+    const network = this.network;
+
+    if(!deploymentId) {
+        throw new Error('Deployment id is required to save a checkpoint');
+    }
+
+    const checkpointPath = await this.backend.write(
+        network,
+        'checkpoints',
+        deploymentId,
+        redact(prepareBigIntForJSON(state))
+    );
+
+    let loggerPath = null;
+    if (loggerState) {
+        // Redacted by ParaLogger before hashing
+        loggerPath = await this.backend.write(
+            network,
+            'checkpoints',
+            `${deploymentId}.logs`,
+            prepareBigIntForJSON(loggerState)
+        );
+    }
+
+    return {
+        checkpointPath,
+        loggerPath
+    };
+}
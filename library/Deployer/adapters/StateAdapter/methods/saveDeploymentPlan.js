@@ -0,0 +1,13 @@
+import prepareBigIntForJSON from '../utils/prepareBigIntForJSON.js';
+import { redact } from '../../../utils/redaction.js';
+
+export default async function saveDeploymentPlan(deploymentId, plan) {
+    const planPath = await this.backend.write(
+        this.network,
+        'plans',
+        `${deploymentId}.plan`,
+        redact(prepareBigIntForJSON(plan))
+    );
+
+    return { planPath };
+}
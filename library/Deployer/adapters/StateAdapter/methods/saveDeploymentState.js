@@ -1,17 +1,9 @@
-import ensureDirectoryExists from '../utils/ensureDirectoryExists.js';
-import findDeploymentsRoot from '../utils/findDeploymentsRoot.js';
 import prepareBigIntForJSON from '../utils/prepareBigIntForJSON.js';
-import path from 'path';
-import fs from 'fs/promises';
+import { redact } from '../../../utils/redaction.js';
 
 export default async function saveDeploymentState(state) {
     const network = this.network;
-    const dirname = this.dirname;
 
-    const deploymentsPath = await findDeploymentsRoot(dirname);
-
-    await ensureDirectoryExists(deploymentsPath);
-    
     // Extract logger state and remove it from main state
     const loggerState = state.logs;
     const stateWithoutLogs = { ...state };
@@ -24,19 +16,22 @@ export default async function saveDeploymentState(state) {
     }
 
     // Save the main deployment state
-    const deploymentPath = path.join(deploymentsPath, `${timestamp}_${deploymentHash}.json`);
-    await fs.writeFile(
-        deploymentPath, 
-        JSON.stringify(prepareBigIntForJSON(stateWithoutLogs), null, 2)
+    const key = `${timestamp}_${deploymentHash}`;
+    const deploymentPath = await this.backend.write(
+        network,
+        'deployments',
+        key,
+        redact(prepareBigIntForJSON(stateWithoutLogs))
     );
-    
-    const loggerPath = path.join(deploymentsPath, `${timestamp}_${deploymentHash}.logs.json`);
 
+    let loggerPath = null;
     if (loggerState) {
-        // Save the logger state separately
-        await fs.writeFile(
-            loggerPath,
-            JSON.stringify(prepareBigIntForJSON(loggerState), null, 2)
+        // Save the logger state separately - redacted by ParaLogger before hashing, redacting it here would break the chain
+        loggerPath = await this.backend.write(
+            network,
+            'deployments',
+            `${key}.logs`,
+            prepareBigIntForJSON(loggerState)
         );
     }
     
@@ -44,4 +39,4 @@ export default async function saveDeploymentState(state) {
         deploymentPath,
         loggerPath
     };
-} 
\ No newline at end of file
+}
@@ -0,0 +1,35 @@
+// Export of a saved deployment to the chain config format of library/RPCLibrary (configs/chains/<chainId>.json).
+// Contract name (as in deployment.contracts) => section of the chain config, lowercase id used by RPCLibrary, display name.
+// Contracts without entry are not exported.
+export default {
+    // Relative to library/Deployer
+    outputDir: '../RPCLibrary/configs/chains',
+    // Network => RPCs of a new chain config (an existing one keeps its own). The frontend bundles them: public URLs only,
+    // a URL carrying a key is refused. A network without entry gets none.
+    rpcs: {
+        local: ['http://localhost:8545'],
+    },
+    contracts: {
+        // contracts
+        RAACHousePrices: { section: 'contracts', id: 'raachouseprices', name: 'RAAC House Prices' },
+        RAACMinter: { section: 'contracts', id: 'raacminter', name: 'RAAC Minter' },
+        FeeCollector: { section: 'contracts', id: 'feecollector', name: 'Fee Collector' },
+        Treasury: { section: 'contracts', id: 'treasury', name: 'Treasury' },
+        RepairFund: { section: 'contracts', id: 'repairfund', name: 'Repair Fund' },
+        RAACReleaseOrchestrator: { section: 'contracts', id: 'raacreleaseorchestrator', name: 'RAAC Release Orchestrator' },
+        RAACHousePriceOracle: { section: 'contracts', id: 'raachousepriceoracle', name: 'RAAC House Price Oracle' },
+        RAACPrimeRateOracle: { section: 'contracts', id: 'raacprimerateoracle', name: 'RAAC Prime Rate Oracle' },
+        // pools
+        StabilityPool: { section: 'pools', id: 'stabilitypool', name: 'Stability Pool' },
+        RAACLendingPool: { section: 'pools', id: 'lendingpool', name: 'Lending Pool' },
+        // nfts
+        RAACNFT: { section: 'nfts', id: 'raacnft', name: 'RAAC NFT' },
+        // assets
+        crvUSDToken: { section: 'assets', id: 'crvusd', name: 'CRVUSD', decimals: 18 },
+        RToken: { section: 'assets', id: 'rcrvusd', name: 'RCRVUSD', decimals: 18 },
+        DEToken: { section: 'assets', id: 'decrvusd', name: 'DECRVUSD', decimals: 18 },
+        DebtToken: { section: 'assets', id: 'debtcrvusd', name: 'DEBTCRVUSD', decimals: 18 },
+        RAACToken: { section: 'assets', id: 'raactoken', name: 'RAAC', decimals: 18 },
+        veRAACToken: { section: 'assets', id: 'veraac', name: 'VERAAC', decimals: 18 },
+    },
+};
@@ -6,5 +6,7 @@ export default {
         "RAACNFT",
         "RAACHousePrices",
         "StabilityPool",
-    ]
+    ],
+    // Estimate by replaying the deployment on a fork (utils/simulateDeployment.js), the bytecode heuristic when false
+    simulate: true,
 }
\ No newline at end of file
@@ -1,3 +1,8 @@
+import { VESTING_DURATION } from '../utils/validateTGEAllocations.js';
+
+// Read once: start and end of a schedule must be exactly VESTING_DURATION apart
+const now = Math.floor(Date.now() / 1000);
+
 export default {
 	tgeConfig: {
 		wallets: [
@@ -9,8 +14,8 @@ export default {
 				schedules: [
 				{
 					type: "linear",
-					start: Math.floor(Date.now() / 1000), // now
-					end: Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60, // 1 year
+					start: now,
+					end: now + VESTING_DURATION,
 				},
 			],
 		},
@@ -22,8 +27,8 @@ export default {
 			schedules: [
 				{
 					type: "linear",
-					start: Math.floor(Date.now() / 1000), // now
-					end: Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60, // 1 year
+					start: now,
+					end: now + VESTING_DURATION,
 				},
 			],
 		},
@@ -47,8 +52,8 @@ export default {
 			schedules: [
 				{
 					type: "linear",
-					start: Math.floor(Date.now() / 1000), // now
-					end: Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60, // 1 year
+					start: now,
+					end: now + VESTING_DURATION,
 				},
 			],
 		},
@@ -59,7 +64,9 @@ export default {
 				amount: "2433333.33330",
 			},
 		],
-		// Need to match the total amount of wallets
+		// Wallets imported from a CSV file, relative to library/Deployer (see utils/readAllocationsCSV.js)
+		// allocations: "allocations.csv",
+		// Need to match the total amount of wallets (computed when left out)
 		initialSupply: "8866666666600000000000000",
 		// Address of the deployer
 		owner: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
@@ -0,0 +1,101 @@
+// Governance handoff, per network (`network` of networks/*.js).
+// New owners / role holders are placeholders (see README) - e.g. {{env:GOVERNANCE_MULTISIG}} or {{TimelockController}}
+// (contracts not deployed by the pipeline, like TimelockController or GaugeController, are read from configs/dependencies.js).
+// A network without entry skips the process.
+const multisig = '{{env:GOVERNANCE_MULTISIG}}';
+const timelock = '{{TimelockController}}';
+
+export default {
+    mainnet: {
+        // New owners must be contracts (Safe or TimelockController), never an EOA
+        requireContractOwners: true,
+        // Ownable contracts: contract name => new owner
+        // Two-step contracts (the Chainlink oracles) wait for the new owner to call acceptOwnership(), the process fails until then.
+        // An Ownable contract still owned by the deployer wallet but missing here fails the process before anything is sent.
+        ownable: {
+            RAACToken: timelock,
+            RAACMinter: timelock,
+            RAACHousePrices: multisig,
+            RAACNFT: timelock,
+            RToken: timelock,
+            DebtToken: timelock,
+            DEToken: timelock,
+            RAACLendingPool: timelock,
+            StabilityPool: timelock,
+            veRAACToken: timelock,
+            RAACHousePriceOracle: multisig,
+            RAACPrimeRateOracle: multisig,
+        },
+        // AccessControl contracts: contract name => { ROLE: new holder }
+        // The deployer wallet renounces the listed roles once granted, DEFAULT_ADMIN_ROLE is mandatory.
+        // A role the deployer wallet holds but the config omits fails the process before anything is sent.
+        accessControl: {
+            RAACMinter: {
+                DEFAULT_ADMIN_ROLE: timelock,
+                PAUSER_ROLE: multisig,
+                UPDATER_ROLE: timelock,
+                EMERGENCY_SHUTDOWN_ROLE: multisig,
+            },
+            FeeCollector: {
+                DEFAULT_ADMIN_ROLE: timelock,
+                FEE_MANAGER_ROLE: timelock,
+                EMERGENCY_ROLE: multisig,
+                DISTRIBUTOR_ROLE: multisig,
+            },
+            GaugeController: {
+                DEFAULT_ADMIN_ROLE: timelock,
+                GAUGE_ADMIN: timelock,
+                EMERGENCY_ADMIN: multisig,
+                FEE_ADMIN: timelock,
+            },
+            Treasury: {
+                DEFAULT_ADMIN_ROLE: timelock,
+                MANAGER_ROLE: timelock,
+                ALLOCATOR_ROLE: timelock,
+            },
+            RepairFund: {
+                DEFAULT_ADMIN_ROLE: timelock,
+                MANAGER_ROLE: multisig,
+                ALLOCATOR_ROLE: multisig,
+            },
+            RAACReleaseOrchestrator: {
+                DEFAULT_ADMIN_ROLE: timelock,
+                ORCHESTRATOR_ROLE: timelock,
+                EMERGENCY_ROLE: multisig,
+            },
+        },
+    },
+    sepolia: {
+        requireContractOwners: false,
+        ownable: {
+            RAACToken: multisig,
+            RAACMinter: multisig,
+            RAACHousePrices: multisig,
+            RAACNFT: multisig,
+            RToken: multisig,
+            DebtToken: multisig,
+            DEToken: multisig,
+            RAACLendingPool: multisig,
+            StabilityPool: multisig,
+            veRAACToken: multisig,
+            RAACHousePriceOracle: multisig,
+            RAACPrimeRateOracle: multisig,
+        },
+        // Ownable contracts the deployer wallet keeps: the crvUSD mock it mints as faucet
+        keepOwnership: ['crvUSDToken'],
+        accessControl: {
+            RAACMinter: {
+                DEFAULT_ADMIN_ROLE: multisig,
+                PAUSER_ROLE: multisig,
+                UPDATER_ROLE: multisig,
+                EMERGENCY_SHUTDOWN_ROLE: multisig,
+            },
+            FeeCollector: {
+                DEFAULT_ADMIN_ROLE: multisig,
+                FEE_MANAGER_ROLE: multisig,
+                EMERGENCY_ROLE: multisig,
+                DISTRIBUTOR_ROLE: multisig,
+            },
+        },
+    },
+};
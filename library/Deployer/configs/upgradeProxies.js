@@ -0,0 +1,13 @@
+// Upgrade of the proxies of a saved deployment to the current artifacts (node upgrade --deployment <deploymentId>)
+export default {
+    // deployment.proxies names to upgrade - every proxy of the deployment when null
+    contracts: null,
+    // Contract name => constructor args of the new implementation (placeholders allowed), the recorded ones by default
+    constructorArgs: {},
+    // Contract name => { method, args } called through the proxy with the upgrade (upgradeToAndCall), e.g. a reinitializer
+    calls: {},
+    // Only compare the storage layouts, nothing is sent
+    checkOnly: false,
+    // Upgrade even when the storage layouts are incompatible or unknown - never on a live network
+    unsafeSkipStorageCheck: false,
+}
@@ -0,0 +1,11 @@
+export default {
+    // Throw when an invariant does not hold (the report is always printed and saved in deployment.verification)
+    failOnMismatch: false,
+    // Expected settings, matching utils/prepareConstructorArgs.js
+    settings: {
+        RAACToken: {
+            swapTaxRate: 100n,
+            burnTaxRate: 50n,
+        },
+    },
+}
@@ -0,0 +1,10 @@
+// Source verification on the block explorer of the network (blockExplorerApiUrl, key read from ETHERSCAN_API_KEY)
+export default {
+    // deployment.contracts names to verify - every contract of the deployment when null
+    contracts: null,
+    // Delay between two status checks of the submitted GUIDs, and number of checks before giving up (timeout)
+    pollInterval: 5000,
+    maxPolls: 24,
+    // Throw when a contract fails verification (outcomes are always saved in deployment.sourceVerification)
+    failOnError: false,
+}
@@ -0,0 +1,69 @@
+import Deployer from './Deployer.js';
+import readDeploymentWiring from './utils/readDeploymentWiring.js';
+import diffDeployments, {
+    findDeployment,
+    getDeploymentContracts,
+    indexDeploymentResults,
+    printDeploymentDiff,
+    printDeploymentHistory,
+    summarizeDeployment,
+} from './utils/diffDeployments.js';
+
+// Browses the deployments of a network (one checkpoint per deployment id), or compares two of them
+// Usage: NETWORK=sepolia node --env-file=.env deployment_history [--json]
+//        NETWORK=sepolia node --env-file=.env deployment_history diff <deploymentA> <deploymentB> [--wiring] [--json]
+// A deployment is a deployment id, or a deployment state: its <timestamp>_<hash> key or hash
+// --wiring reads the wiring of both deployments on the live network (read-only, no wallet needed)
+async function main() {
+    const deployer = new Deployer();
+
+    const networkName = process.env.NETWORK;
+    if (!networkName) throw new Error('NETWORK is not set');
+    const network = await deployer.readNetworkFile(networkName);
+    deployer.setNetwork(network);
+
+    const history = await deployer.getStateAdapter().readDeploymentCheckpoints();
+    const json = process.argv.includes('--json');
+    const [command, fromReference, toReference] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+    if (command !== 'diff') {
+        if (json) {
+            console.log(JSON.stringify(history.map(summarizeDeployment), null, 2));
+        } else {
+            printDeploymentHistory(networkName, history);
+        }
+        return;
+    }
+
+    if (!fromReference || !toReference) {
+        throw new Error('Missing deployment. Usage: diff <deploymentA> <deploymentB> (deployment id, state key or hash)');
+    }
+    // Per-contract deployment states: found by key or hash, and the resolved constructor args
+    const states = await deployer.getStateAdapter().readDeploymentHistory();
+    const from = findDeployment(history, fromReference, states);
+    const to = findDeployment(history, toReference, states);
+
+    let wiring = null;
+    if (process.argv.includes('--wiring')) {
+        const provider = deployer.createProvider(networkName);
+        wiring = {
+            before: await readDeploymentWiring(deployer, getDeploymentContracts(from), provider),
+            after: await readDeploymentWiring(deployer, getDeploymentContracts(to), provider),
+        };
+    }
+
+    const results = indexDeploymentResults(states);
+    const diff = diffDeployments(from, to, results, wiring);
+    if (json) {
+        console.log(JSON.stringify(diff, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2));
+    } else {
+        printDeploymentDiff(diff);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -19,6 +19,12 @@ export const DEPLOYER_EVENTS = {
     // Transaction events
     TRANSACTION_START: 'TRANSACTION_START',
     TRANSACTION_HASH: 'TRANSACTION_HASH',
+    // Stuck transaction re-broadcast with higher fees (same nonce, new hash)
+    TRANSACTION_BUMPED: 'TRANSACTION_BUMPED',
+    // Receipt block reorged out before the transaction was final (mined again or back in the mempool)
+    TRANSACTION_REORGED: 'TRANSACTION_REORGED',
+    // Contract deployment whose block depth is checked before link processes trust it
+    CONTRACT_DEPLOYED: 'CONTRACT_DEPLOYED',
     TRANSACTION_CONFIRMED: 'TRANSACTION_CONFIRMED',
     TRANSACTION_ERROR: 'TRANSACTION_ERROR'
 }; 
\ No newline at end of file
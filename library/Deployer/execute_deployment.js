@@ -3,6 +3,10 @@ import Deployer from "./Deployer.js";
 import exportDeployment from './utils/exportDeployment.js';
 import stringifyDeployment from './utils/stringifyDeployment.js';
 import runProcessesSequence from './utils/runProcessesSequence.js';
+import resumeDeployment from './utils/resumeDeployment.js';
+import getResumeDeploymentId from './utils/getResumeDeploymentId.js';
+import { createEnvLogSinks } from './utils/ParaLogger/sinks/index.js';
+import { redactConsole } from './utils/redaction.js';
 import prepareConstructorArgs from './utils/prepareConstructorArgs.js';
 
 // Configs (modifiable)
@@ -12,14 +16,20 @@ import deployContractsConfig from './configs/deployContracts.js';
 import deployTokenConfig from './configs/deployToken.js';
 import dependenciesConfig from './configs/dependencies.js';
 import prepareTGEConfig from './configs/prepareTGE.js';
+import transferOwnershipsConfig from './configs/transferOwnerships.js';
+import verifyDeploymentConfig from './configs/verifyDeployment.js';
+import verifySourcesConfig from './configs/verifySources.js';
 
 async function main() {
+	// Secrets are replaced in console output for the whole run (see utils/redaction.js)
+	redactConsole();
 	console.log('Starting deployment...');
 	console.log(prepareTGEConfig);
 	const deployer = new Deployer();
 
 	// TGE config
-	if(!prepareTGEConfig || !prepareTGEConfig.tgeConfig || !prepareTGEConfig.tgeConfig.wallets || !prepareTGEConfig.tgeConfig.initialSupply || !prepareTGEConfig.tgeConfig.owner) {
+	// Wallets and supply are validated by the prepareTGE process (utils/validateTGEAllocations.js)
+	if(!prepareTGEConfig || !prepareTGEConfig.tgeConfig || !(prepareTGEConfig.tgeConfig.wallets || prepareTGEConfig.tgeConfig.allocations) || !prepareTGEConfig.tgeConfig.owner) {
 		throw new Error('TGE config is missing');
 	}
 
@@ -33,14 +43,13 @@ async function main() {
 		prepareTGE: prepareTGEConfig,
 		deployToken: deployTokenConfig,
 		deployContracts: deployContractsConfig,
+		verifyDeployment: verifyDeploymentConfig,
+		verifySources: verifySourcesConfig,
+		transferOwnerships: transferOwnershipsConfig,
 	};
 
 	if (process.argv.includes("--logs")) {
-		deployer.logger.on("ADD_LOG", (log) => {
-			console.log(
-				`[${log.type} - ${log.timestamp}] - ${JSON.stringify(log.data)}`
-			);
-		});
+		createEnvLogSinks({ type: "console" }).forEach((sink) => deployer.logger.addSink(sink));
 	}
 
 
@@ -75,6 +84,13 @@ async function main() {
 		getWallet: null,
 	};
 
+	// Resume from a saved checkpoint (--resume <deploymentId>)
+	const resumeDeploymentId = getResumeDeploymentId();
+	if (resumeDeploymentId) {
+		console.log(`Resuming deployment ${resumeDeploymentId}...`);
+		await resumeDeployment(deployment, deployer, resumeDeploymentId);
+	}
+
 	// Run processes
 	await runProcessesSequence(deployment, deployer, configs);
 
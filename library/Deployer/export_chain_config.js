@@ -0,0 +1,76 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Deployer from './Deployer.js';
+import loadSavedDeployment from './utils/loadSavedDeployment.js';
+import exportChainConfig, { readChainAbis, readChainConfig, writeChainConfig } from './utils/exportChainConfig.js';
+import exportChainConfigConfig from './configs/exportChainConfig.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Exports a saved deployment to the RPCLibrary chain config of its chainId (+ ABI bundle) and registers it
+// Usage: NETWORK=sepolia node --env-file=.env export_chain_config --deployment <deploymentId|deploymentHash> [--out <dir>] [--dry-run] [--prune]
+// --prune removes the ids of the previous config that configs/exportChainConfig.js does not list (kept by default)
+async function main() {
+    const deployer = new Deployer();
+
+    const networkName = process.env.NETWORK;
+    if (!networkName) throw new Error('NETWORK is not set');
+    const network = await deployer.readNetworkFile(networkName);
+    deployer.setNetwork(network);
+
+    const getArg = (name) => {
+        const index = process.argv.indexOf(name);
+        return index !== -1 ? process.argv[index + 1] : undefined;
+    };
+    const deploymentId = getArg('--deployment') || process.env.DEPLOYMENT_ID;
+    if (!deploymentId || deploymentId.startsWith('--')) {
+        throw new Error('Missing deployment. Usage: --deployment <deploymentId|deploymentHash>');
+    }
+    const outputDir = path.resolve(__dirname, getArg('--out') || exportChainConfigConfig.outputDir);
+
+    const savedDeployment = await loadSavedDeployment(deployer, networkName, deploymentId);
+    const previousConfig = readChainConfig(outputDir, network.chainId);
+    const { chainConfig, abis, skipped, removed, changed, kept, warnings } = exportChainConfig(
+        deployer,
+        network,
+        savedDeployment,
+        exportChainConfigConfig,
+        previousConfig,
+        { prune: process.argv.includes('--prune'), previousAbis: readChainAbis(outputDir, network.chainId) }
+    );
+
+    console.log(`\x1b[32m==== Chain config ${network.chainId} (${networkName}) from deployment ${deploymentId} ====\x1b[0m`);
+    for (const section of ['contracts', 'pools', 'nfts', 'assets']) {
+        for (const { id, contract } of Object.values(chainConfig[section])) {
+            console.log(` ${section}.${id}: ${contract}`);
+        }
+    }
+    for (const { section, id, contract } of kept) {
+        console.log(`\x1b[90m = ${section}.${id}: ${contract} (not deployed by the Deployer, kept)\x1b[0m`);
+    }
+    for (const { section, id, before, after } of changed) {
+        console.log(`\x1b[33m ~ ${section}.${id}: ${before} -> ${after}\x1b[0m`);
+    }
+    for (const { section, id, contract } of removed) {
+        console.log(`\x1b[31m - ${section}.${id} removed: not part of the deployment (was ${contract})\x1b[0m`);
+    }
+    for (const warning of warnings) {
+        console.log(`\x1b[33m /!\\ ${warning}\x1b[0m`);
+    }
+    if (skipped.length > 0) {
+        console.log(`\x1b[33m /!\\ Not deployed, not exported: ${skipped.join(', ')}\x1b[0m`);
+    }
+
+    if (process.argv.includes('--dry-run')) return;
+
+    const { configPath, abisPath } = writeChainConfig(outputDir, chainConfig, abis);
+    console.log(`\x1b[32m Chain config written to ${configPath}\x1b[0m`);
+    console.log(`\x1b[32m ABI bundle written to ${abisPath}\x1b[0m`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
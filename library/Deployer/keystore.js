@@ -0,0 +1,53 @@
+import { ethers } from 'ethers';
+import KeystoreSource from './adapters/SignerAdapter/sources/KeystoreSource.js';
+import promptPassword from './utils/promptPassword.js';
+
+// Manages the encrypted keystores used by the `keystore` signer (secrets are typed without echo, never passed as arguments)
+// Usage: node keystore list|new|import [--dir <keystoreDir>]
+//  - new:    creates a random account
+//  - import: imports a private key or a mnemonic (first account, m/44'/60'/0'/0/0)
+async function main() {
+    const [command] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const index = process.argv.indexOf('--dir');
+    const dir = index !== -1 ? process.argv[index + 1] : process.env.KEYSTORE_DIR || KeystoreSource.getDefaultDir();
+
+    if (command === 'list') {
+        const keystores = KeystoreSource.listKeystores(dir);
+        console.log(`\x1b[32m==== ${keystores.length} keystore(s) in ${dir} ====\x1b[0m`);
+        for (const { address, file } of keystores) {
+            console.log(` ${address} \x1b[90m${file}\x1b[0m`);
+        }
+        return;
+    }
+
+    let account;
+    if (command === 'new') {
+        account = ethers.Wallet.createRandom();
+    } else if (command === 'import') {
+        const secret = (await promptPassword('Private key or mnemonic')).trim();
+        account = ethers.Mnemonic.isValidMnemonic(secret)
+            ? ethers.Wallet.fromPhrase(secret)
+            : new ethers.Wallet(secret.startsWith('0x') ? secret : `0x${secret}`);
+    } else {
+        throw new Error('Usage: node keystore list|new|import [--dir <keystoreDir>]');
+    }
+
+    const password = await promptPassword(`New password for ${account.address}`);
+    if (password !== await promptPassword('Confirm password')) {
+        throw new Error('Passwords do not match');
+    }
+
+    console.log('Encrypting keystore...');
+    const file = await KeystoreSource.saveKeystore(dir, account, password);
+    console.log(`\x1b[32m Keystore of ${account.address} saved to ${file}\x1b[0m`);
+    if (command === 'new') {
+        console.log('\x1b[33m /!\\ Only the keystore holds this key: back it up together with its password\x1b[0m');
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(`\x1b[31m${error.message}\x1b[0m`);
+        process.exit(1);
+    });
@@ -0,0 +1,29 @@
+import { ethers } from 'ethers';
+import createLocalExplorerServer from './utils/createLocalExplorerServer.js';
+
+// Local stand-in for an Etherscan compatible contract API, to exercise the verifySources process without an explorer.
+// Usage: node local_explorer [--port 8551] [--rpc http://localhost:8545] [--api-key <key>] [--pending-checks 1]
+// Then run with BLOCK_EXPLORER_API_URL=http://127.0.0.1:8551/api (local network) or set blockExplorerApiUrl.
+// Submissions are checked (standard-JSON input, fully qualified name, compiler version, constructor args and,
+// with --rpc, code at the address and the constructor args of the creation transaction) but nothing is compiled.
+async function main() {
+    const getArg = (name) => {
+        const index = process.argv.indexOf(name);
+        return index !== -1 ? process.argv[index + 1] : undefined;
+    };
+    const port = Number(getArg('--port') || 8551);
+    const apiKey = getArg('--api-key');
+    const pendingChecks = Number(getArg('--pending-checks') ?? 1);
+    const provider = getArg('--rpc') ? new ethers.JsonRpcProvider(getArg('--rpc')) : null;
+
+    const server = createLocalExplorerServer({ apiKey, pendingChecks, provider });
+
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`\x1b[32m==== Local explorer API listening on http://127.0.0.1:${port}/api ====\x1b[0m`);
+    });
+}
+
+main().catch(error => {
+    console.error(`\x1b[31m${error.message}\x1b[0m`);
+    process.exit(1);
+});
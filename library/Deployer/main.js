@@ -64,6 +64,7 @@ async function main() {
         console.log(JSON.stringify(deployer.getDeployedContracts(), null, 2));
         
         console.log('\nDeployment Logs:');
+        await deployer.logger.flush();
         console.log(JSON.stringify(deployer.logger.export(), null, 2));
         
         console.log('\nDeployment Stats:');
@@ -72,6 +73,7 @@ async function main() {
     } catch (error) {
         console.error('Error during deployment:', error);
         console.log('\nDeployment Logs:');
+        await deployer.logger.flush();
         console.log(JSON.stringify(deployer.logger.export(), null, 2));
         process.exit(1);
     }
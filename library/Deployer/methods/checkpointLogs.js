@@ -0,0 +1,61 @@
+// `logs` block of the network file: signed checkpoints are on unless `checkpoints: false`, the on-chain anchor is opt-in.
+// The `logs` option of the deployer wins: it survives prepareEnvironment setting the network file again.
+export function getLogsOptions(deployer) {
+    const network = deployer.getNetwork(deployer.stateAdapter?.network);
+    return { checkpoints: true, anchor: false, ...network?.logs, ...deployer.options.logs };
+}
+
+// The deployer wallet once prepareEnvironment has unlocked it, null before
+function getLogsSigner(deployer) {
+    if (deployer.signer) return deployer.signer;
+    return deployer.signerAdapter?.address ? deployer.createNetworkSigner(deployer.stateAdapter.network) : null;
+}
+
+// Signs the current end of the log chain with the deployer wallet (see ParaLogger.checkpoint). Called after every
+// process by runProcessesSequence. A signer that cannot sign typed data leaves the log unsigned, the deployment goes on.
+export async function checkpointLogs() {
+    if (!getLogsOptions(this).checkpoints) return null;
+
+    try {
+        const signer = getLogsSigner(this);
+        if (!signer) return null;
+        const { chainId } = await signer.provider.getNetwork();
+        return await this.logger.checkpoint(signer, chainId);
+    } catch (error) {
+        this.logger.addLog('LOG_CHECKPOINT_FAILED', { error: error.message });
+        console.log(`\x1b[33m==== Log checkpoint not signed: ${error.message} ====\x1b[0m`);
+        return null;
+    }
+}
+
+// Records the hash of a signed checkpoint in the data of a zero-value transaction to the deployer itself, once all
+// processes are done (network file `logs.anchor`): the log up to that hash provably existed at that block.
+// Resolves with { lastHash, hash, blockNumber }, or null when nothing could be anchored.
+export async function anchorLogs() {
+    // The checkpoint of the last process when nothing was logged since
+    await this.logger.flush();
+    const last = this.logger.logs[this.logger.logs.length - 1];
+    const checkpoint = last?.type === 'LOG_CHECKPOINT' ? last : await this.checkpointLogs();
+    if (!checkpoint) return null;
+    const { lastHash, signer: address } = checkpoint.data;
+
+    try {
+        const { hash, receipt } = await this.executeTransaction('Anchoring the deployment logs', async () => ({
+            to: address,
+            value: 0n,
+            data: lastHash,
+        }));
+        const anchor = { lastHash, hash, blockNumber: receipt.blockNumber };
+        this.logger.addLog('LOG_ANCHORED', anchor);
+        // Signs the anchor transaction entries too
+        await this.checkpointLogs();
+        console.log(`\x1b[32m==== Logs anchored in ${hash} (block ${receipt.blockNumber}) ====\x1b[0m`);
+        return anchor;
+    } catch (error) {
+        this.logger.addLog('LOG_ANCHOR_FAILED', { lastHash, error: error.message });
+        console.log(`\x1b[33m==== Logs not anchored: ${error.message} ====\x1b[0m`);
+        return null;
+    }
+}
+
+export default checkpointLogs;
@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import crypto from 'crypto';
+import resolvePlaceholders from '../utils/resolvePlaceholders.js';
 
 export async function deploy(preparedDeployment, wallet, deployedContracts, feeData) {
     const { logger } = this;
@@ -16,54 +17,69 @@ export async function deploy(preparedDeployment, wallet, deployedContracts, feeD
 
         const { contractName, originalArgs, artifact } = preparedDeployment;
 
-            // Resolve any placeholder arguments with actual deployed addresses
-            // const resolvedArgs = originalArgs.map(arg => {
-            //     if (typeof arg === 'string' && arg.startsWith('{{') && arg.endsWith('}}')) {
-            //         const contractRef = arg.slice(2, -2).trim(); // Remove {{ }}
-            //         if (!deployedContracts[contractRef]) {
-            //             throw new Error(`Contract ${contractRef} not deployed yet but required by ${contractName}`);
-            //         }
-            //         return deployedContracts[contractRef];
-            //     }
-            //     return arg;
-            // });
-            const resolvedArgs = originalArgs;
+            // Processes resolve their args beforehand - this only resolves what is left (e.g. raw constructorArgs)
+            const resolvedArgs = resolvePlaceholders(originalArgs, {
+                contractName,
+                processId: this.currentStatus?.currentStep,
+                contracts: deployedContracts,
+                network: this.getNetwork(this.stateAdapter?.network),
+            });
 
             logger.addLog('DEPLOYING_CONTRACT', { contractName, resolvedArgs });
 
-            const instance = await this.executeTransaction(
-                `Deploying ${contractName}`,
-                async (signer) => {
-                    const Contract = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
-                    const opts = {
-                        maxFeePerGas: feeData.maxFeePerGas,
-                        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
-                    }
-
-                    const contract = await Contract.deploy(...resolvedArgs, opts);
-
-                    const deployTx = contract.deploymentTransaction();
-                    if (!deployTx) {
-                        throw new Error('No deployment transaction found');
-                    }
-                    
-                    logger.addLog('DEPLOY_TRANSACTION', { transaction: deployTx });
-                    // Get the deployment receipt
-                    const receipt = await signer.provider.waitForTransaction(deployTx.hash);
-                    console.log({receipt});
-                     // Get the contract address
-                     const address = await contract.getAddress();
-                     logger.addLog('DEPLOY_CONTRACT_ADDRESS', { address });
-                     console.log({address});
-                    
-                    return {
-                        contract,
-                        hash: deployTx.hash,
-                        receipt,
-                        address
-                    };
+            // Behind a proxy when selected in the manifest `proxies` (prepared.proxy = false deploys the bare contract),
+            // at a deterministic address when salted in the manifest `create2` (prepared.salt = false deploys with CREATE)
+            const proxyOptions = preparedDeployment.proxy ?? this.proxyOptions?.[contractName];
+            const salt = preparedDeployment.salt ?? this.create2Options?.salts?.[contractName];
+            let instance;
+            let proxy = null;
+            if (proxyOptions) {
+                let implementation;
+                ({ implementation, instance, proxy } = await this.deployProxy(preparedDeployment, proxyOptions, resolvedArgs, feeData, deployedContracts, salt));
+                // The implementation is what gets verified on the explorer, with the constructor args
+                if (implementation && !implementation.skipped) {
+                    results.push({
+                        ...(await describeDeployment(contractName, implementation, resolvedArgs, wallet)),
+                        implementationOf: instance.address,
+                    });
+                }
+                // A proxy reused from a previous run keeps its record (upgrade history)
+                if (!instance.skipped || !this.proxies[contractName]) {
+                    this.proxies[contractName] = proxy;
                 }
-            );
+            } else {
+                // Sent through the transaction manager (managed nonce, fee bumps when stuck)
+                instance = await this.deployArtifact(`Deploying ${contractName}`, artifact, resolvedArgs, feeData, salt);
+            }
+            if (salt) {
+                this.create2[contractName] = {
+                    address: instance.address,
+                    salt,
+                    status: instance.skipped ? 'existing' : 'deployed',
+                };
+            }
+
+            if (instance.skipped) {
+                // Code already at the CREATE2 address (previous run): nothing sent, nothing to record
+                logger.addLog('CONTRACT_ALREADY_DEPLOYED', { contractName, address: instance.address, salt });
+                console.log(`\x1b[90m==== ${contractName} already deployed at ${instance.address} (CREATE2) ====\x1b[0m`);
+                return {
+                    success: true,
+                    deployments: results,
+                    deployedContracts,
+                    deploymentHash: null,
+                    statePath: null,
+                    loggerPath: null,
+                    receipt: null,
+                    address: instance.address,
+                    proxy,
+                    skipped: true
+                };
+            }
+
+            logger.addLog('DEPLOY_TRANSACTION', { hash: instance.hash, nonce: instance.nonce, attempts: instance.attempts });
+            logger.addLog('DEPLOY_CONTRACT_ADDRESS', { address: instance.address });
+            console.log({address: instance.address});
 
             // Set deploymentHash from the first transaction if not set
             if (!deploymentHash) {
@@ -75,15 +91,8 @@ export async function deploy(preparedDeployment, wallet, deployedContracts, feeD
 
             // Add detailed deployment result
             results.push({
-                contractName,
-                address: instance.address,
-                transactionHash: instance.hash,
-                receipt: instance.receipt,
-                constructorArgs: resolvedArgs,
-                gasUsed: instance.receipt.gasUsed.toString(),
-                blockNumber: instance.receipt.blockNumber,
-                timestamp: (await wallet.provider.getBlock(instance.receipt.blockNumber)).timestamp,
-                status: instance.receipt.status === 1 ? 'success' : 'failed'
+                ...(await describeDeployment(contractName, instance, resolvedArgs, wallet)),
+                ...(proxy && { proxy: { kind: proxy.kind, implementation: proxy.implementation, admin: proxy.admin } })
             });
 
             logger.addLog('CONTRACT_DEPLOYED', {
@@ -91,7 +100,15 @@ export async function deploy(preparedDeployment, wallet, deployedContracts, feeD
                 address: instance.address,
                 transactionHash: instance.hash
             });
+            this.emit(this.DEPLOYER_EVENTS.CONTRACT_DEPLOYED, {
+                contractName,
+                address: instance.address,
+                transactionHash: instance.hash,
+                blockNumber: instance.receipt.blockNumber,
+                blockHash: instance.receipt.blockHash
+            });
         
+        await logger.flush();
         const finalState = {
             timestamp: deploymentStartTime,
             network: {
@@ -108,17 +125,17 @@ export async function deploy(preparedDeployment, wallet, deployedContracts, feeD
 
         logger.addLog('DEPLOY_SUCCESS', { results });
 
-        // Save deployment state using the transaction hash
-        const { deploymentPath, loggerPath } = await this.saveDeploymentState(
-            networkName,
-            deploymentHash,
-            finalState
-        );
+        // Save deployment state using the transaction hash (through the state backend of the network)
+        let deploymentPath = null;
+        let loggerPath = null;
+        if (this.options.persistState) {
+            ({ deploymentPath, loggerPath } = await this.getStateAdapter().saveDeploymentState(finalState));
 
-        logger.addLog('DEPLOYMENT_STATE_SAVED', { 
-            deploymentPath,
-            loggerPath
-        });
+            logger.addLog('DEPLOYMENT_STATE_SAVED', { 
+                deploymentPath,
+                loggerPath
+            });
+        }
 
         return {
             success: true,
@@ -127,7 +144,9 @@ export async function deploy(preparedDeployment, wallet, deployedContracts, feeD
             deploymentHash,
             statePath: deploymentPath,
             loggerPath,
-            receipt: instance.receipt
+            receipt: instance.receipt,
+            address: instance.address,
+            proxy
         };
 
     } catch (error) {
@@ -140,4 +159,22 @@ export async function deploy(preparedDeployment, wallet, deployedContracts, feeD
     }
 }
 
+// Deployment result saved in the deployment state
+async function describeDeployment(contractName, instance, constructorArgs, wallet) {
+    return {
+        contractName,
+        address: instance.address,
+        transactionHash: instance.hash,
+        receipt: instance.receipt,
+        constructorArgs,
+        gasUsed: instance.receipt.gasUsed.toString(),
+        blockNumber: instance.receipt.blockNumber,
+        // Compared to the canonical chain later on to detect a reorg of the deployment
+        blockHash: instance.receipt.blockHash,
+        timestamp: (await wallet.provider.getBlock(instance.receipt.blockNumber)).timestamp,
+        status: instance.receipt.status === 1 ? 'success' : 'failed',
+        ...(instance.salt && { salt: instance.salt, factory: instance.factory })
+    };
+}
+
 export default deploy;
\ No newline at end of file
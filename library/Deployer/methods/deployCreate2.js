@@ -0,0 +1,105 @@
+import { ethers } from 'ethers';
+
+// Deterministic deployment proxy (github.com/Arachnid/deterministic-deployment-proxy): calldata is salt ++ init code.
+// It lives at the same address on every chain, deployed by a pre-signed transaction without chain id from a keyless account.
+export const CREATE2_FACTORY = {
+    address: '0x4e59b44847b379578588920cA78FbF26c0B4956C',
+    deployer: '0x3fab184622dc19b6109349b94811493bf2a45362',
+    // 100000 gas at 100 gwei, paid by the keyless deployer
+    deploymentCost: ethers.parseEther('0.01'),
+    transaction: '0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222',
+};
+
+export async function getInitCode(artifact, args) {
+    const { data } = await new ethers.ContractFactory(artifact.abi, artifact.bytecode).getDeployTransaction(...args);
+    return data;
+}
+
+export function getCreate2Factory(create2Options) {
+    return create2Options?.factory || CREATE2_FACTORY.address;
+}
+
+// Address of a CREATE2 deployment, known before anything is sent
+export function predictCreate2Address(initCode, salt, factory = CREATE2_FACTORY.address) {
+    return ethers.getCreate2Address(factory, salt, ethers.keccak256(initCode));
+}
+
+// Deploys the factory on networks that do not have it yet (local nodes, new testnets): the keyless deployer is funded
+// by the signer, then its pre-signed transaction is broadcast as is.
+export async function ensureCreate2Factory() {
+    const provider = this.getSigner().provider;
+    const factory = getCreate2Factory(this.create2Options);
+    if ((await provider.getCode(factory)) !== '0x') return factory;
+    if (factory !== CREATE2_FACTORY.address) {
+        throw new Error(`No CREATE2 factory deployed at ${factory}`);
+    }
+
+    this.logger.addLog('CREATE2_FACTORY_MISSING', { factory });
+    const balance = await provider.getBalance(CREATE2_FACTORY.deployer);
+    if (balance < CREATE2_FACTORY.deploymentCost) {
+        await this.executeTransaction('Funding the CREATE2 factory deployer', async () => ({
+            to: CREATE2_FACTORY.deployer,
+            value: CREATE2_FACTORY.deploymentCost - balance,
+        }));
+    }
+    try {
+        // Pre-signed by the keyless deployer: only awaited by the transaction manager
+        await this.executeTransaction('Deploying the CREATE2 factory', () => provider.broadcastTransaction(CREATE2_FACTORY.transaction));
+    } catch (error) {
+        throw new Error(`Could not deploy the CREATE2 factory at ${factory} (the network may reject transactions without chain id): ${error.message}`);
+    }
+    if ((await provider.getCode(factory)) === '0x') {
+        throw new Error(`CREATE2 factory deployment left no code at ${factory}`);
+    }
+    this.logger.addLog('CREATE2_FACTORY_DEPLOYED', { factory });
+    return factory;
+}
+
+// Deploys a contract through the CREATE2 factory when a salt is given, with a plain deployment transaction otherwise.
+// Resolves with the result of executeTransaction and the address of the contract (see deployCreate2 for `skipped`).
+export async function deployArtifact(description, artifact, args, feeData, salt) {
+    const opts = {
+        maxFeePerGas: feeData?.maxFeePerGas,
+        maxPriorityFeePerGas: feeData?.maxPriorityFeePerGas,
+    };
+    if (salt) {
+        return this.deployCreate2(description, await getInitCode(artifact, args), salt, opts);
+    }
+
+    const result = await this.executeTransaction(description, async (signer) => {
+        const Contract = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+        return Contract.getDeployTransaction(...args, opts);
+    });
+    if (!result.receipt.contractAddress) {
+        throw new Error(`${description}: no contract created by transaction ${result.hash}`);
+    }
+    return { ...result, address: result.receipt.contractAddress, skipped: false };
+}
+
+// Deploys init code through the CREATE2 factory. Code already at the predicted address (a previous run, another
+// network sharing the salts) is reused: nothing is sent and the result is flagged `skipped`.
+// Returns the transaction result of executeTransaction with the address, or { address, skipped: true }.
+export async function deployCreate2(description, initCode, salt, opts = {}) {
+    const provider = this.getSigner().provider;
+    const factory = await this.ensureCreate2Factory();
+    const address = predictCreate2Address(initCode, salt, factory);
+
+    if ((await provider.getCode(address)) !== '0x') {
+        this.logger.addLog('CREATE2_ALREADY_DEPLOYED', { description, address, salt });
+        return { address, salt, factory, skipped: true, receipt: null };
+    }
+
+    console.log(`\x1b[90m==== ${description}: CREATE2 address ${address} (salt ${salt}) ====\x1b[0m`);
+    const result = await this.executeTransaction(`${description} (CREATE2)`, async () => ({
+        to: factory,
+        data: ethers.concat([salt, initCode]),
+        ...opts,
+    }));
+    if ((await provider.getCode(address)) === '0x') {
+        throw new Error(`${description}: no code at the predicted CREATE2 address ${address} (transaction ${result.hash})`);
+    }
+    this.logger.addLog('CREATE2_DEPLOYED', { description, address, salt, hash: result.hash });
+    return { ...result, address, salt, factory, skipped: false };
+}
+
+export default deployCreate2;
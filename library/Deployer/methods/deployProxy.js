@@ -0,0 +1,116 @@
+import { ethers } from 'ethers';
+import { createRequire } from 'module';
+import resolvePlaceholders from '../utils/resolvePlaceholders.js';
+import readProxyAddresses from '../utils/readProxyAddresses.js';
+import { getInitCode, predictCreate2Address } from './deployCreate2.js';
+
+const require = createRequire(import.meta.url);
+
+// Proxy contract of each kind - a transparent proxy deploys its own ProxyAdmin (OpenZeppelin v5)
+export const PROXY_CONTRACTS = {
+    transparent: 'TransparentUpgradeableProxy',
+    uups: 'ERC1967Proxy',
+};
+
+// Compiled proxies shipped with @openzeppelin/contracts, the ones @openzeppelin/hardhat-upgrades deploys
+function readProxyArtifact(kind) {
+    if (!PROXY_CONTRACTS[kind]) {
+        throw new Error(`Unknown proxy kind ${kind} (expected ${Object.keys(PROXY_CONTRACTS).join(' or ')})`);
+    }
+    return require(`@openzeppelin/contracts/build/contracts/${PROXY_CONTRACTS[kind]}.json`);
+}
+
+export function isUUPSUpgradeable(artifact) {
+    return artifact.abi.some(({ type, name }) => type === 'function' && name === 'proxiableUUID');
+}
+
+// Deploys the implementation of a prepared contract then its proxy, initialized through the proxy constructor.
+// options: { kind: transparent|uups, initializer, initializerArgs, owner } - owner of the ProxyAdmin, the signer by default.
+// With a salt, both are deployed through the CREATE2 factory (see deployCreate2) and an existing proxy is reused.
+// Returns the transactions of both deployments and the proxy record kept in deployment.proxies
+// (with the storage layout of the implementation, compared to the next version by the upgradeProxies process).
+export async function deployProxy(preparedDeployment, options, resolvedArgs, feeData, deployedContracts, salt = null) {
+    const { logger } = this;
+    const { contractName, artifact } = preparedDeployment;
+    const kind = options.kind || 'transparent';
+    const proxyArtifact = readProxyArtifact(kind);
+    if (kind === 'uups' && !isUUPSUpgradeable(artifact)) {
+        throw new Error(`${contractName} cannot be deployed behind a UUPS proxy: no proxiableUUID (not UUPSUpgradeable)`);
+    }
+
+    const placeholderContext = {
+        contractName,
+        processId: this.currentStatus?.currentStep,
+        contracts: deployedContracts,
+        network: this.getNetwork(this.stateAdapter?.network),
+    };
+    // Salted, the implementation gets a salt of its own and the proxy keeps the one of the contract
+    const implementationSalt = salt ? ethers.solidityPackedKeccak256(['bytes32', 'string'], [salt, 'implementation']) : null;
+
+    // The implementation itself is never initialized: the initializer runs in the proxy constructor
+    const initializerArgs = resolvePlaceholders(options.initializerArgs || [], placeholderContext);
+    const initData = options.initializer
+        ? new ethers.Interface(artifact.abi).encodeFunctionData(options.initializer, initializerArgs)
+        : '0x';
+    const owner = options.owner
+        ? resolvePlaceholders([options.owner], placeholderContext)[0]
+        : await this.getSigner().getAddress();
+    const proxyArgs = (implementationAddress) => kind === 'transparent'
+        ? [implementationAddress, owner, initData]
+        : [implementationAddress, initData];
+
+    let implementation = null;
+    let instance = null;
+    if (salt) {
+        // A proxy already at its CREATE2 address (previous run) is kept as is, even if it was upgraded since
+        const factory = await this.ensureCreate2Factory();
+        const predictedImplementation = predictCreate2Address(await getInitCode(artifact, resolvedArgs), implementationSalt, factory);
+        const predictedProxy = predictCreate2Address(await getInitCode(proxyArtifact, proxyArgs(predictedImplementation)), salt, factory);
+        if ((await this.getSigner().provider.getCode(predictedProxy)) !== '0x') {
+            instance = { address: predictedProxy, salt, factory, skipped: true, receipt: null };
+        }
+    }
+
+    if (!instance) {
+        implementation = await this.deployArtifact(`Deploying ${contractName} implementation`, artifact, resolvedArgs, feeData, implementationSalt);
+        logger.addLog('PROXY_IMPLEMENTATION_DEPLOYED', { contractName, implementation: implementation.address, hash: implementation.hash, skipped: implementation.skipped });
+        instance = await this.deployArtifact(`Deploying ${contractName} ${kind} proxy`, proxyArtifact, proxyArgs(implementation.address), feeData, salt);
+    }
+    const proxyAddress = instance.address;
+
+    // Read back from the ERC-1967 slots: the ProxyAdmin address is only known once the proxy is deployed
+    const slots = await readProxyAddresses(this.getSigner().provider, proxyAddress);
+    if (implementation && slots.implementation !== implementation.address) {
+        throw new Error(`${contractName} proxy ${proxyAddress} points to ${slots.implementation}, not to its implementation ${implementation.address}`);
+    }
+
+    let storageLayout = null;
+    try {
+        storageLayout = this.readBuildInfo(artifact.contractName).storageLayout;
+    } catch (error) {
+        logger.addLog('PROXY_BUILD_INFO_MISSING', { contractName, error: error.message });
+    }
+    if (!storageLayout) {
+        console.log(`\x1b[33m==== No storage layout for ${contractName}: its upgrades cannot be checked ====\x1b[0m`);
+    }
+
+    const proxy = {
+        kind,
+        proxy: proxyAddress,
+        implementation: slots.implementation,
+        admin: kind === 'transparent' ? slots.admin : null,
+        owner: kind === 'transparent' ? owner : null,
+        artifact: artifact.contractName,
+        // Identifies the implementation version - an upgrade to the same bytecode is skipped
+        bytecodeHash: ethers.keccak256(artifact.bytecode),
+        constructorArgs: resolvedArgs,
+        initializer: options.initializer || null,
+        storageLayout,
+        history: [],
+    };
+    logger.addLog('PROXY_DEPLOYED', { contractName, ...proxy, storageLayout: undefined, hash: instance.hash, skipped: instance.skipped });
+
+    return { implementation, instance, proxy };
+}
+
+export default deployProxy;
@@ -39,12 +39,11 @@ export default async function executeLiquiditySetup(config, deployedContracts) {
         // Step 3: Initialize liquidity with time locks
         logger.addLog('INITIALIZE_LIQUIDITY_START', { wallets: config.wallets });
         for (const wallet of config.wallets) {
-            const tx = await stabilityPool.initializeLiquidity(
+            const tx = await this.executeContractCall('StabilityPool.initializeLiquidity', stabilityPool, 'initializeLiquidity', [
                 wallet.address,
                 ethers.utils.parseUnits(wallet.amount, 18),
                 wallet.lockUntil
-            );
-            await tx.wait();
+            ]);
             logger.addLog('INITIALIZE_LIQUIDITY_SUCCESS', {
                 address: wallet.address,
                 amount: wallet.amount,
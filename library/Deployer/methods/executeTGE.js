@@ -36,8 +36,7 @@ export default async function executeTGE(tgePrepared) {
     const minter = await tokenContract.minter();
     if(minter !== await this.signer.getAddress()) {
         // Set minter
-        const setMinterTx = await tokenContract.setMinter(await this.signer.getAddress());
-        await setMinterTx.wait();
+        await this.executeContractCall('RAACToken.setMinter', tokenContract, 'setMinter', [await this.signer.getAddress()]);
         logger.addLog('EXECUTE_TGE_SET_MINTER', { address: await this.signer.getAddress() });
     }
     
@@ -45,8 +44,7 @@ export default async function executeTGE(tgePrepared) {
     const isMinterInWhitelist = await tokenContract.isWhitelisted(await this.signer.getAddress());
     if(!isMinterInWhitelist) {
         // Add minter to whitelist
-        const addMinterToWhitelistTx = await tokenContract.manageWhitelist(await this.signer.getAddress(), true);
-        await addMinterToWhitelistTx.wait();
+        await this.executeContractCall('RAACToken.manageWhitelist', tokenContract, 'manageWhitelist', [await this.signer.getAddress(), true]);
         logger.addLog('EXECUTE_TGE_WHITELIST', { address: await this.signer.getAddress(), action: 'add' });
     }
 
@@ -57,8 +55,7 @@ export default async function executeTGE(tgePrepared) {
     logger.addLog('EXECUTE_TGE_MINT', { totalSupply, to: deployerAddress });
     
     const totalSupplyWAD = ethers.parseEther(totalSupply.toString());
-    const mintTx = await tokenContract.mint(deployerAddress, totalSupplyWAD);
-    await mintTx.wait();
+    await this.executeContractCall('RAACToken.mint', tokenContract, 'mint', [deployerAddress, totalSupplyWAD]);
 
     // Process each wallet distribution
     for(const wallet of wallets) {
@@ -98,8 +95,7 @@ export default async function executeTGE(tgePrepared) {
             // This is a direct transfer
             logger.addLog('EXECUTE_TGE_TRANSFER', { address, amount, type });
             
-            const transferTx = await tokenContract.transfer(address, ethers.parseEther(amount.toString()));
-            await transferTx.wait();
+            await this.executeContractCall(`RAACToken.transfer(${address})`, tokenContract, 'transfer', [address, ethers.parseEther(amount.toString())]);
         // }
     }
 
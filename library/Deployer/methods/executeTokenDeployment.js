@@ -66,14 +66,13 @@ export default async function executeTokenDeployment(deployment, wallet, args) {
         // Step 4: Configure Orchestrator Categories
         logger.addLog('SETUP_VESTING_START', { wallets: deployment.wallets });
         for (const wallet of deployment.wallets) {
-            const tx = await orchestrator.createVestingSchedule(
+            const tx = await this.executeContractCall('RAACReleaseOrchestrator.createVestingSchedule', orchestrator, 'createVestingSchedule', [
                 wallet.address,
                 ethers.utils.parseUnits(wallet.amount, 18),
                 wallet.schedules[0].startTime,
                 wallet.schedules[0].endTime - wallet.schedules[0].startTime,
                 ethers.utils.id(wallet.category)
-            );
-            await tx.wait();
+            ]);
             logger.addLog('SETUP_VESTING_SUCCESS', {
                 address: wallet.address,
                 amount: wallet.amount,
@@ -14,11 +14,10 @@ export default async function executeTokenPermissions(config, deployedContracts)
             // Grant to contracts
             if (roleConfig.contracts) {
                 for (const contract of roleConfig.contracts) {
-                    const tx = await token.grantRole(
+                    const tx = await this.executeContractCall(`RAACToken.grantRole(${role})`, token, 'grantRole', [
                         ethers.utils.id(role),
                         contract.address
-                    );
-                    await tx.wait();
+                    ]);
                     logger.addLog('GRANT_ROLE_SUCCESS', {
                         role,
                         to: contract.name,
@@ -31,11 +30,10 @@ export default async function executeTokenPermissions(config, deployedContracts)
             // Grant to addresses
             if (roleConfig.addresses) {
                 for (const address of roleConfig.addresses) {
-                    const tx = await token.grantRole(
+                    const tx = await this.executeContractCall(`RAACToken.grantRole(${role})`, token, 'grantRole', [
                         ethers.utils.id(role),
                         address
-                    );
-                    await tx.wait();
+                    ]);
                     logger.addLog('GRANT_ROLE_SUCCESS', {
                         role,
                         to: 'address',
@@ -51,22 +49,19 @@ export default async function executeTokenPermissions(config, deployedContracts)
         
         // Enable transfers
         if (config.tokenConfig.transfersEnabled) {
-            const tx1 = await token.enableTransfers();
-            await tx1.wait();
+            const tx1 = await this.executeContractCall('RAACToken.enableTransfers', token, 'enableTransfers');
             logger.addLog('ENABLE_TRANSFERS_SUCCESS', { tx: tx1.hash });
         }
 
         // Set transfer limits
-        const tx2 = await token.setMaxTransferAmount(
+        const tx2 = await this.executeContractCall('RAACToken.setMaxTransferAmount', token, 'setMaxTransferAmount', [
             ethers.utils.parseUnits(config.tokenConfig.maxTransferAmount, 18)
-        );
-        await tx2.wait();
+        ]);
         logger.addLog('SET_TRANSFER_LIMIT_SUCCESS', { tx: tx2.hash });
 
         // Exclude addresses from limits
         for (const address of config.tokenConfig.excludedFromLimits) {
-            const tx = await token.excludeFromLimits(address);
-            await tx.wait();
+            const tx = await this.executeContractCall('RAACToken.excludeFromLimits', token, 'excludeFromLimits', [address]);
             logger.addLog('EXCLUDE_FROM_LIMITS_SUCCESS', {
                 address,
                 tx: tx.hash
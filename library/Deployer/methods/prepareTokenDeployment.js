@@ -1,3 +1,5 @@
+import { ethers } from 'ethers';
+
 export default async function prepareTokenDeployment(config) {
     const { logger } = this;
     
@@ -18,21 +20,21 @@ export default async function prepareTokenDeployment(config) {
             TEAM: {
                 allocation: config.wallets
                     .filter(w => w.type === 'team')
-                    .reduce((sum, w) => sum + Number(w.amount), 0),
+                    .reduce((sum, w) => sum + ethers.parseEther(w.amount), 0n),
                 cliff: 90 * 24 * 60 * 60, // 90 days in seconds
                 duration: 700 * 24 * 60 * 60 // 700 days in seconds
             },
             ADVISOR: {
                 allocation: config.wallets
                     .filter(w => w.type === 'advisor')
-                    .reduce((sum, w) => sum + Number(w.amount), 0),
+                    .reduce((sum, w) => sum + ethers.parseEther(w.amount), 0n),
                 cliff: 90 * 24 * 60 * 60,
                 duration: 700 * 24 * 60 * 60
             },
             TREASURY: {
                 allocation: config.wallets
                     .filter(w => w.type === 'treasury')
-                    .reduce((sum, w) => sum + Number(w.amount), 0),
+                    .reduce((sum, w) => sum + ethers.parseEther(w.amount), 0n),
                 cliff: 0,
                 duration: 700 * 24 * 60 * 60
             }
@@ -60,4 +60,5 @@ function readArtifactFile(contractName, overrideRootPath) {
     return JSON.parse(artifact);
 }
 
+export { findArtifactsRoot, findArtifactPath };
 export default readArtifactFile;
\ No newline at end of file
@@ -0,0 +1,38 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findArtifactsRoot, findArtifactPath } from './readArtifactFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Reads the Hardhat build-info of a contract (through the .dbg.json next to its artifact):
+// the standard-JSON input it was compiled from, the exact compiler version and the storage layout
+// (in the output when @openzeppelin/hardhat-upgrades is loaded by the Hardhat config, null otherwise).
+function readBuildInfo(contractName, overrideRootPath) {
+    const rootPath = overrideRootPath || findArtifactsRoot(__dirname);
+    const artifactPath = findArtifactPath(contractName, rootPath);
+    if (!artifactPath) {
+        throw new Error(`Artifact not found for contract ${contractName}`);
+    }
+
+    const debugPath = artifactPath.replace(/\.json$/, '.dbg.json');
+    if (!fs.existsSync(debugPath)) {
+        throw new Error(`Build info reference not found for contract ${contractName} (${debugPath})`);
+    }
+    const { buildInfo } = JSON.parse(fs.readFileSync(debugPath, 'utf8'));
+    const buildInfoPath = path.resolve(path.dirname(debugPath), buildInfo);
+    const { solcLongVersion, input, output } = JSON.parse(fs.readFileSync(buildInfoPath, 'utf8'));
+    const { sourceName } = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+
+    return {
+        // Fully qualified name expected by the explorers
+        contractName: `${sourceName}:${contractName}`,
+        compilerVersion: `v${solcLongVersion}`,
+        input,
+        buildInfoPath,
+        storageLayout: output?.contracts?.[sourceName]?.[contractName]?.storageLayout || null,
+    };
+}
+
+export default readBuildInfo;
@@ -3,6 +3,30 @@ export default {
     chainId: 17000,
     rpcUrl: 'https://holesky.infura.io/v3/38126531f7b3458d80e5a822dfbf5854',
     blockExplorerUrl: 'https://holesky.etherscan.io',
+    // Etherscan compatible API of the verifySources process (key read from ETHERSCAN_API_KEY)
+    blockExplorerApiUrl: 'https://api.etherscan.io/v2/api',
+    // No Chainlink Functions on holesky - oracles are skipped
+    constants: {},
+    // Where deployment states, checkpoints and plans are stored: filesystem, sqlite ({ type: 'sqlite', file }) or memory
+    stateBackend: {
+        type: 'filesystem',
+    },
+    // Deployment wallet: encrypted keystore (see `node keystore`) or { type: 'remote', url } - never a mnemonic
+    signer: {
+        type: 'keystore',
+    },
+    // Transaction manager: stuck transactions are re-broadcast with fees bumped by feeBumpPercent, up to maxFeeBumps times
+    transactions: {
+        stuckTimeout: 2 * 60 * 1000,
+        feeBumpPercent: 20,
+        maxFeeBumps: 8,
+    },
+    // Blocks on top of a receipt before it is final (the receipt is then re-checked for a reorg),
+    // and depth every deployed contract must reach before the link processes trust its address
+    confirmations: {
+        receipts: 2,
+        links: 4,
+    },
     nativeCurrency: {
         name: 'Ether',
         symbol: 'ETH',
@@ -3,6 +3,30 @@ export default {
     chainId: 8453,
     rpcUrl: 'http://localhost:8545',
     blockExplorerUrl: 'https://etherscan.io',
+    // No explorer locally - point it to the local_explorer stand-in to exercise verifySources
+    blockExplorerApiUrl: process.env.BLOCK_EXPLORER_API_URL || null,
+    constants: {
+        // No Chainlink Functions router locally - oracles are skipped
+        DON_ID: 'bytes32:fun-ethereum-local-1',
+    },
+    // CI deploys to ephemeral Hardhat nodes - keep their states out of networks/.deployments
+    stateBackend: {
+        type: process.env.CI ? 'memory' : 'filesystem',
+    },
+    // Hardhat accounts from MNEMONIC - development only
+    signer: {
+        type: 'mnemonic',
+    },
+    // Hardhat automines - no need to wait for a stuck transaction
+    transactions: {
+        pollInterval: 200,
+    },
+    // Blocks on top of a receipt before it is final (the receipt is then re-checked for a reorg),
+    // and depth every deployed contract must reach before the link processes trust its address
+    confirmations: {
+        receipts: 1,
+        links: 1,
+    },
     nativeCurrency: {
         name: 'Ether',
         symbol: 'ETH',
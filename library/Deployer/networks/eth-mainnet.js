@@ -3,6 +3,35 @@ export default {
     chainId: 1,
     rpcUrl: 'https://mainnet.infura.io/v3/38126531f7b3458d80e5a822dfbf5854',
     blockExplorerUrl: 'https://etherscan.io',
+    // Etherscan compatible API of the verifySources process (key read from ETHERSCAN_API_KEY)
+    blockExplorerApiUrl: 'https://api.etherscan.io/v2/api',
+    constants: {
+        // Chainlink Functions
+        CHAINLINK_ROUTER: '0x65Dcc24F8ff9e51F10DCc7Ed1e4e2A61e6E14bd6',
+        DON_ID: 'bytes32:fun-ethereum-mainnet-1',
+    },
+    // Where deployment states, checkpoints and plans are stored: filesystem, sqlite ({ type: 'sqlite', file }) or memory
+    stateBackend: {
+        type: 'filesystem',
+    },
+    // Deployment wallet: encrypted keystore (see `node keystore`) or { type: 'remote', url } - never a mnemonic
+    signer: {
+        type: 'keystore',
+    },
+    // Transaction manager: stuck transactions are re-broadcast with fees bumped by feeBumpPercent, up to maxFeeBumps times
+    transactions: {
+        stuckTimeout: 3 * 60 * 1000,
+        feeBumpPercent: 15,
+        maxFeeBumps: 5,
+        // 200 gwei
+        maxFeePerGasCap: 200_000_000_000n,
+    },
+    // Blocks on top of a receipt before it is final (the receipt is then re-checked for a reorg),
+    // and depth every deployed contract must reach before the link processes trust its address
+    confirmations: {
+        receipts: 3,
+        links: 12,
+    },
     nativeCurrency: {
         name: 'Ether',
         symbol: 'ETH',
@@ -3,6 +3,33 @@ export default {
     chainId: 11155111,
     rpcUrl: 'https://sepolia.infura.io/v3/38126531f7b3458d80e5a822dfbf5854',
     blockExplorerUrl: 'https://sepolia.etherscan.io',
+    // Etherscan compatible API of the verifySources process (key read from ETHERSCAN_API_KEY)
+    blockExplorerApiUrl: 'https://api.etherscan.io/v2/api',
+    constants: {
+        // Chainlink Functions
+        CHAINLINK_ROUTER: '0xb83E47C2bC239B3bf370bc41e1459A34b41238D0',
+        DON_ID: 'bytes32:fun-ethereum-sepolia-1',
+    },
+    // Where deployment states, checkpoints and plans are stored: filesystem, sqlite ({ type: 'sqlite', file }) or memory
+    stateBackend: {
+        type: 'filesystem',
+    },
+    // Deployment wallet: encrypted keystore (see `node keystore`) or { type: 'remote', url } - never a mnemonic
+    signer: {
+        type: 'keystore',
+    },
+    // Transaction manager: stuck transactions are re-broadcast with fees bumped by feeBumpPercent, up to maxFeeBumps times
+    transactions: {
+        stuckTimeout: 2 * 60 * 1000,
+        feeBumpPercent: 20,
+        maxFeeBumps: 8,
+    },
+    // Blocks on top of a receipt before it is final (the receipt is then re-checked for a reorg),
+    // and depth every deployed contract must reach before the link processes trust its address
+    confirmations: {
+        receipts: 2,
+        links: 4,
+    },
     nativeCurrency: {
         name: 'Ether',
         symbol: 'ETH',
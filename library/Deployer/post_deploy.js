@@ -9,9 +9,9 @@ async function main() {
     const network = await deployer.readNetworkFile(networkName);
     deployer.setNetwork(network);
 
-    const mnemonic = process.env.MNEMONIC;
-    if(!mnemonic) throw new Error('MNEMONIC is not set');
-    const wallet = deployer.createWallet(mnemonic, networkName);
+    // Wallet from the signer of the network (keystore password prompt, remote signer...)
+    await deployer.getSignerAdapter().unlock((prompt) => deployer.requirePassword(prompt));
+    const wallet = deployer.createNetworkSigner(networkName);
 
     // 2. Load previous deployment information 
     const defaultDeploymentHash = "0xf974dc631d132c8d2444f06fc452836c4283aa149053ae07f41669a56b5a0eb0";
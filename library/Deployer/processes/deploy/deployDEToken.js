@@ -5,7 +5,7 @@ export async function deployDEToken(deployer, config, deployment) {
     // const processResult = {
     //     timeStart: +new Date(),
     // };
-    // deployer.logger.addLog('\x1b[36mDEPLOY_DETOKEN_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    // deployer.logger.addLog('DEPLOY_DETOKEN_START', { config, timeStart: processResult.timeStart });
 
     // const shouldDeployDEToken = !deployment.dependencies?.DEToken?.address;
 
@@ -13,7 +13,7 @@ export async function deployDEToken(deployer, config, deployment) {
     // if(!shouldDeployDEToken) {
 
     //     const DETokenArtifact = await deployer.readArtifactFile("DEToken");
-    //     const DETokenArgs = findContructorArg(deployment.constructorArgs['DEToken'], deployment.contracts);
+    //     const DETokenArgs = resolveConstructorArgs(deployer, deployment, 'DEToken');
     //     const prepared = {
     //         contractName: "DEToken",
     //         artifact: DETokenArtifact,
@@ -24,9 +24,9 @@ export async function deployDEToken(deployer, config, deployment) {
     //     process.exit(0);
 
     //     // const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-    //     // deployment.contracts['DEToken'] = receipt.receipt.contractAddress;
+    //     // deployment.contracts['DEToken'] = receipt.address;
     //     // deployment.dependencies.DEToken = {
-    //     //     address: receipt.receipt.contractAddress,
+    //     //     address: receipt.address,
     //     // };
     //     deployer.logger.addLog('DEPLOY_DETOKEN_ALREADY_DEPLOYED', { message: `DEToken is deployed at ${deployment.dependencies.DEToken.address}` });
     // } else {
@@ -46,7 +46,7 @@ export async function deployDEToken(deployer, config, deployment) {
 
     // // deployment.contracts['DEToken'] = DEToken.address;
 
-    // deployer.logger.addLog('\x1b[36mDEPLOY_DETOKEN_END\x1b[0m', { config, timeEnd: processResult.timeEnd });
+    // deployer.logger.addLog('DEPLOY_DETOKEN_END', { config, timeEnd: processResult.timeEnd });
  
     return deployment;
 }
\ No newline at end of file
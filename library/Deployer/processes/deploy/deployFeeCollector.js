@@ -1,4 +1,4 @@
-import findContructorArg from '../../utils/findContructorArg.js';
+import resolveConstructorArgs from '../../utils/resolveConstructorArgs.js';
 
 export async function deployFeeCollector(deployer, config, deployment) {
 
@@ -6,7 +6,7 @@ export async function deployFeeCollector(deployer, config, deployment) {
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mDEPLOY_FEE_COLLECTOR_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('DEPLOY_FEE_COLLECTOR_START', { config, timeStart: processResult.timeStart });
 
 
     const wallet = deployment.getWallet();
@@ -15,7 +15,7 @@ export async function deployFeeCollector(deployer, config, deployment) {
     if(!deployment.dependencies.FeeCollector) {
         const FeeCollectorArtifact = await deployer.readArtifactFile("FeeCollector");
 
-        const FeeCollectorArgs = findContructorArg(deployment.constructorArgs['FeeCollector'], deployment.contracts);
+        const FeeCollectorArgs = resolveConstructorArgs(deployer, deployment, 'FeeCollector', FeeCollectorArtifact);
         const prepared = {
             contractName: "FeeCollector",
             artifact: FeeCollectorArtifact,
@@ -23,9 +23,9 @@ export async function deployFeeCollector(deployer, config, deployment) {
         }
 
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['FeeCollector'] = receipt.receipt.contractAddress;
+        deployment.contracts['FeeCollector'] = receipt.address;
         deployment.dependencies.FeeCollector = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
     } else {
         deployment.contracts['FeeCollector'] = deployment.dependencies.FeeCollector.address;
@@ -1,18 +1,18 @@
-import findContructorArg  from "../../utils/findContructorArg.js";
+import resolveConstructorArgs from "../../utils/resolveConstructorArgs.js";
 
 export async function deployRAACHousePrices(deployer, config, deployment) {
 
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mDEPLOY_RAAC_HOUSE_PRICES_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('DEPLOY_RAAC_HOUSE_PRICES_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
 
     // Release RAACHousePrices
     if(!deployment.dependencies.RAACHousePrices) {
         const RAACHousePricesArtifact = await deployer.readArtifactFile("RAACHousePrices");
-        const RAACHousePricesArgs = findContructorArg(deployment.constructorArgs['RAACHousePrices'], deployment.contracts);
+        const RAACHousePricesArgs = resolveConstructorArgs(deployer, deployment, 'RAACHousePrices', RAACHousePricesArtifact);
         const prepared = {
             contractName: "RAACHousePrices",
             artifact: RAACHousePricesArtifact,
@@ -21,9 +21,9 @@ export async function deployRAACHousePrices(deployer, config, deployment) {
         }
 
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['RAACHousePrices'] = receipt.receipt.contractAddress;
+        deployment.contracts['RAACHousePrices'] = receipt.address;
         deployment.dependencies.RAACHousePrices = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
     } else {
         deployment.contracts['RAACHousePrices'] = deployment.dependencies.RAACHousePrices.address;
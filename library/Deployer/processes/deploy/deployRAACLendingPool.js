@@ -1,27 +1,27 @@
-import findContructorArg  from "../../utils/findContructorArg.js";
+import resolveConstructorArgs from "../../utils/resolveConstructorArgs.js";
 
 export async function deployRAACLendingPool(deployer, config, deployment) {
 
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mDEPLOY_RAAC_LENDING_POOL_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('DEPLOY_RAAC_LENDING_POOL_START', { config, timeStart: processResult.timeStart });
     
     const wallet = deployment.getWallet();
 
     // Release RToken dependency of RAACLendingPool
     if(!deployment.dependencies.RToken) {
         const RTokenArtifact = await deployer.readArtifactFile("RToken");
-        const RTokenArgs = findContructorArg(deployment.constructorArgs['RToken'], deployment.contracts);
+        const RTokenArgs = resolveConstructorArgs(deployer, deployment, 'RToken', RTokenArtifact);
         const prepared = {
             contractName: "RToken",
             artifact: RTokenArtifact,
             originalArgs: RTokenArgs,
         }
         const rtokenReceipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['RToken'] = rtokenReceipt.receipt.contractAddress;
+        deployment.contracts['RToken'] = rtokenReceipt.address;
         deployment.dependencies.RToken = {
-            address: rtokenReceipt.receipt.contractAddress,
+            address: rtokenReceipt.address,
         };
     }else{
         deployment.contracts['RToken'] = deployment.dependencies.RToken.address;
@@ -30,16 +30,16 @@ export async function deployRAACLendingPool(deployer, config, deployment) {
     // Release DebtToken dependency of RAACLendingPool
     if(!deployment.dependencies.DebtToken) {
         const DebtTokenArtifact = await deployer.readArtifactFile("DebtToken");
-        const DebtTokenArgs = findContructorArg(deployment.constructorArgs['DebtToken'], deployment.contracts);
+        const DebtTokenArgs = resolveConstructorArgs(deployer, deployment, 'DebtToken', DebtTokenArtifact);
         const prepared = {
             contractName: "DebtToken",
             artifact: DebtTokenArtifact,
             originalArgs: DebtTokenArgs,
         }
         const debtTokenReceipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['DebtToken'] = debtTokenReceipt.receipt.contractAddress;
+        deployment.contracts['DebtToken'] = debtTokenReceipt.address;
         deployment.dependencies.DebtToken = {
-            address: debtTokenReceipt.receipt.contractAddress,
+            address: debtTokenReceipt.address,
         };
     } else {
         deployment.contracts['DebtToken'] = deployment.dependencies.DebtToken.address;
@@ -53,16 +53,16 @@ export async function deployRAACLendingPool(deployer, config, deployment) {
     if(!deployment.dependencies.RAACLendingPool) {
         const RAACLendingPoolArtifact = await deployer.readArtifactFile("LendingPool");
 
-        const RAACLendingPoolArgs = findContructorArg(deployment.constructorArgs['LendingPool'], deployment.contracts);
+        const RAACLendingPoolArgs = resolveConstructorArgs(deployer, deployment, 'LendingPool', RAACLendingPoolArtifact);
         const prepared = {
             contractName: "RAACLendingPool",
             artifact: RAACLendingPoolArtifact,
             originalArgs: RAACLendingPoolArgs,
         }
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['RAACLendingPool'] = receipt.receipt.contractAddress;
+        deployment.contracts['RAACLendingPool'] = receipt.address;
         deployment.dependencies.RAACLendingPool = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
     } else {
         deployment.contracts['RAACLendingPool'] = deployment.dependencies.RAACLendingPool.address;
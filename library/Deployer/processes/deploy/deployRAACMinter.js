@@ -1,11 +1,11 @@
-import findContructorArg  from "../../utils/findContructorArg.js";
+import resolveConstructorArgs from "../../utils/resolveConstructorArgs.js";
 
 export async function deployRAACMinter(deployer, config, deployment) {
 
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mDEPLOY_RAAC_MINTER_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('DEPLOY_RAAC_MINTER_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
 
@@ -17,7 +17,7 @@ export async function deployRAACMinter(deployer, config, deployment) {
     if(!deployment.dependencies.RAACMinter) {
         const RAACMinterArtifact = await deployer.readArtifactFile("RAACMinter");
 
-        const RAACMinterArgs = findContructorArg(deployment.constructorArgs['RAACMinter'], deployment.contracts);
+        const RAACMinterArgs = resolveConstructorArgs(deployer, deployment, 'RAACMinter', RAACMinterArtifact);
         const prepared = {
             contractName: "RAACMinter",
             artifact: RAACMinterArtifact,
@@ -26,9 +26,9 @@ export async function deployRAACMinter(deployer, config, deployment) {
         }
 
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['RAACMinter'] = receipt.receipt.contractAddress;
+        deployment.contracts['RAACMinter'] = receipt.address;
         deployment.dependencies.RAACMinter = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
     } else {
         deployment.contracts['RAACMinter'] = deployment.dependencies.RAACMinter.address;
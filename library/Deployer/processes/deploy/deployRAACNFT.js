@@ -1,11 +1,11 @@
-import findContructorArg  from "../../utils/findContructorArg.js";
+import resolveConstructorArgs from "../../utils/resolveConstructorArgs.js";
 
 export async function deployRAACNFT(deployer, config, deployment) {
 
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mDEPLOY_RAAC_NFT_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('DEPLOY_RAAC_NFT_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
 
@@ -13,7 +13,7 @@ export async function deployRAACNFT(deployer, config, deployment) {
     if(!deployment.dependencies.RAACNFT) {
         const RAACNFTArtifact = await deployer.readArtifactFile("RAACNFT");
 
-        const RAACNFTArgs = findContructorArg(deployment.constructorArgs['RAACNFT'], deployment.contracts);
+        const RAACNFTArgs = resolveConstructorArgs(deployer, deployment, 'RAACNFT', RAACNFTArtifact);
         const prepared = {
             contractName: "RAACNFT",
             artifact: RAACNFTArtifact,
@@ -21,9 +21,9 @@ export async function deployRAACNFT(deployer, config, deployment) {
         }
 
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['RAACNFT'] = receipt.receipt.contractAddress;
+        deployment.contracts['RAACNFT'] = receipt.address;
         deployment.dependencies.RAACNFT = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
     } else {
         deployment.contracts['RAACNFT'] = deployment.dependencies.RAACNFT.address;
@@ -1,11 +1,11 @@
-import findContructorArg from "../../utils/findContructorArg.js";
+import resolveConstructorArgs from "../../utils/resolveConstructorArgs.js";
 import { ethers } from "ethers";
 
 export async function deployRAACOracle(deployer, config, deployment) {
 	const processResult = {
 		timeStart: +new Date(),
 	};
-	deployer.logger.addLog("\x1b[36mDEPLOY_RAAC_ORACLE_START\x1b[0m", {
+	deployer.logger.addLog("DEPLOY_RAAC_ORACLE_START", {
 		config,
 		timeStart: processResult.timeStart,
 	});
@@ -13,9 +13,10 @@ export async function deployRAACOracle(deployer, config, deployment) {
 	const wallet = deployment.getWallet();
 
 	// Can be null if holesky
-	const RAACOracleArgs = findContructorArg(
-		deployment.constructorArgs["RAACHousePriceOracle"],
-		deployment.contracts
+	const RAACOracleArgs = resolveConstructorArgs(
+		deployer,
+		deployment,
+		"RAACHousePriceOracle"
 	);
 
 
@@ -43,9 +44,9 @@ export async function deployRAACOracle(deployer, config, deployment) {
 				deployment.signer.fee
 			);
 			deployment.contracts["RAACHousePriceOracle"] =
-				receipt.receipt.contractAddress;
+				receipt.address;
 			deployment.dependencies.RAACHousePriceOracle = {
-				address: receipt.receipt.contractAddress,
+				address: receipt.address,
 			};
 		} else {
 			deployment.contracts["RAACHousePriceOracle"] =
@@ -57,14 +58,16 @@ export async function deployRAACOracle(deployer, config, deployment) {
 			const RAACOracleArtifact = await deployer.readArtifactFile(
 				"RAACPrimeRateOracle"
 			);
-			const RAACOracleArgs = findContructorArg(
-				deployment.constructorArgs["RAACPrimeRateOracle"],
-				deployment.contracts
+			const RAACOracleArgs = resolveConstructorArgs(
+				deployer,
+				deployment,
+				"RAACPrimeRateOracle",
+				RAACOracleArtifact
 			);
 
 			// Can be null if holesky
 			// if(RAACOracleArgs[1] !== null) {
-			//     deployer.logger.addLog('\x1b[36mDEPLOY_RAAC_ORACLE_SKIPPED\x1b[0m');
+			//     deployer.logger.addLog('DEPLOY_RAAC_ORACLE_SKIPPED');
 			//     return deployment;
 			// }
 			const prepared = {
@@ -81,9 +84,9 @@ export async function deployRAACOracle(deployer, config, deployment) {
 				deployment.signer.fee
 			);
 			deployment.contracts["RAACPrimeRateOracle"] =
-				receipt.receipt.contractAddress;
+				receipt.address;
 			deployment.dependencies.RAACPrimeRateOracle = {
-				address: receipt.receipt.contractAddress,
+				address: receipt.address,
 			};
 		} else {
 			deployment.contracts["RAACPrimeRateOracle"] =
@@ -92,7 +95,7 @@ export async function deployRAACOracle(deployer, config, deployment) {
 	}
 
 	if(!canDeploy){
-		deployer.logger.addLog('\x1b[36mDEPLOY_RAAC_ORACLE_SKIPPED\x1b[0m');
+		deployer.logger.addLog('DEPLOY_RAAC_ORACLE_SKIPPED');
 		deployer.logger.addLog('Missing ROUTER address for RAACHousePriceOracle Chainlink contract');
 		deployer.logger.addLog('This is probably due to the network not being supported by Chainlink.');
 	};
@@ -1,11 +1,11 @@
-import findContructorArg  from "../../utils/findContructorArg.js";
+import resolveConstructorArgs from "../../utils/resolveConstructorArgs.js";
 
 export async function deployRAACReleaseOrchestrator(deployer, config, deployment) {
 
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mDEPLOY_RAAC_RELEASE_ORCHESTRATOR_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('DEPLOY_RAAC_RELEASE_ORCHESTRATOR_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
 
@@ -13,7 +13,7 @@ export async function deployRAACReleaseOrchestrator(deployer, config, deployment
     if(!deployment.dependencies.RAACReleaseOrchestrator) {
         const RAACReleaseOrchestratorArtifact = await deployer.readArtifactFile("RAACReleaseOrchestrator");
 
-        const RAACReleaseOrchestratorArgs = findContructorArg(deployment.constructorArgs['RAACReleaseOrchestrator'], deployment.contracts);
+        const RAACReleaseOrchestratorArgs = resolveConstructorArgs(deployer, deployment, 'RAACReleaseOrchestrator', RAACReleaseOrchestratorArtifact);
         const prepared = {
             contractName: "RAACReleaseOrchestrator",
             artifact: RAACReleaseOrchestratorArtifact,
@@ -22,9 +22,9 @@ export async function deployRAACReleaseOrchestrator(deployer, config, deployment
         }
 
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['RAACReleaseOrchestrator'] = receipt.receipt.contractAddress;
+        deployment.contracts['RAACReleaseOrchestrator'] = receipt.address;
         deployment.dependencies.RAACReleaseOrchestrator = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
     } else {
         deployment.contracts['RAACReleaseOrchestrator'] = deployment.dependencies.RAACReleaseOrchestrator.address;
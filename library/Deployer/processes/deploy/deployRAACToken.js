@@ -33,13 +33,13 @@ export async function deployRAACToken(deployer, config, deployment) {
         const results = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
         const receipt = results.receipt;
         deployment.dependencies.RAACToken = {
-            address: receipt.contractAddress,
+            address: results.address,
         };
 
-        deployment.contracts['RAACToken'] = receipt.contractAddress;
+        deployment.contracts['RAACToken'] = results.address;
         deployer.logger.addLog('DEPLOY_TOKEN_SUCCESS', { 
-            address: receipt.contractAddress,
-            tx: receipt.transactionHash,
+            address: results.address,
+            tx: receipt?.hash ?? null,
             receipt: receipt
         });
     } else {
@@ -49,7 +49,7 @@ export async function deployRAACToken(deployer, config, deployment) {
     processResult.timeEnd = +new Date();
     processResult.timeTaken = processResult.timeEnd - processResult.timeStart;
     
-    deployer.logger.addLog('\x1b[32mDEPLOY_TOKEN_SUCCESS\x1b[0m', `${{timings:processResult.timings}}`);
+    deployer.logger.addLog('DEPLOY_TOKEN_SUCCESS', `${{timings:processResult.timings}}`);
     processResult.logger = deployer.logger.export();
 
     deployment.processes.deployToken = processResult;
@@ -1,11 +1,11 @@
-import findContructorArg  from "../../utils/findContructorArg.js";
+import resolveConstructorArgs from "../../utils/resolveConstructorArgs.js";
 
 export async function deployRepairFund(deployer, config, deployment) {
 
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mDEPLOY_REPAIR_FUND_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('DEPLOY_REPAIR_FUND_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
 
@@ -13,7 +13,7 @@ export async function deployRepairFund(deployer, config, deployment) {
     if(!deployment.dependencies.RepairFund) {
         const TreasuryFundArtifact = await deployer.readArtifactFile("Treasury");
 
-        const RepairFundArgs = findContructorArg(deployment.constructorArgs['RepairFund'], deployment.contracts);
+        const RepairFundArgs = resolveConstructorArgs(deployer, deployment, 'RepairFund', TreasuryFundArtifact);
         const prepared = {
             contractName: "RepairFund",
             artifact: TreasuryFundArtifact,
@@ -21,9 +21,9 @@ export async function deployRepairFund(deployer, config, deployment) {
         }
 
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['RepairFund'] = receipt.receipt.contractAddress;
+        deployment.contracts['RepairFund'] = receipt.address;
         deployment.dependencies.RepairFund = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
     } else {
         deployment.contracts['RepairFund'] = deployment.dependencies.RepairFund.address;
@@ -1,27 +1,27 @@
-import findContructorArg  from "../../utils/findContructorArg.js";
+import resolveConstructorArgs from "../../utils/resolveConstructorArgs.js";
 
 export async function deployStabilityPool(deployer, config, deployment) {
 
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mDEPLOY_STABILITY_POOL_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('DEPLOY_STABILITY_POOL_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
 
     // Release DEToken as dependency
     if(!deployment.dependencies.DEToken) {
         const DETokenArtifact = await deployer.readArtifactFile("DEToken");
-        const DETokenArgs = findContructorArg(deployment.constructorArgs['DEToken'], deployment.contracts);
+        const DETokenArgs = resolveConstructorArgs(deployer, deployment, 'DEToken', DETokenArtifact);
         const prepared = {
             contractName: "DEToken",
             artifact: DETokenArtifact,
             originalArgs: DETokenArgs,
         }
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['DEToken'] = receipt.receipt.contractAddress;
+        deployment.contracts['DEToken'] = receipt.address;
         deployment.dependencies.DEToken = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
 
     } else {
@@ -33,7 +33,7 @@ export async function deployStabilityPool(deployer, config, deployment) {
     if(!deployment.dependencies.StabilityPool) {
         const StabilityPoolArtifact = await deployer.readArtifactFile("StabilityPool");
 
-        const StabilityPoolArgs = findContructorArg(deployment.constructorArgs['StabilityPool'], deployment.contracts);
+        const StabilityPoolArgs = resolveConstructorArgs(deployer, deployment, 'StabilityPool', StabilityPoolArtifact);
         const prepared = {
             contractName: "StabilityPool",
             artifact: StabilityPoolArtifact,
@@ -41,9 +41,9 @@ export async function deployStabilityPool(deployer, config, deployment) {
         }
 
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['StabilityPool'] = receipt.receipt.contractAddress;
+        deployment.contracts['StabilityPool'] = receipt.address;
         deployment.dependencies.StabilityPool = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
     } else {
         deployment.contracts['StabilityPool'] = deployment.dependencies.StabilityPool.address;
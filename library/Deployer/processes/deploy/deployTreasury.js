@@ -1,11 +1,11 @@
-import findContructorArg  from "../../utils/findContructorArg.js";
+import resolveConstructorArgs from "../../utils/resolveConstructorArgs.js";
 
 export async function deployTreasury(deployer, config, deployment) {
 
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mDEPLOY_TREASURY_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('DEPLOY_TREASURY_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
 
@@ -13,7 +13,7 @@ export async function deployTreasury(deployer, config, deployment) {
     if(!deployment.dependencies.Treasury) {
         const TreasuryArtifact = await deployer.readArtifactFile("Treasury");
 
-        const TreasuryArgs = findContructorArg(deployment.constructorArgs['Treasury'], deployment.contracts);
+        const TreasuryArgs = resolveConstructorArgs(deployer, deployment, 'Treasury', TreasuryArtifact);
         const prepared = {
             contractName: "Treasury",
             artifact: TreasuryArtifact,
@@ -21,9 +21,9 @@ export async function deployTreasury(deployer, config, deployment) {
         }
 
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['Treasury'] = receipt.receipt.contractAddress;
+        deployment.contracts['Treasury'] = receipt.address;
         deployment.dependencies.Treasury = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
     } else {
         deployment.contracts['Treasury'] = deployment.dependencies.Treasury.address;
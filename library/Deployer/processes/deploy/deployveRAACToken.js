@@ -1,4 +1,4 @@
-import findContructorArg  from "../../utils/findContructorArg.js";
+import resolveConstructorArgs from "../../utils/resolveConstructorArgs.js";
 
 export async function deployveRAACToken(deployer, config, deployment) {
     let processResult = {
@@ -14,7 +14,7 @@ export async function deployveRAACToken(deployer, config, deployment) {
 
         const veRAACTokenArtifact = await deployer.readArtifactFile("veRAACToken");
 
-        const veRAACTokenArgs = findContructorArg(deployment.constructorArgs['veRAACToken'], deployment.contracts);
+        const veRAACTokenArgs = resolveConstructorArgs(deployer, deployment, 'veRAACToken', veRAACTokenArtifact);
         const prepared = {
             contractName: "veRAACToken",
             artifact: veRAACTokenArtifact,
@@ -22,9 +22,9 @@ export async function deployveRAACToken(deployer, config, deployment) {
         }
 
         const receipt = await deployer.deploy(prepared, wallet, deployment.contracts, deployment.signer.fee);
-        deployment.contracts['veRAACToken'] = receipt.receipt.contractAddress;
+        deployment.contracts['veRAACToken'] = receipt.address;
         deployment.dependencies.veRAACToken = {
-            address: receipt.receipt.contractAddress,
+            address: receipt.address,
         };
     } else {
         deployment.contracts['veRAACToken'] = deployment.dependencies.veRAACToken.address;
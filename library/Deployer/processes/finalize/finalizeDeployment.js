@@ -6,7 +6,7 @@ export async function finalizeDeployment(deployer, config, deployment) {
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mFINALIZE_DEPLOYMENT_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('FINALIZE_DEPLOYMENT_START', { config, timeStart: processResult.timeStart });
 
     const RAAC = deployment.contracts['RAACToken'];
     const RAACAddress = RAAC?.address || RAAC;
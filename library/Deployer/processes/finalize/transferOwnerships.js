@@ -0,0 +1,249 @@
+import { ethers } from 'ethers';
+import getArtifactName from '../../utils/getArtifactName.js';
+import { resolvePlaceholder } from '../../utils/resolvePlaceholders.js';
+
+// Hands Ownable ownerships and AccessControl roles over from the deployer wallet to governance (multisig / TimelockController).
+// Every change is verified on-chain and recorded in deployment.ownerships.
+export async function transferOwnerships(deployer, config, deployment) {
+    const processResult = {
+        timeStart: +new Date(),
+    };
+    deployer.logger.addLog('TRANSFER_OWNERSHIPS_START', { timeStart: processResult.timeStart });
+
+    const governance = config?.[deployment.network];
+    if (!governance) {
+        deployer.logger.addLog('TRANSFER_OWNERSHIPS_SKIPPED', { message: `No governance config for network ${deployment.network}` });
+        processResult.skipped = true;
+    } else {
+        const wallet = deployment.getWallet();
+        deployment.ownerships = deployment.ownerships || {};
+
+        // Resolve and validate every target before sending anything
+        const ownable = await resolveTargets(deployer, deployment, wallet, governance, governance.ownable || {});
+        const accessControl = {};
+        for (const [contractName, roles] of Object.entries(governance.accessControl || {})) {
+            if (!roles.DEFAULT_ADMIN_ROLE) {
+                throw new Error(`Governance config of ${contractName} must hand over DEFAULT_ADMIN_ROLE`);
+            }
+            accessControl[contractName] = await resolveTargets(deployer, deployment, wallet, governance, roles, contractName);
+        }
+        const roleIds = {};
+        for (const [contractName, roles] of Object.entries(accessControl)) {
+            const contract = getContract(deployer, deployment, contractName, wallet);
+            if (!contract) continue;
+            roleIds[contractName] = await getRoleIds(contract, contractName, roles);
+            await checkRolesLeftBehind(contract, contractName, roles, wallet);
+        }
+        await checkOwnersLeftBehind(deployer, deployment, governance, wallet);
+
+        for (const [contractName, newOwner] of Object.entries(ownable)) {
+            const contract = getGovernedContract(deployer, deployment, contractName, wallet);
+            if (!contract) continue;
+            const record = getOwnershipRecord(deployment, contractName, contract);
+            record.owner = await transferOwnable(deployer, contract, contractName, newOwner, wallet, record);
+        }
+
+        for (const [contractName, roles] of Object.entries(accessControl)) {
+            const contract = getGovernedContract(deployer, deployment, contractName, wallet);
+            if (!contract) continue;
+            const record = getOwnershipRecord(deployment, contractName, contract);
+            record.roles = await transferRoles(deployer, contract, contractName, roles, roleIds[contractName], wallet, record);
+        }
+
+        // Two-step ownerships are only complete once the new owner has accepted them: the run fails until then
+        const pending = Object.entries(deployment.ownerships).filter(([, record]) => record.pendingOwner);
+        if (pending.length > 0) {
+            const list = pending.map(([contractName, { pendingOwner }]) => `${contractName} (${pendingOwner})`).join(', ');
+            throw new Error(`Ownership not accepted yet: ${list}. The new owners must call acceptOwnership(), then resume the deployment`);
+        }
+
+        deployer.logger.addLog('TRANSFER_OWNERSHIPS_SUCCESS', { ownerships: deployment.ownerships });
+    }
+
+    processResult.logger = deployer.logger.export();
+    processResult.timeEnd = +new Date();
+    processResult.timeTaken = processResult.timeEnd - processResult.timeStart;
+    deployment.processes.transferOwnerships = processResult;
+    return deployment;
+}
+
+async function resolveTargets(deployer, deployment, wallet, governance, targets, contractName) {
+    const resolved = {};
+    for (const [key, target] of Object.entries(targets)) {
+        const address = resolvePlaceholder(target, {
+            contractName: contractName || key,
+            argumentName: contractName ? key : 'owner',
+            processId: 'transferOwnerships',
+            contracts: deployment.contracts,
+            dependencies: deployment.dependencies,
+            network: deployer.getNetwork(deployment.network),
+        });
+        const label = contractName ? `${contractName} ${key}` : `${key} owner`;
+        if (!address || !ethers.isAddress(address) || address === ethers.ZeroAddress) {
+            throw new Error(`Invalid ${label}: ${address}`);
+        }
+        if (ethers.getAddress(address) === wallet.address) {
+            throw new Error(`Invalid ${label}: ${address} is the deployer wallet`);
+        }
+        if (governance.requireContractOwners && await wallet.provider.getCode(address) === '0x') {
+            throw new Error(`Invalid ${label}: ${address} is not a contract (multisig or timelock expected)`);
+        }
+        resolved[key] = ethers.getAddress(address);
+    }
+    return resolved;
+}
+
+// Role ids of the config, read before anything is sent so a misspelled role fails the process up front
+async function getRoleIds(contract, contractName, roles) {
+    const roleIds = {};
+    const unknown = [];
+    for (const roleName of Object.keys(roles)) {
+        const fragment = contract.interface.getFunction(roleName);
+        if (!fragment || fragment.inputs.length !== 0 || fragment.outputs.length !== 1 || fragment.outputs[0].type !== 'bytes32') {
+            unknown.push(roleName);
+            continue;
+        }
+        roleIds[roleName] = await contract[roleName]();
+    }
+    if (unknown.length > 0) {
+        throw new Error(`${contractName} has no role getter for ${unknown.join(', ')} (governance config)`);
+    }
+    return roleIds;
+}
+
+// Every role of the contract (bytes32 constant getters) the deployer wallet holds must be in the governance config,
+// otherwise the handoff would end with the deployer still able to pause, update or administer the contract
+async function checkRolesLeftBehind(contract, contractName, roles, wallet) {
+    const leftBehind = [];
+    for (const fragment of contract.interface.fragments) {
+        if (fragment.type !== 'function' || !/^[A-Z0-9_]+$/.test(fragment.name) || roles[fragment.name]) continue;
+        if (fragment.inputs.length !== 0 || fragment.outputs.length !== 1 || fragment.outputs[0].type !== 'bytes32') continue;
+        if (await contract.hasRole(await contract[fragment.name](), wallet.address)) {
+            leftBehind.push(fragment.name);
+        }
+    }
+    if (leftBehind.length > 0) {
+        throw new Error(`${contractName} roles held by the deployer wallet are missing from the governance config: ${leftBehind.join(', ')}`);
+    }
+}
+
+// Same for ownerships: an Ownable contract of the deployment still owned by the deployer wallet must be in `ownable`,
+// or in `keepOwnership` when the deployer keeps it on purpose (e.g. the crvUSD mock of testnets)
+async function checkOwnersLeftBehind(deployer, deployment, governance, wallet) {
+    const listed = new Set([...Object.keys(governance.ownable || {}), ...(governance.keepOwnership || [])]);
+    const leftBehind = [];
+    for (const [contractName, address] of Object.entries(deployment.contracts)) {
+        if (listed.has(contractName) || !ethers.isAddress(address)) continue;
+        const artifact = deployer.readArtifactFile(getArtifactName(contractName));
+        const contract = new ethers.Contract(address, artifact.abi, wallet);
+        const fragment = contract.interface.getFunction('owner');
+        if (!fragment || fragment.inputs.length !== 0) continue;
+        if (await contract.owner() === wallet.address) {
+            leftBehind.push(contractName);
+        }
+    }
+    if (leftBehind.length > 0) {
+        throw new Error(`Contracts owned by the deployer wallet are missing from the governance config: ${leftBehind.join(', ')}`);
+    }
+}
+
+// Contracts not deployed by the pipeline (e.g. GaugeController) come from deployment.dependencies
+function getContract(deployer, deployment, contractName, wallet) {
+    const address = deployment.contracts[contractName] || deployment.dependencies?.[contractName]?.address;
+    if (!address) return null;
+    const artifact = deployer.readArtifactFile(getArtifactName(contractName));
+    return new ethers.Contract(address, artifact.abi, wallet);
+}
+
+function getGovernedContract(deployer, deployment, contractName, wallet) {
+    const contract = getContract(deployer, deployment, contractName, wallet);
+    if (!contract) {
+        deployer.logger.addLog('TRANSFER_OWNERSHIPS_CONTRACT_NOT_DEPLOYED', { contractName });
+        console.log(`\x1b[33m /!\\ ${contractName} is not deployed - ownership left untouched\x1b[0m`);
+        deployment.ownerships[contractName] = { skipped: true };
+    }
+    return contract;
+}
+
+function getOwnershipRecord(deployment, contractName, contract) {
+    if (!deployment.ownerships[contractName] || deployment.ownerships[contractName].skipped) {
+        deployment.ownerships[contractName] = { address: contract.target, transactions: [] };
+    }
+    return deployment.ownerships[contractName];
+}
+
+async function transferOwnable(deployer, contract, contractName, newOwner, wallet, record) {
+    const currentOwner = await contract.owner();
+    if (currentOwner === newOwner) {
+        deployer.logger.addLog('TRANSFER_OWNERSHIPS_ALREADY_OWNER', { contractName, owner: newOwner });
+        delete record.pendingOwner;
+        return newOwner;
+    }
+    if (currentOwner !== wallet.address) {
+        throw new Error(`${contractName} is owned by ${currentOwner}, not by the deployer wallet ${wallet.address}`);
+    }
+
+    // Two-step ownership (Chainlink ConfirmedOwner, Ownable2Step): transferOwnership only proposes the new owner,
+    // who then calls acceptOwnership(). A proposal made by a previous run is not sent again.
+    const twoStep = Boolean(contract.interface.getFunction('acceptOwnership'));
+    if (twoStep && record.pendingOwner === newOwner) {
+        deployer.logger.addLog('TRANSFER_OWNERSHIPS_ACCEPTANCE_PENDING', { contractName, pendingOwner: newOwner });
+        return currentOwner;
+    }
+
+    const receipt = await deployer.executeContractCall(`${contractName}.transferOwnership`, contract, 'transferOwnership', [newOwner]);
+    record.transactions.push({ action: 'transferOwnership', to: newOwner, hash: receipt.hash });
+
+    if (twoStep) {
+        // ConfirmedOwner has no getter for the pending owner, Ownable2Step has pendingOwner()
+        if (contract.interface.getFunction('pendingOwner')) {
+            const pendingOwner = await contract.pendingOwner();
+            if (pendingOwner !== newOwner) {
+                throw new Error(`${contractName} ownership transfer not applied: pending owner is ${pendingOwner}, expected ${newOwner}`);
+            }
+        }
+        record.pendingOwner = newOwner;
+        deployer.logger.addLog('TRANSFER_OWNERSHIPS_OWNER_PROPOSED', { contractName, from: currentOwner, to: newOwner, tx: receipt.hash });
+        return currentOwner;
+    }
+    deployer.logger.addLog('TRANSFER_OWNERSHIPS_OWNER_TRANSFERRED', { contractName, from: currentOwner, to: newOwner, tx: receipt.hash });
+
+    const owner = await contract.owner();
+    if (owner !== newOwner) {
+        throw new Error(`${contractName} ownership transfer not applied: owner is ${owner}, expected ${newOwner}`);
+    }
+    return owner;
+}
+
+async function transferRoles(deployer, contract, contractName, roles, roleIds, wallet, record) {
+    // Grant everything first, renounce afterwards - DEFAULT_ADMIN_ROLE last, so a failure never leaves the contract without admin
+    for (const [roleName, holder] of Object.entries(roles)) {
+        if (await contract.hasRole(roleIds[roleName], holder)) continue;
+        const receipt = await deployer.executeContractCall(`${contractName}.grantRole(${roleName})`, contract, 'grantRole', [roleIds[roleName], holder]);
+        record.transactions.push({ action: 'grantRole', role: roleName, to: holder, hash: receipt.hash });
+        deployer.logger.addLog('TRANSFER_OWNERSHIPS_ROLE_GRANTED', { contractName, role: roleName, holder, tx: receipt.hash });
+    }
+
+    const renounceOrder = Object.keys(roles).sort((a, b) =>
+        (a === 'DEFAULT_ADMIN_ROLE') - (b === 'DEFAULT_ADMIN_ROLE')
+    );
+    for (const roleName of renounceOrder) {
+        if (!await contract.hasRole(roleIds[roleName], wallet.address)) continue;
+        const receipt = await deployer.executeContractCall(`${contractName}.renounceRole(${roleName})`, contract, 'renounceRole', [roleIds[roleName], wallet.address]);
+        record.transactions.push({ action: 'renounceRole', role: roleName, hash: receipt.hash });
+        deployer.logger.addLog('TRANSFER_OWNERSHIPS_ROLE_RENOUNCED', { contractName, role: roleName, tx: receipt.hash });
+    }
+
+    // On-chain verification
+    const verified = {};
+    for (const [roleName, holder] of Object.entries(roles)) {
+        if (!await contract.hasRole(roleIds[roleName], holder)) {
+            throw new Error(`${contractName} ${roleName} not granted to ${holder}`);
+        }
+        if (await contract.hasRole(roleIds[roleName], wallet.address)) {
+            throw new Error(`${contractName} ${roleName} still held by the deployer wallet ${wallet.address}`);
+        }
+        verified[roleName] = holder;
+    }
+    return verified;
+}
@@ -21,30 +21,43 @@ import { deployRepairFund } from './deploy/deployRepairFund.js';
 import { deployveRAACToken } from './deploy/deployveRAACToken.js';
 import { setupLinks } from './verify/setupLinks.js';
 import { verifyDeployment } from './verify/verifyDeployment.js';
+import { verifySources } from './verify/verifySources.js';
 import { linkFeeCollector } from './links/linkFeeCollector.js';
 import { linkRAACMinter } from './links/linkRAACMinter.js';
 import { linkRAACToken } from './links/linkRAACToken.js';
 import { linkOracle } from './links/linkOracle.js';
 import { processRAACTGE } from './process/processRAACTGE.js';
 import { finalizeDeployment } from './finalize/finalizeDeployment.js';
+import { transferOwnerships } from './finalize/transferOwnerships.js';
+import { upgradeProxies } from './upgrade/upgradeProxies.js';
 export const processes = [
     {
         id: 'prepareEnvironment',
         handler: prepareEnvironment,
+        dependsOn: [],
+        produces: ['provider', 'wallet'],
         name: 'Prepare Environment',
         description: 'Setup deployment wallet and verify network configuration',
-        active: true
+        active: true,
+        // Environment bound (provider, wallet, fees) - always rerun when resuming
+        rerunOnResume: true
     },
     {
         id: 'prepareContracts',
         handler: prepareContracts,
+        dependsOn: ['wallet'],
+        produces: ['signer', 'estimatedCost'],
         name: 'Prepare Contracts',
         description: 'Load and validate smart contract artifacts',
-        active: true
+        active: true,
+        // Environment bound (provider, wallet, fees) - always rerun when resuming
+        rerunOnResume: true
     },
     {
         id: 'prepareTGE',
         handler: prepareTGE,
+        dependsOn: [],
+        produces: ['tgeConfig'],
         name: 'Prepare TGE',
         description: 'Configure token generation event parameters',
         active: true
@@ -52,6 +65,8 @@ export const processes = [
     {
         id: 'prepareCRVUSD',
         handler: prepareCRVUSD,
+        dependsOn: ['wallet', 'signer'],
+        produces: ['crvUSDToken'],
         name: 'Prepare CRVUSD',
         description: 'Prepare the CRVUSD token',
         active: true
@@ -59,6 +74,8 @@ export const processes = [
     {
         id: 'deployRAACToken',
         handler: deployRAACToken,
+        dependsOn: ['wallet', 'signer', 'estimatedCost'],
+        produces: ['RAACToken'],
         name: 'Deploy RAAC Token',
         description: 'Deploy and configure the RAAC token contract',
         active: true
@@ -66,6 +83,8 @@ export const processes = [
     {
         id: 'linkRAACToken',
         handler: linkRAACToken,
+        dependsOn: ['RAACToken'],
+        produces: ['RAACToken:deployerMinter'],
         name: 'Link RAAC Token',
         description: 'Link the RAAC token contract',
         active: true
@@ -73,6 +92,8 @@ export const processes = [
     {
         id: 'deployveRAACToken',
         handler: deployveRAACToken,
+        dependsOn: ['RAACToken'],
+        produces: ['veRAACToken'],
         name: 'Deploy veRAAC Token',
         description: 'Deploy and configure the veRAAC token contract',
         active: true
@@ -80,6 +101,8 @@ export const processes = [
     {
         id: 'deployRAACReleaseOrchestrator',
         handler: deployRAACReleaseOrchestrator,
+        dependsOn: ['RAACToken'],
+        produces: ['RAACReleaseOrchestrator'],
         name: 'Deploy RAAC Release Orchestrator',
         description: 'Deploy and configure the RAAC release orchestrator contract',
         active: true
@@ -87,6 +110,8 @@ export const processes = [
     {
         id: 'deployRAACHousePrices',
         handler: deployRAACHousePrices,
+        dependsOn: ['wallet', 'signer'],
+        produces: ['RAACHousePrices'],
         name: 'Deploy RAAC House Prices',
         description: 'Deploy and configure the RAAC house prices contract',
         active: true
@@ -94,6 +119,8 @@ export const processes = [
     {
         id: 'deployRAACOracle',
         handler: deployRAACOracle,
+        dependsOn: ['RAACHousePrices', 'RAACLendingPool'],
+        produces: ['RAACHousePriceOracle', 'RAACPrimeRateOracle'],
         name: 'Deploy RAAC Oracle',
         description: 'Deploy and configure the RAAC Oracle contract',
         active: true
@@ -101,6 +128,8 @@ export const processes = [
     {
         id: 'deployRAACNFT',
         handler: deployRAACNFT,
+        dependsOn: ['RAACToken', 'RAACHousePrices'],
+        produces: ['RAACNFT'],
         name: 'Deploy RAAC NFT',
         description: 'Deploy and configure the RAAC NFT contract',
         active: true
@@ -108,6 +137,8 @@ export const processes = [
     {
         id: 'deployRAACLendingPool',
         handler: deployRAACLendingPool,
+        dependsOn: ['crvUSDToken', 'RAACNFT', 'RAACHousePrices'],
+        produces: ['RToken', 'DebtToken', 'RAACLendingPool'],
         name: 'Deploy RAAC Lending Pool',
         description: 'Deploy and configure the RAAC Lending Pool contract',
         active: true
@@ -116,13 +147,19 @@ export const processes = [
     {
         id: 'linkLendingPool',
         handler: linkLendingPool,
+        dependsOn: ['RToken', 'DebtToken', 'RAACLendingPool'],
+        produces: ['RToken:reservePool', 'DebtToken:reservePool'],
         name: 'Link Lending Pool',
         description: 'Link the RAAC Lending Pool contract',
-        active: true
+        active: true,
+        // Hands RToken / DebtToken over to the pool: their addresses must be `confirmations.links` deep and not reorged
+        awaitConfirmations: true
     },
     {
         id: 'deployStabilityPool',
         handler: deployStabilityPool,
+        dependsOn: ['RToken'],
+        produces: ['DEToken', 'StabilityPool'],
         name: 'Deploy Stability Pool',
         description: 'Deploy and configure the Stability Pool contract',
         active: true
@@ -130,6 +167,8 @@ export const processes = [
     {
         id: 'deployTreasury',
         handler: deployTreasury,
+        dependsOn: ['wallet', 'signer'],
+        produces: ['Treasury'],
         name: 'Deploy Treasury',
         description: 'Deploy and configure the Treasury contract',
         active: true
@@ -137,6 +176,8 @@ export const processes = [
     {
         id: 'deployRepairFund',
         handler: deployRepairFund,
+        dependsOn: ['wallet', 'signer'],
+        produces: ['RepairFund'],
         name: 'Deploy Repair Fund',
         description: 'Deploy and configure the Repair Fund contract',
         active: true
@@ -144,6 +185,8 @@ export const processes = [
     {
         id: 'deployFeeCollector',
         handler: deployFeeCollector,
+        dependsOn: ['RAACToken', 'veRAACToken', 'Treasury', 'RepairFund'],
+        produces: ['FeeCollector'],
         name: 'Deploy Fee Collector',
         description: 'Deploy and configure the Fee Collector contract',
         active: true
@@ -151,6 +194,8 @@ export const processes = [
     {
         id: 'deployRAACMinter',
         handler: deployRAACMinter,
+        dependsOn: ['RAACToken', 'StabilityPool', 'RAACLendingPool', 'estimatedCost'],
+        produces: ['RAACMinter'],
         name: 'Deploy RAAC Minter',
         description: 'Deploy and configure the RAAC Minter contract',
         active: true
@@ -158,13 +203,17 @@ export const processes = [
     {
         id: 'processRAACTGE',
         handler: processRAACTGE,
+        dependsOn: ['tgeConfig', 'RAACToken', 'RAACToken:deployerMinter', 'RAACReleaseOrchestrator'],
+        produces: ['tgeDistribution'],
         name: 'Process RAAC TGE',
-        description: 'Process the RAAC TGE',
+        description: 'Distribute the TGE supply and create the vesting schedules',
         active: true
     },
     {
         id: 'linkRAACMinter',
         handler: linkRAACMinter,
+        dependsOn: ['RAACToken', 'RAACMinter', 'tgeDistribution'],
+        produces: ['RAACToken:minter'],
         name: 'Link RAAC Minter',
         description: 'Link the RAAC Minter contract',
         active: true
@@ -172,6 +221,8 @@ export const processes = [
     {
         id: 'linkOracle',
         handler: linkOracle,
+        dependsOn: ['RAACHousePrices', 'RAACLendingPool', 'RAACHousePriceOracle', 'RAACPrimeRateOracle'],
+        produces: ['RAACHousePrices:oracle', 'RAACLendingPool:primeRateOracle'],
         name: 'Link Oracle',
         description: 'Link the Oracle contract',
         active: true
@@ -179,6 +230,8 @@ export const processes = [
     {
         id: 'linkFeeCollector',
         handler: linkFeeCollector,
+        dependsOn: ['FeeCollector', 'RAACToken', 'RAACMinter'],
+        produces: ['FeeCollector:whitelisted'],
         name: 'Link Fee Collector',
         description: 'Link the Fee Collector contract',
         active: true
@@ -186,6 +239,8 @@ export const processes = [
     {
         id: 'initializeStabilityPool',
         handler: initializeStabilityPool,
+        dependsOn: ['StabilityPool', 'RToken', 'DEToken', 'RAACToken', 'RAACMinter', 'crvUSDToken', 'RAACLendingPool'],
+        produces: ['StabilityPool:initialized'],
         name: 'Initialize Stability Pool',
         description: 'Initialize the Stability Pool',
         active: true
@@ -193,24 +248,58 @@ export const processes = [
     {
         id: 'setupLinks',
         handler: setupLinks,
+        dependsOn: [],
+        produces: [],
         name: 'Setup Contract Links',
         description: 'Link contracts and lock TGE allocations',
         active: false
     },
+    {
+        id: 'finalizeDeployment',
+        handler: finalizeDeployment,
+        dependsOn: ['RAACToken', 'RAACMinter', 'RAACToken:minter', 'StabilityPool:initialized', 'FeeCollector:whitelisted', 'RAACLendingPool:primeRateOracle', 'RToken:reservePool'],
+        produces: ['finalized'],
+        name: 'Finalize Deployment',
+        description: 'Finalize the deployment',
+        active: true
+    },
     {
         id: 'verifyDeployment',
         handler: verifyDeployment,
+        dependsOn: ['finalized'],
+        produces: ['verified'],
         name: 'Verify Deployment',
-        description: 'Verify contracts and perform RPC checks',
-        active: false
+        description: 'Check the on-chain wiring of the deployed contracts',
+        active: true
     },
     {
-        id: 'finalizeDeployment',
-        handler: finalizeDeployment,
-        name: 'Finalize Deployment',
-        description: 'Finalize the deployment',
+        id: 'verifySources',
+        handler: verifySources,
+        dependsOn: ['finalized'],
+        produces: ['sourcesVerified'],
+        name: 'Verify Sources',
+        description: 'Verify the contract sources on the block explorer',
         active: true
     },
+    {
+        id: 'transferOwnerships',
+        handler: transferOwnerships,
+        dependsOn: ['finalized'],
+        produces: ['ownershipsTransferred'],
+        name: 'Transfer Ownerships',
+        description: 'Hand contract ownerships and admin roles over to governance',
+        active: true
+    },
+    {
+        // Run on a saved deployment by upgrade.js, not part of a new deployment
+        id: 'upgradeProxies',
+        handler: upgradeProxies,
+        dependsOn: ['finalized'],
+        produces: ['upgraded'],
+        name: 'Upgrade Proxies',
+        description: 'Check the storage layouts and swap the proxy implementations for the current artifacts',
+        active: false
+    },
     {
         id: 'postDeployment',
         handler: async (deployer, config, deployment) => {
@@ -236,6 +325,8 @@ export const processes = [
             deployment.structuredDeployedContracts = structuredDeployedContracts;
             return deployment;
         },
+        dependsOn: ['finalized'],
+        produces: [],
         name: 'Post Deployment',
         description: 'Post deployment actions',
         active: true
@@ -6,7 +6,7 @@ export async function initializeStabilityPool(deployer, config, deployment) {
         timeStart: +new Date(),
     };
 
-    deployer.logger.addLog('\x1b[36mINITIALIZE_STABILITY_POOL_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('INITIALIZE_STABILITY_POOL_START', { config, timeStart: processResult.timeStart });
 
     const StabilityPool = deployment.contracts['StabilityPool'];
     const RToken = deployment.contracts['RToken'];
@@ -67,15 +67,14 @@ export async function initializeStabilityPool(deployer, config, deployment) {
             lendingPool: lendingPool
         });
 
-        const initTx = await stabilityPool.initialize(
+        const initReceipt = await deployer.executeContractCall('StabilityPool.initialize', stabilityPool, 'initialize', [
             RToken,
             DEToken,
             RAACToken,
             RAACMinter,
             CrvUSDToken,
             lendingPool
-        );
-        const initReceipt = await initTx.wait();
+        ]);
         deployer.logger.addLog('STABILITY_POOL_INITIALIZED', { tx: initReceipt });
     } catch (error) {
         deployer.logger.addLog('STABILITY_POOL_INITIALIZATION_FAILED', { 
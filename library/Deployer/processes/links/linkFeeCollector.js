@@ -7,7 +7,7 @@ export async function linkFeeCollector(deployer, config, deployment) {
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mLINK_FEE_COLLECTOR_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('LINK_FEE_COLLECTOR_START', { config, timeStart: processResult.timeStart });
 
 
     // Is FeeCollector deployed ?
@@ -35,8 +35,7 @@ export async function linkFeeCollector(deployer, config, deployment) {
         deployer.logger.addLog('LINK_FEE_COLLECTOR_NOT_WHITELISTED', { message: 'FeeCollector is not whitelisted' });
       
         // Add to RAAC Whitelist
-        const addToWhitelistTx = await RAACContract.manageWhitelist(feeCollectorAddress, true);
-        const addToWhitelistReceipt = await addToWhitelistTx.wait();
+        const addToWhitelistReceipt = await deployer.executeContractCall('RAACToken.manageWhitelist', RAACContract, 'manageWhitelist', [feeCollectorAddress, true]);
 
         if(addToWhitelistReceipt.status === 1) {
             deployer.logger.addLog('LINK_FEE_COLLECTOR_WHITELISTED', { message: 'FeeCollector is whitelisted' });
@@ -75,8 +74,7 @@ export async function linkFeeCollector(deployer, config, deployment) {
 
             if(feeCollectorInRAAC !== feeCollectorAddress) {
                 // If RAACMinter own RAAC, then we can have setFeeCollector set, lets set
-                const setFeeCollectorTx = await RAACMinterContract.setFeeCollector(feeCollectorAddress);
-                const setFeeCollectorReceipt = await setFeeCollectorTx.wait();
+                const setFeeCollectorReceipt = await deployer.executeContractCall('RAACMinter.setFeeCollector', RAACMinterContract, 'setFeeCollector', [feeCollectorAddress]);
                 deployer.logger.addLog('LINK_FEE_COLLECTOR_SET_RAAC_FEE_COLLECTOR', { tx: setFeeCollectorReceipt });
             }
         } else {
@@ -5,7 +5,7 @@ export async function linkLendingPool(deployer, config, deployment) {
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mLINK_LENDING_POOL_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('LINK_LENDING_POOL_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
     const RToken = deployment.contracts['RToken'];  
@@ -30,8 +30,7 @@ export async function linkLendingPool(deployer, config, deployment) {
             deployer.logger.addLog('LINK_LENDING_POOL_RTOKEN_RESERVE_POOL_MISMATCH', { message: `RToken reserve pool mismatch. Expected ${RAACLendingPoolAddress}, got ${actualRTokenReservePool}` });
 
             // Perform setReservePool
-            const setReservePoolTx = await rtoken.setReservePool(RAACLendingPoolAddress);
-            const setReservePoolReceipt = await setReservePoolTx.wait();
+            const setReservePoolReceipt = await deployer.executeContractCall('RToken.setReservePool', rtoken, 'setReservePool', [RAACLendingPoolAddress]);
             deployer.logger.addLog('LINK_LENDING_POOL_SET_RTOKEN_RESERVE_POOL', { tx: setReservePoolReceipt });
         }
         deployer.logger.addLog('LINK_LENDING_POOL_RTOKEN_RESERVE_POOL', { actualRTokenReservePool, RAACLendingPoolAddress });
@@ -40,23 +39,20 @@ export async function linkLendingPool(deployer, config, deployment) {
         const actualRTokenMinter = await rtoken._minter();
         if(actualRTokenMinter !== RAACLendingPoolAddress) {
             deployer.logger.addLog('LINK_LENDING_POOL_RTOKEN_MINTER_MISMATCH', { message: `RToken minter mismatch. Expected ${RAACLendingPoolAddress}, got ${actualRTokenMinter}` });
-            const setMinterTx = await rtoken.setMinter(RAACLendingPoolAddress);
-            const setMinterReceipt = await setMinterTx.wait();
+            const setMinterReceipt = await deployer.executeContractCall('RToken.setMinter', rtoken, 'setMinter', [RAACLendingPoolAddress]);
             deployer.logger.addLog('LINK_LENDING_POOL_SET_RTOKEN_MINTER', { tx: setMinterReceipt });
         }
 
         const actualRTokenBurner = await rtoken._burner();
         if(actualRTokenBurner !== RAACLendingPoolAddress) {
             deployer.logger.addLog('LINK_LENDING_POOL_RTOKEN_BURNER_MISMATCH', { message: `RToken burner mismatch. Expected ${RAACLendingPoolAddress}, got ${actualRTokenBurner}` });
-            const setBurnerTx = await rtoken.setBurner(RAACLendingPoolAddress);
-            const setBurnerReceipt = await setBurnerTx.wait();
+            const setBurnerReceipt = await deployer.executeContractCall('RToken.setBurner', rtoken, 'setBurner', [RAACLendingPoolAddress]);
             deployer.logger.addLog('LINK_LENDING_POOL_SET_RTOKEN_BURNER', { tx: setBurnerReceipt });
         }
 
         deployer.logger.addLog('LINK_LENDING_POOL_RTOKEN_MINTER_BURNER', { actualRTokenMinter, actualRTokenBurner, RAACLendingPoolAddress });
         // If all is good, we can transfer ownership of RToken to RAACLendingPool
-        const transferOwnershipTx = await rtoken.transferOwnership(RAACLendingPoolAddress);
-        const transferOwnershipReceipt = await transferOwnershipTx.wait();
+        const transferOwnershipReceipt = await deployer.executeContractCall('RToken.transferOwnership', rtoken, 'transferOwnership', [RAACLendingPoolAddress]);
         deployer.logger.addLog('LINK_LENDING_POOL_TRANSFER_OWNERSHIP', { tx: transferOwnershipReceipt });
     }
 
@@ -73,13 +69,11 @@ export async function linkLendingPool(deployer, config, deployment) {
             deployer.logger.addLog('LINK_LENDING_POOL_RESERVE_POOL_MISMATCH', { message: `DebtToken reserve pool mismatch. Expected ${RAACLendingPoolAddress}, got ${actualDebtTokenReservePool}` });
 
             // Perform setReservePool
-            const setReservePoolTx = await debtToken.setReservePool(RAACLendingPoolAddress);
-            const setReservePoolReceipt = await setReservePoolTx.wait();
+            const setReservePoolReceipt = await deployer.executeContractCall('DebtToken.setReservePool', debtToken, 'setReservePool', [RAACLendingPoolAddress]);
             deployer.logger.addLog('LINK_LENDING_POOL_SET_RESERVE_POOL', { tx: setReservePoolReceipt });
         }
         deployer.logger.addLog('LINK_LENDING_POOL_DEBT_TOKEN_RESERVE_POOL', { actualDebtTokenReservePool, RAACLendingPoolAddress });
-        const transferOwnershipTx = await debtToken.transferOwnership(RAACLendingPoolAddress);
-        const transferOwnershipReceipt = await transferOwnershipTx.wait();
+        const transferOwnershipReceipt = await deployer.executeContractCall('DebtToken.transferOwnership', debtToken, 'transferOwnership', [RAACLendingPoolAddress]);
         deployer.logger.addLog('LINK_LENDING_POOL_TRANSFER_OWNERSHIP', { tx: transferOwnershipReceipt });
     }
 
@@ -4,7 +4,7 @@ export async function linkOracle(deployer, config, deployment) {
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mLINK_ORACLE_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('LINK_ORACLE_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
     const addressDeployer = await wallet.getAddress();
@@ -24,8 +24,7 @@ export async function linkOracle(deployer, config, deployment) {
             deployer.logger.addLog('LINK_ORACLE_HOUSE_PRICES_MISMATCH', { 
                 message: `House prices oracle mismatch. Expected ${RAACHousePriceOracleAddress}, got ${currentOracle}` 
             });
-            const setOracleTx = await housePricesContract.setOracle(RAACHousePriceOracleAddress);
-            const setOracleReceipt = await setOracleTx.wait();
+            const setOracleReceipt = await deployer.executeContractCall('RAACHousePrices.setOracle', housePricesContract, 'setOracle', [RAACHousePriceOracleAddress]);
             deployer.logger.addLog('LINK_ORACLE_SET_HOUSE_PRICES', { tx: setOracleReceipt });
         }
     } else {
@@ -50,8 +49,7 @@ export async function linkOracle(deployer, config, deployment) {
                 message: `Prime rate oracle mismatch. Expected ${RAACPrimeRateOracleAddress}, got ${currentPrimeRateOracle}` 
             });
             
-            const setPrimeRateOracleTx = await lendingPoolContract.setPrimeRateOracle(RAACPrimeRateOracleAddress);
-            const setPrimeRateOracleReceipt = await setPrimeRateOracleTx.wait();
+            const setPrimeRateOracleReceipt = await deployer.executeContractCall('RAACLendingPool.setPrimeRateOracle', lendingPoolContract, 'setPrimeRateOracle', [RAACPrimeRateOracleAddress]);
             deployer.logger.addLog('LINK_ORACLE_SET_PRIME_RATE', { tx: setPrimeRateOracleReceipt });
         } 
     } else {
@@ -5,7 +5,7 @@ export async function linkRAACMinter(deployer, config, deployment) {
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mLINK_RAACMINTER_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('LINK_RAACMINTER_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
 
@@ -34,8 +34,7 @@ export async function linkRAACMinter(deployer, config, deployment) {
 
 
     // SetMinter and setBurner for RAAC
-    const setMinterTx = await RAACContract.setMinter(RAACMinterAddress);
-    const setMinterReceipt = await setMinterTx.wait();
+    const setMinterReceipt = await deployer.executeContractCall('RAACToken.setMinter', RAACContract, 'setMinter', [RAACMinterAddress]);
     deployer.logger.addLog('LINK_RAACMINTER_SET_MINTER', { tx: setMinterReceipt });
 
    
@@ -5,7 +5,7 @@ export async function linkRAACToken(deployer, config, deployment) {
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mLINK_RAAC_TOKEN_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('LINK_RAAC_TOKEN_START', { config, timeStart: processResult.timeStart });
 
     // Whitelist deployer before mint / transfer to release orchestrator is done
     const RAACTokenArtifact = await deployer.readArtifactFile("RAACToken");
@@ -26,15 +26,13 @@ export async function linkRAACToken(deployer, config, deployment) {
         // Is deployer owner ?
         const isOwner = await RAACToken.owner() === await deployer.signer.address;
         if(isOwner) {
-            const addMinterToWhitelistTx = await RAACToken.manageWhitelist(await deployer.signer.address, true);
-            await addMinterToWhitelistTx.wait();
+            await deployer.executeContractCall('RAACToken.manageWhitelist', RAACToken, 'manageWhitelist', [await deployer.signer.address, true]);
             deployer.logger.addLog('LINK_RAAC_TOKEN', { address: await deployer.signer.address, action: 'add' });
             // Is self minter ?
             const minter = await RAACToken.minter();
             deployer.logger.addLog('LINK_RAAC_TOKEN', { currentMinter: minter });
             if(minter !== await deployer.signer.address) {
-                const setMinterTx = await RAACToken.setMinter(await deployer.signer.address);
-                await setMinterTx.wait();
+                await deployer.executeContractCall('RAACToken.setMinter', RAACToken, 'setMinter', [await deployer.signer.address]);
                 deployer.logger.addLog('LINK_RAAC_TOKEN', { address: await deployer.signer.address, action: 'set' });
             }
         } else {
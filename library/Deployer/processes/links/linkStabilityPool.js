@@ -5,7 +5,7 @@ export async function linkStabilityPool(deployer, config, deployment) {
     const processResult = {
         timeStart: +new Date(),
     };
-    deployer.logger.addLog('\x1b[36mLINK_STABILITY_POOL_START\x1b[0m', { config, timeStart: processResult.timeStart });
+    deployer.logger.addLog('LINK_STABILITY_POOL_START', { config, timeStart: processResult.timeStart });
 
     const wallet = deployment.getWallet();
    
@@ -1,5 +1,5 @@
 import { ethers } from 'ethers';
-import findContructorArg from '../../utils/findContructorArg.js';
+import resolveConstructorArgs from '../../utils/resolveConstructorArgs.js';
 
 export async function prepareCRVUSD(deployer, config, deployment) {
 
@@ -7,7 +7,7 @@ export async function prepareCRVUSD(deployer, config, deployment) {
         timeStart: +new Date(),
     };
 
-    deployer.logger.addLog('\x1b[36mPREPARE_CRVUSD_START\x1b[0m', { config, timeStart: processResult.timeStart });  
+    deployer.logger.addLog('PREPARE_CRVUSD_START', { config, timeStart: processResult.timeStart });  
 
     const shouldDeploycrvUSDToken = !deployment.dependencies.crvUSDToken;
 
@@ -24,7 +24,7 @@ export async function prepareCRVUSD(deployer, config, deployment) {
 
         const faucetAddress = deployment.faucet.address;
         try {
-            const crvUSDTokenArgs = findContructorArg(deployment.constructorArgs['crvUSDToken'], deployment.contracts);
+            const crvUSDTokenArgs = resolveConstructorArgs(deployer, deployment, 'crvUSDToken', crvUSDTokenArtifact);
 
             const prepared = {
                 contractName: "crvUSDToken",
@@ -34,9 +34,9 @@ export async function prepareCRVUSD(deployer, config, deployment) {
 
             deployer.logger.addLog('DEPLOYING_crvUSDToken', { prepared : prepared, contractName:prepared.contractName});
             const receipt = await deployer.deploy(prepared, deployment.getWallet(), deployment.contracts, deployment.signer.fee);
-            deployment.contracts['crvUSDToken'] = receipt.receipt.contractAddress;
+            deployment.contracts['crvUSDToken'] = receipt.address;
             deployment.dependencies.crvUSDToken = {
-                address: receipt.receipt.contractAddress,
+                address: receipt.address,
                 tx: receipt.transactionHash,
                 results: receipt
             };
@@ -44,18 +44,17 @@ export async function prepareCRVUSD(deployer, config, deployment) {
             deployer.logger.addLog('DEPLOY_crvUSDToken_SUCCESS', { receipt: receipt });
 
             // Set faucet as minter
-            const crvusdContract = new ethers.Contract(receipt.receipt.contractAddress, crvUSDTokenArtifact.abi, deployment.getWallet());
+            const crvusdContract = new ethers.Contract(receipt.address, crvUSDTokenArtifact.abi, deployment.getWallet());
             deployer.logger.addLog('SET_CRVUSD_MINTER', { minter: faucetAddress });
             
-            const minterTx = await crvusdContract.setMinter(faucetAddress);
-            const minterReceipt = await minterTx.wait();
-            
+            const minterReceipt = await deployer.executeContractCall('crvUSDToken.setMinter', crvusdContract, 'setMinter', [faucetAddress]);
+
             deployer.logger.addLog('SET_CRVUSD_MINTER_SUCCESS', { 
                 minter: faucetAddress, 
                 tx: minterReceipt.hash 
             });
 
-            deployment.contracts['crvUSDToken'] = receipt.receipt.contractAddress;
+            deployment.contracts['crvUSDToken'] = receipt.address;
 
         } catch (error) {
             console.error('Error deploying crvUSDToken:', error);
@@ -68,7 +67,7 @@ export async function prepareCRVUSD(deployer, config, deployment) {
     // set as first arg of contructor of lending pool
     deployment.constructorArgs['LendingPool'][0] = deployment.dependencies.crvUSDToken.address;
 
-    deployer.logger.addLog('\x1b[32mPREPARE_CRVUSD_SUCCESS\x1b[0m', { timeTaken: processResult.timeTaken });
+    deployer.logger.addLog('PREPARE_CRVUSD_SUCCESS', { timeTaken: processResult.timeTaken });
     processResult.timeEnd = +new Date();
     processResult.timeTaken = processResult.timeEnd - processResult.timeStart;
 
@@ -1,6 +1,7 @@
 import { ethers } from 'ethers';
 import chalk from 'chalk';
-import { estimateContractCost } from '../../utils/estimateContractCost.js';
+import { estimateContractCost, estimateGasCost } from '../../utils/estimateContractCost.js';
+import simulateDeployment from '../../utils/simulateDeployment.js';
 
 export async function prepareContracts(deployer, config, deployment) {
 
@@ -9,7 +10,7 @@ export async function prepareContracts(deployer, config, deployment) {
     };
 
     // If we have no crvusd set, then we need to deploy one.
-    await deployer.logger.addLog('\x1b[36mPREPARE_CONTRACTS_START\x1b[0m', { config });
+    await deployer.logger.addLog('PREPARE_CONTRACTS_START', { config });
 
     if(!config.contracts) throw new Error('No contracts to prepare');
 
@@ -20,7 +21,7 @@ export async function prepareContracts(deployer, config, deployment) {
         const contractArtifact = await deployer.getContractArtifact(contract);
         if(!contractArtifact) throw new Error(`Contract artifact not found for ${contract}`);
         contractsArtifacts[contract] = contractArtifact;
-        deployer.logger.addLog('\x1b[32mCONTRACT_ARTIFACT_VALID\x1b[0m', { contract });
+        deployer.logger.addLog('CONTRACT_ARTIFACT_VALID', { contract });
     }
 
     setTimeout(() => {
@@ -54,22 +55,66 @@ export async function prepareContracts(deployer, config, deployment) {
         }
     };
 
+    // Gas measured by replaying the sequence on a fork, the heuristic for what the replay did not reach.
+    // Not on a network that is already simulated (plan mode, the simulation itself): its transactions are the measure.
+    let simulation = null;
+    if (config.simulate !== false && !deployer.providerOverride && deployer.processConfigs) {
+        try {
+            simulation = await simulateDeployment(deployment, deployer, deployer.processConfigs);
+        } catch (error) {
+            deployer.logger.addLog('SIMULATION_ERROR', { error: error.message });
+            console.log(`\x1b[33m==== Simulation unavailable (${error.message}), estimating from the bytecode ====\x1b[0m`);
+        }
+    }
+
     deployment.estimatedCost = {
         totalMax: 0n,
         totalMin: 0n,
-        perContract: {}
+        perContract: {},
+        perProcess: {},
+        // simulated: every transaction measured - partial: the simulation stopped early - heuristic: no simulation
+        confidence: !simulation ? 'heuristic' : simulation.failure ? 'partial' : 'simulated',
+        failure: simulation?.failure || null,
     };
      // Estimate total gas needed for deployment
-     deployer.logger.addLog('\x1b[36mEstimating gas...\x1b[0m', 'Estimating gas...');
+     deployer.logger.addLog('PREPARE_CONTRACTS_ESTIMATING_GAS');
+     if (simulation) {
+        // Every transaction of the replay (deployments, links, inits), then the deployments it did not reach
+        for (const [processId, { transactions, gasUsed }] of Object.entries(simulation.processes)) {
+            const { minCost, maxCost } = estimateGasCost(gasUsed, deployment.signer.fee);
+            deployment.estimatedCost.perProcess[processId] = { transactions, gasUsed, minCost, maxCost, confidence: 'simulated' };
+            deployment.estimatedCost.totalMax += maxCost;
+            deployment.estimatedCost.totalMin += minCost;
+        }
+        for (const [contractName, { gasUsed, processId }] of Object.entries(simulation.contracts)) {
+            deployment.estimatedCost.perContract[contractName] = { ...estimateGasCost(gasUsed, deployment.signer.fee), processId, confidence: 'simulated' };
+        }
+     }
      for(const contract of contracts) {
+        const simulated = simulation && Object.values(simulation.contracts).find(({ artifact }) => artifact === contract);
+        if (simulated) {
+            deployment.estimatedCost.perContract[contract] = deployment.estimatedCost.perContract[contract] || { ...estimateGasCost(simulated.gasUsed, deployment.signer.fee), confidence: 'simulated' };
+            continue;
+        }
         const contractArtifact = contractsArtifacts[contract];
         const constructorArgs = deployment.constructorArgs[contract];
-        const estimatedCost = await estimateContractCost(contractArtifact, deployment.provider, constructorArgs, deployment.signer.fee);
+        const estimatedCost = await estimateContractCost(contractArtifact, constructorArgs, deployment.signer.fee);
         const { minCost, maxCost } = estimatedCost;
+        deployment.estimatedCost.perContract[contract] = { ...estimatedCost, confidence: 'heuristic' };
+        // Not deployed by a complete replay (dependency, already deployed): kept for the processes reading it, not counted
+        if (simulation && !simulation.failure) continue;
 
         deployment.estimatedCost.totalMax += maxCost;
         deployment.estimatedCost.totalMin += minCost;
-        deployment.estimatedCost.perContract[contract] = estimatedCost;
+     }
+     if (deployment.estimatedCost.confidence !== 'simulated' && !deployer.providerOverride) {
+        const reason = simulation ? `simulation stopped in ${simulation.failure.processId}: ${simulation.failure.message}` : 'no simulation';
+        const heuristic = Object.entries(deployment.estimatedCost.perContract)
+            .filter(([, { confidence }]) => confidence === 'heuristic')
+            .map(([contractName]) => contractName);
+        console.log(`\x1b[33m==== Cost estimate confidence: ${deployment.estimatedCost.confidence} (${reason})${
+            heuristic.length > 0 ? ` - heuristic estimates for ${heuristic.join(', ')}` : ''
+        } ====\x1b[0m`);
      }
 
      deployment.estimatedCost.totalMaxInEth = ethers.formatEther(deployment.estimatedCost.totalMax);
@@ -81,7 +126,7 @@ export async function prepareContracts(deployer, config, deployment) {
         `Available: ${deployment.signer.balance} ETH`);
      }
      deployer.logger.addLog(
-        '\x1b[32mESTIMATED_COST_CHECK_SUCCESS\x1b[0m',
+        'ESTIMATED_COST_CHECK_SUCCESS',
         `Estimated max cost: ${deployment.estimatedCost.totalMaxInEth} ETH | Current balance: ${deployment.signer.balance} ETH`);
 
 
@@ -99,7 +144,7 @@ export async function prepareContracts(deployer, config, deployment) {
         throw new Error('Deployment cancelled by user after contract preparation');
     }
 
-    deployer.logger.addLog('\x1b[32mPREPARE_CONTRACTS_SUCCESS\x1b[0m', Object.keys(contractsArtifacts));
+    deployer.logger.addLog('PREPARE_CONTRACTS_SUCCESS', Object.keys(contractsArtifacts));
     processResult.artifacts = contractsArtifacts;
 
 
@@ -110,7 +155,7 @@ export async function prepareContracts(deployer, config, deployment) {
     };
 
 
-    deployer.logger.addLog('\x1b[32mPREPARE_CONTRACTS_SUCCESS\x1b[0m', `${JSON.stringify({timings:processResult.timings, artifacts:Object.keys(processResult.artifacts)}, { depth: null })}`);
+    deployer.logger.addLog('PREPARE_CONTRACTS_SUCCESS', `${JSON.stringify({timings:processResult.timings, artifacts:Object.keys(processResult.artifacts)}, { depth: null })}`);
     processResult.logger = deployer.logger.export();
     deployment.processes.prepareContracts = processResult;
     deployment.artifacts = Object.keys(processResult.artifacts);
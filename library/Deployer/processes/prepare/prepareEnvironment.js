@@ -1,15 +1,15 @@
-import { ethers } from 'ethers';
 import { prepareContracts } from './prepareContracts.js';
-import findContructorArg  from "../../utils/findContructorArg.js";
 
 export async function prepareEnvironment(deployer, config, deployment) {
-    await deployer.logger.addLog('\x1b[36mPREPARE_ENV_START\x1b[0m', `deployementId: ${deployment.id}`);
+    await deployer.logger.addLog('PREPARE_ENV_START', `deployementId: ${deployment.id}`);
   
     let networkName = deployment?.network || process.env.NETWORK;
     if(!networkName) throw new Error('Missing network configuration');
 
     const network = await deployer.readNetworkFile(networkName);
     deployer.setNetwork(network);
+    // Placeholders resolve network constants from deployment.network
+    deployment.network = network.network;
 
     await deployer.logger.addLog('CONFIG_NETWORK', { ...network });
     await deployer.logger.addLog('CONFIG_CONTRACTS', { contracts: config.contracts });
@@ -19,21 +19,13 @@ export async function prepareEnvironment(deployer, config, deployment) {
         timeStart: +new Date(),
     };
 
-    // Get mnemonic from user
-    setTimeout(() => {
-        console.log('emit mnemonic from env for now - to be removed before release');
-        const mnemonic = process.env.MNEMONIC;
-        if(!mnemonic) throw new Error('MNEMONIC is not set');
-        deployer.emit(deployer.DEPLOYER_EVENTS.INPUT_RECEIVED, {input: mnemonic});
-    }, 100);
-
-
-    const userInputMnemonic = await deployer.requireInput('Enter deployment wallet mnemonic:', 'text');
-    // Ideally we should check if the mnemonic is valid - but let's keep it as minimal as possible.
-    await deployer.logger.addLog('MNEMONIC_RECEIVED', { received: true });
+    // Unlock the deployment wallet of the network (keystore password prompt, remote signer, or MNEMONIC on dev networks)
+    const signerAdapter = deployer.getSignerAdapter();
+    const signerAddress = await signerAdapter.unlock((prompt) => deployer.requirePassword(prompt));
+    await deployer.logger.addLog('SIGNER_UNLOCKED', { type: signerAdapter.type, address: signerAddress });
 
     function getWallet() {
-        const wallet = deployer.createWallet(userInputMnemonic, networkName);
+        const wallet = deployer.createNetworkSigner(networkName);
         // Each time we need a wallet, we create it and log that.
         deployer.logger.addLog('WALLET_CREATED', { timestamp: +new Date() });
         console.log(`\x1b[35m /!\\ WALLET_CREATED for ${networkName} with address ${wallet.address} at ${+new Date()}\x1b[0m`);
@@ -43,6 +35,15 @@ export async function prepareEnvironment(deployer, config, deployment) {
     deployment.provider = deployer.createProvider(networkName);
     deployment.getWallet = getWallet;
 
+    // Contracts selected to be deployed behind a proxy - deploy() records the proxies in deployment.proxies
+    deployment.proxies = deployment.proxies || {};
+    deployer.proxyOptions = deployment.proxyOptions || {};
+    deployer.proxies = deployment.proxies;
+    // Contracts deployed through the CREATE2 factory at a predicted address - recorded in deployment.create2
+    deployment.create2 = deployment.create2 || {};
+    deployer.create2Options = deployment.create2Options || null;
+    deployer.create2 = deployment.create2;
+
     // Network check
     const networkInfo = {
         providerNetwork: await deployment.provider.getNetwork(),
@@ -60,7 +61,7 @@ export async function prepareEnvironment(deployer, config, deployment) {
     processResult.timeEnd = +new Date();
     processResult.timeTaken = processResult.timeEnd - processResult.timeStart;
 
-    deployer.logger.addLog('\x1b[32mPREPARE_ENV_SUCCESS\x1b[0m', `Time taken: ${processResult.timeTaken}ms`);
+    deployer.logger.addLog('PREPARE_ENV_SUCCESS', `Time taken: ${processResult.timeTaken}ms`);
     processResult.logger = deployer.logger.export();
 
     deployment.processes.prepareEnvironment = processResult;
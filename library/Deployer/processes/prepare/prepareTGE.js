@@ -1,11 +1,46 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import readAllocationsCSV from '../../utils/readAllocationsCSV.js';
+import validateTGEAllocations, { ORCHESTRATOR_CATEGORIES, printTGEValidation } from '../../utils/validateTGEAllocations.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEPLOYER_DIR = path.join(__dirname, '..', '..');
+
 export async function prepareTGE(deployer, config, deployment) {
     const processResult = {
         timeStart: +new Date(),
     };
 
     deployer.logger.addLog('PREPARE_TGE_START', { config });
-    
-    const tokenConfig = await deployer.prepareTokenDeployment(config.tgeConfig);
+
+    // Wallets of the config, then the ones of the allocations CSV (relative to library/Deployer)
+    const tgeConfig = { ...config.tgeConfig, wallets: [...(config.tgeConfig.wallets || [])] };
+    if (tgeConfig.allocations) {
+        const file = path.isAbsolute(tgeConfig.allocations) ? tgeConfig.allocations : path.join(DEPLOYER_DIR, tgeConfig.allocations);
+        const wallets = readAllocationsCSV(file);
+        deployer.logger.addLog('PREPARE_TGE_ALLOCATIONS_IMPORTED', { file, wallets: wallets.length });
+        tgeConfig.wallets.push(...wallets);
+    }
+
+    // Validated before any transaction: processRAACTGE only runs once the token is deployed
+    const validation = validateTGEAllocations(tgeConfig, await readOrchestratorState(deployer, deployment, tgeConfig.wallets));
+    printTGEValidation(validation);
+    deployer.logger.addLog('PREPARE_TGE_VALIDATION', {
+        totalSupply: validation.totalSupply,
+        categories: validation.categories,
+        warnings: validation.warnings,
+        errors: validation.errors,
+    });
+    if (validation.errors.length > 0) {
+        throw new Error(`Invalid TGE allocations:\n - ${validation.errors.join('\n - ')}`);
+    }
+
+    const tokenConfig = await deployer.prepareTokenDeployment({
+        ...tgeConfig,
+        wallets: validation.wallets,
+        initialSupply: validation.totalSupply.toString(),
+    });
     // const liquidityConfig = await deployer.prepareLiquiditySetup(config.tgeConfig);
     // const publicSaleConfig = await deployer.preparePublicSale(config.tgeConfig);
 
@@ -30,4 +65,29 @@ export async function prepareTGE(deployer, config, deployment) {
 
     deployment.processes.prepareTGE = processResult;
     return deployment;
-} 
\ No newline at end of file
+}
+
+// A reused orchestrator may already hold schedules: its remaining category allocations apply,
+// and wallets already scheduled (e.g. by a previous run) are not counted twice.
+async function readOrchestratorState(deployer, deployment, wallets) {
+    const address = deployment.dependencies?.RAACReleaseOrchestrator?.address;
+    if (!address || !deployment.provider) return { categories: ORCHESTRATOR_CATEGORIES };
+
+    const artifact = await deployer.readArtifactFile('RAACReleaseOrchestrator');
+    const orchestrator = new ethers.Contract(address, artifact.abi, deployment.provider);
+
+    const categories = {};
+    for (const category of Object.keys(ORCHESTRATOR_CATEGORIES)) {
+        const [allocation, used] = await orchestrator.getCategoryDetails(ethers.id(category));
+        categories[category] = allocation - used;
+    }
+
+    const scheduled = [];
+    for (const wallet of wallets) {
+        if (!wallet.schedules?.length || !ethers.isAddress(wallet.address)) continue;
+        const schedule = await orchestrator.getVestingSchedule(wallet.address);
+        if (schedule.initialized) scheduled.push(ethers.getAddress(wallet.address));
+    }
+    deployer.logger.addLog('PREPARE_TGE_ORCHESTRATOR_STATE', { address, categories, scheduled });
+    return { categories, scheduled };
+}
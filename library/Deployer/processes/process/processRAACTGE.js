@@ -1,9 +1,8 @@
 import { ethers } from "ethers";
+import { getWalletCategory } from "../../utils/validateTGEAllocations.js";
 
-function parseBigInt(value) {
-    return BigInt(value);
-}
-
+// Distributes the TGE supply: direct transfers, and vesting schedules created on RAACReleaseOrchestrator (funded beforehand).
+// Every step reads the chain first, so a rerun only sends what is missing. Schedules are then checked with getVestingSchedule.
 export async function processRAACTGE(deployer, config, deployment) {
     const processResult = {
         timeStart: +new Date(),
@@ -19,13 +18,12 @@ export async function processRAACTGE(deployer, config, deployment) {
     const RAACArtifact = await deployer.readArtifactFile("RAACToken");
     const RAACContract = new ethers.Contract(RAACAddress, RAACArtifact.abi, wallet);
 
-    const RAACBalance = await RAACContract.totalSupply();
     const RAACOwner = await RAACContract.owner();
 
     if(deployment.processes.prepareTGE) {
         const { result } = deployment.processes.prepareTGE;
         const { tokenConfig } = result;
-        const { wallets, minter, orchestrator, token } = tokenConfig;
+        const { wallets, token } = tokenConfig;
 
         const initialSupply = BigInt(token.initialSupply);
 
@@ -43,13 +41,15 @@ export async function processRAACTGE(deployer, config, deployment) {
             throw new Error(error);
         }
 
+        if(expectedSupply === 0n){
+            deployer.logger.addLog('PROCESS_RAAC_TGE_ERROR', { error: 'No wallets to distribute' });
+            throw new Error('No wallets to distribute');
+        }
 
         const actualSupply = await RAACContract.totalSupply();
         deployer.logger.addLog('PROCESS_RAAC_TGE_ACTUAL_SUPPLY', { actualSupply });
         deployer.logger.addLog('PROCESS_RAAC_TGE_EXPECTED_SUPPLY', { expectedSupply });
 
-
-
         if(actualSupply > expectedSupply){
             const supplyIsGreaterMessage =`Actual supply is greater than expected supply: ${actualSupply} > ${expectedSupply}`;
             deployer.logger.addLog('PROCESS_RAACTGE_ERROR', { error: supplyIsGreaterMessage });
@@ -60,20 +60,51 @@ export async function processRAACTGE(deployer, config, deployment) {
             deployer.logger.addLog('PROCESS_RAAC_TGE_ERROR', { error: 'Actual supply is less than expected supply but greater than 0' });
             // throw new Error('Actual supply is less than expected supply but greater than 0');
         }
-        
-        if(expectedSupply === 0n){
-            deployer.logger.addLog('PROCESS_RAAC_TGE_ERROR', { error: 'No wallets to distribute' });
-            throw new Error('No wallets to distribute');
+
+        const orchestratorArtifact = await deployer.readArtifactFile("RAACReleaseOrchestrator");
+        const orchestratorDeploymentData = deployment.contracts['RAACReleaseOrchestrator'];
+        const orchestratorAddress = orchestratorDeploymentData?.address || orchestratorDeploymentData;
+        const orchestratorContract = new ethers.Contract(orchestratorAddress, orchestratorArtifact.abi, wallet);
+
+        // What is left to distribute, read from the chain
+        const vesting = await readVestingState(orchestratorContract, wallets);
+        // An existing schedule only counts as done with the exact amount of the config: it cannot be changed afterwards
+        const conflicting = vesting.filter(({ onChain, amountInWei }) => onChain && onChain.totalAmount !== amountInWei);
+        if (conflicting.length > 0) {
+            const error = `Existing vesting schedules do not match the TGE config:\n - ${conflicting.map(({ identifier, address, amountInWei, onChain }) =>
+                `${identifier} (${address}): ${ethers.formatEther(onChain.totalAmount)} instead of ${ethers.formatEther(amountInWei)}`).join('\n - ')}`;
+            deployer.logger.addLog('PROCESS_RAAC_TGE_ERROR', { error });
+            throw new Error(error);
+        }
+        const directTransfers = [];
+        for (const { address, amount, type, schedules } of wallets) {
+            if (schedules?.length > 0) continue;
+            const amountInWei = ethers.parseEther(amount.toString());
+            // Tokens released by a schedule of a reused orchestrator were not transferred by the TGE
+            const schedule = await orchestratorContract.getVestingSchedule(address);
+            const balance = await RAACContract.balanceOf(address);
+            const transferred = balance - (schedule.initialized ? schedule.releasedAmount : 0n);
+            if (transferred > amountInWei) {
+                deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER_BALANCE_ABOVE_AMOUNT', { address, amount, type, balance: transferred });
+            }
+            const missing = transferred < amountInWei ? amountInWei - transferred : 0n;
+            directTransfers.push({ address, amount, type, amountInWei, missing, done: missing === 0n });
         }
+        // The orchestrator pays every schedule out of its balance: it must hold what is not released yet
+        const orchestratorNeeded = vesting.reduce((sum, { amountInWei, onChain }) =>
+            sum + (onChain ? onChain.totalAmount - onChain.releasedAmount : amountInWei), 0n);
+        const orchestratorBalance = await RAACContract.balanceOf(orchestratorAddress);
+        const fundingAmount = orchestratorNeeded > orchestratorBalance ? orchestratorNeeded - orchestratorBalance : 0n;
+        const neededBalance = fundingAmount + directTransfers
+            .reduce((sum, { missing }) => sum + missing, 0n);
 
         const currentOwnerBalance = await RAACContract.balanceOf(RAACOwner);
         deployer.logger.addLog('PROCESS_RAAC_TGE_CURRENT_OWNER_BALANCE', { currentOwnerBalance });
-        const neededBalance = expectedSupply;
-        deployer.logger.addLog('PROCESS_RAAC_TGE_NEEDED_BALANCE', { neededBalance });
+        deployer.logger.addLog('PROCESS_RAAC_TGE_NEEDED_BALANCE', { neededBalance, fundingAmount });
         const mintAmount = neededBalance - currentOwnerBalance;
         deployer.logger.addLog('PROCESS_RAAC_TGE_MINT_AMOUNT', { mintAmount });
         if(mintAmount > 0n){
-             // Can we mint ? 
+             // Can we mint ?
             const minterAddress = await RAACContract.minter();
             deployer.logger.addLog('PROCESS_RAAC_TGE_MINTER_ADDRESS', { minterAddress });
             if(minterAddress !== RAACOwner){
@@ -88,129 +119,174 @@ export async function processRAACTGE(deployer, config, deployment) {
             } else {
                 deployer.logger.addLog('PROCESS_RAAC_TGE_MINT', `Minting ${mintAmount} to owner ${RAACOwner} (require ${neededBalance} have ${currentOwnerBalance})`);
                 try {
-                    const mintTx = await RAACContract.mint(RAACOwner, mintAmount.toString());
-                    await mintTx.wait();
+                    await deployer.executeContractCall('RAACToken.mint', RAACContract, 'mint', [RAACOwner, mintAmount]);
                     deployer.logger.addLog('PROCESS_RAAC_TGE_MINT', `Minted ${mintAmount} to owner ${RAACOwner} (require ${neededBalance} have ${currentOwnerBalance})`);
                 } catch (error) {
                     deployer.logger.addLog('PROCESS_RAAC_TGE_MINT_ERROR', { error: error.message });
-                    const parsedError = RAACContract.interface.parseError(error);
+                    const parsedError = RAACContract.interface.parseError(error.data || '0x');
                     deployer.logger.addLog('PROCESS_RAAC_TGE_MINT_ERROR_PARSED', { parsedError });
-                    throw parsedError;
+                    throw error;
                 }
             }
         } else {
             deployer.logger.addLog('PROCESS_RAAC_TGE_MINT', `Has enough balance to transfer ${neededBalance}`);
-        
         }
 
-        let transferToOrchestratorAmount = 0n;
-
-        const orchestratorArtifact = await deployer.readArtifactFile("RAACReleaseOrchestrator");
-        const orchestratorDeploymentData = deployment.contracts['RAACReleaseOrchestrator'];
-        const orchestratorAddress = orchestratorDeploymentData?.address || orchestratorDeploymentData;
-        const orchestratorContract = new ethers.Contract(orchestratorAddress, orchestratorArtifact.abi, wallet);
-
-        for(const wallet of wallets){
-            const { address, amount, type, schedules } = wallet;
-            const amountInWei = ethers.parseEther(amount.toString());
-            if (schedules && schedules.length > 0) {
-                // Handle vesting schedules
-                deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING', { address, amount, type, schedules });
-                
-
-                
-
-                // Approve orchestrator to handle tokens
-                // const approveTx = await RAACContract.approve(orchestratorAddress, amountInWei);
-                // await approveTx.wait();
-                // deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_APPROVE', `Approve ${orchestratorAddress} to handle ${amountInWei} tokens`);
-
-                // Create vesting schedule
-                for (const schedule of schedules) {
-                    const walletType = wallet.type;
-                    const { type: scheduleType, start, end } = schedule;
-                    transferToOrchestratorAmount += amountInWei;
-
-                    const vestingSchedule = await orchestratorContract.getVestingSchedule(address);
-                    const hasVestingSchedule = vestingSchedule[0] > 0n;
-                    console.log({hasVestingSchedule});
-
-                    if(hasVestingSchedule){
-                        deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_ALREADY_EXISTS', { address, amount: vestingSchedule[0], vestingSchedule });
-                        continue;
-                    }
-                    try {
-
-                        let rawCategory = walletType.toUpperCase();
-                        if(rawCategory === 'DEPLOYER'){
-                            rawCategory = 'TEAM';
-                        }
-                        const encodedCategory = ethers.keccak256(ethers.toUtf8Bytes(rawCategory));
-                        deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_CREATING', { 
-                            beneficiary: address, 
-                            category: walletType,
-                            encodedCategory,
-                            amount: amountInWei.toString(),
-                            start,
-                        });
-                        const createLockTx = await orchestratorContract.createVestingSchedule(
-                            address,
-                            encodedCategory,
-                            amountInWei,
-                            start,
-                        );
-                        await createLockTx.wait();
-                        deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_CREATED', { 
-                            beneficiary: address, 
-                            category: walletType,
-                            encodedCategory,
-                            amount: amountInWei.toString(),
-                            start,
-                        });
-                    } catch (error) {
-                        deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_ERROR', {
-                            error: error.message,
-                            address,
-                            amount: amountInWei.toString(),
-                            start,
-                            end,
-                            scheduleType
-                        });
-                        throw error;
-                    }
-                }
-            } else {
-                // Direct transfer for non-vested tokens
-                deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER', { address, amount, type });
-                // check if their balance is more than 0
-                const balance = await RAACContract.balanceOf(address);
-                if(balance > 0n){
-                    deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER_ALREADY_HAS_BALANCE', { address, amount, type, balance });
-                    continue;
-                }
-                const transferTx = await RAACContract.transfer(address, amountInWei);
-                await transferTx.wait();
-                deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER_SUCCESS', { address, amount, type });
+        for (const { address, amount, type, amountInWei, missing, done } of directTransfers) {
+            if (done) {
+                deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER_ALREADY_HAS_BALANCE', { address, amount, type });
+                continue;
             }
+            // A partial balance is completed up to the exact amount
+            deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER', { address, amount, type, missing, partial: missing !== amountInWei });
+            await deployer.executeContractCall(`RAACToken.transfer(${address})`, RAACContract, 'transfer', [address, missing]);
+            deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER_SUCCESS', { address, amount, type });
         }
 
-        const currentOrchestratorBalance = await RAACContract.balanceOf(orchestratorAddress);
+        if (vesting.length > 0) {
+            if (fundingAmount > 0n) {
+                await deployer.executeContractCall('RAACToken.transfer(RAACReleaseOrchestrator)', RAACContract, 'transfer', [orchestratorAddress, fundingAmount]);
+                deployer.logger.addLog('PROCESS_RAAC_TGE_TRANSFER_TO_ORCHESTRATOR', `Transferred ${fundingAmount} to orchestrator`);
+            }
+            // A taxed transfer (fee collector set, orchestrator not whitelisted) leaves schedules underfunded
+            const fundedBalance = await RAACContract.balanceOf(orchestratorAddress);
+            if (fundedBalance < orchestratorNeeded) {
+                throw new Error(`RAACReleaseOrchestrator holds ${ethers.formatEther(fundedBalance)} RAAC, its schedules need ${ethers.formatEther(orchestratorNeeded)} (is the transfer taxed? whitelist the orchestrator)`);
+            }
 
-        if(currentOrchestratorBalance == 0n){
-            const transferTx = await RAACContract.transfer(orchestratorAddress, transferToOrchestratorAmount);
-            await transferTx.wait();
-            deployer.logger.addLog('PROCESS_RAAC_TGE_TRANSFER_TO_ORCHESTRATOR', `Transferred ${transferToOrchestratorAmount} to orchestrator`);
+            await createVestingSchedules(deployer, orchestratorContract, wallet, vesting);
+            deployment.vesting = await verifyVestingSchedules(deployer, orchestratorContract, vesting);
         }
-
     }
 
     processResult.timeEnd = +new Date();
     processResult.timeTaken = processResult.timeEnd - processResult.timeStart;
 
-    deployer.logger.addLog('\x1b[32mPROCESS_RAACTGE_SUCCESS\x1b[0m', `Time taken: ${processResult.timeTaken}ms`);
+    deployer.logger.addLog('PROCESS_RAACTGE_SUCCESS', `Time taken: ${processResult.timeTaken}ms`);
     processResult.logger = deployer.logger.export();
 
     deployment.processes.processRAACTGE = processResult;
 
     return deployment;
-}
\ No newline at end of file
+}
+
+// Vested wallets with their on-chain schedule (null when not created yet)
+async function readVestingState(orchestratorContract, wallets) {
+    const vesting = [];
+    for (const { identifier, address, amount, type, schedules } of wallets) {
+        if (!schedules?.length) continue;
+        const category = getWalletCategory(type);
+        const schedule = await orchestratorContract.getVestingSchedule(address);
+        vesting.push({
+            identifier,
+            address,
+            category,
+            amountInWei: ethers.parseEther(amount.toString()),
+            start: BigInt(schedules[0].start),
+            duration: BigInt(schedules[0].end - schedules[0].start),
+            onChain: schedule.initialized ? schedule : null,
+        });
+    }
+    return vesting;
+}
+
+async function createVestingSchedules(deployer, orchestratorContract, wallet, vesting) {
+    const pending = vesting.filter(({ onChain }) => !onChain);
+    vesting.filter(({ onChain }) => onChain).forEach(({ identifier, address, onChain }) => {
+        deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_ALREADY_EXISTS', { identifier, address, amount: onChain.totalAmount });
+    });
+    if (pending.length === 0) return;
+
+    // Everything the orchestrator would revert on is checked before the first schedule is sent
+    const orchestratorRole = await orchestratorContract.ORCHESTRATOR_ROLE();
+    if (!await orchestratorContract.hasRole(orchestratorRole, wallet.address)) {
+        throw new Error(`${wallet.address} is missing ORCHESTRATOR_ROLE on RAACReleaseOrchestrator`);
+    }
+    if (await orchestratorContract.paused()) {
+        throw new Error('RAACReleaseOrchestrator is paused');
+    }
+    const perCategory = {};
+    for (const { category, amountInWei } of pending) {
+        perCategory[category] = (perCategory[category] || 0n) + amountInWei;
+    }
+    for (const [category, amount] of Object.entries(perCategory)) {
+        const [allocation, used] = await orchestratorContract.getCategoryDetails(ethers.id(category));
+        if (used + amount > allocation) {
+            throw new Error(`${category} schedules need ${ethers.formatEther(amount)} RAAC, RAACReleaseOrchestrator has ${ethers.formatEther(allocation - used)} left`);
+        }
+    }
+
+    for (const entry of pending) {
+        const { identifier, address, category, amountInWei, start } = entry;
+        const encodedCategory = ethers.id(category);
+        deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_CREATING', {
+            identifier,
+            beneficiary: address,
+            category,
+            encodedCategory,
+            amount: amountInWei.toString(),
+            start,
+        });
+        try {
+            const receipt = await deployer.executeContractCall(
+                `RAACReleaseOrchestrator.createVestingSchedule(${identifier})`,
+                orchestratorContract,
+                'createVestingSchedule',
+                [address, encodedCategory, amountInWei, start]
+            );
+            entry.transactionHash = receipt.hash;
+        } catch (error) {
+            deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_ERROR', {
+                error: error.message,
+                identifier,
+                address,
+                amount: amountInWei.toString(),
+                start,
+            });
+            throw error;
+        }
+        deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_CREATED', { identifier, beneficiary: address, category, amount: amountInWei.toString(), start });
+    }
+}
+
+// Reads every schedule back. The amount and duration must match the config, a different start is only reported:
+// existing schedules cannot be changed, and relative starts (`now`) move between runs.
+async function verifyVestingSchedules(deployer, orchestratorContract, vesting) {
+    const records = {};
+    const mismatches = [];
+
+    console.log(`\x1b[36m==== Vesting schedules : ${await orchestratorContract.getAddress()} ====\x1b[0m`);
+    for (const { identifier, address, category, amountInWei, start, duration, onChain, transactionHash } of vesting) {
+        const schedule = await orchestratorContract.getVestingSchedule(address);
+        const status = onChain ? 'existing' : 'created';
+        const issues = [];
+        if (!schedule.initialized) issues.push('not initialized');
+        if (schedule.totalAmount !== amountInWei) issues.push(`amount ${ethers.formatEther(schedule.totalAmount)} instead of ${ethers.formatEther(amountInWei)}`);
+        if (schedule.duration !== duration) issues.push(`duration ${schedule.duration} instead of ${duration}`);
+        const startMismatch = schedule.startTime !== start;
+
+        records[identifier] = {
+            address,
+            category,
+            amount: schedule.totalAmount,
+            released: schedule.releasedAmount,
+            startTime: schedule.startTime,
+            duration: schedule.duration,
+            status,
+            ...(transactionHash && { transactionHash }),
+            ...(startMismatch && { expectedStart: start }),
+        };
+        if (issues.length > 0) mismatches.push(`${identifier} (${address}): ${issues.join(', ')}`);
+        if (startMismatch) deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_START_MISMATCH', { identifier, address, startTime: schedule.startTime, expectedStart: start });
+
+        const color = issues.length > 0 ? '\x1b[31m' : startMismatch ? '\x1b[33m' : '\x1b[32m';
+        console.log(`${color} ${identifier.padEnd(20)} ${category.padEnd(12)} ${ethers.formatEther(schedule.totalAmount)} RAAC from ${schedule.startTime} - ${status}` +
+            `${issues.length > 0 ? ` - ${issues.join(', ')}` : startMismatch ? ` - start ${start} in config` : ''}\x1b[0m`);
+    }
+
+    deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_VERIFIED', { schedules: records, mismatches });
+    if (mismatches.length > 0) {
+        throw new Error(`Vesting schedules do not match the TGE config:\n - ${mismatches.join('\n - ')}`);
+    }
+    return records;
+}
@@ -0,0 +1,181 @@
+import { ethers } from 'ethers';
+import compareStorageLayouts from '../../utils/compareStorageLayouts.js';
+import readProxyAddresses from '../../utils/readProxyAddresses.js';
+import resolvePlaceholders from '../../utils/resolvePlaceholders.js';
+import { isUUPSUpgradeable } from '../../methods/deployProxy.js';
+
+// OpenZeppelin v5: the ProxyAdmin of a transparent proxy and UUPSUpgradeable only upgrade "and call" (empty data for none)
+const PROXY_ADMIN_ABI = [
+    'function owner() view returns (address)',
+    'function upgradeAndCall(address proxy, address implementation, bytes data) payable',
+];
+const UUPS_ABI = ['function upgradeToAndCall(address implementation, bytes data) payable'];
+
+// Swaps the implementation of the proxies of a saved deployment (deployment.proxies, see methods/deployProxy.js)
+// for the current artifacts. Everything is checked before the first transaction:
+//  - the proxy still points to the recorded implementation
+//  - the storage layout of the new version is compatible with the recorded one (see utils/compareStorageLayouts.js)
+//  - a UUPS implementation stays upgradeable, the signer owns the ProxyAdmin of a transparent proxy
+// Proxies whose artifact bytecode did not change are skipped, so the process can be rerun.
+export async function upgradeProxies(deployer, config, deployment) {
+    const processResult = {
+        timeStart: +new Date(),
+    };
+    deployer.logger.addLog('UPGRADE_PROXIES_START', { config, timeStart: processResult.timeStart });
+
+    const proxies = deployment.proxies || {};
+    const contractNames = config?.contracts || Object.keys(proxies);
+    const missing = contractNames.filter(contractName => !proxies[contractName]);
+    if (missing.length > 0) {
+        throw new Error(`Not deployed behind a proxy in deployment ${deployment.id}: ${missing.join(', ')}`);
+    }
+
+    const upgrades = await checkUpgrades(deployer, config, deployment, contractNames);
+    processResult.result = Object.fromEntries(upgrades.map(({ contractName, status, errors, warnings }) => [contractName, { status, errors, warnings }]));
+
+    const errors = upgrades.flatMap(({ contractName, errors }) => errors.map(error => `${contractName}: ${error}`));
+    if (errors.length > 0) {
+        throw new Error(`Unsafe upgrade:\n - ${errors.join('\n - ')}`);
+    }
+
+    if (!config?.checkOnly) {
+        const wallet = deployment.getWallet();
+        for (const upgrade of upgrades.filter(({ status }) => status === 'upgradeable')) {
+            await upgradeProxy(deployer, config, deployment, wallet, upgrade);
+            upgrade.status = 'upgraded';
+            processResult.result[upgrade.contractName].status = 'upgraded';
+        }
+    }
+
+    for (const { contractName, status } of upgrades) {
+        const color = status === 'upgraded' ? '\x1b[32m' : status === 'up to date' ? '\x1b[90m' : '\x1b[36m';
+        console.log(`${color} ${contractName.padEnd(24)} ${status} - ${proxies[contractName].proxy} => ${proxies[contractName].implementation}\x1b[0m`);
+    }
+
+    processResult.logger = deployer.logger.export();
+    processResult.timeEnd = +new Date();
+    processResult.timeTaken = processResult.timeEnd - processResult.timeStart;
+    deployment.processes.upgradeProxies = processResult;
+
+    return deployment;
+}
+
+async function checkUpgrades(deployer, config, deployment, contractNames) {
+    const upgrades = [];
+    const signerAddress = await deployer.getSigner().getAddress();
+
+    for (const contractName of contractNames) {
+        const record = deployment.proxies[contractName];
+        const artifact = await deployer.readArtifactFile(record.artifact);
+        const errors = [];
+        const warnings = [];
+        const upgrade = { contractName, record, artifact, errors, warnings, status: 'upgradeable', storageLayout: null };
+        upgrades.push(upgrade);
+
+        const { implementation } = await readProxyAddresses(deployment.provider, record.proxy);
+        if (implementation !== record.implementation) {
+            errors.push(`proxy ${record.proxy} points to ${implementation}, not to the recorded implementation ${record.implementation} (upgraded outside of this deployment?)`);
+            continue;
+        }
+        if (ethers.keccak256(artifact.bytecode) === record.bytecodeHash) {
+            upgrade.status = 'up to date';
+            continue;
+        }
+
+        if (record.kind === 'uups' && !isUUPSUpgradeable(artifact)) {
+            errors.push('the new implementation is not UUPSUpgradeable, the proxy could never be upgraded again');
+        }
+        if (record.kind === 'transparent') {
+            const proxyAdmin = new ethers.Contract(record.admin, PROXY_ADMIN_ABI, deployment.provider);
+            const owner = await proxyAdmin.owner();
+            if (owner !== signerAddress) {
+                errors.push(`ProxyAdmin ${record.admin} is owned by ${owner}, not by the signer ${signerAddress}`);
+            }
+        }
+
+        try {
+            upgrade.storageLayout = deployer.readBuildInfo(record.artifact).storageLayout;
+        } catch (error) {
+            deployer.logger.addLog('UPGRADE_PROXIES_BUILD_INFO_MISSING', { contractName, error: error.message });
+        }
+        const layoutErrors = [];
+        if (!record.storageLayout || !upgrade.storageLayout) {
+            layoutErrors.push(`no storage layout for the ${!record.storageLayout ? 'deployed' : 'new'} implementation (compile with @openzeppelin/hardhat-upgrades loaded)`);
+        } else {
+            const report = compareStorageLayouts(record.storageLayout, upgrade.storageLayout);
+            layoutErrors.push(...report.errors);
+            warnings.push(...report.warnings);
+        }
+        // Reported either way, only blocking when the check is not skipped
+        if (config?.unsafeSkipStorageCheck) {
+            warnings.push(...layoutErrors.map(error => `unsafe: ${error}`));
+        } else {
+            errors.push(...layoutErrors);
+        }
+    }
+
+    for (const { contractName, errors, warnings } of upgrades) {
+        deployer.logger.addLog('UPGRADE_PROXIES_CHECK', { contractName, errors, warnings });
+        warnings.forEach(warning => console.log(`\x1b[33m - ${contractName}: ${warning}\x1b[0m`));
+        errors.forEach(error => console.log(`\x1b[31m - ${contractName}: ${error}\x1b[0m`));
+    }
+    return upgrades;
+}
+
+async function upgradeProxy(deployer, config, deployment, wallet, { contractName, record, artifact, storageLayout }) {
+    const placeholderContext = {
+        contractName,
+        processId: 'upgradeProxies',
+        contracts: deployment.contracts,
+        dependencies: deployment.dependencies,
+        network: deployer.getNetwork(deployment.network),
+    };
+
+    // The bare implementation: deploy() would otherwise deploy a new proxy for a contract of the manifest proxies
+    // (or reuse the CREATE2 salt of the proxy)
+    const constructorArgs = resolvePlaceholders(config?.constructorArgs?.[contractName] ?? record.constructorArgs ?? [], placeholderContext);
+    const result = await deployer.deploy(
+        {
+            contractName,
+            artifact,
+            originalArgs: constructorArgs,
+            proxy: false,
+            salt: false,
+        },
+        wallet,
+        deployment.contracts,
+        deployment.signer.fee
+    );
+    const implementation = result.address;
+
+    const call = config?.calls?.[contractName];
+    const data = call
+        ? new ethers.Interface(artifact.abi).encodeFunctionData(call.method, resolvePlaceholders(call.args || [], placeholderContext))
+        : '0x';
+
+    if (record.kind === 'transparent') {
+        const proxyAdmin = new ethers.Contract(record.admin, PROXY_ADMIN_ABI, wallet);
+        await deployer.executeContractCall(`ProxyAdmin.upgradeAndCall(${contractName})`, proxyAdmin, 'upgradeAndCall', [record.proxy, implementation, data]);
+    } else {
+        const proxy = new ethers.Contract(record.proxy, UUPS_ABI, wallet);
+        await deployer.executeContractCall(`${contractName}.upgradeToAndCall`, proxy, 'upgradeToAndCall', [implementation, data]);
+    }
+
+    const slots = await readProxyAddresses(deployment.provider, record.proxy);
+    if (slots.implementation !== implementation) {
+        throw new Error(`${contractName} proxy ${record.proxy} points to ${slots.implementation} after the upgrade, expected ${implementation}`);
+    }
+
+    // The previous version is kept in the history, the record describes the live implementation
+    record.history = [
+        ...(record.history || []),
+        { implementation: record.implementation, bytecodeHash: record.bytecodeHash, replacedAt: +new Date() },
+    ];
+    Object.assign(record, {
+        implementation,
+        bytecodeHash: ethers.keccak256(artifact.bytecode),
+        constructorArgs,
+        storageLayout,
+    });
+    deployer.logger.addLog('PROXY_UPGRADED', { contractName, proxy: record.proxy, implementation, call: call?.method || null });
+}
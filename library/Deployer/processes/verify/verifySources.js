@@ -0,0 +1,141 @@
+import { ethers } from 'ethers';
+import ExplorerClient from '../../utils/ExplorerClient/ExplorerClient.js';
+import getArtifactName from '../../utils/getArtifactName.js';
+
+const DONE = ['verified', 'already verified'];
+
+export async function verifySources(deployer, config, deployment) {
+    const processResult = {
+        timeStart: +new Date(),
+    };
+    deployer.logger.addLog('VERIFY_SOURCES_START', { config, timeStart: processResult.timeStart });
+
+    const network = deployer.getNetwork(deployment.network);
+    // Plan mode runs on a fork: nothing to verify on the explorer
+    const skipReason = deployer.providerOverride
+        ? 'plan mode'
+        : !network?.blockExplorerApiUrl ? `no blockExplorerApiUrl for ${deployment.network}` : null;
+
+    if (skipReason) {
+        deployer.logger.addLog('VERIFY_SOURCES_SKIPPED', { reason: skipReason });
+        console.log(`\x1b[33m==== Source verification skipped : ${skipReason} ====\x1b[0m`);
+    } else {
+        const client = new ExplorerClient({
+            apiUrl: network.blockExplorerApiUrl,
+            apiKey: process.env.ETHERSCAN_API_KEY,
+            chainId: network.chainId,
+        });
+        const outcomes = await submitSources(deployer, config, deployment, client);
+        await pollVerifications(deployer, config, client, outcomes);
+
+        const failed = Object.entries(outcomes).filter(([, { status }]) => status === 'failed' || status === 'timeout');
+        if (failed.length > 0 && config?.failOnError) {
+            throw new Error(`Source verification failed for ${failed.map(([contractName]) => contractName).join(', ')}`);
+        }
+    }
+
+    processResult.logger = deployer.logger.export();
+    processResult.timeEnd = +new Date();
+    processResult.timeTaken = processResult.timeEnd - processResult.timeStart;
+    deployment.processes.verifySources = processResult;
+
+    return deployment;
+}
+
+// Submits every contract deployed by the pipeline, with the constructor args recorded in its deployment result.
+// Outcomes (and GUIDs) are kept in deployment.sourceVerification so a resumed run only retries what is left.
+async function submitSources(deployer, config, deployment, client) {
+    deployment.sourceVerification = deployment.sourceVerification || {};
+    const outcomes = deployment.sourceVerification;
+
+    // Latest deployment result of every address of the network
+    const results = {};
+    for (const state of await deployer.getStateAdapter().readDeploymentHistory()) {
+        for (const result of state.results || []) {
+            results[result.address.toLowerCase()] = result;
+        }
+    }
+
+    const contractNames = config?.contracts || Object.keys(deployment.contracts);
+    for (const contractName of contractNames) {
+        // Behind a proxy, the sources verified are the ones of the implementation
+        const address = deployment.proxies?.[contractName]?.implementation
+            || deployment.contracts[contractName]?.address || deployment.contracts[contractName];
+        if (!address) {
+            throw new Error(`Cannot verify ${contractName}: not part of the deployment`);
+        }
+        if (DONE.includes(outcomes[contractName]?.status) && outcomes[contractName].address === address) continue;
+
+        const result = results[address.toLowerCase()];
+        if (!result) {
+            // Reused dependency (e.g. crvUSD): its constructor args are unknown
+            outcomes[contractName] = { address, status: 'skipped', message: 'no deployment result for this address' };
+            continue;
+        }
+
+        if (await client.isVerified(address)) {
+            outcomes[contractName] = { address, status: 'already verified' };
+            deployer.logger.addLog('VERIFY_SOURCES_ALREADY_VERIFIED', { contractName, address });
+            continue;
+        }
+
+        const artifactName = getArtifactName(contractName);
+        const artifact = await deployer.readArtifactFile(artifactName);
+        const buildInfo = deployer.readBuildInfo(artifactName);
+        const constructorArguments = new ethers.Interface(artifact.abi).encodeDeploy(result.constructorArgs || []).slice(2);
+
+        // The recorded args must be the ones sent on-chain, otherwise the explorer can only reject the submission
+        const transaction = await deployment.provider.getTransaction(result.transactionHash);
+        if (transaction && !transaction.data.toLowerCase().endsWith(constructorArguments.toLowerCase())) {
+            outcomes[contractName] = { address, status: 'failed', message: `recorded constructor args do not match transaction ${result.transactionHash}` };
+            deployer.logger.addLog('VERIFY_SOURCES_ARGS_MISMATCH', { contractName, address, transactionHash: result.transactionHash });
+            continue;
+        }
+
+        try {
+            const guid = await client.submit({
+                address,
+                contractName: buildInfo.contractName,
+                compilerVersion: buildInfo.compilerVersion,
+                input: buildInfo.input,
+                constructorArguments,
+            });
+            outcomes[contractName] = guid
+                ? { address, guid, status: 'pending', submittedAt: +new Date() }
+                : { address, status: 'already verified' };
+            deployer.logger.addLog('VERIFY_SOURCES_SUBMITTED', { contractName, address, guid });
+        } catch (error) {
+            outcomes[contractName] = { address, status: 'failed', message: error.message };
+            deployer.logger.addLog('VERIFY_SOURCES_REJECTED', { contractName, address, error: error.message });
+        }
+    }
+    return outcomes;
+}
+
+async function pollVerifications(deployer, config, client, outcomes) {
+    const pollInterval = config?.pollInterval ?? 5000;
+    const maxPolls = config?.maxPolls ?? 24;
+
+    for (let poll = 0; poll < maxPolls; poll++) {
+        const pending = Object.entries(outcomes).filter(([, { status }]) => status === 'pending');
+        if (pending.length === 0) break;
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+
+        for (const [contractName, outcome] of pending) {
+            const { status, message } = await client.checkStatus(outcome.guid);
+            if (status === 'pending') continue;
+            Object.assign(outcome, { status, message, checkedAt: +new Date() });
+            deployer.logger.addLog(status === 'verified' ? 'VERIFY_SOURCES_VERIFIED' : 'VERIFY_SOURCES_FAILED', { contractName, guid: outcome.guid, message });
+        }
+    }
+
+    for (const [contractName, outcome] of Object.entries(outcomes)) {
+        if (outcome.status === 'pending') {
+            // The GUID is kept: a resumed run submits again, the explorer answers "already verified" if it went through
+            outcome.status = 'timeout';
+            deployer.logger.addLog('VERIFY_SOURCES_TIMEOUT', { contractName, guid: outcome.guid });
+        }
+        const color = DONE.includes(outcome.status) ? '\x1b[32m' : outcome.status === 'skipped' ? '\x1b[33m' : '\x1b[31m';
+        console.log(`${color} ${contractName.padEnd(24)} ${outcome.status}${outcome.message ? ` - ${outcome.message}` : ''}\x1b[0m`);
+    }
+}
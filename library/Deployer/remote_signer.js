@@ -0,0 +1,29 @@
+import KeystoreSource from './adapters/SignerAdapter/sources/KeystoreSource.js';
+import createRemoteSignerServer from './utils/createRemoteSignerServer.js';
+import promptPassword from './utils/promptPassword.js';
+
+// Local stand-in for a remote signer: serves the RemoteSigner protocol from an unlocked keystore, on localhost only.
+// Usage: node remote_signer [--port 8550] [--dir <keystoreDir>]   (DEPLOYER_ACCOUNT selects the keystore)
+// Then set `signer: { type: 'remote', url: 'http://127.0.0.1:8550' }` in the network file (or REMOTE_SIGNER_URL).
+// When REMOTE_SIGNER_TOKEN is set, requests must carry it as a bearer token.
+async function main() {
+    const getArg = (name) => {
+        const index = process.argv.indexOf(name);
+        return index !== -1 ? process.argv[index + 1] : undefined;
+    };
+    const port = Number(getArg('--port') || 8550);
+    const source = new KeystoreSource({ dir: getArg('--dir') });
+    await source.unlock(promptPassword);
+    const wallet = source.connect(null);
+
+    const server = createRemoteSignerServer(wallet, { token: process.env.REMOTE_SIGNER_TOKEN });
+
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`\x1b[32m==== Remote signer for ${wallet.address} listening on http://127.0.0.1:${port} ====\x1b[0m`);
+    });
+}
+
+main().catch(error => {
+    console.error(`\x1b[31m${error.message}\x1b[0m`);
+    process.exit(1);
+});
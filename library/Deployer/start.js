@@ -1,5 +1,5 @@
 import Deployer from './Deployer.js';
-import tgeConfig from './tge.json' with { type: 'json' };
+import loadManifest, { getManifestPath } from './utils/loadManifest.js';
 import readline from 'readline/promises';
 import { startWithoutUI } from './startWithoutUI.js';
 import { startWithUI } from './startWithUI.js';
@@ -31,34 +31,30 @@ async function main() {
     const deployer = new Deployer();
 
     try {
+        // Usage: node start --manifest <file|network> (see manifests/)
+        const manifestPath = getManifestPath();
+        if (!manifestPath) {
+            throw new Error('Missing manifest. Usage: node start --manifest <file|network>');
+        }
+        // Validated before any prompt - an invalid manifest never reaches a process
+        const manifest = loadManifest(manifestPath);
+        console.log(`Deployment manifest: ${manifest.file} (${manifest.network})`);
+
         const useUI = await confirm('Would you like to use the CLI UI interface?');
-        const config = {
-            network: {
-                name: 'sepolia',
-                chainId: 11155111
-            },
-            contracts: ['RAACToken'],
-            settings: {
-                tge: {
-                    startDate: '2024-01-01',
-                    endDate: '2024-01-01',
-                    totalSupply: 1000000000000000000000000000
-                }
-            },
-        };
 
-        if (!useUI) {
+        if (useUI) {
             console.log('Starting with UI');
             await cleanup(); // Close readline before starting UI
-            await startWithUI(deployer, config, cleanup);
+            await startWithUI(deployer, manifest, cleanup);
         } else {
             console.log('Starting without UI');
-            await startWithoutUI(deployer, config, cleanup);
+            await startWithoutUI(deployer, manifest, cleanup);
         }
     } catch (error) {
         console.error('Error:', error);
         // Export logs on error for debugging
         console.log('\nDeployment Logs:');
+        await deployer.logger.flush();
         console.log(JSON.stringify(deployer.logger.export(), null, 2));
         await cleanup();
         process.exit(1);
@@ -5,7 +5,11 @@ import Frame from '../Deployer/modules/CLIMatic/layout/Frame.js';
 import LogRenderer from '../Deployer/modules/CLIMatic/renderers/LogRenderer.js';
 import CommandRegistry from '../Deployer/modules/CLIMatic/commands/CommandRegistry.js';
 import MenuRenderer from '../Deployer/modules/CLIMatic/renderers/MenuRenderer.js';
-import { processes, processSteps } from './processes/index.js';
+import { processes } from './processes/index.js';
+import createDeployment from './utils/createDeployment.js';
+import resolveProcessPlan from './utils/resolveProcessPlan.js';
+import { createEnvLogSinks } from './utils/ParaLogger/sinks/index.js';
+import { redactConsole, redactString } from './utils/redaction.js';
 import { DEPLOYER_EVENTS } from './events/index.js';
 import chalk from 'chalk';
 
@@ -13,7 +17,25 @@ function wait(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-export async function startWithUI(deployer, config, cleanup) {
+// manifest: loaded deployment manifest (see utils/loadManifest.js) - its configs are keyed by process id
+export async function startWithUI(deployer, manifest, cleanup) {
+    // Secrets (mnemonics, private keys, API keys...) are replaced in console output until the UI is left
+    const restoreConsole = redactConsole();
+    let deployment = createDeployment({
+        network: manifest.network,
+        dependencies: manifest.dependencies,
+        deployerAddress: manifest.deployerAddress,
+        faucetAddress: manifest.faucetAddress,
+        config: manifest.configs.prepareEnvironment,
+        constructorArgs: manifest.constructorArgs,
+        proxies: manifest.proxies,
+        create2: manifest.create2,
+    });
+    // Active processes, in dependency order
+    const processSteps = resolveProcessPlan(processes, deployment)
+        .filter(({ process: _process }) => _process.active)
+        .map(({ process: _process }) => _process);
+
     const climatic = new CLIMatic();
     const screen = climatic.getScreen();
     const window = new Window();
@@ -50,18 +72,15 @@ export async function startWithUI(deployer, config, cleanup) {
 
     // Setup renderers
     const logRenderer = new LogRenderer();
+    // The window does not go through console.log: its lines are redacted here
+    const addLog = logRenderer.addLog.bind(logRenderer);
+    logRenderer.addLog = (message, forceRender) => addLog(redactString(String(message)), forceRender);
     logFrame.setContent(logRenderer);
 
+    // Log entries, filtered by LOG_LEVEL / LOG_PROCESSES (see createEnvLogSinks)
+    createEnvLogSinks({ type: 'climatic', renderer: logRenderer }).forEach(sink => deployer.logger.addSink(sink));
+
     // Enhanced event handling
-    deployer.on(DEPLOYER_EVENTS.STATUS_UPDATE, ({ type, data }) => {
-        if (type === 'error') {
-            logRenderer.addLog(`Error: ${JSON.stringify(data)}`);
-        } else if (type === 'warning') {
-            logRenderer.addLog(`Warning: ${JSON.stringify(data)}`);
-        } else {
-            logRenderer.addLog(`${type}: ${JSON.stringify(data)}`);
-        }
-    });
 
     deployer.on(DEPLOYER_EVENTS.PROCESS_START, ({ processId, name }) => {
         logRenderer.addLog(`\x1b[36mStarting process: ${name}\x1b[0m`);
@@ -105,20 +124,22 @@ export async function startWithUI(deployer, config, cleanup) {
         try {
             logRenderer.addLog('\x1b[36mInput required\x1b[0m');
             const input = await window.prompt(prompt, logRenderer, {
-                type: type
+                type: type,
+                // Passwords are masked and never logged
+                echo: type !== 'password'
             });
-            logRenderer.addLog(`\x1b[36mInput received internal: ${input}\x1b[0m`);
+            logRenderer.addLog(`\x1b[36mInput received internal: ${type === 'password' ? '(hidden)' : input}\x1b[0m`);
             
             if (input !== null) {
-                deployer.emit(DEPLOYER_EVENTS.INPUT_RECEIVED, { input });
+                deployer.emit(DEPLOYER_EVENTS.INPUT_RECEIVED, { input, type });
             }
         } catch (error) {
             logRenderer.addLog(`\x1b[31mInput error: ${error.message}\x1b[0m`);
         }
     });
 
-    deployer.on(DEPLOYER_EVENTS.INPUT_RECEIVED, ({ input }) => {
-        logRenderer.addLog(`\x1b[36mInput received event: ${input}\x1b[0m`);
+    deployer.on(DEPLOYER_EVENTS.INPUT_RECEIVED, ({ input, type }) => {
+        logRenderer.addLog(`\x1b[36mInput received event: ${type === 'password' ? '(hidden)' : input}\x1b[0m`);
     });
 
     deployer.on(DEPLOYER_EVENTS.CONFIRMATION_REQUIRED, async ({ message, data }) => {
@@ -159,7 +180,9 @@ export async function startWithUI(deployer, config, cleanup) {
                         name: step.name
                     });
 
-                    const result = await processes[step.id](deployer, config);
+                    deployment = await step.handler(deployer, manifest.configs[step.id], deployment);
+                    // Deployed addresses so far - the deployment itself holds the provider and bigints
+                    const result = { contracts: deployment.contracts, timeTaken: deployment.processes[step.id]?.timeTaken };
 
                     deployer.emit(DEPLOYER_EVENTS.PROCESS_COMPLETE, {
                         processId: step.id,
@@ -213,6 +236,7 @@ export async function startWithUI(deployer, config, cleanup) {
     process.on('SIGINT', async () => {
         screen.cleanup();
         await cleanup();
+        restoreConsole();
         // process.exit(0);
     });
     
@@ -1,25 +1,48 @@
 import { DEPLOYER_EVENTS } from './events/index.js';
-import { processes, processSteps } from './processes/index.js';
+import { processes } from './processes/index.js';
+import createDeployment from './utils/createDeployment.js';
+import resolveProcessPlan from './utils/resolveProcessPlan.js';
 import readline from 'readline/promises';
 import chalk from 'chalk';
-
-export async function startWithoutUI(deployer, config, cleanup) {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-        terminal: false
+import promptPassword from './utils/promptPassword.js';
+import { createEnvLogSinks } from './utils/ParaLogger/sinks/index.js';
+import { redactConsole, redactString } from './utils/redaction.js';
+
+// manifest: loaded deployment manifest (see utils/loadManifest.js) - its configs are keyed by process id
+export async function startWithoutUI(deployer, manifest, cleanup) {
+    // Secrets (mnemonics, private keys, API keys...) are replaced in console output until the run ends
+    const restoreConsole = redactConsole();
+    let deployment = createDeployment({
+        network: manifest.network,
+        dependencies: manifest.dependencies,
+        deployerAddress: manifest.deployerAddress,
+        faucetAddress: manifest.faucetAddress,
+        config: manifest.configs.prepareEnvironment,
+        constructorArgs: manifest.constructorArgs,
+        proxies: manifest.proxies,
+        create2: manifest.create2,
     });
-
-    // Setup event handlers for status updates and logging
-    deployer.on(DEPLOYER_EVENTS.STATUS_UPDATE, ({ type, data }) => {
-        if (type === 'error') {
-            console.log(chalk.red(`Error: ${JSON.stringify(data)}`));
-        } else if (type === 'warning') {
-            console.log(chalk.yellow(`Warning: ${JSON.stringify(data)}`));
-        } else {
-            console.log(chalk.gray(`${type}: ${JSON.stringify(data)}`));
+    // Active processes, in dependency order
+    const processSteps = resolveProcessPlan(processes, deployment)
+        .filter(({ process: _process }) => _process.active)
+        .map(({ process: _process }) => _process);
+
+    // One readline interface per question: a long-lived one would also swallow what is typed at a password prompt
+    const ask = async (question) => {
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            terminal: false
+        });
+        try {
+            return await rl.question(question);
+        } finally {
+            rl.close();
         }
-    });
+    };
+
+    // Log entries, filtered by LOG_LEVEL / LOG_PROCESSES (see createEnvLogSinks)
+    createEnvLogSinks({ type: 'console' }).forEach(sink => deployer.logger.addSink(sink));
 
     // Handle process lifecycle events
     deployer.on(DEPLOYER_EVENTS.PROCESS_START, ({ processId, name }) => {
@@ -65,57 +88,27 @@ export async function startWithoutUI(deployer, config, cleanup) {
         let input;
         
         if (type === 'password') {
-            process.stdout.write(chalk.cyan(`${prompt}: `));
-            
-            process.stdin.setRawMode(true);
-            process.stdin.resume();
-            
-            input = await new Promise(resolve => {
-                let password = '';
-                
-                const keyHandler = (buffer) => {
-                    // if (!key) return;
-                    // console.log(chalk.cyan(`Key: ${chunk}`));
-                    
-                    if (buffer.toString() === '\r') {
-
-                        console.log(chalk.cyan(`Input received: ${password}`));
-                        process.stdin.removeListener('data', keyHandler);
-                        process.stdin.setRawMode(false);
-                        process.stdin.pause();
-                        process.stdout.write('\n');
-                        resolve(password);
-                    } else if (buffer.toString() === '\u0003' || buffer.toString() === '\u0004' || buffer.toString() === '\u0000') {
-                        console.log(chalk.red('Cancelled'));
-                        process.stdin.removeListener('data', keyHandler);
-                        process.stdin.setRawMode(false);
-                        process.stdin.pause();
-                        process.stdout.write('\n');
-                        resolve(password);
-                    } else {
-                        password += buffer.toString();
-                        // process.stdout.write('*');
-                    }
-                };
-                
-                process.stdin.on('data', keyHandler);
-            });
+            // Raw mode without echo - the password is never written back nor logged
+            try {
+                input = await promptPassword(chalk.cyan(prompt));
+            } catch (error) {
+                console.log(chalk.red(error.message));
+                input = null;
+            }
         } else {
-            process.stdout.write(chalk.cyan(`${prompt}: `));
-            input = await rl.question('');
+            input = await ask(chalk.cyan(`${prompt}: `));
         }
         
-        console.log(chalk.cyan(`Input received: ${input}`));
-        deployer.emit(DEPLOYER_EVENTS.INPUT_RECEIVED, { input });
+        deployer.emit(DEPLOYER_EVENTS.INPUT_RECEIVED, { input, type });
     });
 
-    deployer.on(DEPLOYER_EVENTS.INPUT_RECEIVED, ({ input }) => {
-        console.log(chalk.cyan(`Input received: ${input}`));
+    deployer.on(DEPLOYER_EVENTS.INPUT_RECEIVED, ({ input, type }) => {
+        console.log(chalk.cyan(`Input received: ${type === 'password' ? '(hidden)' : redactString(String(input))}`));
     });
 
 
     deployer.on(DEPLOYER_EVENTS.CONFIRMATION_REQUIRED, async ({ message, data }) => {
-        const input = await rl.question(`${message} (y/N): `);
+        const input = await ask(`${message} (y/N): `);
         deployer.emit(DEPLOYER_EVENTS.CONFIRMATION_RECEIVED, { confirmed: input === 'y' });
     });
 
@@ -134,7 +127,9 @@ export async function startWithoutUI(deployer, config, cleanup) {
                     name: step.name ?? 'unknown'
                 });
 
-                const result = await processes[step.id](deployer, config);
+                deployment = await step.handler(deployer, manifest.configs[step.id], deployment);
+                // Deployed addresses so far - the deployment itself holds the provider and bigints
+                const result = { contracts: deployment.contracts, timeTaken: deployment.processes[step.id]?.timeTaken };
 
                 deployer.emit(DEPLOYER_EVENTS.PROCESS_COMPLETE, {
                     processId: step.id,
@@ -180,7 +175,7 @@ export async function startWithoutUI(deployer, config, cleanup) {
         console.log(chalk.gray(JSON.stringify(deployer.getStatus(), null, 2)));
         
     } finally {
-        rl.close();
         await cleanup();
+        restoreConsole();
     }
 }
\ No newline at end of file
@@ -0,0 +1,53 @@
+import Deployer from './Deployer.js';
+import loadManifest, { getManifestPath } from './utils/loadManifest.js';
+import resumeDeployment from './utils/resumeDeployment.js';
+import exportDeployment from './utils/exportDeployment.js';
+import { prepareEnvironment } from './processes/prepare/prepareEnvironment.js';
+import { upgradeProxies } from './processes/upgrade/upgradeProxies.js';
+import upgradeProxiesConfig from './configs/upgradeProxies.js';
+import { redactConsole } from './utils/redaction.js';
+
+// Upgrades the proxies of a saved deployment (its checkpoint) to the current artifacts, then saves the checkpoint back
+// Usage: NETWORK=sepolia node --env-file=.env upgrade --deployment <deploymentId> [--manifest <file|network>] [--contracts A,B] [--check]
+// The config is the upgradeProxies process of the manifest (configs/upgradeProxies.js without manifest).
+async function main() {
+    // Secrets are replaced in console output for the whole run (see utils/redaction.js)
+    redactConsole();
+    const deployer = new Deployer();
+
+    const getArg = (name) => {
+        const index = process.argv.indexOf(name);
+        return index !== -1 ? process.argv[index + 1] : undefined;
+    };
+    const deploymentId = getArg('--deployment') || process.env.DEPLOYMENT_ID;
+    if (!deploymentId || deploymentId.startsWith('--')) {
+        throw new Error('Missing deployment. Usage: --deployment <deploymentId>');
+    }
+
+    const manifestPath = getManifestPath();
+    const manifest = manifestPath ? loadManifest(manifestPath) : null;
+    const config = { ...(manifest?.configs.upgradeProxies || upgradeProxiesConfig) };
+    if (getArg('--contracts')) config.contracts = getArg('--contracts').split(',');
+    if (process.argv.includes('--check')) config.checkOnly = true;
+
+    let deployment = { network: manifest?.network || process.env.NETWORK, processes: {} };
+    await resumeDeployment(deployment, deployer, deploymentId);
+    deployment.signer = { fee: {} };
+    deployment = await prepareEnvironment(deployer, { contracts: {} }, deployment);
+    deployment = await upgradeProxies(deployer, config, deployment);
+
+    if (!config.checkOnly) {
+        await deployer.logger.flush();
+        const { checkpointPath } = await deployer
+            .getStateAdapter()
+            .saveDeploymentCheckpoint(deployment.id, exportDeployment(deployment), deployer.logger.export());
+        console.log(`\x1b[90m==== Checkpoint saved : ${checkpointPath} ====\x1b[0m`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
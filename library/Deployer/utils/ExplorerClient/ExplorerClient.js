@@ -0,0 +1,62 @@
+// Client of an Etherscan compatible contract API (Etherscan v2, Blockscout, or the local_explorer stand-in).
+// chainid and apikey are sent as query parameters on every call, the source code is posted as a form.
+class ExplorerClient {
+    constructor({ apiUrl, apiKey, chainId }) {
+        if (!apiUrl) {
+            throw new Error('Block explorer API url is not set (blockExplorerApiUrl of the network file)');
+        }
+        this.apiUrl = apiUrl;
+        this.apiKey = apiKey || '';
+        this.chainId = chainId;
+    }
+
+    async request(params, form = null) {
+        const url = new URL(this.apiUrl);
+        url.searchParams.set('chainid', String(this.chainId));
+        url.searchParams.set('apikey', this.apiKey);
+        for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+
+        const response = await fetch(url, form
+            ? {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams(form).toString(),
+            }
+            : { method: 'GET' });
+        if (!response.ok) {
+            throw new Error(`Block explorer ${url.origin} answered ${response.status} to ${params.action}`);
+        }
+        return response.json();
+    }
+
+    async isVerified(address) {
+        const { status, result } = await this.request({ module: 'contract', action: 'getsourcecode', address });
+        return status === '1' && Array.isArray(result) && Boolean(result[0]?.SourceCode);
+    }
+
+    // Resolves with the verification GUID, or null when the explorer reports the source as already verified
+    async submit({ address, contractName, compilerVersion, input, constructorArguments }) {
+        const { status, result } = await this.request({ module: 'contract', action: 'verifysourcecode' }, {
+            codeformat: 'solidity-standard-json-input',
+            contractaddress: address,
+            contractname: contractName,
+            compilerversion: compilerVersion,
+            sourceCode: JSON.stringify(input),
+            // Misspelled on purpose: this is the parameter name of the Etherscan API
+            constructorArguements: constructorArguments,
+        });
+        if (status === '1') return result;
+        if (/already verified/i.test(result)) return null;
+        throw new Error(`Verification of ${contractName} at ${address} rejected: ${result}`);
+    }
+
+    // { status: 'pending' | 'verified' | 'failed', message }
+    async checkStatus(guid) {
+        const { status, result } = await this.request({ module: 'contract', action: 'checkverifystatus', guid });
+        if (status === '1' || /already verified/i.test(result)) return { status: 'verified', message: result };
+        if (/pending|queue/i.test(result)) return { status: 'pending', message: result };
+        return { status: 'failed', message: result };
+    }
+}
+
+export default ExplorerClient;
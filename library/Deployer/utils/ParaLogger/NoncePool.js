@@ -0,0 +1,87 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+// Worker threads searching the nonce of one entry together: worker i tries nonces i, i + size, i + 2 * size...
+// Entries are chained, so searches never overlap: the first nonce found ends the search for every worker.
+// Idle workers do not keep the process alive.
+class NoncePool {
+    constructor(size = NoncePool.defaultSize()) {
+        this.size = size;
+        this.workers = [];
+        this.job = new Int32Array(new SharedArrayBuffer(4));
+        this.lastId = 0;
+        this.current = null;
+    }
+
+    // One core is left to the event loop
+    static defaultSize() {
+        return Math.max(1, Math.min(4, os.availableParallelism() - 1));
+    }
+
+    start() {
+        if (this.workers.length > 0) return;
+        this.workers = Array.from({ length: this.size }, () => {
+            const worker = new Worker(new URL('./nonceWorker.js', import.meta.url), { workerData: { job: this.job.buffer } });
+            worker.on('message', (message) => this.onMessage(message));
+            worker.on('error', (error) => this.onError(error));
+            worker.unref();
+            return worker;
+        });
+    }
+
+    run(message, collect) {
+        this.start();
+        const id = this.lastId = this.lastId % 0x7fffffff + 1;
+        Atomics.store(this.job, 0, id);
+        return new Promise((resolve, reject) => {
+            this.current = { id, resolve, reject, collect, results: [] };
+            this.workers.forEach((worker, index) => {
+                worker.ref();
+                worker.postMessage({ ...message, id, start: index, step: this.size });
+            });
+        });
+    }
+
+    // Resolves with { nonce, hash }
+    search(prefix, target) {
+        return this.run({ prefix, target }, (message) => message.result);
+    }
+
+    // Resolves with the hashes per second of the whole pool
+    async benchmark(durationMs = 1000) {
+        const hashRates = await this.run({ benchmark: durationMs }, (message, results) =>
+            results.length === this.size ? results.map(({ hashRate }) => hashRate) : null
+        );
+        return hashRates.reduce((total, hashRate) => total + hashRate, 0);
+    }
+
+    onMessage(message) {
+        const current = this.current;
+        if (!current || message.id !== current.id) return;
+        current.results.push(message);
+        const result = current.collect(message, current.results);
+        if (!result) return;
+
+        // Stops the other workers, whose answer (null) is ignored
+        Atomics.store(this.job, 0, 0);
+        this.current = null;
+        this.workers.forEach(worker => worker.unref());
+        current.resolve(result);
+    }
+
+    onError(error) {
+        const current = this.current;
+        this.current = null;
+        this.terminate();
+        current?.reject(error);
+    }
+
+    async terminate() {
+        const workers = this.workers;
+        this.workers = [];
+        Atomics.store(this.job, 0, 0);
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}
+
+export default NoncePool;
@@ -1,36 +1,135 @@
 import crypto from 'crypto';
 import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import NoncePool from './NoncePool.js';
+import ScopedLogger from './ScopedLogger.js';
+import { getLogLevel, isLogLevel, LOG_LEVELS, meetsLevel } from './logTypes.js';
+import { redact } from '../redaction.js';
+import { getNoncePrefix, getTarget, measureHashRate, meetsTarget, searchNonce } from './proofOfWork.js';
+
+// EIP-712 checkpoint: the signer vouches for the first `entries` entries, the last of them hashing to lastHash
+export const CHECKPOINT_TYPES = {
+    LogCheckpoint: [
+        { name: 'lastHash', type: 'bytes32' },
+        { name: 'entries', type: 'uint256' },
+    ],
+};
+
+export function getCheckpointDomain(chainId) {
+    return { name: 'ParaLogger', version: '1', chainId };
+}
+
+// Address that signed a LOG_CHECKPOINT entry
+export function recoverCheckpointSigner({ chainId, lastHash, entries, signature }) {
+    return ethers.verifyTypedData(getCheckpointDomain(chainId), CHECKPOINT_TYPES, { lastHash, entries }, signature);
+}
+
+// Hash of an entry as findNonce computed it: everything but the hash itself, in the order addLog wrote it
+export function hashLogEntry({ hash, previousHash, nonce, ...data }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ ...data, previousHash, nonce }))
+        .digest('hex');
+}
+
+// Re-verifies a chain of entries (ParaLogger.export().logs, or a saved logs file): linkage, proof of work, hashes,
+// and the signature of every LOG_CHECKPOINT entry over the hash of the entry it covers.
+// Never stops at the first error, an edited entry is the only one failing as the next one links to its stored hash.
+// Returns { valid, errors: [{ index, type, reason }], checkpoints: [{ index, entries, signer }] }
+export function verifyLogChain(logs, difficulty) {
+    const target = getTarget(difficulty);
+    const errors = [];
+    const checkpoints = [];
+    let prevHash = '';
+
+    logs.forEach((log, index) => {
+        const fail = (reason) => errors.push({ index, type: log.type, reason });
+
+        if (log.previousHash !== prevHash) {
+            fail(`previousHash ${log.previousHash || '(empty)'} does not link to the previous entry ${prevHash || '(none)'}`);
+        }
+        const computedHash = hashLogEntry(log);
+        if (computedHash !== log.hash) {
+            fail(`content does not match its hash ${log.hash} (computed ${computedHash})`);
+        } else if (!meetsTarget(computedHash, target)) {
+            fail(`hash ${log.hash} does not meet difficulty ${difficulty}`);
+        }
+        if (log.type === 'LOG_CHECKPOINT') {
+            const { signer, lastHash, entries } = log.data || {};
+            let recovered = null;
+            try {
+                recovered = recoverCheckpointSigner(log.data);
+            } catch (error) {
+                fail(`unreadable checkpoint signature (${error.message})`);
+            }
+            if (recovered && recovered !== signer) {
+                fail(`checkpoint signed by ${recovered}, not by ${signer}`);
+            }
+            // The signed entry comes before the checkpoint, not always right before it (entries added while signing)
+            if (!(entries > 0 && entries <= index) || `0x${logs[entries - 1].hash}` !== lastHash) {
+                fail(`checkpoint over ${lastHash} does not match entry #${entries - 1}`);
+            }
+            checkpoints.push({ index, entries, signer: recovered });
+        }
+        prevHash = log.hash;
+    });
+
+    return { valid: errors.length === 0, errors, checkpoints };
+}
+
+// Colors and other SGR escape codes: presentation belongs to the sinks, not to the hashed entries
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+export function stripAnsi(value) {
+    return typeof value === 'string' ? value.replace(ANSI_PATTERN, '') : value;
+}
 
 class ParaLogger extends EventEmitter {
-    constructor(difficulty = 4) {
+    // options.workers: size of the nonce search pool (see NoncePool), 0 to always search on the main thread.
+    // options.inlineDifficulty: up to this difficulty a nonce costs a few hundred hashes, found faster than a worker answers
+    constructor(difficulty = 4, options = {}) {
         super();
         this.logs = [];
         this.lastHash = '';
-        this.difficulty = difficulty; // Number of leading zeros required in hash
-        this.target = '0'.repeat(difficulty); // Target string for proof of work
+        this.difficulty = difficulty; // 16^difficulty hashes per entry on average, see proofOfWork.js
+        this.target = getTarget(difficulty); // Hashes below it meet the difficulty
+        this.options = {
+            workers: NoncePool.defaultSize(),
+            inlineDifficulty: 2,
+            ...options
+        };
+        this.pool = null;
+        // Entries are chained one at a time, in the order of the addLog calls
+        this.pending = Promise.resolve();
+        this.queued = 0;
+        // Entries that could not be chained, reported by the next flush()
+        this.errors = [];
+        // Where chained entries go (console, NDJSON file, CLIMatic window), see sinks/index.js
+        this.sinks = [];
+        this.scope = null;
     }
 
+    get root() {
+        return this;
+    }
+
+    // Synchronous search on the calling thread
     findNonce(data, previousHash) {
-        let nonce = 0;
-        let start = Date.now();
-        let hash;
-        
-        while (true) {
-            const entry = {
-                ...this.prepareBigIntForJSON(data),
-                previousHash,
-                nonce
-            };
-            
-            hash = crypto.createHash('sha256')
-                .update(JSON.stringify(entry))
-                .digest('hex');
-            
-            if (hash.startsWith(this.target)) {
-                return { hash, nonce };
-            }
-            
-            nonce++;
+        return searchNonce(getNoncePrefix(this.prepareBigIntForJSON(data), previousHash), this.target);
+    }
+
+    // Off the event loop above inlineDifficulty. A failing pool falls back to the main thread: an entry is never lost
+    async findNonceAsync(data, previousHash) {
+        if (this.difficulty <= this.options.inlineDifficulty || this.options.workers < 1) {
+            return this.findNonce(data, previousHash);
+        }
+        try {
+            this.pool = this.pool || new NoncePool(this.options.workers);
+            return await this.pool.search(getNoncePrefix(data, previousHash), this.target);
+        } catch (error) {
+            this.pool = null;
+            this.options.workers = 0;
+            this.emit('POOL_ERROR', error);
+            return this.findNonce(data, previousHash);
         }
     }
 
@@ -39,33 +138,192 @@ class ParaLogger extends EventEmitter {
         return JSON.parse(JSON.stringify(obj, (key, value) =>
             typeof value === 'bigint'
                 ? value.toString()
-                : value
+                : stripAnsi(value)
         ));
     }
 
-    addLog(type, data) {
-        const timestamp = Date.now();
+    // Queues the entry and resolves with it once chained (null when it failed, see flush). The timestamp and the data
+    // are taken at call time, so callers can go on without awaiting: later changes to `data` do not reach the log.
+    // level: one of LOG_LEVELS, from the type registry when not given (see logTypes.js)
+    addLog(type, data, level = null) {
+        return this.enqueue(type, data, level, this.scope);
+    }
+
+    debug(type, data) {
+        return this.addLog(type, data, 'debug');
+    }
+
+    info(type, data) {
+        return this.addLog(type, data, 'info');
+    }
+
+    warn(type, data) {
+        return this.addLog(type, data, 'warn');
+    }
+
+    error(type, data) {
+        return this.addLog(type, data, 'error');
+    }
+
+    // Logger whose entries carry `scope` (a process id), sharing this chain - see ScopedLogger
+    child(scope) {
+        return new ScopedLogger(this, scope);
+    }
+
+    enqueue(type, data, level, scope) {
+        type = stripAnsi(type);
+        level = level || getLogLevel(type);
+        if (!isLogLevel(level)) {
+            throw new Error(`Unknown log level ${level} for ${type} (expected one of ${LOG_LEVELS.join(', ')})`);
+        }
         const logData = {
-            timestamp,
+            timestamp: Date.now(),
             type,
-            data: this.prepareBigIntForJSON(data)
+            level,
+            scope,
+            // Secrets never enter the chain: once hashed, an entry cannot be redacted (see utils/redaction.js)
+            data: redact(this.prepareBigIntForJSON(stripAnsi(data)))
         };
 
-        const { hash, nonce } = this.findNonce(logData, this.lastHash);
-        
+        return this.queue(logData);
+    }
+
+    // Never rejects: callers do not await their entries, a failure is recorded for flush() instead
+    queue(logData, options) {
+        this.queued++;
+        const entry = this.pending
+            .then(() => this.chain(logData, options))
+            .catch((error) => {
+                this.errors.push({ type: logData.type, error });
+                this.emit('LOG_ERROR', { type: logData.type, error });
+                return null;
+            })
+            .finally(() => {
+                this.queued--;
+            });
+        this.pending = entry;
+        return entry;
+    }
+
+    // silent: the entry was already emitted and written to the sinks (see continueChain)
+    async chain(logData, { silent = false } = {}) {
+        const previousHash = this.lastHash;
+        const { hash, nonce } = await this.findNonceAsync(logData, previousHash);
+
         const entry = {
             ...logData,
-            previousHash: this.lastHash,
+            previousHash,
             nonce,
             hash
         };
-        
+
         this.lastHash = hash;
         this.logs.push(entry);
-        this.emit('ADD_LOG', entry);
+        if (!silent) {
+            this.emit('ADD_LOG', entry);
+            this.writeSinks(entry);
+        }
         return entry;
     }
 
+    // Continues an exported chain (resumed deployments): its entries are verified and kept, the next ones link to its
+    // final hash and use its difficulty. Entries added before are chained again after them.
+    async continueChain({ logs = [], finalHash = '', difficulty }) {
+        await this.flush();
+        const { valid, errors } = verifyLogChain(logs, difficulty);
+        const lastHash = logs.length > 0 ? logs[logs.length - 1].hash : '';
+        if (!valid || lastHash !== finalHash) {
+            const reason = errors.length > 0
+                ? `entry #${errors[0].index} ${errors[0].type}: ${errors[0].reason}`
+                : `finalHash ${finalHash} is not the hash of the last entry ${lastHash}`;
+            throw new Error(`Cannot continue the saved log chain, ${reason}`);
+        }
+
+        const added = this.logs;
+        this.logs = [...logs];
+        this.lastHash = finalHash;
+        this.difficulty = difficulty;
+        this.target = getTarget(difficulty);
+        added.forEach(({ previousHash, nonce, hash, ...logData }) => this.queue(logData, { silent: true }));
+        return this.flush();
+    }
+
+    addSink(sink) {
+        this.sinks.push(sink);
+        return sink;
+    }
+
+    removeSink(sink) {
+        this.sinks = this.sinks.filter(other => other !== sink);
+    }
+
+    // A failing sink is dropped: the chain must go on
+    writeSinks(entry) {
+        for (const sink of this.sinks) {
+            if (!meetsLevel(entry.level, sink.level)) continue;
+            if (sink.scopes && !sink.scopes.includes(entry.scope?.split('/')[0])) continue;
+            try {
+                sink.write(entry);
+            } catch (error) {
+                this.removeSink(sink);
+                console.error(`Log sink ${sink.type} removed: ${error.message}`);
+            }
+        }
+    }
+
+    // Resolves once every entry added so far is chained - before export() when the log is saved.
+    // Rejects, once, when entries were lost since the last flush: the log would be saved incomplete.
+    async flush() {
+        await this.pending;
+        if (this.errors.length > 0) {
+            const errors = this.errors.splice(0);
+            throw new Error(`${errors.length} log entries could not be chained: ${errors.map(({ type, error }) => `${type} (${error.message})`).join(', ')}`);
+        }
+    }
+
+    // Releases the pool and the sinks even when entries were lost, then rethrows the flush error
+    async close() {
+        try {
+            await this.flush();
+        } finally {
+            await this.pool?.terminate();
+            this.pool = null;
+            await Promise.all(this.sinks.map(sink => sink.close?.()));
+            this.sinks = [];
+        }
+    }
+
+    // Difficulty whose nonce takes about targetMs with this logger's pool (or on one thread without workers), from a
+    // benchmark of sampleMs. Resolves with { difficulty, hashRate, workers }, difficulty rounded to 0.05
+    async calibrate(targetMs, sampleMs = 1000) {
+        const workers = this.options.workers;
+        let hashRate;
+        if (workers < 1) {
+            hashRate = measureHashRate(sampleMs);
+        } else {
+            this.pool = this.pool || new NoncePool(workers);
+            hashRate = await this.pool.benchmark(sampleMs);
+        }
+        const difficulty = Math.max(0, Math.round(Math.log(hashRate * targetMs / 1000) / Math.log(16) * 20) / 20);
+        return { difficulty, hashRate, workers };
+    }
+
+    // Signs the current lastHash (EIP-712, see CHECKPOINT_TYPES) and appends it as a LOG_CHECKPOINT entry:
+    // editing a signed entry now requires the key, recomputing the chain is no longer enough
+    async checkpoint(signer, chainId) {
+        await this.flush();
+        if (this.logs.length === 0) return null;
+
+        const value = { lastHash: `0x${this.lastHash}`, entries: this.logs.length };
+        const signature = await signer.signTypedData(getCheckpointDomain(chainId), CHECKPOINT_TYPES, value);
+        return this.addLog('LOG_CHECKPOINT', {
+            signer: await signer.getAddress(),
+            chainId,
+            ...value,
+            signature,
+        });
+    }
+
     export(options = { excludeHashes: false }) {
         return {
             logs: options.excludeHashes ? 
@@ -77,32 +335,7 @@ class ParaLogger extends EventEmitter {
     }
 
     verify() {
-        let prevHash = '';
-        
-        for (const log of this.logs) {
-            const {hash, previousHash, nonce, ...data} = log;
-            
-            // Verify hash chain
-            if (previousHash !== prevHash) {
-                return false;
-            }
-            
-            // Verify proof of work
-            const computedHash = crypto.createHash('sha256')
-                .update(JSON.stringify({...data, previousHash, nonce}))
-                .digest('hex');
-                
-            if (!computedHash.startsWith(this.target)) {
-                return false;
-            }
-            
-            if (computedHash !== hash) {
-                return false;
-            }
-            
-            prevHash = hash;
-        }
-        return true;
+        return verifyLogChain(this.logs, this.difficulty).valid;
     }
 
     getDifficulty() {
@@ -110,11 +343,11 @@ class ParaLogger extends EventEmitter {
     }
 
     setDifficulty(newDifficulty) {
-        if (this.logs.length > 0) {
+        if (this.logs.length > 0 || this.queued > 0) {
             throw new Error('Cannot change difficulty after logs have been added');
         }
         this.difficulty = newDifficulty;
-        this.target = '0'.repeat(newDifficulty);
+        this.target = getTarget(newDifficulty);
     }
 
     getStats() {
@@ -0,0 +1,64 @@
+// Logger of one process (see ParaLogger.child): its entries carry its scope, everything else is the root logger's.
+// Scopes nest: child('deployBox').child('proxy') logs as deployBox/proxy.
+class ScopedLogger {
+    constructor(root, scope) {
+        this.root = root;
+        this.scope = scope;
+    }
+
+    // level: one of LOG_LEVELS, from the type registry when not given (see logTypes.js)
+    addLog(type, data, level = null) {
+        return this.root.enqueue(type, data, level, this.scope);
+    }
+
+    debug(type, data) {
+        return this.addLog(type, data, 'debug');
+    }
+
+    info(type, data) {
+        return this.addLog(type, data, 'info');
+    }
+
+    warn(type, data) {
+        return this.addLog(type, data, 'warn');
+    }
+
+    error(type, data) {
+        return this.addLog(type, data, 'error');
+    }
+
+    child(scope) {
+        return new ScopedLogger(this.root, `${this.scope}/${scope}`);
+    }
+
+    get logs() {
+        return this.root.logs;
+    }
+
+    flush() {
+        return this.root.flush();
+    }
+
+    export(options) {
+        return this.root.export(options);
+    }
+
+    verify() {
+        return this.root.verify();
+    }
+
+    getStats() {
+        return this.root.getStats();
+    }
+
+    checkpoint(signer, chainId) {
+        return this.root.checkpoint(signer, chainId);
+    }
+
+    on(event, listener) {
+        this.root.on(event, listener);
+        return this;
+    }
+}
+
+export default ScopedLogger;
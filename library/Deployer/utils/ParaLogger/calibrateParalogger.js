@@ -1,54 +1,49 @@
 import ParaLogger from './ParaLogger.js';
+import NoncePool from './NoncePool.js';
 
-async function measureDifficulty(difficulty, samples = 3) {
-    const logger = new ParaLogger(difficulty);
+// Recommends a log difficulty per target time from the hash rate of this machine, then checks it with real entries.
+// Usage: node utils/ParaLogger/calibrateParalogger [--workers <n>] [--samples <n>]
+// The Deployer reads the difficulty from LOG_DIFFICULTY (1 by default).
+function getArg(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? Number(process.argv[index + 1]) : fallback;
+}
+
+async function measureDifficulty(difficulty, workers, samples) {
+    const logger = new ParaLogger(difficulty, { workers });
     const times = [];
-    
-    console.log(`\nTesting difficulty: ${difficulty}`);
-    
-    for(let i = 0; i < samples; i++) {
+
+    for (let i = 0; i < samples; i++) {
         const start = Date.now();
         await logger.addLog('TEST', { sample: i });
-        const duration = Date.now() - start;
-        times.push(duration);
-        console.log(`Sample ${i + 1}: ${duration}ms`);
+        times.push(Date.now() - start);
     }
-    
-    const avg = times.reduce((a, b) => a + b, 0) / times.length;
-    const min = Math.min(...times);
-    const max = Math.max(...times);
-    
+    await logger.close();
+
     return {
-        difficulty,
-        averageMs: avg,
-        minMs: min,
-        maxMs: max
+        averageMs: Math.round(times.reduce((a, b) => a + b, 0) / times.length),
+        minMs: Math.min(...times),
+        maxMs: Math.max(...times),
     };
 }
 
 async function calibrate() {
-    console.log('Starting ParaLogger calibration...');
-    
+    const workers = getArg('--workers', NoncePool.defaultSize());
+    const samples = getArg('--samples', 5);
+    console.log(`Starting ParaLogger calibration (${workers} workers)...`);
+
+    const logger = new ParaLogger(0, { workers });
     const results = [];
-    // Test difficulties from 5 to 7 in 0.25 increments
-    for(let diff = 5; diff <= 7; diff += 0.25) {
-        const result = await measureDifficulty(diff);
-        results.push(result);
+    for (const targetMs of [100, 500, 1000, 5000]) {
+        const { difficulty, hashRate } = await logger.calibrate(targetMs);
+        // A nonce search is geometric: single entries can take several times the average
+        results.push({ targetMs, difficulty, hashRate: Math.round(hashRate), ...await measureDifficulty(difficulty, workers, samples) });
     }
-    
+    await logger.close();
+
     console.log('\nCalibration Results:');
     console.table(results);
-    
-    const timeTargets = [100, 500, 1000, 5000];
-    console.log('\nRecommended difficulties:');
-    
-    for(const target of timeTargets) {
-        const closest = results.reduce((prev, curr) => {
-            return Math.abs(curr.averageMs - target) < Math.abs(prev.averageMs - target) ? curr : prev;
-        });
-        
-        console.log(`For ~${target}ms: difficulty ${closest.difficulty} (actual: ${closest.averageMs.toFixed(0)}ms)`);
-    }
+    console.log('\nSet LOG_DIFFICULTY to the difficulty of the chosen target time.');
 }
 
-calibrate().catch(console.error);
\ No newline at end of file
+calibrate().catch(console.error);
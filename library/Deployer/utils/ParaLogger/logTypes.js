@@ -0,0 +1,59 @@
+// Levels from the most verbose, a sink keeps the entries at or above its level
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Type => level. Unregistered types get the level of their name (see LEVEL_PATTERNS), info by default
+const LOG_TYPES = new Map();
+
+const LEVEL_PATTERNS = [
+    ['error', /(^|_)(ERROR|FAILED)(_|$)/],
+    ['warn', /(^|_)(MISMATCH|MISSING|SKIPPED|TIMEOUT|REJECTED|NOT_[A-Z]+|REORG(ED)?|BUMPED)(_|$)/],
+    ['debug', /^(CONFIG|CHECKING)_|_(LOADING|CHECK)$/],
+];
+
+export function isLogLevel(level) {
+    return LOG_LEVELS.includes(level);
+}
+
+export function registerLogType(type, level) {
+    if (!isLogLevel(level)) {
+        throw new Error(`Unknown log level ${level} for ${type} (expected one of ${LOG_LEVELS.join(', ')})`);
+    }
+    LOG_TYPES.set(type, level);
+}
+
+export function registerLogTypes(types) {
+    Object.entries(types).forEach(([type, level]) => registerLogType(type, level));
+}
+
+export function getLogLevel(type) {
+    if (LOG_TYPES.has(type)) return LOG_TYPES.get(type);
+    const match = LEVEL_PATTERNS.find(([, pattern]) => pattern.test(type));
+    return match ? match[0] : 'info';
+}
+
+// true when an entry of `level` passes a `minLevel` filter
+export function meetsLevel(level, minLevel = 'debug') {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minLevel);
+}
+
+// Types whose name does not tell their level
+registerLogTypes({
+    WALLET_CREATED: 'debug',
+    SIGNER_UNLOCKED: 'info',
+    LOG_CHECKPOINT: 'debug',
+    TX_SENT: 'info',
+    TX_MINED: 'info',
+    DEPLOY_TRANSACTION: 'debug',
+    DEPLOY_CONTRACT_ADDRESS: 'debug',
+    CONTRACT_ALREADY_DEPLOYED: 'warn',
+    CREATE2_ALREADY_DEPLOYED: 'warn',
+    CREATE2_FACTORY_MISSING: 'warn',
+    REORG_DETECTED: 'warn',
+    STABILITY_POOL_ALREADY_INITIALIZED: 'warn',
+    PROCESS_RAAC_TGE_VESTING_ALREADY_EXISTS: 'warn',
+    PROCESS_RAAC_TGE_DIRECT_TRANSFER_ALREADY_HAS_BALANCE: 'warn',
+    TRANSFER_OWNERSHIPS_ALREADY_OWNER: 'warn',
+    TRANSFER_OWNERSHIPS_ACCEPTANCE_PENDING: 'warn',
+    VERIFY_SOURCES_ALREADY_VERIFIED: 'info',
+    SIMULATION_START: 'debug',
+});
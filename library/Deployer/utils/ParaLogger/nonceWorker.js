@@ -0,0 +1,14 @@
+import { parentPort, workerData } from 'worker_threads';
+import { measureHashRate, searchNonce } from './proofOfWork.js';
+
+// Id of the running search, shared with the pool: a worker stops as soon as it changes (found by another worker)
+const job = new Int32Array(workerData.job);
+
+parentPort.on('message', ({ id, prefix, target, start, step, benchmark }) => {
+    if (benchmark) {
+        parentPort.postMessage({ id, hashRate: measureHashRate(benchmark) });
+        return;
+    }
+    const result = searchNonce(prefix, target, start, step, () => Atomics.load(job, 0) !== id);
+    parentPort.postMessage({ id, result });
+});
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+// Hashes below the target meet the difficulty: 16^-difficulty of them, so a difficulty of d costs 16^d hashes on average.
+// For a whole difficulty this is exactly "d leading zeros", fractional ones (5.5) fall in between.
+// The target is a 64 hex digits string: hex hashes of the same length compare as numbers.
+export function getTarget(difficulty) {
+    // Every hex digit sorts before 'g': no work at all
+    if (difficulty <= 0) return 'g';
+    if (difficulty > 64) {
+        throw new Error(`Difficulty ${difficulty} is above 64 (sha256 has 64 hex digits)`);
+    }
+    const exponent = 256 - 4 * difficulty;
+    const whole = Math.floor(exponent);
+    // 2^exponent with 20 bits of precision on the fractional part
+    const target = (2n ** BigInt(whole)) * BigInt(Math.round(2 ** (exponent - whole) * 2 ** 20)) / 2n ** 20n;
+    return target >= 2n ** 256n ? 'g' : target.toString(16).padStart(64, '0');
+}
+
+export function meetsTarget(hash, target) {
+    return hash < target;
+}
+
+// The JSON findNonce hashes, up to the nonce: `nonce` is its last key, only the digits and the closing brace change
+export function getNoncePrefix(logData, previousHash) {
+    return JSON.stringify({ ...logData, previousHash, nonce: 0 }).slice(0, -'0}'.length);
+}
+
+// Tries nonces start, start + step, ... until one meets the target. shouldStop is polled every 1024 hashes:
+// resolves with null when it returns true (another worker found a nonce).
+export function searchNonce(prefix, target, start = 0, step = 1, shouldStop = null) {
+    for (let nonce = start, tries = 1; ; nonce += step, tries++) {
+        const hash = crypto.createHash('sha256').update(`${prefix}${nonce}}`).digest('hex');
+        if (meetsTarget(hash, target)) {
+            return { nonce, hash };
+        }
+        if (shouldStop && tries % 1024 === 0 && shouldStop()) {
+            return null;
+        }
+    }
+}
+
+// Hashes per second of one thread, the same work as searchNonce
+export function measureHashRate(durationMs = 1000) {
+    const prefix = getNoncePrefix({ timestamp: Date.now(), type: 'BENCHMARK', data: { sample: 'x'.repeat(256) } }, '0'.repeat(64));
+    const start = Date.now();
+    let hashes = 0;
+    while (Date.now() - start < durationMs) {
+        // Never meets the empty target
+        searchNonce(prefix, '', hashes, 1, () => true);
+        hashes += 1024;
+    }
+    return hashes * 1000 / (Date.now() - start);
+}
@@ -0,0 +1,18 @@
+import { formatLogEntry, LEVEL_COLORS } from './formatLogEntry.js';
+
+// Sends entries to a CLIMatic LogRenderer (options.renderer), which adds its own timestamp
+export default class CLIMaticSink {
+    constructor(options = {}) {
+        if (!options.renderer) {
+            throw new Error('CLIMatic log sink needs a renderer');
+        }
+        this.type = 'climatic';
+        this.renderer = options.renderer;
+        this.level = options.level || 'info';
+        this.scopes = options.scopes || null;
+    }
+
+    write(entry) {
+        this.renderer.addLog(`${LEVEL_COLORS[entry.level] || ''}${formatLogEntry(entry, { timestamp: false })}\x1b[0m`);
+    }
+}
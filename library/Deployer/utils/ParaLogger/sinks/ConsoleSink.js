@@ -0,0 +1,16 @@
+import { formatLogEntry, LEVEL_COLORS } from './formatLogEntry.js';
+
+// Prints entries on stdout, colored by level (colors are only added here, never logged)
+export default class ConsoleSink {
+    constructor(options = {}) {
+        this.type = 'console';
+        this.level = options.level || 'info';
+        this.scopes = options.scopes || null;
+        this.color = options.color ?? process.stdout.isTTY !== false;
+    }
+
+    write(entry) {
+        const line = formatLogEntry(entry);
+        console.log(this.color ? `${LEVEL_COLORS[entry.level] || ''}${line}\x1b[0m` : line);
+    }
+}
@@ -0,0 +1,25 @@
+import fs from 'fs';
+import path from 'path';
+
+// Appends every entry, hashes included, as one JSON line of options.file
+export default class NdjsonSink {
+    constructor(options = {}) {
+        if (!options.file) {
+            throw new Error('NDJSON log sink needs a file');
+        }
+        this.type = 'ndjson';
+        this.file = options.file;
+        this.level = options.level || 'debug';
+        this.scopes = options.scopes || null;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    }
+
+    write(entry) {
+        this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    close() {
+        return new Promise(resolve => this.stream.end(resolve));
+    }
+}
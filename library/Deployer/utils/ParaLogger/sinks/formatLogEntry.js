@@ -0,0 +1,18 @@
+export const LEVEL_COLORS = {
+    debug: '\x1b[90m',
+    info: '\x1b[36m',
+    warn: '\x1b[33m',
+    error: '\x1b[31m',
+};
+
+// One line per entry: [time] LEVEL scope TYPE data
+export function formatLogEntry({ timestamp, level, scope, type, data }, { timestamp: withTimestamp = true } = {}) {
+    const parts = [
+        withTimestamp ? `[${new Date(timestamp).toLocaleTimeString()}]` : null,
+        (level || 'info').toUpperCase().padEnd(5),
+        scope ? `[${scope}]` : null,
+        type,
+        data === undefined ? null : typeof data === 'string' ? data : JSON.stringify(data),
+    ];
+    return parts.filter(part => part !== null).join(' ');
+}
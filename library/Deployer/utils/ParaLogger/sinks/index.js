@@ -0,0 +1,34 @@
+import ConsoleSink from './ConsoleSink.js';
+import NdjsonSink from './NdjsonSink.js';
+import CLIMaticSink from './CLIMaticSink.js';
+import { isLogLevel, LOG_LEVELS } from '../logTypes.js';
+
+const SINKS = {
+    console: ConsoleSink,
+    ndjson: NdjsonSink,
+    climatic: CLIMaticSink,
+};
+
+// A log sink receives every chained entry of a ParaLogger (see ParaLogger.addSink): write(entry), close() optional.
+// Filters: `level` (minimum, see logTypes.js) and `scopes` (process ids, all when null).
+export default function createLogSink(config = {}) {
+    const Sink = SINKS[config.type];
+    if (!Sink) {
+        throw new Error(`Unknown log sink ${config.type} (expected one of ${Object.keys(SINKS).join(', ')})`);
+    }
+    if (config.level && !isLogLevel(config.level)) {
+        throw new Error(`Unknown log level ${config.level} (expected one of ${LOG_LEVELS.join(', ')})`);
+    }
+    return new Sink(config);
+}
+
+// Sinks of a CLI: `output` (console or climatic) filtered by LOG_LEVEL (info by default) and LOG_PROCESSES
+// (comma separated process ids), plus every entry as NDJSON in LOG_FILE when set
+export function createEnvLogSinks(output, env = process.env) {
+    const scopes = env.LOG_PROCESSES ? env.LOG_PROCESSES.split(',').map(id => id.trim()).filter(Boolean) : null;
+    const sinks = [createLogSink({ level: env.LOG_LEVEL || 'info', scopes, ...output })];
+    if (env.LOG_FILE) {
+        sinks.push(createLogSink({ type: 'ndjson', file: env.LOG_FILE }));
+    }
+    return sinks;
+}
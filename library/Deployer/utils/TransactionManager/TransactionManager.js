@@ -0,0 +1,213 @@
+import { ethers } from 'ethers';
+import { EventEmitter } from 'events';
+
+const DEFAULT_OPTIONS = {
+    // Blocks on top of the receipt block before a transaction is considered final
+    confirmations: 1,
+    // A transaction not mined after this delay is stuck: it is re-broadcast with bumped fees
+    stuckTimeout: 3 * 60 * 1000,
+    pollInterval: 4000,
+    // EIP-1559 fees (or legacy gasPrice) are raised by this percentage on each bump - nodes require at least 10%
+    feeBumpPercent: 15,
+    maxFeeBumps: 5,
+    // Upper bound for maxFeePerGas (wei) - a bump above it aborts instead
+    maxFeePerGasCap: null,
+};
+
+// Owns the nonces of one signer: every transaction is sent with an explicit nonce, monitored until mined,
+// re-broadcast with bumped fees when stuck, and reported when dropped or replaced by a transaction sent elsewhere.
+// Receipts are re-checked once `confirmations` deep: a transaction moved or dropped by a reorg is followed again.
+// Events: TX_SENT, TX_BUMPED, TX_MINED, TX_REORGED, TX_CONFIRMED ({ description, nonce, hash, ... })
+class TransactionManager extends EventEmitter {
+    constructor(signer, options = {}) {
+        super();
+        this.signer = signer;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.nextNonce = null;
+        // Serializes nonce assignment so concurrent sends never share a nonce
+        this.queue = Promise.resolve();
+    }
+
+    async getAddress() {
+        if (!this.address) this.address = await this.signer.getAddress();
+        return this.address;
+    }
+
+    // Pending count of the node wins over the local counter: it accounts for transactions sent outside of the manager
+    async reserveNonce() {
+        const reservation = this.queue.then(async () => {
+            const pendingNonce = await this.signer.provider.getTransactionCount(await this.getAddress(), 'pending');
+            const nonce = Math.max(this.nextNonce ?? 0, pendingNonce);
+            this.nextNonce = nonce + 1;
+            return nonce;
+        });
+        this.queue = reservation.catch(() => {});
+        return reservation;
+    }
+
+    async getFees(request) {
+        if (request.gasPrice) return { gasPrice: BigInt(request.gasPrice) };
+        const feeData = await this.signer.provider.getFeeData();
+        if (feeData.maxFeePerGas === null) {
+            return { gasPrice: feeData.gasPrice };
+        }
+        return {
+            maxFeePerGas: request.maxFeePerGas ? BigInt(request.maxFeePerGas) : feeData.maxFeePerGas,
+            maxPriorityFeePerGas: request.maxPriorityFeePerGas ? BigInt(request.maxPriorityFeePerGas) : feeData.maxPriorityFeePerGas,
+        };
+    }
+
+    async bumpFees(fees) {
+        const bump = (value) => value + (value * BigInt(Math.round(this.options.feeBumpPercent * 100))) / 10000n + 1n;
+        const feeData = await this.signer.provider.getFeeData();
+
+        let bumped;
+        if (fees.gasPrice !== undefined) {
+            bumped = { gasPrice: bump(fees.gasPrice) };
+            if (feeData.gasPrice && feeData.gasPrice > bumped.gasPrice) bumped.gasPrice = feeData.gasPrice;
+        } else {
+            const maxPriorityFeePerGas = bump(fees.maxPriorityFeePerGas);
+            let maxFeePerGas = bump(fees.maxFeePerGas);
+            // Follow the network when the base fee went up more than the bump
+            if (feeData.maxFeePerGas && feeData.maxFeePerGas > maxFeePerGas) maxFeePerGas = feeData.maxFeePerGas;
+            bumped = { maxFeePerGas: maxFeePerGas > maxPriorityFeePerGas ? maxFeePerGas : maxPriorityFeePerGas, maxPriorityFeePerGas };
+        }
+
+        const cap = this.options.maxFeePerGasCap;
+        const maxFee = bumped.maxFeePerGas ?? bumped.gasPrice;
+        if (cap !== null && maxFee > BigInt(cap)) {
+            throw new Error(`Fee bump to ${ethers.formatUnits(maxFee, 'gwei')} gwei exceeds the cap of ${ethers.formatUnits(BigInt(cap), 'gwei')} gwei`);
+        }
+        return bumped;
+    }
+
+    async broadcast(request, nonce, fees) {
+        const tx = await this.signer.sendTransaction({ ...request, nonce, ...fees });
+        return { hash: tx.hash, fees, broadcastAt: Date.now() };
+    }
+
+    // Sends a transaction request ({ to, data, value, gasLimit... }) and resolves with its confirmed receipt
+    async send(request, description = 'transaction') {
+        const { nonce: _nonce, from: _from, ...unsignedRequest } = request;
+        const nonce = await this.reserveNonce();
+        const fees = await this.getFees(unsignedRequest);
+
+        let current;
+        try {
+            current = await this.broadcast(unsignedRequest, nonce, fees);
+        } catch (error) {
+            // Nothing was broadcast: the nonce goes to the next transaction, unless a later one was reserved meanwhile
+            // (it may not be broadcast yet, the pending count would not see it). That one waits for the gap to be filled.
+            if (nonce === this.nextNonce - 1) this.nextNonce = nonce;
+            throw error;
+        }
+        const attempts = [current];
+        this.emit('TX_SENT', { description, nonce, hash: current.hash, ...current.fees });
+
+        const receipt = await this.monitor(description, nonce, attempts, async () => {
+            const fees = await this.bumpFees(current.fees);
+            try {
+                current = await this.broadcast(unsignedRequest, nonce, fees);
+            } catch (error) {
+                // Mined in the meantime: the next receipt check picks it up
+                if (error.code === 'NONCE_EXPIRED' || /nonce too low|already known/i.test(error.message)) return;
+                throw error;
+            }
+            attempts.push(current);
+            this.emit('TX_BUMPED', { description, nonce, hash: current.hash, attempt: attempts.length, ...current.fees });
+        });
+
+        return { hash: receipt.hash, nonce, receipt, attempts: attempts.map(({ hash }) => hash) };
+    }
+
+    // Waits for a transaction sent outside of the manager (no re-broadcast possible), with the stuck timeout.
+    // It may come from another sender (e.g. a pre-signed transaction): its nonce is followed for that sender.
+    async waitForTransaction(hash, description = 'transaction') {
+        const tx = await this.signer.provider.getTransaction(hash);
+        if (!tx) throw new Error(`Transaction ${hash} (${description}) is unknown to the node`);
+        return this.monitor(description, tx.nonce, [{ hash, broadcastAt: Date.now() }], async () => {
+            throw new Error(`Transaction ${hash} (${description}) is stuck for more than ${this.options.stuckTimeout / 1000}s`);
+        }, tx.from);
+    }
+
+    async monitor(description, nonce, attempts, onStuck, sender = null) {
+        const provider = this.signer.provider;
+        const address = sender || await this.getAddress();
+        let bumps = 0;
+
+        while (true) {
+            // Any of our versions (original or bumped) may be the one mined
+            for (const { hash } of attempts) {
+                const receipt = await provider.getTransactionReceipt(hash);
+                if (receipt) {
+                    this.emit('TX_MINED', { description, nonce, hash, blockNumber: receipt.blockNumber, replaced: hash !== attempts[attempts.length - 1].hash });
+                    const confirmed = await this.confirm(description, receipt);
+                    if (confirmed) return confirmed;
+                    // Reorged back to the mempool: wait for it to be mined again
+                    break;
+                }
+            }
+
+            // Nonce consumed but none of our hashes mined: replaced by a transaction sent from elsewhere
+            const minedNonce = await provider.getTransactionCount(address, 'latest');
+            if (minedNonce > nonce) {
+                const receipts = await Promise.all(attempts.map(({ hash }) => provider.getTransactionReceipt(hash)));
+                const receipt = receipts.find(Boolean);
+                if (receipt) {
+                    const confirmed = await this.confirm(description, receipt);
+                    if (confirmed) return confirmed;
+                    continue;
+                }
+                this.nextNonce = null;
+                throw new Error(`Transaction ${description} (nonce ${nonce}) was replaced by another transaction of ${address}: ${attempts.map(({ hash }) => hash).join(', ')} will never be mined`);
+            }
+
+            const last = attempts[attempts.length - 1];
+            if (Date.now() - last.broadcastAt > this.options.stuckTimeout) {
+                // Stuck (underpriced) or dropped from the mempool - both are solved by a re-broadcast with higher fees
+                const known = await provider.getTransaction(last.hash);
+                if (bumps >= this.options.maxFeeBumps) {
+                    throw new Error(`Transaction ${description} (nonce ${nonce}) still not mined after ${bumps} fee bumps (${known ? 'pending' : 'dropped'}): ${last.hash}`);
+                }
+                bumps++;
+                await onStuck({ dropped: !known });
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.options.pollInterval));
+        }
+    }
+
+    // Resolves with the final receipt, or null when a reorg sent the transaction back to the mempool
+    async confirm(description, receipt) {
+        const provider = this.signer.provider;
+        while (true) {
+            if (receipt.status !== 1) {
+                const error = new Error(`Transaction ${description} reverted: ${receipt.hash}`);
+                error.receipt = receipt;
+                throw error;
+            }
+            while ((await provider.getBlockNumber()) - receipt.blockNumber + 1 < this.options.confirmations) {
+                await new Promise(resolve => setTimeout(resolve, this.options.pollInterval));
+            }
+
+            // The block the receipt came from may have been reorged out while waiting
+            const current = await provider.getTransactionReceipt(receipt.hash);
+            if (current && current.blockHash === receipt.blockHash) {
+                this.emit('TX_CONFIRMED', { description, hash: receipt.hash, blockNumber: receipt.blockNumber, confirmations: this.options.confirmations });
+                return current;
+            }
+            this.emit('TX_REORGED', {
+                description,
+                hash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                blockHash: receipt.blockHash,
+                newBlockNumber: current?.blockNumber ?? null,
+                newBlockHash: current?.blockHash ?? null,
+            });
+            if (!current) return null;
+            receipt = current;
+        }
+    }
+}
+
+export default TransactionManager;
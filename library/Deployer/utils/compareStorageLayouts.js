@@ -0,0 +1,102 @@
+// Storage layout compatibility of two versions of a contract behind a proxy.
+// Layouts are the solc `storageLayout` outputs ({ storage, types }) recorded in the build info (see readBuildInfo),
+// ERC-7201 namespaced storage (OpenZeppelin upgradeable v5 parents) is not part of them and is not checked.
+//  - every variable of the previous version keeps its slot, offset and type (renames are only warned about)
+//  - new variables are appended after the previous ones, or take the place of a shrunk `__gap`
+// Returns { errors, warnings } - an upgrade is safe when errors is empty.
+
+// Type of a variable without the AST ids of its type id (t_struct(Position)1234_storage), structs with their members
+function describeType(typeId, types, seen = new Set()) {
+    const type = types?.[typeId];
+    if (!type) return typeId;
+    if (seen.has(typeId)) return type.label;
+    const nested = new Set(seen).add(typeId);
+
+    if (type.members) {
+        const members = type.members.map(member =>
+            `${member.label}@${member.slot}:${member.offset} ${describeType(member.type, types, nested)}`);
+        return `${type.label} { ${members.join('; ')} }`;
+    }
+    if (type.encoding === 'mapping') {
+        return `mapping(${describeType(type.key, types, nested)} => ${describeType(type.value, types, nested)})`;
+    }
+    if (type.base) {
+        const length = type.label.match(/\[(\d*)\]$/)?.[1] ?? '';
+        return `${describeType(type.base, types, nested)}[${length}]`;
+    }
+    return type.label;
+}
+
+// Slots used by a variable, end excluded
+function getSlots(variable, types) {
+    const size = BigInt(types?.[variable.type]?.numberOfBytes ?? 32);
+    const start = BigInt(variable.slot);
+    return { start, end: start + (BigInt(variable.offset) + size + 31n) / 32n };
+}
+
+// Byte range of a variable in the storage (slot * 32 + offset)
+function getBytes(variable, types) {
+    const start = BigInt(variable.slot) * 32n + BigInt(variable.offset);
+    return { start, end: start + BigInt(types?.[variable.type]?.numberOfBytes ?? 32) };
+}
+
+function describeVariable(variable) {
+    return `${variable.label} (${variable.contract ? `${variable.contract.split(':').pop()}, ` : ''}slot ${variable.slot}, offset ${variable.offset})`;
+}
+
+export default function compareStorageLayouts(previous, next) {
+    const errors = [];
+    const warnings = [];
+    const previousStorage = previous?.storage || [];
+    const nextStorage = next?.storage || [];
+    // Slots of the new version that may hold new variables: the space released by shrunk gaps
+    const released = [];
+
+    for (const variable of previousStorage) {
+        const slots = getSlots(variable, previous.types);
+
+        if (variable.label.startsWith('__gap')) {
+            // A gap shrinks by the slots of the variables inserted before it, but must end where it did
+            const gap = nextStorage.find(candidate => candidate.label === variable.label && getSlots(candidate, next.types).end === slots.end);
+            if (!gap) {
+                errors.push(`${describeVariable(variable)}: gap resized or moved, it must still end at slot ${slots.end}`);
+            } else if (BigInt(gap.slot) > slots.start) {
+                released.push({ start: slots.start, end: BigInt(gap.slot) });
+            }
+            continue;
+        }
+
+        const match = nextStorage.find(candidate => candidate.slot === variable.slot && candidate.offset === variable.offset);
+        if (!match) {
+            errors.push(`${describeVariable(variable)}: removed or moved`);
+            continue;
+        }
+
+        const previousType = describeType(variable.type, previous.types);
+        const nextType = describeType(match.type, next.types);
+        if (previousType !== nextType) {
+            errors.push(`${describeVariable(variable)}: type changed from ${previousType} to ${nextType}`);
+        }
+        if (match.label !== variable.label) {
+            warnings.push(`${describeVariable(variable)}: renamed to ${match.label}`);
+        }
+    }
+
+    // New variables must not overlap the bytes of a previous one, except the slots released by a gap
+    const previousBytes = previousStorage.map(variable => ({ variable, ...getBytes(variable, previous.types) }));
+    for (const variable of nextStorage) {
+        if (variable.label.startsWith('__gap')) continue;
+        if (previousStorage.some(candidate => candidate.slot === variable.slot && candidate.offset === variable.offset && !candidate.label.startsWith('__gap'))) continue;
+
+        const bytes = getBytes(variable, next.types);
+        const overlap = previousBytes.find(({ start, end }) => bytes.start < end && start < bytes.end);
+        if (!overlap) continue;
+        const slots = getSlots(variable, next.types);
+        const inGap = overlap.variable.label.startsWith('__gap') && released.some(({ start, end }) => slots.start >= start && slots.end <= end);
+        if (!inGap) {
+            errors.push(`${describeVariable(variable)}: overlaps ${describeVariable(overlap.variable)}, new variables must be appended`);
+        }
+    }
+
+    return { errors, warnings };
+}
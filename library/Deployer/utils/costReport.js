@@ -0,0 +1,132 @@
+import { ethers } from 'ethers';
+import getArtifactName from './getArtifactName.js';
+
+// Cost of a confirmed transaction, kept in deployment.costs.transactions.
+// Amounts are strings so they survive checkpoints (JSON), the receipt gas price is the effective one.
+export function describeTransactionCost(processId, { hash, receipt }) {
+    const gasUsed = receipt.gasUsed;
+    const effectiveGasPrice = receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n;
+    return {
+        processId,
+        hash,
+        gasUsed: gasUsed.toString(),
+        effectiveGasPrice: effectiveGasPrice.toString(),
+        fee: (gasUsed * effectiveGasPrice).toString(),
+    };
+}
+
+function sumFees(transactions) {
+    return transactions.reduce((total, { fee }) => total + BigInt(fee), 0n);
+}
+
+// Estimate of prepareContracts for a deployment contract name (RAACLendingPool is estimated as LendingPool without a simulation)
+function getContractEstimate(deployment, contractName) {
+    const perContract = deployment.estimatedCost?.perContract || {};
+    return perContract[contractName] || perContract[getArtifactName(contractName)] || null;
+}
+
+// Throws before a process whose estimated cost would take the spending over deployment.budget (ETH).
+// The simulation of prepareContracts estimates every process. Without it only deployments are estimated:
+// a process deploying nothing is stopped once the budget is already spent.
+export function checkBudget(deployment, _process) {
+    if (!deployment.budget) return;
+
+    const budget = ethers.parseEther(String(deployment.budget));
+    const spent = sumFees(deployment.costs?.transactions || []);
+    const processEstimate = deployment.estimatedCost?.perProcess?.[_process.id];
+    const estimate = processEstimate
+        ? BigInt(processEstimate.maxCost)
+        : (_process.produces || [])
+            .filter(contractName => !deployment.contracts?.[contractName])
+            .reduce((total, contractName) => total + BigInt(getContractEstimate(deployment, contractName)?.maxCost ?? 0n), 0n);
+
+    if (spent + estimate > budget) {
+        throw new Error(
+            `Budget exceeded before ${_process.id}: ${ethers.formatEther(spent)} ETH spent + ` +
+            `${ethers.formatEther(estimate)} ETH estimated (max) > budget ${deployment.budget} ETH`
+        );
+    }
+}
+
+// Actual costs of deployment.costs per process and per contract, compared to the estimates of prepareContracts
+export default function createCostReport(deployment) {
+    const transactions = deployment.costs?.transactions || [];
+
+    const processes = {};
+    for (const { processId, gasUsed, fee } of transactions) {
+        const entry = processes[processId] || (processes[processId] = { transactions: 0, gasUsed: 0n, fee: 0n });
+        entry.transactions += 1;
+        entry.gasUsed += BigInt(gasUsed);
+        entry.fee += BigInt(fee);
+    }
+
+    // Deployment transactions are matched to their contract through deployment.receipts (CONTRACT_DEPLOYED)
+    const contracts = {};
+    for (const [contractName, { transactionHash }] of Object.entries(deployment.receipts || {})) {
+        const transaction = transactions.find(({ hash }) => hash === transactionHash);
+        if (!transaction) continue;
+
+        const gasUsed = BigInt(transaction.gasUsed);
+        const estimate = getContractEstimate(deployment, contractName);
+        const estimatedGas = estimate ? BigInt(estimate.gasEstimate ?? estimate.gasLimit ?? 0n) : null;
+        contracts[contractName] = {
+            processId: transaction.processId,
+            gasUsed,
+            effectiveGasPrice: BigInt(transaction.effectiveGasPrice),
+            fee: BigInt(transaction.fee),
+            estimatedGas,
+            estimatedMaxFee: estimate ? BigInt(estimate.maxCost) : null,
+            // Positive when the estimate was too low, in percent of the estimate
+            estimateError: estimatedGas ? Number((gasUsed - estimatedGas) * 10000n / estimatedGas) / 100 : null,
+        };
+    }
+
+    const fee = sumFees(transactions);
+    const gasUsed = transactions.reduce((total, transaction) => total + BigInt(transaction.gasUsed), 0n);
+    const budget = deployment.budget ? ethers.parseEther(String(deployment.budget)) : null;
+
+    return {
+        processes,
+        contracts,
+        total: {
+            transactions: transactions.length,
+            gasUsed,
+            fee,
+            effectiveGasPrice: gasUsed > 0n ? fee / gasUsed : 0n,
+            estimatedMin: BigInt(deployment.estimatedCost?.totalMin ?? 0n),
+            estimatedMax: BigInt(deployment.estimatedCost?.totalMax ?? 0n),
+            // Of the estimate, see prepareContracts
+            confidence: deployment.estimatedCost?.confidence || 'heuristic',
+        },
+        budget: budget === null ? null : { limit: budget, remaining: budget - fee },
+    };
+}
+
+export function printCostReport(report) {
+    const gwei = (value) => `${ethers.formatUnits(value, 'gwei')} gwei`;
+    const eth = (value) => `${ethers.formatEther(value)} ETH`;
+
+    console.log(`\x1b[36m==== Cost report ====\x1b[0m`);
+    for (const [processId, { transactions, gasUsed, fee }] of Object.entries(report.processes)) {
+        console.log(`  ${processId.padEnd(32)} ${String(transactions).padStart(3)} tx | gas ${String(gasUsed).padStart(10)} | ${eth(fee)}`);
+    }
+
+    const contracts = Object.entries(report.contracts);
+    if (contracts.length > 0) {
+        console.log(`\n\x1b[36m==== Contracts ====\x1b[0m`);
+        for (const [contractName, contract] of contracts) {
+            const error = contract.estimateError === null
+                ? 'no estimate'
+                : `estimated ${contract.estimatedGas} (${contract.estimateError > 0 ? '+' : ''}${contract.estimateError}%)`;
+            console.log(`  ${contractName.padEnd(32)} gas ${String(contract.gasUsed).padStart(10)} @ ${gwei(contract.effectiveGasPrice)} | ${eth(contract.fee)}\x1b[90m | ${error}\x1b[0m`);
+        }
+    }
+
+    const { total, budget } = report;
+    console.log(`\n\x1b[36m==== ${total.transactions} transactions | gas used: ${total.gasUsed} | spent: ${eth(total.fee)} (avg ${gwei(total.effectiveGasPrice)}) ====\x1b[0m`);
+    console.log(`\x1b[90m     estimated: ${eth(total.estimatedMin)} - ${eth(total.estimatedMax)} (${total.confidence})\x1b[0m`);
+    if (budget) {
+        const color = budget.remaining < 0n ? '\x1b[31m' : '\x1b[32m';
+        console.log(`${color}     budget: ${eth(budget.limit)} | remaining: ${eth(budget.remaining)}\x1b[0m`);
+    }
+}
@@ -0,0 +1,53 @@
+import prepareConstructorArgs from './prepareConstructorArgs.js';
+
+// Initial deployment state consumed by runProcessesSequence
+// constructorArgs defaults to utils/prepareConstructorArgs.js (manifests provide their own, see utils/loadManifest.js)
+// proxies: contracts a manifest deploys behind a proxy (see methods/deployProxy.js)
+// create2: salts of the contracts a manifest deploys through the CREATE2 factory (see methods/deployCreate2.js)
+// budget: ETH the run may spend (see utils/costReport.js)
+export default function createDeployment({ network, dependencies, deployerAddress, faucetAddress, config, constructorArgs, proxies, create2, budget }) {
+    return {
+        id: new Date().getTime().toString(16),
+        network,
+        // Dependencies in form [contractName: {address: string}]
+        // When dependencies is set, the deployer will properly use it (as if deployed).
+        dependencies,
+        constructorArgs: constructorArgs || prepareConstructorArgs(deployerAddress),
+        // Contracts to deploy behind a proxy [contractName: {kind, initializer, initializerArgs, owner}]
+        proxyOptions: proxies || {},
+        // Deployed proxies [contractName: {kind, proxy, implementation, admin, storageLayout, history...}]
+        proxies: {},
+        // CREATE2 deployments { factory, salts: {contractName: salt} }
+        create2Options: create2 || null,
+        // Contracts deployed through the factory [contractName: {address, salt, status: deployed|existing}]
+        create2: {},
+        faucet: { address: faucetAddress },
+        processes: {},
+        contracts: {},
+        // Block of every contract deployed by this run [contractName: {address, transactionHash, blockNumber, blockHash, processId}]
+        receipts: {},
+        // Contracts whose deployment was reorged out [contractName: {address, blockNumber, blockHash, reason}]
+        redeploy: {},
+        config,
+        // ETH, checked before every process - null for no limit
+        budget: budget || null,
+        // Confirmed transactions [{processId, hash, gasUsed, effectiveGasPrice, fee}], reported by runProcessesSequence
+        costs: { transactions: [] },
+        estimatedCost: {
+            totalMax: 0n,
+            totalMin: 0n,
+            perContract: {},
+        },
+        signer: {
+            address: deployerAddress,
+            balance: 0n,
+            fee: {
+                gasPrice: 0n,
+                maxFeePerGas: 0n,
+                maxPriorityFeePerGas: 0n,
+            },
+        },
+        provider: null,
+        getWallet: null,
+    };
+}
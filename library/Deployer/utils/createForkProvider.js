@@ -0,0 +1,35 @@
+import hre from 'hardhat';
+import { createProvider } from 'hardhat/internal/core/providers/construction.js';
+
+// Spins an in-process Hardhat network forking the given network (see networks/*.js).
+// The fork keeps the chainId of the network so prepareEnvironment's network check still applies.
+export default async function createForkProvider(network, { blockNumber } = {}) {
+    if(!network?.rpcUrl) {
+        throw new Error('Network rpcUrl is required to create a fork');
+    }
+
+    const hardhatNetwork = hre.config.networks.hardhat;
+    const config = {
+        ...hre.config,
+        networks: {
+            ...hre.config.networks,
+            hardhat: {
+                ...hardhatNetwork,
+                chainId: parseInt(network.chainId),
+                forking: {
+                    enabled: true,
+                    url: network.rpcUrl,
+                    httpHeaders: {},
+                    ...(blockNumber ? { blockNumber: parseInt(blockNumber) } : {}),
+                },
+                mining: {
+                    ...hardhatNetwork.mining,
+                    auto: true,
+                    interval: 0,
+                },
+            },
+        },
+    };
+
+    return createProvider(config, 'hardhat', hre.artifacts);
+}
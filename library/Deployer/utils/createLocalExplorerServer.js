@@ -0,0 +1,119 @@
+import http from 'http';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+// HTTP server of the local stand-in explorer (see local_explorer.js), not listening yet. With a `provider`,
+// submissions are also checked against the chain. A submission is reported pending `pendingChecks` times.
+export default function createLocalExplorerServer({ apiKey = null, pendingChecks = 1, provider = null, log = console.log } = {}) {
+    // address (lowercase) => submission, guid => submission
+    const verified = {};
+    const submissions = {};
+
+    const actions = {
+        getsourcecode: async ({ address }) => {
+            const submission = verified[address?.toLowerCase()];
+            return ok([{
+                SourceCode: submission ? submission.sourceCode : '',
+                ContractName: submission ? submission.contractName.split(':').pop() : '',
+                CompilerVersion: submission ? submission.compilerVersion : '',
+                ConstructorArguments: submission ? submission.constructorArguments : '',
+            }]);
+        },
+        verifysourcecode: async (params) => {
+            const address = params.contractaddress;
+            if (!ethers.isAddress(address)) return error('Invalid contract address');
+            if (verified[address.toLowerCase()]) return error('Contract source code already verified');
+            if (params.codeformat !== 'solidity-standard-json-input') return error(`Unsupported codeformat ${params.codeformat}`);
+            if (!/^v\d+\.\d+\.\d+\+commit\.[0-9a-f]{8}$/.test(params.compilerversion || '')) return error(`Invalid compiler version ${params.compilerversion}`);
+
+            let input;
+            try {
+                input = JSON.parse(params.sourceCode);
+            } catch (_) {
+                return error('sourceCode is not a standard-JSON input');
+            }
+            const [sourceName, contractName] = (params.contractname || '').split(':');
+            if (input.language !== 'Solidity' || !input.sources || !input.settings) return error('sourceCode is not a standard-JSON input');
+            if (!contractName || !input.sources[sourceName]) return error(`Source ${sourceName} of ${params.contractname} is not part of the input`);
+            const constructorArguments = params.constructorArguements || '';
+            if (!/^([0-9a-fA-F]{2})*$/.test(constructorArguments)) return error('Constructor arguments must be hex encoded, without 0x');
+
+            const guid = crypto.randomBytes(25).toString('hex');
+            submissions[guid] = {
+                address,
+                contractName: params.contractname,
+                compilerVersion: params.compilerversion,
+                sourceCode: params.sourceCode,
+                constructorArguments,
+                checks: 0,
+                failure: provider ? await checkOnChain(provider, address, constructorArguments) : null,
+            };
+            return ok(guid);
+        },
+        checkverifystatus: async ({ guid }) => {
+            const submission = submissions[guid];
+            if (!submission) return error('Unknown UID');
+            if (submission.checks++ < pendingChecks) return error('Pending in queue');
+            if (submission.failure) return error(`Fail - Unable to verify. ${submission.failure}`);
+            verified[submission.address.toLowerCase()] = submission;
+            return ok('Pass - Verified');
+        },
+    };
+
+    return http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const params = { ...Object.fromEntries(url.searchParams), ...Object.fromEntries(new URLSearchParams(body)) };
+        let response;
+        if (url.pathname !== '/api') {
+            res.writeHead(404).end();
+            return;
+        }
+        if (apiKey && params.apikey !== apiKey) {
+            response = error('Invalid API Key');
+        } else if (params.module !== 'contract' || !actions[params.action]) {
+            response = error(`Unsupported action ${params.module}.${params.action}`);
+        } else {
+            try {
+                response = await actions[params.action](params);
+            } catch (actionError) {
+                response = error(actionError.shortMessage || actionError.message);
+            }
+        }
+        const color = response.status === '1' ? '\x1b[90m' : '\x1b[33m';
+        log(`${color}${new Date().toISOString()} ${params.action} ${params.contractaddress || params.address || params.guid || ''} - ${response.message}: ${Array.isArray(response.result) ? 'sources' : response.result}\x1b[0m`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+    });
+}
+
+// Without compiling, the closest check to a real explorer: code exists at the address and the
+// creation transaction ends with the submitted constructor arguments. Returns the failure reason, if any.
+async function checkOnChain(provider, address, constructorArguments) {
+    if (await provider.getCode(address) === '0x') return `no contract at ${address}`;
+
+    // Scans back for the transaction creating the address (local chains are short)
+    const latest = await provider.getBlockNumber();
+    for (let blockNumber = latest; blockNumber >= 0; blockNumber--) {
+        const block = await provider.getBlock(blockNumber, true);
+        for (const transaction of block.prefetchedTransactions) {
+            if (transaction.to !== null) continue;
+            const receipt = await provider.getTransactionReceipt(transaction.hash);
+            if (receipt.contractAddress?.toLowerCase() !== address.toLowerCase()) continue;
+            return transaction.data.toLowerCase().endsWith(constructorArguments.toLowerCase())
+                ? null
+                : 'Constructor arguments do not match the creation transaction';
+        }
+    }
+    return null;
+}
+
+function ok(result) {
+    return { status: '1', message: 'OK', result };
+}
+
+function error(result) {
+    return { status: '0', message: 'NOTOK', result };
+}
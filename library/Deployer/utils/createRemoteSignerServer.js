@@ -0,0 +1,52 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import { fromRpcTransaction } from '../adapters/SignerAdapter/sources/RemoteSigner.js';
+
+// HTTP server of the RemoteSigner protocol for an unlocked `wallet` (see remote_signer.js), not listening yet.
+// When `token` is set, requests must carry it as a bearer token.
+export default function createRemoteSignerServer(wallet, { token = null, log = console.log } = {}) {
+    const handlers = {
+        eth_accounts: async () => [wallet.address],
+        eth_signTransaction: async ([transaction]) => wallet.signTransaction(fromRpcTransaction(transaction)),
+        eth_sign: async ([address, message]) => {
+            requireAccount(wallet, address);
+            return wallet.signMessage(ethers.getBytes(message));
+        },
+        eth_signTypedData_v4: async ([address, json]) => {
+            requireAccount(wallet, address);
+            const { domain, types, message } = JSON.parse(json);
+            delete types.EIP712Domain;
+            return wallet.signTypedData(domain, types, message);
+        },
+    };
+
+    return http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+
+        let request = {};
+        let response;
+        try {
+            if (token && req.headers.authorization !== `Bearer ${token}`) {
+                res.writeHead(401).end();
+                return;
+            }
+            request = JSON.parse(body);
+            const handler = handlers[request.method];
+            if (!handler) throw new Error(`Unsupported method ${request.method}`);
+            response = { jsonrpc: '2.0', id: request.id, result: await handler(request.params || []) };
+            log(`\x1b[90m${new Date().toISOString()} ${request.method}\x1b[0m`);
+        } catch (error) {
+            response = { jsonrpc: '2.0', id: request.id ?? null, error: { code: -32000, message: error.shortMessage || error.message } };
+            log(`\x1b[31m${new Date().toISOString()} ${request.method}: ${response.error.message}\x1b[0m`);
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+    });
+}
+
+function requireAccount(wallet, address) {
+    if (ethers.getAddress(address) !== wallet.address) {
+        throw new Error(`Unknown account ${address}`);
+    }
+}
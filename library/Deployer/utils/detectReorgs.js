@@ -0,0 +1,62 @@
+// Compares the block of every recorded deployment ({ [contractName]: { address, transactionHash, blockNumber, blockHash } })
+// to the canonical chain. A contract whose deployment block hash changed is reported, whether its transaction
+// was mined again in another block or dropped.
+export default async function detectReorgs(provider, receipts = {}) {
+    const reorgs = [];
+    for (const [contractName, record] of Object.entries(receipts)) {
+        if (!record?.blockHash) continue;
+
+        const block = await provider.getBlock(record.blockNumber);
+        if (block && block.hash === record.blockHash) continue;
+
+        const receipt = await provider.getTransactionReceipt(record.transactionHash);
+        reorgs.push({
+            contractName,
+            address: record.address,
+            transactionHash: record.transactionHash,
+            processId: record.processId || null,
+            blockNumber: record.blockNumber,
+            blockHash: record.blockHash,
+            currentBlockHash: block?.hash ?? null,
+            newBlockNumber: receipt?.blockNumber ?? null,
+            reason: receipt
+                ? `deployment moved from block ${record.blockNumber} to block ${receipt.blockNumber}`
+                : `deployment transaction no longer mined (block ${record.blockNumber} reorged out)`,
+        });
+    }
+    return reorgs;
+}
+
+// Marks reorged contracts for redeploy in the deployment (saved with the checkpoint): their address is dropped,
+// and the process that deployed them is removed from the completed processes together with every process
+// depending on what it produces (they used the reorged address). Returns the ids of the processes to rerun.
+export function markForRedeploy(deployment, reorgs, processes) {
+    deployment.redeploy = deployment.redeploy || {};
+    const rerun = new Set(reorgs.map(({ processId }) => processId).filter(Boolean));
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        const keys = processes
+            .filter(({ id }) => rerun.has(id))
+            .flatMap(({ produces }) => produces || []);
+        for (const _process of processes) {
+            if (rerun.has(_process.id)) continue;
+            if ((_process.dependsOn || []).some(key => keys.includes(key))) {
+                rerun.add(_process.id);
+                changed = true;
+            }
+        }
+    }
+
+    for (const { contractName, ...reorg } of reorgs) {
+        deployment.redeploy[contractName] = { ...reorg, detectedAt: +new Date() };
+        delete deployment.contracts[contractName];
+        delete deployment.receipts?.[contractName];
+    }
+    if (deployment.checkpoint) {
+        deployment.checkpoint.completedProcesses = deployment.checkpoint.completedProcesses
+            .filter(processId => !rerun.has(processId));
+    }
+    return [...rerun];
+}
@@ -0,0 +1,209 @@
+// Compares two deployments, as saved in their checkpoints (see adapters/StateAdapter readDeploymentCheckpoints).
+// A checkpoint holds the whole run: its contracts, their deployment receipts and the gas of every transaction.
+// Resolved constructor args are only kept in the per-contract deployment states (readDeploymentHistory), so they
+// are looked up by address in `results` (see indexDeploymentResults).
+// Returns { from, to, contracts: { added, removed, changed, unchanged }, constructorArgs, gas, wiring }
+export default function diffDeployments(from, to, results = {}, wiring = null) {
+    const before = getDeploymentContracts(from);
+    const after = getDeploymentContracts(to);
+
+    const diff = {
+        from: summarizeDeployment(from),
+        to: summarizeDeployment(to),
+        contracts: { added: [], removed: [], changed: [], unchanged: [] },
+        constructorArgs: [],
+        gas: [],
+        wiring: [],
+    };
+
+    for (const contractName of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const addressBefore = before[contractName];
+        const addressAfter = after[contractName];
+        if (!addressBefore) {
+            diff.contracts.added.push({ contract: contractName, address: addressAfter });
+        } else if (!addressAfter) {
+            diff.contracts.removed.push({ contract: contractName, address: addressBefore });
+        } else if (addressBefore.toLowerCase() !== addressAfter.toLowerCase()) {
+            diff.contracts.changed.push({ contract: contractName, before: addressBefore, after: addressAfter });
+        } else {
+            diff.contracts.unchanged.push({ contract: contractName, address: addressAfter });
+            continue;
+        }
+        if (!addressBefore || !addressAfter) continue;
+
+        // Addresses of contracts of the same deployment are compared by name: a redeployed dependency is not an args change
+        const resultBefore = results[addressBefore.toLowerCase()];
+        const resultAfter = results[addressAfter.toLowerCase()];
+        if (resultBefore && resultAfter) {
+            const argsBefore = symbolize(resultBefore.constructorArgs, before);
+            const argsAfter = symbolize(resultAfter.constructorArgs, after);
+            if (JSON.stringify(argsBefore) !== JSON.stringify(argsAfter)) {
+                diff.constructorArgs.push({ contract: contractName, before: argsBefore, after: argsAfter });
+            }
+        }
+
+        const gasBefore = getDeploymentGas(from, contractName) ?? toGas(resultBefore?.gasUsed);
+        const gasAfter = getDeploymentGas(to, contractName) ?? toGas(resultAfter?.gasUsed);
+        if (gasBefore !== null && gasAfter !== null) {
+            diff.gas.push({ contract: contractName, before: gasBefore, after: gasAfter, delta: gasAfter - gasBefore });
+        }
+    }
+
+    // Wiring as read by readDeploymentWiring for each deployment: { before: {...}, after: {...} }
+    if (wiring) {
+        for (const property of new Set([...Object.keys(wiring.before), ...Object.keys(wiring.after)])) {
+            const valueBefore = wiring.before[property] ?? null;
+            const valueAfter = wiring.after[property] ?? null;
+            if (valueBefore !== valueAfter) {
+                diff.wiring.push({ property, before: valueBefore, after: valueAfter });
+            }
+        }
+    }
+
+    return diff;
+}
+
+// Contract name => address of the contracts of a deployment (optional ones skipped with NULL are left out)
+export function getDeploymentContracts(deployment) {
+    return Object.fromEntries(
+        Object.entries(deployment.contracts || {}).filter(([, address]) => typeof address === 'string')
+    );
+}
+
+export function summarizeDeployment(deployment) {
+    const completedProcesses = deployment.checkpoint?.completedProcesses || [];
+    const failedProcess = deployment.checkpoint?.failedProcess || null;
+    return {
+        id: deployment.id,
+        // The deployment id is its creation timestamp in hex (a state key for a state deployed outside of a run)
+        timestamp: deployment.timestamp ?? parseInt(deployment.id, 16),
+        updatedAt: deployment.checkpoint?.updatedAt ?? null,
+        deployer: deployment.signer?.address ?? null,
+        contracts: Object.keys(getDeploymentContracts(deployment)).length,
+        completedProcesses: completedProcesses.length,
+        failedProcess,
+        // Every process of its plan completed (a resumed run completes an interrupted one)
+        success: !failedProcess && (deployment.plan || []).every(processId => completedProcesses.includes(processId)),
+    };
+}
+
+// Finds a deployment by id, or by one of its per-contract deployment states (readDeploymentHistory): the
+// `<timestamp>_<hash>` key or the hash, as readDeploymentStateFile does. A state belongs to the checkpoint that received
+// its deployment transactions; a state deployed outside of a run (deploy script) is a deployment of its own.
+export function findDeployment(history, reference, states = []) {
+    const deployment = history.find(({ id }) => id === reference);
+    if (deployment) return deployment;
+
+    const state = states.find(({ key, deploymentHash }) =>
+        key === reference || key?.endsWith(`_${reference}`) || deploymentHash === reference
+    );
+    if (!state) {
+        throw new Error(`No deployment checkpoint or state found for ${reference}`);
+    }
+    const transactionHashes = (state.results || []).map(({ transactionHash }) => transactionHash).filter(Boolean);
+    const run = history.find(checkpoint => Object.values(checkpoint.receipts || {})
+        .some(({ transactionHash }) => transactionHashes.includes(transactionHash)));
+    return run || getStateDeployment(state);
+}
+
+// Deployment of a state saved outside of a run: its contracts, no plan
+function getStateDeployment(state) {
+    return {
+        id: state.key,
+        timestamp: state.timestamp,
+        plan: [],
+        contracts: Object.fromEntries((state.results || []).map(({ contractName, address }) => [contractName, address])),
+        signer: { address: state.deployer ?? null },
+    };
+}
+
+// Address (lowercase) => latest deploy result of the per-contract deployment states
+export function indexDeploymentResults(states) {
+    const results = {};
+    for (const state of [...states].sort((a, b) => a.timestamp - b.timestamp)) {
+        for (const result of state.results || []) {
+            if (result.address) results[result.address.toLowerCase()] = result;
+        }
+    }
+    return results;
+}
+
+// Gas of the deployment transaction of a contract, from the receipts and costs of the run
+function getDeploymentGas(deployment, contractName) {
+    const transactionHash = deployment.receipts?.[contractName]?.transactionHash;
+    if (!transactionHash) return null;
+    const transaction = (deployment.costs?.transactions || []).find(({ hash }) => hash === transactionHash);
+    return toGas(transaction?.gasUsed);
+}
+
+function toGas(gasUsed) {
+    return gasUsed === undefined || gasUsed === null ? null : BigInt(gasUsed);
+}
+
+function symbolize(args = [], contracts) {
+    const names = {};
+    for (const [contractName, address] of Object.entries(contracts)) {
+        names[address.toLowerCase()] = contractName;
+    }
+    const replace = (value) => {
+        if (Array.isArray(value)) return value.map(replace);
+        if (typeof value === 'string' && names[value.toLowerCase()]) return `{{${names[value.toLowerCase()]}}}`;
+        return value;
+    };
+    return replace(args);
+}
+
+export function printDeploymentHistory(networkName, history) {
+    console.log(`\x1b[32m==== Deployment history of ${networkName} : ${history.length} deployment(s) ====\x1b[0m`);
+    for (const deployment of history) {
+        const { id, timestamp, deployer, contracts, completedProcesses, failedProcess, success } = summarizeDeployment(deployment);
+        const status = success ? '\x1b[32m✓\x1b[0m' : '\x1b[31m✗\x1b[0m';
+        const progress = failedProcess ? `failed in ${failedProcess}` : `${completedProcesses}/${(deployment.plan || []).length} processes`;
+        console.log(` ${status} ${new Date(timestamp).toISOString()} ${id} (${progress})`);
+        console.log(`\x1b[90m   deployer: ${deployer} - ${contracts} contract(s)${contracts ? `: ${Object.keys(getDeploymentContracts(deployment)).join(', ')}` : ''}\x1b[0m`);
+    }
+}
+
+export function printDeploymentDiff(diff) {
+    const { from, to, contracts } = diff;
+    console.log(`\x1b[32m==== Deployment diff ====\x1b[0m`);
+    console.log(`\x1b[90m - from: ${from.id} (${new Date(from.timestamp).toISOString()}, ${from.contracts} contracts)\x1b[0m`);
+    console.log(`\x1b[90m + to:   ${to.id} (${new Date(to.timestamp).toISOString()}, ${to.contracts} contracts)\x1b[0m`);
+
+    console.log(`\x1b[36m---- Contracts : ${contracts.added.length} added, ${contracts.changed.length} changed, ${contracts.removed.length} removed, ${contracts.unchanged.length} unchanged ----\x1b[0m`);
+    for (const { contract, address } of contracts.added) {
+        console.log(`\x1b[32m + ${contract} ${address}\x1b[0m`);
+    }
+    for (const { contract, before, after } of contracts.changed) {
+        console.log(`\x1b[33m ~ ${contract} ${before} -> ${after}\x1b[0m`);
+    }
+    for (const { contract, address } of contracts.removed) {
+        console.log(`\x1b[31m - ${contract} ${address}\x1b[0m`);
+    }
+
+    if (diff.constructorArgs.length > 0) {
+        console.log(`\x1b[36m---- Constructor args : ${diff.constructorArgs.length} changed ----\x1b[0m`);
+        for (const { contract, before, after } of diff.constructorArgs) {
+            console.log(` ~ ${contract}`);
+            console.log(`\x1b[31m   - ${JSON.stringify(before)}\x1b[0m`);
+            console.log(`\x1b[32m   + ${JSON.stringify(after)}\x1b[0m`);
+        }
+    }
+
+    if (diff.gas.length > 0) {
+        console.log(`\x1b[36m---- Gas used ----\x1b[0m`);
+        for (const { contract, before, after, delta } of diff.gas) {
+            const color = delta > 0n ? '\x1b[31m' : delta < 0n ? '\x1b[32m' : '\x1b[90m';
+            console.log(` ${contract}: ${before} -> ${after} ${color}(${delta > 0n ? '+' : ''}${delta})\x1b[0m`);
+        }
+    }
+
+    if (diff.wiring.length > 0) {
+        console.log(`\x1b[36m---- Wiring : ${diff.wiring.length} difference(s) ----\x1b[0m`);
+        for (const { property, before, after } of diff.wiring) {
+            console.log(` ~ ${property}`);
+            console.log(`\x1b[31m   - ${before}\x1b[0m`);
+            console.log(`\x1b[32m   + ${after}\x1b[0m`);
+        }
+    }
+}
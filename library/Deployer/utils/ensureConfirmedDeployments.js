@@ -0,0 +1,45 @@
+import { processes } from '../processes/index.js';
+import detectReorgs, { markForRedeploy } from './detectReorgs.js';
+
+// Waits until the contracts deployed by this run among `contractNames` are `confirmations.links` blocks deep,
+// then checks their deployment blocks are still canonical. Reorged contracts are marked for redeploy and the
+// process fails: the checkpoint saved by runProcessesSequence redeploys them on resume.
+export default async function ensureConfirmedDeployments(deployer, deployment, contractNames) {
+    const receipts = Object.fromEntries(
+        contractNames
+            .filter(contractName => deployment.receipts?.[contractName])
+            .map(contractName => [contractName, deployment.receipts[contractName]])
+    );
+    const deployed = Object.keys(receipts);
+    if (deployed.length === 0) return;
+
+    const provider = deployment.provider;
+    const network = deployer.getNetwork(deployment.network);
+    const pollInterval = network?.transactions?.pollInterval ?? 4000;
+    const confirmations = deployer.getConfirmations().links;
+    const lastBlock = Math.max(...Object.values(receipts).map(({ blockNumber }) => blockNumber));
+
+    let logged = false;
+    while (true) {
+        const depth = (await provider.getBlockNumber()) - lastBlock + 1;
+        if (depth >= confirmations) break;
+        if (!logged) {
+            deployer.logger.addLog('AWAIT_CONFIRMATIONS', { contracts: deployed, confirmations, depth });
+            console.log(`\x1b[90m==== Waiting for ${confirmations} confirmations of ${deployed.join(', ')} (${depth} so far) ====\x1b[0m`);
+            logged = true;
+        }
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+
+    const reorgs = await detectReorgs(provider, receipts);
+    if (reorgs.length > 0) {
+        const rerun = markForRedeploy(deployment, reorgs, processes);
+        deployer.logger.addLog('REORG_DETECTED', { reorgs, rerun });
+        for (const { contractName, address, reason } of reorgs) {
+            console.log(`\x1b[31m==== Reorg : ${contractName} (${address}) ${reason} ====\x1b[0m`);
+        }
+        throw new Error(`Reorg detected for ${reorgs.map(({ contractName }) => contractName).join(', ')}: marked for redeploy (${rerun.join(', ')} will rerun on resume)`);
+    }
+
+    deployer.logger.addLog('DEPLOYMENTS_CONFIRMED', { contracts: deployed, confirmations });
+}
@@ -1,47 +1,7 @@
 import { ethers } from 'ethers';
 
-async function realEstimateContractCost(contractArtifact, provider, constructorArgs = []) {
-    const factory = new ethers.ContractFactory(
-        contractArtifact.abi,
-        contractArtifact.bytecode,
-        provider
-    );
-
-
-    try {
-          // Resolve any placeholder arguments with actual deployed addresses
-          const resolvedArgs = constructorArgs.map(arg => {
-            if (typeof arg === 'string' && arg.startsWith('{{') && arg.endsWith('}}')) {
-               return '0x2ed6c0CF0Fdf5806D4C8CE9F89d2f40EA9C2EF59'
-            }
-            return arg;
-        });
-
-
-        const deployTx = await factory.getDeployTransaction(...resolvedArgs);
-        const gasLimit = await provider.estimateGas(deployTx);
-        const feeData = await provider.getFeeData();
-
-    return {
-        gasLimit,
-        feeData,
-        // EIP-1559 costs
-        maxCost: gasLimit * (feeData.maxFeePerGas ?? feeData.gasPrice),
-        minCost: gasLimit * (feeData.maxPriorityFeePerGas ?? feeData.gasPrice),
-        // Legacy cost
-        legacyCost: gasLimit * feeData.gasPrice,
-        };
-    } catch (error) {
-        console.dir(error, { depth: null });
-        console.error(`Error estimating contract cost for ${contractArtifact.contractName}`);
-        console.error(`Constructor args: `);
-        console.log(constructorArgs);
-        const constructor = contractArtifact.abi.find(abi => abi.type === 'constructor');
-        console.error(`Constructor: ${JSON.stringify(constructor)}`);
-        console.error(error);
-        throw error;
-    }
-}
+const DEFAULT_MAX_FEE_PER_GAS = ethers.parseUnits('30', 'gwei');
+const DEFAULT_MAX_PRIORITY_FEE_PER_GAS = ethers.parseUnits('1.5', 'gwei');
 
 function calculateConstructorGas(constructorAbi, args) {
     if (!constructorAbi) return 21000n; // Base transaction cost
@@ -95,25 +55,33 @@ function calculateContractCost(contractArtifact, constructorArgs = [], feeData)
     
     // Total gas estimate
     const totalGasEstimate = baseGas + createCost + bytecodeGas + constructorGas + storageCost;
-    
-    // Calculate costs using EIP-1559 fee structure
-    const maxFeePerGas = feeData?.maxFeePerGas ?? ethers.parseUnits('30', 'gwei');
-    const maxPriorityFeePerGas = feeData?.maxPriorityFeePerGas ?? ethers.parseUnits('1.5', 'gwei');
-    const baseFeePerGas = feeData?.lastBaseFeePerGas ?? maxFeePerGas - maxPriorityFeePerGas;
 
+    const cost = estimateGasCost(totalGasEstimate, feeData);
     return {
-        gasEstimate: totalGasEstimate,
-        // EIP-1559 costs
-        maxCost: totalGasEstimate * maxFeePerGas,
-        minCost: totalGasEstimate * (baseFeePerGas + maxPriorityFeePerGas),
+        ...cost,
         // Detailed breakdown
         breakdown: {
-            baseCost: baseGas * maxFeePerGas,
-            createCost: createCost * maxFeePerGas,
+            baseCost: baseGas * cost.feeData.maxFeePerGas,
+            createCost: createCost * cost.feeData.maxFeePerGas,
             bytecodeGas,
             constructorGas,
             storageCost
         },
+    };
+}
+
+// Cost range of an amount of gas, with the fees of the network (30 / 1.5 gwei when unknown)
+function estimateGasCost(gas, feeData) {
+    // Calculate costs using EIP-1559 fee structure
+    const maxFeePerGas = feeData?.maxFeePerGas ?? DEFAULT_MAX_FEE_PER_GAS;
+    const maxPriorityFeePerGas = feeData?.maxPriorityFeePerGas ?? DEFAULT_MAX_PRIORITY_FEE_PER_GAS;
+    const baseFeePerGas = feeData?.lastBaseFeePerGas ?? maxFeePerGas - maxPriorityFeePerGas;
+
+    return {
+        gasEstimate: gas,
+        // EIP-1559 costs
+        maxCost: gas * maxFeePerGas,
+        minCost: gas * (baseFeePerGas + maxPriorityFeePerGas),
         // Fee data used
         feeData: {
             maxFeePerGas,
@@ -123,11 +91,10 @@ function calculateContractCost(contractArtifact, constructorArgs = [], feeData)
     };
 }
 
-async function estimateContractCost(contractArtifact, provider, constructorArgs = [], feeData, useReal = false) {
-    if(useReal) {
-        return await realEstimateContractCost(contractArtifact, provider, constructorArgs);
-    }
+// Heuristic from the bytecode size and the constructor args: only used when the simulation could not deploy
+// the contract (see utils/simulateDeployment.js)
+async function estimateContractCost(contractArtifact, constructorArgs = [], feeData) {
     return calculateContractCost(contractArtifact, constructorArgs, feeData);
 }
 
-export { estimateContractCost };
+export { estimateContractCost, estimateGasCost };
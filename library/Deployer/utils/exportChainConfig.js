@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import getArtifactName from './getArtifactName.js';
+import { redactString } from './redaction.js';
+
+const SECTIONS = ['contracts', 'pools', 'nfts', 'assets'];
+
+// Builds the RPCLibrary chain config of a saved deployment (see loadSavedDeployment) and its ABI bundle ({ id: abi }).
+// Every address of a contract listed in settings comes from the deployment: its id is dropped (and listed in `removed`)
+// when the deployment does not provide it, rather than kept with a stale address. Ids of the previous config the
+// settings do not list (contracts the Deployer does not deploy) are kept with their ABI, and only removed with `prune`.
+export default function exportChainConfig(deployer, network, savedDeployment, settings, previousConfig = null, options = {}) {
+    const { prune = false, previousAbis = {} } = options;
+    const contracts = { ...savedDeployment.contracts };
+    for (const [contractName, dependency] of Object.entries(savedDeployment.dependencies || {})) {
+        contracts[contractName] = contracts[contractName] || dependency.address;
+    }
+
+    const { symbol, decimals } = network.nativeCurrency;
+    const nativeId = symbol.toLowerCase();
+    const chainConfig = {
+        chainId: network.chainId,
+        name: previousConfig?.name || network.network.charAt(0).toUpperCase() + network.network.slice(1),
+        // The frontend bundles this file: never the RPC of the network file, its URL carries the API key
+        rpcs: previousConfig?.rpcs || settings.rpcs?.[network.network] || [],
+        contracts: {},
+        pools: {},
+        nfts: {},
+        assets: {
+            [nativeId]: { id: nativeId, name: symbol, decimals, contract: ethers.ZeroAddress },
+        },
+    };
+    for (const rpc of chainConfig.rpcs) {
+        if (redactString(rpc) !== rpc) {
+            throw new Error(`RPC of chain ${network.chainId} carries a secret, it cannot be exported: ${redactString(rpc)}`);
+        }
+    }
+    const abis = {};
+    const skipped = [];
+    const warnings = [];
+    if (chainConfig.rpcs.length === 0) {
+        warnings.push(`No public RPC for ${network.network}: set rpcs.${network.network} in configs/exportChainConfig.js`);
+    }
+
+    for (const [contractName, { section, id, name, decimals }] of Object.entries(settings.contracts)) {
+        const address = contracts[contractName];
+        if (!address) {
+            skipped.push(contractName);
+            continue;
+        }
+        if (!ethers.isAddress(address)) {
+            throw new Error(`Invalid address for ${contractName} in deployment ${savedDeployment.id}: ${address}`);
+        }
+        chainConfig[section][id] = decimals === undefined
+            ? { id, name, contract: ethers.getAddress(address) }
+            : { id, name, decimals, contract: ethers.getAddress(address) };
+        abis[id] = deployer.readArtifactFile(getArtifactName(contractName)).abi;
+    }
+
+    const listed = new Set(Object.values(settings.contracts).map(({ id }) => id));
+    const removed = [];
+    const changed = [];
+    const kept = [];
+    for (const section of SECTIONS) {
+        for (const [id, entry] of Object.entries(previousConfig?.[section] || {})) {
+            const exported = chainConfig[section][id];
+            if (exported) {
+                if (entry.contract?.toLowerCase() !== exported.contract.toLowerCase()) {
+                    changed.push({ section, id, before: entry.contract, after: exported.contract });
+                }
+            } else if (listed.has(id) || prune) {
+                removed.push({ section, id, contract: entry.contract });
+            } else {
+                chainConfig[section][id] = entry;
+                if (previousAbis[id]) abis[id] = previousAbis[id];
+                kept.push({ section, id, contract: entry.contract });
+            }
+        }
+    }
+
+    return { chainConfig, abis, skipped, removed, changed, kept, warnings };
+}
+
+// Writes <chainId>.json and <chainId>.abis.json in the RPCLibrary chains directory and registers the chain
+// in list.json and index.js (the static imports RPCLibrary bundles)
+export function writeChainConfig(outputDir, chainConfig, abis) {
+    const { chainId } = chainConfig;
+    const configPath = path.join(outputDir, `${chainId}.json`);
+    const abisPath = path.join(outputDir, `${chainId}.abis.json`);
+    fs.writeFileSync(configPath, JSON.stringify(chainConfig, null, 2));
+    fs.writeFileSync(abisPath, JSON.stringify(abis, null, 2));
+
+    const listPath = path.join(outputDir, 'list.json');
+    const list = fs.existsSync(listPath) ? JSON.parse(fs.readFileSync(listPath, 'utf8')) : [];
+    if (!list.includes(String(chainId))) list.push(String(chainId));
+    fs.writeFileSync(listPath, JSON.stringify(list, null, 4));
+
+    const imports = list.map(id => `import chain${id} from './${id}.json' assert { type: 'json' };`).join('\n');
+    const entries = list.map(id => `    ${id}: chain${id},`).join('\n');
+    fs.writeFileSync(path.join(outputDir, 'index.js'), `${imports}\n\nconst chains = {\n${entries}\n}\n\nexport default chains;`);
+
+    return { configPath, abisPath };
+}
+
+export function readChainConfig(outputDir, chainId) {
+    const configPath = path.join(outputDir, `${chainId}.json`);
+    return fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : null;
+}
+
+export function readChainAbis(outputDir, chainId) {
+    const abisPath = path.join(outputDir, `${chainId}.abis.json`);
+    return fs.existsSync(abisPath) ? JSON.parse(fs.readFileSync(abisPath, 'utf8')) : {};
+}
@@ -3,9 +3,13 @@ function exportDeployment(deployment) {
     delete deploymentCopy.getWallet;
     delete deploymentCopy.provider;
 
-    for (const process of Object.values(deploymentCopy.processes)) {
-        delete process?.artifacts;
-        delete process?.logger;
+    // Copy each process result so exporting mid-run (checkpoints) does not strip the live deployment
+    deploymentCopy.processes = {};
+    for (const [processId, process] of Object.entries(deployment.processes || {})) {
+        const processCopy = process ? { ...process } : process;
+        delete processCopy?.artifacts;
+        delete processCopy?.logger;
+        deploymentCopy.processes[processId] = processCopy;
     }
     return deploymentCopy;
 }
@@ -0,0 +1,9 @@
+// deployment.contracts keys that do not match the name of their artifact
+const ARTIFACT_NAMES = {
+    RAACLendingPool: 'LendingPool',
+    RepairFund: 'Treasury',
+};
+
+export default function getArtifactName(contractName) {
+    return ARTIFACT_NAMES[contractName] || contractName;
+}
@@ -0,0 +1,50 @@
+// Wiring graph of a full deployment. Each invariant reads `call(...args)` on `contract` and compares it with:
+//  - expect: name of the contract (as in deployment.contracts) whose address is expected
+//  - value: expected literal (bigint, boolean)
+// Contract names in `args` are replaced by their address.
+export default function getDeploymentInvariants(settings = {}) {
+    return [
+        // RToken
+        { contract: 'RToken', property: 'reservePool', call: 'getReservePool', expect: 'RAACLendingPool' },
+        { contract: 'RToken', property: 'minter', call: '_minter', expect: 'RAACLendingPool' },
+        { contract: 'RToken', property: 'burner', call: '_burner', expect: 'RAACLendingPool' },
+        { contract: 'RToken', property: 'assetAddress', call: 'getAssetAddress', expect: 'crvUSDToken' },
+        // DebtToken
+        { contract: 'DebtToken', property: 'reservePool', call: 'getReservePool', expect: 'RAACLendingPool' },
+        // DEToken
+        { contract: 'DEToken', property: 'stabilityPool', call: 'getStabilityPool', expect: 'StabilityPool' },
+        { contract: 'DEToken', property: 'rTokenAddress', call: 'getRTokenAddress', expect: 'RToken' },
+        // RAACToken
+        { contract: 'RAACToken', property: 'minter', call: 'minter', expect: 'RAACMinter' },
+        { contract: 'RAACToken', property: 'feeCollector', call: 'feeCollector', expect: 'FeeCollector' },
+        { contract: 'RAACToken', property: 'swapTaxRate', call: 'swapTaxRate', value: settings.RAACToken?.swapTaxRate },
+        { contract: 'RAACToken', property: 'burnTaxRate', call: 'burnTaxRate', value: settings.RAACToken?.burnTaxRate },
+        { contract: 'RAACToken', property: 'isWhitelisted(FeeCollector)', call: 'isWhitelisted', args: ['FeeCollector'], value: true },
+        // StabilityPool (initialize)
+        { contract: 'StabilityPool', property: 'rToken', call: 'rToken', expect: 'RToken' },
+        { contract: 'StabilityPool', property: 'deToken', call: 'deToken', expect: 'DEToken' },
+        { contract: 'StabilityPool', property: 'raacToken', call: 'raacToken', expect: 'RAACToken' },
+        { contract: 'StabilityPool', property: 'raacMinter', call: 'raacMinter', expect: 'RAACMinter' },
+        { contract: 'StabilityPool', property: 'crvUSDToken', call: 'crvUSDToken', expect: 'crvUSDToken' },
+        { contract: 'StabilityPool', property: 'lendingPool', call: 'lendingPool', expect: 'RAACLendingPool' },
+        // LendingPool
+        { contract: 'RAACLendingPool', property: 'stabilityPool', call: 'stabilityPool', expect: 'StabilityPool' },
+        { contract: 'RAACLendingPool', property: 'priceOracle', call: 'priceOracle', expect: 'RAACHousePrices' },
+        { contract: 'RAACLendingPool', property: 'primeRateOracle', call: 'primeRateOracle', expect: 'RAACPrimeRateOracle' },
+        { contract: 'RAACLendingPool', property: 'rToken', call: 'rToken', expect: 'RToken' },
+        { contract: 'RAACLendingPool', property: 'debtToken', call: 'debtToken', expect: 'DebtToken' },
+        { contract: 'RAACLendingPool', property: 'reserveAssetToken', call: 'reserveAssetToken', expect: 'crvUSDToken' },
+        { contract: 'RAACLendingPool', property: 'raacNFT', call: 'raacNFT', expect: 'RAACNFT' },
+        // RAACHousePrices
+        { contract: 'RAACHousePrices', property: 'oracle', call: 'oracle', expect: 'RAACHousePriceOracle' },
+        // RAACMinter
+        { contract: 'RAACMinter', property: 'raacToken', call: 'raacToken', expect: 'RAACToken' },
+        { contract: 'RAACMinter', property: 'stabilityPool', call: 'stabilityPool', expect: 'StabilityPool' },
+        { contract: 'RAACMinter', property: 'lendingPool', call: 'lendingPool', expect: 'RAACLendingPool' },
+        // FeeCollector
+        { contract: 'FeeCollector', property: 'treasury', call: 'treasury', expect: 'Treasury' },
+        { contract: 'FeeCollector', property: 'repairFund', call: 'repairFund', expect: 'RepairFund' },
+        { contract: 'FeeCollector', property: 'raacToken', call: 'raacToken', expect: 'RAACToken' },
+        { contract: 'FeeCollector', property: 'veRAACToken', call: 'veRAACToken', expect: 'veRAACToken' },
+    ];
+}
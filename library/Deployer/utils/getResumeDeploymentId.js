@@ -0,0 +1,12 @@
+// Should parse `--resume <deploymentId>` from the command line arguments.
+// Falls back to RESUME_DEPLOYMENT_ID as `hardhat run` does not forward unknown arguments.
+export default function getResumeDeploymentId(argv = process.argv) {
+    const index = argv.indexOf('--resume');
+    if (index === -1) return process.env.RESUME_DEPLOYMENT_ID || null;
+
+    const deploymentId = argv[index + 1];
+    if (!deploymentId || deploymentId.startsWith('--')) {
+        throw new Error('Missing deployment id. Usage: --resume <deploymentId>');
+    }
+    return deploymentId;
+}
@@ -0,0 +1,305 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { fileURLToPath } from 'url';
+import { load } from 'js-yaml';
+import validateManifest from './manifestSchema.js';
+import prepareConstructorArgs from './prepareConstructorArgs.js';
+import getArtifactName from './getArtifactName.js';
+import parseTimestamp, { parseDuration } from './parseTimestamp.js';
+import { processes } from '../processes/index.js';
+
+// Defaults of what a manifest may leave out (contracts, processes)
+import prepareContractsConfig from '../configs/prepareContracts.js';
+import deployContractsConfig from '../configs/deployContracts.js';
+import deployTokenConfig from '../configs/deployToken.js';
+import transferOwnershipsConfig from '../configs/transferOwnerships.js';
+import verifyDeploymentConfig from '../configs/verifyDeployment.js';
+import verifySourcesConfig from '../configs/verifySources.js';
+import upgradeProxiesConfig from '../configs/upgradeProxies.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MANIFESTS_DIR = path.join(__dirname, '..', 'manifests');
+const NETWORKS_DIR = path.join(__dirname, '..', 'networks');
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+// Configs keyed by network in configs/, written for the manifest network only
+const NETWORK_KEYED_CONFIGS = ['transferOwnerships'];
+// Contracts owned by msg.sender in their constructor: through a CREATE2 factory, the factory would own them
+const SENDER_OWNED_CONTRACTS = ['RAACReleaseOrchestrator', 'LendingPool', 'veRAACToken', 'RAACHousePriceOracle', 'RAACPrimeRateOracle'];
+
+// Parses `--manifest <file|network>` from the command line arguments.
+// Falls back to DEPLOY_MANIFEST as `hardhat run` does not forward unknown arguments.
+export function getManifestPath(argv = process.argv) {
+    const index = argv.indexOf('--manifest');
+    const target = index === -1 ? process.env.DEPLOY_MANIFEST : argv[index + 1];
+    if (index !== -1 && (!target || target.startsWith('--'))) {
+        throw new Error('Missing manifest. Usage: --manifest <file|network>');
+    }
+    return target ? resolveManifestPath(target) : null;
+}
+
+// A path to a manifest file, or a network name looked up in manifests/<network>.yaml|yml|json
+export function resolveManifestPath(target) {
+    if (fs.existsSync(target) && fs.statSync(target).isFile()) return path.resolve(target);
+    for (const extension of EXTENSIONS) {
+        const candidate = path.join(MANIFESTS_DIR, `${target}${extension}`);
+        if (fs.existsSync(candidate)) return candidate;
+    }
+    throw new Error(`Manifest not found: ${target} (neither a file nor one of manifests/${target}{${EXTENSIONS.join(',')}})`);
+}
+
+// "... at position 123", or the source around the unexpected token ("Unexpected token '}', ..."ployer": }..."") - the line
+function findJsonErrorLine(source, message) {
+    const position = Number(message.match(/position (\d+)/)?.[1]);
+    if (!Number.isNaN(position)) return source.slice(0, position).split('\n').length;
+    const [, token, context] = message.match(/^Unexpected token '(.)', (?:\.\.\.)?"([\s\S]*?)"(?:\.\.\.)? is not valid JSON$/) || [];
+    const index = context ? source.indexOf(context) : -1;
+    return index === -1 ? null : source.slice(0, index + context.indexOf(token)).split('\n').length;
+}
+
+// Parses YAML (or JSON, a subset of YAML) and records the line of every node: { value, lines: { 'a.b[0]': line } }
+function parseWithLines(source, file) {
+    let value;
+    if (file.endsWith('.json')) {
+        try {
+            value = JSON.parse(source);
+        } catch (error) {
+            const line = findJsonErrorLine(source, error.message);
+            throw new Error(`Invalid manifest ${file}${line ? `:${line}` : ''}: ${error.message}`);
+        }
+    }
+
+    const stack = [{ children: [] }];
+    const listener = (event, state) => {
+        if (event === 'open') {
+            stack.push({ line: state.line + 1, children: [] });
+            return;
+        }
+        const frame = stack.pop();
+        frame.result = state.result;
+        // Block sequence entries are composed twice (entry then node): keep the inner node only
+        const [child] = frame.children;
+        const node = frame.children.length === 1 && child.result === frame.result ? child : frame;
+        stack[stack.length - 1].children.push(node);
+    };
+
+    let parsed;
+    try {
+        parsed = load(source, { filename: file, listener });
+    } catch (error) {
+        const line = error.mark ? `:${error.mark.line + 1}` : '';
+        throw new Error(`Invalid manifest ${file}${line}: ${error.reason || error.message}`);
+    }
+
+    const lines = {};
+    const assignLines = (node, nodePath) => {
+        lines[nodePath] = node.line;
+        const { result, children } = node;
+        if (Array.isArray(result)) {
+            children.forEach((child, index) => assignLines(child, `${nodePath}[${index}]`));
+        } else if (result && typeof result === 'object' && !(result instanceof Date)) {
+            // Mapping children alternate key, value
+            for (let index = 0; index + 1 < children.length; index += 2) {
+                const key = String(children[index].result);
+                assignLines(children[index + 1], nodePath ? `${nodePath}.${key}` : key);
+            }
+        }
+    };
+    if (stack[0].children[0]) assignLines(stack[0].children[0], '');
+
+    return { value: value ?? parsed, lines };
+}
+
+// Line of the closest node: a missing key is reported on its parent
+function findLine(lines, nodePath) {
+    let current = nodePath;
+    while (current && !lines[current]) {
+        const parent = current.replace(/(\.[^.[\]]+|\[\d+\]|^[^.[\]]+)$/, '');
+        if (parent === current) break;
+        current = parent;
+    }
+    return lines[current] || lines[''] || 1;
+}
+
+// Checks what the schema cannot: names of networks, contracts and processes
+function checkReferences(manifest, file) {
+    const errors = [];
+    if (!fs.existsSync(path.join(NETWORKS_DIR, `eth-${manifest.network}.js`))) {
+        errors.push({ path: 'network', message: `no network file networks/eth-${manifest.network}.js` });
+    }
+
+    const knownContracts = Object.keys(prepareConstructorArgs(null));
+    const constructorArgs = manifest.constructorArgs || {};
+    const dependencies = manifest.dependencies || {};
+    for (const contractName of Object.keys(constructorArgs)) {
+        if (!knownContracts.includes(contractName)) {
+            errors.push({ path: `constructorArgs.${contractName}`, message: `unknown contract ${contractName} (expected one of ${knownContracts.join(', ')})` });
+        }
+    }
+    for (const contractName of knownContracts) {
+        if (!constructorArgs[contractName] && !dependencies[contractName]) {
+            errors.push({ path: 'constructorArgs', message: `missing constructor args of ${contractName} (or reuse it in dependencies)` });
+        }
+    }
+
+    // Keyed by deployment contract name (RAACLendingPool, RepairFund...), whose artifact must be known
+    for (const [contractName, proxy] of Object.entries(manifest.proxies || {})) {
+        if (!knownContracts.includes(contractName) && !knownContracts.includes(getArtifactName(contractName))) {
+            errors.push({ path: `proxies.${contractName}`, message: `unknown contract ${contractName} (expected one of ${knownContracts.join(', ')})` });
+        }
+        if (dependencies[contractName]) {
+            errors.push({ path: `proxies.${contractName}`, message: `${contractName} is reused from dependencies, it is not deployed` });
+        }
+        if (proxy.initializerArgs && !proxy.initializer) {
+            errors.push({ path: `proxies.${contractName}.initializerArgs`, message: 'initializerArgs without initializer' });
+        }
+    }
+
+    if (manifest.create2) {
+        const { contracts, salts = {} } = manifest.create2;
+        contracts.forEach((contractName, index) => {
+            const nodePath = `create2.contracts.${index}`;
+            if (!knownContracts.includes(contractName) && !knownContracts.includes(getArtifactName(contractName))) {
+                errors.push({ path: nodePath, message: `unknown contract ${contractName} (expected one of ${knownContracts.join(', ')})` });
+            } else if (SENDER_OWNED_CONTRACTS.includes(getArtifactName(contractName))) {
+                errors.push({ path: nodePath, message: `${contractName} is owned by its deployer (msg.sender), the CREATE2 factory would own it` });
+            }
+            if (dependencies[contractName]) {
+                errors.push({ path: nodePath, message: `${contractName} is reused from dependencies, it is not deployed` });
+            }
+        });
+        for (const contractName of Object.keys(salts)) {
+            if (!contracts.includes(contractName)) {
+                errors.push({ path: `create2.salts.${contractName}`, message: `${contractName} is not in create2.contracts` });
+            }
+        }
+    }
+
+    const processIds = processes.map(({ id }) => id);
+    for (const processId of Object.keys(manifest.processes || {})) {
+        if (!processIds.includes(processId)) {
+            errors.push({ path: `processes.${processId}`, message: `unknown process ${processId}` });
+        }
+    }
+    const { wallets, allocations } = manifest.tge;
+    if (!wallets && !allocations) {
+        errors.push({ path: 'tge', message: 'missing wallets or allocations (CSV file)' });
+    }
+    if (allocations && !fs.existsSync(path.resolve(path.dirname(file), allocations))) {
+        errors.push({ path: 'tge.allocations', message: `no file ${allocations} next to the manifest` });
+    }
+    return errors;
+}
+
+// {{deployer}} / {{faucet}} are known when the manifest is loaded, YAML integers become bigints
+function normalizeConstructorArg(value, addresses) {
+    if (Array.isArray(value)) return value.map(item => normalizeConstructorArg(item, addresses));
+    if (typeof value === 'number') return BigInt(value);
+    if (value === '{{deployer}}') return addresses.deployer;
+    if (value === '{{faucet}}') return addresses.faucet;
+    return value;
+}
+
+// Loads, validates and normalizes a deployment manifest (see manifests/ and the README).
+// Returns what the config modules used to provide: network, addresses, dependencies, constructor args and process configs,
+// the contracts to deploy behind a proxy, the salts of the ones deployed through a CREATE2 factory and the budget.
+export default function loadManifest(target) {
+    const file = resolveManifestPath(target);
+    const relativeFile = file.startsWith(process.cwd()) ? path.relative(process.cwd(), file) : file;
+    const { value: manifest, lines } = parseWithLines(fs.readFileSync(file, 'utf8'), relativeFile);
+
+    const errors = validateManifest(manifest);
+    if (errors.length === 0) errors.push(...checkReferences(manifest, file));
+    if (errors.length > 0) {
+        const details = errors
+            .map(({ path: nodePath, message }) => ({ line: findLine(lines, nodePath), nodePath, message }))
+            .sort((a, b) => a.line - b.line)
+            .map(({ line, nodePath, message }) => `  ${relativeFile}:${line} ${nodePath || '(root)'}: ${message}`);
+        throw new Error(`Invalid manifest ${relativeFile} (${errors.length} error${errors.length > 1 ? 's' : ''}):\n${details.join('\n')}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const addresses = { deployer: manifest.deployer, faucet: manifest.faucet || manifest.deployer };
+
+    const constructorArgs = {};
+    for (const [contractName, args] of Object.entries(manifest.constructorArgs)) {
+        constructorArgs[contractName] = normalizeConstructorArg(args, addresses);
+    }
+
+    const proxies = {};
+    for (const [contractName, proxy] of Object.entries(manifest.proxies || {})) {
+        proxies[contractName] = {
+            kind: proxy.kind || 'transparent',
+            ...(proxy.initializer && { initializer: proxy.initializer }),
+            ...(proxy.initializerArgs && { initializerArgs: normalizeConstructorArg(proxy.initializerArgs, addresses) }),
+            ...(proxy.owner && { owner: normalizeConstructorArg(proxy.owner, addresses) }),
+        };
+    }
+
+    // Salts are derived from the manifest, so a rerun (or another network) predicts the same addresses
+    const create2 = manifest.create2 && {
+        ...(manifest.create2.factory && { factory: manifest.create2.factory }),
+        salts: Object.fromEntries(manifest.create2.contracts.map(contractName => {
+            const salt = manifest.create2.salts?.[contractName];
+            if (salt) return [contractName, ethers.isHexString(salt, 32) ? salt : ethers.id(salt)];
+            return [contractName, ethers.id(`${manifest.create2.salt}:${contractName}`)];
+        })),
+    };
+
+    const dependencies = {};
+    for (const [contractName, address] of Object.entries(manifest.dependencies || {})) {
+        dependencies[contractName] = { address };
+    }
+
+    const tgeConfig = {
+        wallets: (manifest.tge.wallets || []).map(wallet => ({
+            ...wallet,
+            amount: String(wallet.amount),
+            ...(wallet.schedules && {
+                schedules: wallet.schedules.map(schedule => ({
+                    ...schedule,
+                    start: parseTimestamp(schedule.start, now),
+                    end: parseTimestamp(schedule.end, now),
+                    ...(schedule.cliff !== undefined && { cliff: parseDuration(schedule.cliff) }),
+                })),
+            }),
+        })),
+        // Read and validated with the wallets by the prepareTGE process
+        ...(manifest.tge.allocations && { allocations: path.resolve(path.dirname(file), manifest.tge.allocations) }),
+        initialSupply: manifest.tge.initialSupply,
+        owner: manifest.tge.owner || addresses.deployer,
+        faucet: manifest.tge.faucet || addresses.faucet,
+    };
+
+    const processConfigs = {};
+    for (const [processId, config] of Object.entries(manifest.processes || {})) {
+        processConfigs[processId] = NETWORK_KEYED_CONFIGS.includes(processId) ? { [manifest.network]: config } : config;
+    }
+
+    return {
+        file,
+        network: manifest.network,
+        deployerAddress: addresses.deployer,
+        faucetAddress: addresses.faucet,
+        dependencies,
+        constructorArgs,
+        proxies,
+        create2: create2 || null,
+        budget: manifest.budget !== undefined ? String(manifest.budget) : null,
+        // Configs of runProcessesSequence, process id => config
+        configs: {
+            prepareEnvironment: { contracts: {}, network: manifest.network },
+            prepareContracts: manifest.contracts ? { contracts: manifest.contracts } : prepareContractsConfig,
+            prepareTGE: { tgeConfig },
+            deployToken: deployTokenConfig,
+            deployContracts: deployContractsConfig,
+            verifyDeployment: verifyDeploymentConfig,
+            verifySources: verifySourcesConfig,
+            upgradeProxies: upgradeProxiesConfig,
+            transferOwnerships: transferOwnershipsConfig,
+            ...processConfigs,
+        },
+    };
+}
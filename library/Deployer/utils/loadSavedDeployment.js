@@ -0,0 +1,24 @@
+// Contracts of a saved deployment, from its checkpoint (deployment id) or its deployment state file (deployment hash)
+export default async function loadSavedDeployment(deployer, networkName, id) {
+    try {
+        const checkpoint = await deployer.getStateAdapter().readDeploymentCheckpoint(id);
+        return {
+            id,
+            contracts: checkpoint.contracts || {},
+            dependencies: checkpoint.dependencies || {},
+        };
+    } catch (error) {
+        // Not a deployment id - try as a deployment hash
+    }
+
+    try {
+        const state = await deployer.loadDeploymentState(networkName, id);
+        return {
+            id,
+            contracts: state.deployedContracts || {},
+            dependencies: {},
+        };
+    } catch (error) {
+        throw new Error(`No saved deployment ${id} on ${networkName} (neither a checkpoint nor a deployment state)`);
+    }
+}
@@ -0,0 +1,196 @@
+import { ethers } from 'ethers';
+import { isPlaceholder } from './resolvePlaceholders.js';
+import parseTimestamp, { parseDuration } from './parseTimestamp.js';
+
+// Schema of the deployment manifests (manifests/<network>.yaml|json), checked by validateManifest.
+// Node types: object (properties, required, additionalProperties), array (items), string (enum, pattern),
+// address (checksummed or lowercase, or a placeholder), amount (decimal token amount), integerString (wei),
+// timestamp (unix seconds, ISO date, `now` or `now+30d`), duration (seconds or `90d`), constructorArg.
+const address = { type: 'address' };
+const timestamp = { type: 'timestamp' };
+
+const schedule = {
+    type: 'object',
+    required: ['type', 'start', 'end'],
+    properties: {
+        type: { type: 'string', enum: ['linear'] },
+        start: timestamp,
+        end: timestamp,
+        // Nothing releasable before start + cliff
+        cliff: { type: 'duration' },
+    },
+};
+
+const wallet = {
+    type: 'object',
+    required: ['identifier', 'type', 'address', 'amount'],
+    properties: {
+        identifier: { type: 'string' },
+        // RAACReleaseOrchestrator category (upper cased), deployer wallets vest as TEAM
+        type: { type: 'string', enum: ['deployer', 'team', 'advisor', 'treasury', 'private_sale', 'public_sale', 'liquidity'] },
+        address,
+        amount: { type: 'amount' },
+        schedules: { type: 'array', items: schedule },
+    },
+};
+
+export const manifestSchema = {
+    type: 'object',
+    required: ['network', 'deployer', 'constructorArgs', 'tge'],
+    properties: {
+        // networks/*.js network name
+        network: { type: 'string', pattern: /^[a-z0-9-]+$/ },
+        // Deployment wallet - {{deployer}} in constructor args
+        deployer: address,
+        // {{faucet}} in constructor args, defaults to the deployer
+        faucet: address,
+        // Artifacts loaded by prepareContracts
+        contracts: { type: 'array', items: { type: 'string' } },
+        // Contract name => constructor args (placeholders allowed, see README)
+        constructorArgs: {
+            type: 'object',
+            additionalProperties: { type: 'array', items: { type: 'constructorArg' } },
+        },
+        // Contract name => address of a contract to reuse instead of deploying it
+        dependencies: {
+            type: 'object',
+            additionalProperties: address,
+        },
+        // Contract name => proxy to deploy it behind (see methods/deployProxy.js), upgraded by the upgradeProxies process
+        proxies: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    kind: { type: 'string', enum: ['transparent', 'uups'] },
+                    // Function called through the proxy on deployment, with its args (placeholders allowed)
+                    initializer: { type: 'string', pattern: /^[A-Za-z_$][\w$]*(\(.*\))?$/ },
+                    initializerArgs: { type: 'array', items: { type: 'constructorArg' } },
+                    // Owner of the ProxyAdmin of a transparent proxy, the deployer by default
+                    owner: address,
+                },
+            },
+        },
+        // Contracts deployed through a CREATE2 factory at addresses predicted from their salts (see methods/deployCreate2.js)
+        create2: {
+            type: 'object',
+            required: ['salt', 'contracts'],
+            properties: {
+                // Salt of each contract is keccak256("<salt>:<contractName>") - the same salt gives the same addresses on every network
+                salt: { type: 'string', pattern: /^\S+$/ },
+                contracts: { type: 'array', items: { type: 'string' }, minItems: 1 },
+                // Contract name => salt overriding the derived one (bytes32 hex used as is, hashed otherwise)
+                salts: {
+                    type: 'object',
+                    additionalProperties: { type: 'string', pattern: /^\S+$/ },
+                },
+                // Factory taking salt ++ init code as calldata, the deterministic deployment proxy by default
+                factory: address,
+            },
+        },
+        // ETH the run may spend: runProcessesSequence stops before a step that would exceed it (see utils/costReport.js)
+        budget: { type: 'amount' },
+        tge: {
+            type: 'object',
+            properties: {
+                // Wei, must match the sum of the wallet amounts (computed when left out)
+                initialSupply: { type: 'integerString' },
+                owner: address,
+                faucet: address,
+                wallets: { type: 'array', items: wallet, minItems: 1 },
+                // CSV file of wallets, relative to the manifest (see utils/readAllocationsCSV.js)
+                allocations: { type: 'string' },
+            },
+        },
+        // Process id => config of the process (link parameters, verifySources...), replacing configs/<process>.js.
+        // Network keyed configs (transferOwnerships) are written for the manifest network only.
+        processes: {
+            type: 'object',
+            additionalProperties: { type: 'object', additionalProperties: true },
+        },
+    },
+};
+
+function typeError(value, expected) {
+    return `expected ${expected}, got ${Array.isArray(value) ? 'an array' : value === null ? 'null' : `${typeof value} ${JSON.stringify(value)}`}`;
+}
+
+function checkNode(value, node, path, errors) {
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    switch (node.type) {
+        case 'object': {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) return fail(typeError(value, 'a mapping'));
+            for (const key of node.required || []) {
+                if (value[key] === undefined || value[key] === null) fail(`missing required ${key}`);
+            }
+            for (const [key, child] of Object.entries(value)) {
+                const childPath = path ? `${path}.${key}` : key;
+                const childNode = node.properties?.[key] ?? node.additionalProperties;
+                if (childNode === true) continue;
+                if (!childNode) {
+                    fail(`unknown key ${key}${node.properties ? ` (expected one of ${Object.keys(node.properties).join(', ')})` : ''}`, childPath);
+                    continue;
+                }
+                checkNode(child, childNode, childPath, errors);
+            }
+            return;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return fail(typeError(value, 'a list'));
+            if (node.minItems && value.length < node.minItems) fail(`expected at least ${node.minItems} item(s)`);
+            value.forEach((item, index) => checkNode(item, node.items, `${path}[${index}]`, errors));
+            return;
+        }
+        case 'string': {
+            if (typeof value !== 'string') return fail(typeError(value, 'a string'));
+            if (node.enum && !node.enum.includes(value)) fail(`expected one of ${node.enum.join(', ')}, got ${value}`);
+            if (node.pattern && !node.pattern.test(value)) fail(`${value} does not match ${node.pattern}`);
+            return;
+        }
+        case 'address': {
+            if (typeof value !== 'string') return fail(typeError(value, 'an address'));
+            if (!isPlaceholder(value) && !ethers.isAddress(value)) fail(`${value} is not a valid address (wrong length or checksum)`);
+            return;
+        }
+        case 'amount': {
+            if (typeof value === 'number' ? !Number.isSafeInteger(value) || value < 0 : !/^\d+(\.\d+)?$/.test(value)) {
+                fail(typeof value === 'number' ? `${value} is not a safe integer, write it as a string` : typeError(value, 'a decimal amount'));
+            }
+            return;
+        }
+        case 'integerString': {
+            if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+                fail(typeof value === 'number' ? `${value} must be quoted: numbers lose precision above 2^53` : typeError(value, 'an integer string'));
+            }
+            return;
+        }
+        case 'timestamp': {
+            if (Number.isNaN(parseTimestamp(value))) fail(typeError(value, 'a timestamp (unix seconds, ISO date, now or now+<n>d)'));
+            return;
+        }
+        case 'duration': {
+            if (Number.isNaN(parseDuration(value))) fail(typeError(value, 'a duration (seconds or <n>s|m|h|d)'));
+            return;
+        }
+        case 'constructorArg': {
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => checkNode(item, node, `${path}[${index}]`, errors));
+            } else if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+                fail(`${value} is not a safe integer, write it as a string or a placeholder like {{1.5@18}}`);
+            } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+                fail(typeError(value, 'a string, number, boolean or list'));
+            }
+            return;
+        }
+        default:
+            throw new Error(`Unknown manifest schema type ${node.type}`);
+    }
+}
+
+// Returns [{ path, message }] - an empty list when the manifest matches the schema
+export default function validateManifest(manifest, schema = manifestSchema) {
+    const errors = [];
+    checkNode(manifest, schema, '', errors);
+    return errors;
+}
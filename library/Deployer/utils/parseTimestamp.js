@@ -0,0 +1,24 @@
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const DURATION_REGEX = /^(\d+)([smhd])$/;
+const RELATIVE_REGEX = /^now(?:\+(\d+[smhd]))?$/;
+
+// Seconds of a duration: 3600, '90d', '12h'. Returns NaN when the value is not a duration.
+export function parseDuration(value) {
+    if (typeof value === 'number') return Number.isSafeInteger(value) && value >= 0 ? value : NaN;
+    const match = typeof value === 'string' ? value.trim().match(DURATION_REGEX) : null;
+    if (match) return Number(match[1]) * DURATION_UNITS[match[2]];
+    return typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : NaN;
+}
+
+// Unix seconds of a timestamp: unix seconds, Date, ISO date, `now` or `now+365d`. Returns NaN when invalid.
+export default function parseTimestamp(value, now = Math.floor(Date.now() / 1000)) {
+    if (typeof value === 'number') return Number.isSafeInteger(value) && value >= 0 ? value : NaN;
+    if (value instanceof Date) return Math.floor(value.getTime() / 1000);
+    if (typeof value !== 'string') return NaN;
+
+    const trimmed = value.trim();
+    if (/^\d+$/.test(trimmed)) return Number(trimmed);
+    const relative = trimmed.match(RELATIVE_REGEX);
+    if (relative) return now + (relative[1] ? parseDuration(relative[1]) : 0);
+    return Math.floor(Date.parse(trimmed) / 1000);
+}
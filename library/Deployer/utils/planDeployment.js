@@ -0,0 +1,201 @@
+import { ethers } from 'ethers';
+import runProcessesSequence from './runProcessesSequence.js';
+import createForkProvider from './createForkProvider.js';
+import getArtifactName from './getArtifactName.js';
+import SignerAdapter from '../adapters/SignerAdapter/SignerAdapter.js';
+import { getCreate2Factory, predictCreate2Address } from '../methods/deployCreate2.js';
+
+// Runs the whole process sequence against an in-process fork of the target network
+// and records every transaction sent, without touching the real chain.
+// The deployer address is impersonated on the fork: no keystore password is asked and the remote signer signs nothing.
+// `options.address` replaces the address of the signer of the network file.
+export default async function planDeployment(deployment, deployer, configs, options = {}) {
+    const networkName = deployment?.network || process.env.NETWORK;
+    if(!networkName) throw new Error('Missing network configuration');
+
+    const network = await deployer.readNetworkFile(networkName);
+    const address = options.address
+        ? ethers.getAddress(options.address)
+        : await new SignerAdapter(network.network, network.signer).getAddress();
+
+    const fork = await createForkProvider(network, options);
+    // Real balance of the deployer: the plan fails where the deployment would run out of funds
+    await fork.request({ method: 'hardhat_impersonateAccount', params: [address] });
+
+    // Never the production signer, even one this deployer already unlocked.
+    // Kept when prepareEnvironment reads the network file again (same network name)
+    deployer.signerAdapter = null;
+    deployer.signer = null;
+    deployer.setNetwork({ ...network, signer: { type: 'impersonated', address } });
+
+    const sentTransactions = [];
+    let currentProcess = null;
+    const onProcessStart = ({ processId }) => {
+        currentProcess = processId;
+    };
+
+    // Records the hash of every transaction going through the fork, tagged with the running process
+    const recordingProvider = {
+        request: async (args) => {
+            const result = await fork.request(args);
+            if (args.method === 'eth_sendRawTransaction' || args.method === 'eth_sendTransaction') {
+                sentTransactions.push({ processId: currentProcess, hash: result });
+            }
+            return result;
+        }
+    };
+    const provider = new ethers.BrowserProvider(recordingProvider);
+    const forkBlockNumber = await provider.getBlockNumber();
+
+    deployer.providerOverride = provider;
+    deployer.options.persistState = false;
+    // The fork only mines on demand: waiting for confirmations would never end
+    deployer.options.confirmations = 1;
+    // An impersonated account cannot sign the log checkpoints
+    deployer.options.logs = { ...deployer.options.logs, checkpoints: false, anchor: false };
+    deployer.on(deployer.DEPLOYER_EVENTS.PROCESS_START, onProcessStart);
+    deployer.logger.addLog('PLAN_START', { network: network.network, chainId: network.chainId, forkBlockNumber, address });
+
+    let failure = null;
+    try {
+        await runProcessesSequence(deployment, deployer, configs);
+    } catch (error) {
+        failure = { processId: currentProcess, message: error.message };
+    } finally {
+        deployer.removeListener(deployer.DEPLOYER_EVENTS.PROCESS_START, onProcessStart);
+    }
+
+    const transactions = [];
+    for (const [index, { processId, hash }] of sentTransactions.entries()) {
+        const tx = await provider.getTransaction(hash);
+        const receipt = await provider.getTransactionReceipt(hash);
+        transactions.push({
+            index,
+            processId,
+            hash,
+            from: tx.from,
+            to: tx.to,
+            value: tx.value,
+            data: tx.data,
+            nonce: tx.nonce,
+            gasUsed: receipt?.gasUsed ?? null,
+            status: receipt?.status === 1 ? 'success' : 'failed',
+            contractAddress: receipt?.contractAddress ?? null,
+            ...describeTransaction(deployer, deployment, tx, receipt),
+        });
+    }
+
+    const plan = {
+        deploymentId: deployment.id,
+        network: {
+            name: network.network,
+            chainId: network.chainId,
+        },
+        forkBlockNumber,
+        createdAt: +new Date(),
+        success: !failure,
+        failure,
+        contracts: { ...deployment.contracts },
+        // Contract name => { address, salt, status: deployed|existing } of the CREATE2 deployments
+        create2: { ...deployment.create2 },
+        // Fees paid on the fork per process and contract, compared to the estimates (see utils/costReport.js)
+        costReport: deployment.costReport || null,
+        totalGasUsed: transactions.reduce((total, { gasUsed }) => total + (gasUsed ?? 0n), 0n),
+        transactions,
+    };
+
+    deployer.logger.addLog('PLAN_END', { success: plan.success, transactions: transactions.length, totalGasUsed: plan.totalGasUsed });
+
+    const { planPath } = await deployer.getStateAdapter().saveDeploymentPlan(deployment.id, plan);
+    plan.planPath = planPath;
+    return plan;
+}
+
+function describeTransaction(deployer, deployment, tx, receipt) {
+    const { contracts } = deployment;
+    const nameOf = (address) => Object.entries(contracts)
+        .find(([, contractAddress]) => contractAddress && address && contractAddress.toLowerCase() === address.toLowerCase())?.[0] || null;
+
+    if (!tx.to) {
+        const contractName = nameOf(receipt?.contractAddress);
+        return {
+            contractName,
+            description: `deploy ${contractName || 'unknown contract'}`,
+        };
+    }
+
+    // Through the CREATE2 factory: the address follows from the salt and the init code, before anything is sent
+    const factory = getCreate2Factory(deployment.create2Options);
+    if (tx.to.toLowerCase() === factory.toLowerCase() && ethers.dataLength(tx.data) > 32) {
+        const salt = ethers.dataSlice(tx.data, 0, 32);
+        const address = predictCreate2Address(ethers.dataSlice(tx.data, 32), salt, factory);
+        const contractName = Object.entries(deployment.create2 || {}).find(([, record]) => record.address === address)?.[0] || nameOf(address);
+        return {
+            contractName,
+            contractAddress: address,
+            salt,
+            description: `deploy ${contractName || 'unknown contract'} at ${address} (CREATE2)`,
+        };
+    }
+
+    const contractName = nameOf(tx.to);
+    if (contractName) {
+        try {
+            const artifact = deployer.getContractArtifact(getArtifactName(contractName));
+            const parsed = new ethers.Interface(artifact.abi).parseTransaction({ data: tx.data, value: tx.value });
+            if (parsed) {
+                return {
+                    contractName,
+                    method: parsed.signature,
+                    args: parsed.args.toArray(),
+                    description: `${contractName}.${parsed.name}(${parsed.args.map(String).join(', ')})`,
+                };
+            }
+        } catch (error) {
+            // Fall through to the raw description
+        }
+    }
+
+    return {
+        contractName,
+        description: `call ${contractName || tx.to} (${tx.data.slice(0, 10)})`,
+    };
+}
+
+export function printDeploymentPlan(plan) {
+    console.log(`\x1b[36m==== Deployment plan for ${plan.network.name} (chainId ${plan.network.chainId}) forked at block ${plan.forkBlockNumber} ====\x1b[0m`);
+
+    let processId = null;
+    for (const tx of plan.transactions) {
+        if (tx.processId !== processId) {
+            processId = tx.processId;
+            console.log(`\n\x1b[33m${processId}\x1b[0m`);
+        }
+        const status = tx.status === 'success' ? '' : ' \x1b[31m[FAILED]\x1b[0m';
+        console.log(`  #${tx.index} ${tx.description}${status}`);
+        console.log(`\x1b[90m     to: ${tx.to || '(create)'} | value: ${ethers.formatEther(tx.value)} ETH | gas used: ${tx.gasUsed}\x1b[0m`);
+        // Init code is not reviewable as hex, the JSON plan keeps it in full
+        const data = tx.to && !tx.salt ? tx.data : `<${ethers.dataLength(tx.data)} bytes of init code>`;
+        console.log(`\x1b[90m     data: ${data}\x1b[0m`);
+    }
+
+    console.log(`\n\x1b[36m==== Addresses ====\x1b[0m`);
+    for (const [contractName, address] of Object.entries(plan.contracts)) {
+        console.log(`  ${contractName}: ${address}`);
+    }
+
+    const create2 = Object.entries(plan.create2 || {});
+    if (create2.length > 0) {
+        console.log(`\n\x1b[36m==== Deterministic addresses (CREATE2) ====\x1b[0m`);
+        for (const [contractName, { address, salt, status }] of create2) {
+            const color = status === 'existing' ? '\x1b[90m' : '\x1b[32m';
+            console.log(`  ${contractName}: ${address} ${color}${status === 'existing' ? 'already deployed, skipped' : 'deployed'}\x1b[0m \x1b[90m(salt ${salt})\x1b[0m`);
+        }
+    }
+
+    console.log(`\n\x1b[36m==== ${plan.transactions.length} transactions | total gas used: ${plan.totalGasUsed} ====\x1b[0m`);
+    if (!plan.success) {
+        console.log(`\x1b[31m==== Plan failed in ${plan.failure.processId}: ${plan.failure.message} ====\x1b[0m`);
+    }
+    console.log(`\x1b[90mJSON plan: ${plan.planPath}\x1b[0m`);
+}
@@ -1,4 +1,3 @@
-import { ethers } from "ethers";
 export default function prepareConstructorArgs(deployerAddress) {
     return {
         crvUSDToken: [deployerAddress],
@@ -7,16 +6,16 @@ export default function prepareConstructorArgs(deployerAddress) {
             deployerAddress,
         ],
         RAACHousePriceOracle: [
-            "{{CHAINLINK_ROUTER}}",
+            "{{CHAINLINK_ROUTER|NULL}}",
             // bytes32 _donId,
-            "{{DON_ID}}",
+            "{{DON_ID|NULL}}",
             // address housePricesAddress
             "{{RAACHousePrices}}",
         ],
         RAACPrimeRateOracle: [
-            "{{CHAINLINK_ROUTER}}",
+            "{{CHAINLINK_ROUTER|NULL}}",
             // bytes32 _donId,
-            "{{DON_ID}}",
+            "{{DON_ID|NULL}}",
             // address lendingPoolAddress
             "{{RAACLendingPool}}",
         ],
@@ -106,7 +105,7 @@ export default function prepareConstructorArgs(deployerAddress) {
             // holder for PriceOracle
             "{{RAACHousePrices}}",
             // initial prime rate (10%)
-            ethers.parseUnits("0.1", 27),
+            "{{0.1@27}}",
         ],
         RepairFund: [
             // initial owner
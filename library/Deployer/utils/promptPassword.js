@@ -0,0 +1,38 @@
+// Reads a secret from the terminal without echoing it (raw mode, nothing is written back but the newline)
+export default function promptPassword(prompt, input = process.stdin, output = process.stdout) {
+    if (!input.isTTY) {
+        return Promise.reject(new Error(`Cannot prompt "${prompt}": stdin is not a terminal`));
+    }
+
+    output.write(`${prompt}: `);
+    input.setRawMode(true);
+    input.setEncoding('utf8');
+    input.resume();
+
+    return new Promise((resolve, reject) => {
+        let password = '';
+
+        const done = (error) => {
+            input.removeListener('data', onData);
+            input.setRawMode(false);
+            input.pause();
+            output.write('\n');
+            if (error) reject(error);
+            else resolve(password);
+        };
+
+        const onData = (chunk) => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n') return done();
+                if (char === '\u0003' || char === '\u0004') return done(new Error('Password prompt cancelled'));
+                if (char === '\u007f' || char === '\b') {
+                    password = password.slice(0, -1);
+                } else if (char >= ' ') {
+                    password += char;
+                }
+            }
+        };
+
+        input.on('data', onData);
+    });
+}
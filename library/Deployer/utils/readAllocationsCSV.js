@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import parseTimestamp, { parseDuration } from './parseTimestamp.js';
+
+const REQUIRED_COLUMNS = ['identifier', 'type', 'address', 'amount'];
+const OPTIONAL_COLUMNS = ['start', 'end', 'cliff'];
+
+// Splits a CSV line, with "quoted, fields" and "" escapes
+function splitLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let index = 0; index < line.length; index++) {
+        const char = line[index];
+        if (quoted) {
+            if (char === '"' && line[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new Error('unterminated quoted field');
+    fields.push(field.trim());
+    return fields;
+}
+
+// Reads TGE wallets from a CSV file with a header row:
+//   identifier,type,address,amount,start,end,cliff
+//   team1,team,0x2549E2E821E3413E6C0235318E3799263E643013,1_000_000,now,now+700d,90d
+//   liquidity1,liquidity,0xc6822649A9959C0a45c092a329C77d16F5978426,500000,,,
+// start/end/cliff are optional (no start and end: direct transfer). Blank lines and lines starting with # are ignored.
+// Wallets keep their line in `source` for the validation report (see validateTGEAllocations).
+export default function readAllocationsCSV(file, now = Math.floor(Date.now() / 1000)) {
+    const relativeFile = file.startsWith(process.cwd()) ? path.relative(process.cwd(), file) : file;
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+    const fail = (line, message) => {
+        throw new Error(`Invalid allocations ${relativeFile}:${line}: ${message}`);
+    };
+
+    let columns = null;
+    const wallets = [];
+    lines.forEach((content, index) => {
+        const line = index + 1;
+        if (!content.trim() || content.trim().startsWith('#')) return;
+
+        let fields;
+        try {
+            fields = splitLine(content);
+        } catch (error) {
+            fail(line, error.message);
+        }
+
+        if (!columns) {
+            columns = fields.map(field => field.toLowerCase());
+            const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+            const unknown = columns.filter(column => !REQUIRED_COLUMNS.includes(column) && !OPTIONAL_COLUMNS.includes(column));
+            if (missing.length > 0) fail(line, `missing column(s) ${missing.join(', ')} in the header`);
+            if (unknown.length > 0) fail(line, `unknown column(s) ${unknown.join(', ')} (expected ${[...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].join(', ')})`);
+            return;
+        }
+        if (fields.length !== columns.length) {
+            fail(line, `expected ${columns.length} fields, got ${fields.length}`);
+        }
+
+        const row = Object.fromEntries(columns.map((column, position) => [column, fields[position]]));
+        const wallet = {
+            identifier: row.identifier,
+            type: row.type.toLowerCase(),
+            address: row.address,
+            amount: row.amount,
+            source: { file: relativeFile, line },
+        };
+        if (row.start || row.end) {
+            const schedule = {
+                type: 'linear',
+                start: parseTimestamp(row.start, now),
+                end: parseTimestamp(row.end, now),
+            };
+            if (Number.isNaN(schedule.start)) fail(line, `invalid start ${row.start}`);
+            if (Number.isNaN(schedule.end)) fail(line, `invalid end ${row.end}`);
+            if (row.cliff) {
+                schedule.cliff = parseDuration(row.cliff);
+                if (Number.isNaN(schedule.cliff)) fail(line, `invalid cliff ${row.cliff}`);
+            }
+            wallet.schedules = [schedule];
+        } else if (row.cliff) {
+            fail(line, 'cliff without start and end');
+        }
+        wallets.push(wallet);
+    });
+
+    if (!columns) fail(1, 'empty file');
+    return wallets;
+}
@@ -0,0 +1,33 @@
+import { ethers } from 'ethers';
+import getArtifactName from './getArtifactName.js';
+import getDeploymentInvariants from './getDeploymentInvariants.js';
+
+// Reads the current on-chain value of every invariant of the wiring graph, keyed by `Contract.property`.
+// Addresses belonging to the deployment are replaced by the contract name, so two deployments can be compared
+// regardless of their addresses. Values that cannot be read are reported as `call failed (...)`.
+export default async function readDeploymentWiring(deployer, contracts, runner) {
+    const names = {};
+    for (const [contractName, address] of Object.entries(contracts)) {
+        if (address) names[ethers.getAddress(address)] = contractName;
+    }
+    const instances = {};
+    const wiring = {};
+
+    for (const { contract: contractName, property, call, args = [] } of getDeploymentInvariants()) {
+        if ([contractName, ...args].some(name => !contracts[name])) continue;
+
+        try {
+            if (!instances[contractName]) {
+                const artifact = deployer.readArtifactFile(getArtifactName(contractName));
+                instances[contractName] = new ethers.Contract(contracts[contractName], artifact.abi, runner);
+            }
+            const value = await instances[contractName][call](...args.map(name => contracts[name]));
+            wiring[`${contractName}.${property}`] = typeof value === 'string' && ethers.isAddress(value)
+                ? names[ethers.getAddress(value)] || ethers.getAddress(value)
+                : String(value);
+        } catch (error) {
+            wiring[`${contractName}.${property}`] = `call failed (${error.shortMessage || error.message})`;
+        }
+    }
+    return wiring;
+}
@@ -0,0 +1,18 @@
+import { ethers } from 'ethers';
+
+// ERC-1967 storage slots (bytes32(uint256(keccak256('eip1967.proxy.<name>')) - 1))
+export const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+export const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+async function readSlotAddress(provider, proxy, slot) {
+    const value = await provider.getStorage(proxy, slot);
+    return ethers.getAddress(ethers.dataSlice(value, 12));
+}
+
+// Implementation and admin (ProxyAdmin of a transparent proxy, zero for UUPS) read from the proxy storage
+export default async function readProxyAddresses(provider, proxy) {
+    return {
+        implementation: await readSlotAddress(provider, proxy, IMPLEMENTATION_SLOT),
+        admin: await readSlotAddress(provider, proxy, ADMIN_SLOT),
+    };
+}
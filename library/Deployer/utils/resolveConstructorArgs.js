@@ -0,0 +1,16 @@
+import resolvePlaceholders from './resolvePlaceholders.js';
+
+// Resolves deployment.constructorArgs[contractName] against the deployed contracts, the network constants and the environment.
+// When the artifact is given, resolved values are checked against the constructor ABI inputs.
+export default function resolveConstructorArgs(deployer, deployment, contractName, artifact) {
+    const constructorFragment = artifact?.abi?.find(({ type }) => type === 'constructor');
+
+    return resolvePlaceholders(deployment.constructorArgs?.[contractName], {
+        contractName,
+        processId: deployer.currentStatus?.currentStep,
+        contracts: deployment.contracts,
+        dependencies: deployment.dependencies,
+        network: deployer.getNetwork(deployment.network),
+        inputs: constructorFragment?.inputs,
+    });
+}
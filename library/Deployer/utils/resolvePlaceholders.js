@@ -0,0 +1,155 @@
+import { ethers } from 'ethers';
+
+// Placeholders are strings of the form {{expression}} where expression is a fallback chain `a|b|c`.
+// Each alternative is tried left to right, the first one resolving wins:
+//  - ZERO_ADDRESS, NULL               built-in constants (NULL lets a process skip an optional deployment)
+//  - bytes32:some-text               encodeBytes32String('some-text')
+//  - 0.1@27, 1.5@gwei                parseUnits('0.1', 27), parseUnits('1.5', 'gwei')
+//  - 100_000_000                     BigInt
+//  - env:NAME                        process.env.NAME
+//  - network:NAME                    constants of the network file (networks/*.js)
+//  - contract:Name                   deployed (or reused) contract address
+//  - Name                            deployed contract first, then network constant
+const PLACEHOLDER_REGEX = /^\{\{(.+)\}\}$/;
+const UNITS_REGEX = /^(-?\d+(?:\.\d+)?)@(\d+|wei|gwei|ether)$/;
+const INTEGER_REGEX = /^-?\d[\d_]*$/;
+
+const BUILTINS = {
+    ZERO_ADDRESS: ethers.ZeroAddress,
+    NULL: null,
+};
+
+export function isPlaceholder(value) {
+    return typeof value === 'string' && PLACEHOLDER_REGEX.test(value);
+}
+
+// Returns { matched, value } - matched is false when the expression is not a typed literal
+export function parseLiteral(expression) {
+    if (expression.startsWith('bytes32:')) {
+        return { matched: true, value: ethers.encodeBytes32String(expression.slice('bytes32:'.length)) };
+    }
+    const units = expression.match(UNITS_REGEX);
+    if (units) {
+        const decimals = /^\d+$/.test(units[2]) ? parseInt(units[2]) : units[2];
+        return { matched: true, value: ethers.parseUnits(units[1], decimals) };
+    }
+    if (INTEGER_REGEX.test(expression)) {
+        return { matched: true, value: BigInt(expression.replace(/_/g, '')) };
+    }
+    return { matched: false };
+}
+
+function findContract(name, context) {
+    return context.contracts?.[name] || context.dependencies?.[name]?.address || null;
+}
+
+function findNetworkConstant(name, context) {
+    const constant = context.network?.constants?.[name];
+    if (constant === undefined || constant === null) return undefined;
+    // Network constants can be typed literals themselves (e.g. DON_ID: 'bytes32:fun-ethereum-sepolia-1')
+    if (typeof constant === 'string') {
+        const literal = parseLiteral(constant);
+        if (literal.matched) return literal.value;
+    }
+    return constant;
+}
+
+// Returns { resolved: true, value } or { resolved: false, reason }
+function resolveAlternative(alternative, context) {
+    if (Object.prototype.hasOwnProperty.call(BUILTINS, alternative)) {
+        return { resolved: true, value: BUILTINS[alternative] };
+    }
+
+    const literal = parseLiteral(alternative);
+    if (literal.matched) {
+        return { resolved: true, value: literal.value };
+    }
+
+    const separatorIndex = alternative.indexOf(':');
+    const scope = separatorIndex === -1 ? null : alternative.slice(0, separatorIndex);
+    const name = separatorIndex === -1 ? alternative : alternative.slice(separatorIndex + 1);
+
+    switch (scope) {
+        case 'env': {
+            const value = (context.env || process.env)[name];
+            return value !== undefined && value !== ''
+                ? { resolved: true, value }
+                : { resolved: false, reason: `environment variable ${name} is not set` };
+        }
+        case 'network': {
+            const value = findNetworkConstant(name, context);
+            return value !== undefined
+                ? { resolved: true, value }
+                : { resolved: false, reason: `network ${context.network?.network || 'unknown'} has no constant ${name}` };
+        }
+        case 'contract': {
+            const value = findContract(name, context);
+            return value
+                ? { resolved: true, value }
+                : { resolved: false, reason: `contract ${name} is not deployed` };
+        }
+        case null: {
+            const contract = findContract(name, context);
+            if (contract) return { resolved: true, value: contract };
+            const constant = findNetworkConstant(name, context);
+            if (constant !== undefined) return { resolved: true, value: constant };
+            return {
+                resolved: false,
+                reason: `${name} is neither a deployed contract nor a constant of network ${context.network?.network || 'unknown'}`
+            };
+        }
+        default:
+            return { resolved: false, reason: `unknown placeholder scope ${scope}` };
+    }
+}
+
+export function resolvePlaceholder(value, context = {}) {
+    if (!isPlaceholder(value)) return value;
+
+    const expression = value.match(PLACEHOLDER_REGEX)[1];
+    const reasons = [];
+    for (const alternative of expression.split('|').map(part => part.trim())) {
+        const result = resolveAlternative(alternative, context);
+        if (result.resolved) return result.value;
+        reasons.push(result.reason);
+    }
+
+    const target = [
+        context.contractName ? `${context.contractName} argument` : 'argument',
+        context.argumentIndex !== undefined ? `#${context.argumentIndex}` : null,
+        context.argumentName ? `(${context.argumentName})` : null,
+    ].filter(Boolean).join(' ');
+    throw new Error(
+        `Unresolved placeholder ${value} for ${target}` +
+        (context.processId ? ` required by process ${context.processId}` : '') +
+        `: ${reasons.join('; ')}`
+    );
+}
+
+function checkType(value, input, context, index) {
+    if (!input || value === null) return;
+    if (input.type === 'address' && !ethers.isAddress(value)) {
+        throw new Error(
+            `Invalid ${context.contractName || ''} argument #${index} (${input.name}): expected an address, got ${value}` +
+            (context.processId ? ` in process ${context.processId}` : '')
+        );
+    }
+}
+
+// Resolves every placeholder of a constructor args array.
+// `context.inputs` (constructor ABI inputs) enables type checks of the resolved values.
+export default function resolvePlaceholders(args, context = {}) {
+    if (!args) {
+        throw new Error(`Constructor arguments not found${context.contractName ? ` for ${context.contractName}` : ''}`);
+    }
+
+    return args.map((arg, index) => {
+        const input = context.inputs?.[index];
+        const argumentContext = { ...context, argumentIndex: index, argumentName: input?.name };
+        const value = Array.isArray(arg)
+            ? arg.map(item => resolvePlaceholder(item, argumentContext))
+            : resolvePlaceholder(arg, argumentContext);
+        checkType(value, input, context, index);
+        return value;
+    });
+}
@@ -0,0 +1,107 @@
+// Builds the execution plan of the deployer processes from their `dependsOn` / `produces` declarations.
+// Keys are contract names (as in deployment.contracts) or deployment keys (e.g. `wallet`, `RAACToken:minter`).
+// A key is satisfied when an active process produces it, or when it is reused from deployment.dependencies.
+// The array order of processes is kept whenever the dependencies allow it.
+export default function resolveProcessPlan(processes, deployment = {}) {
+    const errors = [];
+    const reusedKeys = Object.keys(deployment.dependencies || {});
+
+    const activeProcesses = processes.filter(_process => _process.active);
+    const inactiveProcesses = processes.filter(_process => !_process.active);
+
+    // key => id of the active process producing it
+    const producers = {};
+    for (const _process of activeProcesses) {
+        for (const key of _process.produces || []) {
+            if (producers[key]) {
+                errors.push(`${key} is produced by both ${producers[key]} and ${_process.id}`);
+                continue;
+            }
+            producers[key] = _process.id;
+        }
+    }
+
+    // process id => ids of the processes it must run after
+    const edges = {};
+    for (const _process of activeProcesses) {
+        edges[_process.id] = new Set();
+        for (const key of _process.dependsOn || []) {
+            const producer = producers[key];
+            if (producer) {
+                if (producer !== _process.id) edges[_process.id].add(producer);
+                continue;
+            }
+            if (reusedKeys.includes(key)) continue;
+
+            const inactiveProducer = inactiveProcesses.find(({ produces }) => (produces || []).includes(key));
+            errors.push(
+                `${_process.id} depends on ${key} but no active process produces it` +
+                (inactiveProducer ? ` (${inactiveProducer.id} is inactive)` : '')
+            );
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid deployment plan:\n - ${errors.join('\n - ')}`);
+    }
+
+    // Kahn's algorithm, always picking the first ready process in array order
+    const ordered = [];
+    const done = new Set();
+    const pending = [...processes];
+    while (pending.length > 0) {
+        const index = pending.findIndex(_process =>
+            !_process.active || [...edges[_process.id]].every(id => done.has(id))
+        );
+        if (index === -1) break;
+        const [next] = pending.splice(index, 1);
+        ordered.push(next);
+        done.add(next.id);
+    }
+
+    if (pending.length > 0) {
+        throw new Error(`Invalid deployment plan: dependency cycle ${findCycle(pending, edges).join(' -> ')}`);
+    }
+
+    return ordered.map(_process => ({
+        process: _process,
+        runsAfter: _process.active ? [...edges[_process.id]] : [],
+        reused: (_process.dependsOn || []).filter(key => !producers[key]),
+    }));
+}
+
+function findCycle(pending, edges) {
+    const pendingIds = pending.map(({ id }) => id);
+    const visiting = [];
+
+    const visit = (id) => {
+        const start = visiting.indexOf(id);
+        if (start !== -1) return [...visiting.slice(start), id];
+        visiting.push(id);
+        for (const next of edges[id]) {
+            if (!pendingIds.includes(next)) continue;
+            const cycle = visit(next);
+            if (cycle) return cycle;
+        }
+        visiting.pop();
+        return null;
+    };
+
+    return visit(pendingIds[0]) || pendingIds;
+}
+
+export function printProcessPlan(plan) {
+    console.log(`\x1b[36m==== Deployment plan ====\x1b[0m`);
+    plan.forEach(({ process: _process, runsAfter, reused }, index) => {
+        const position = `${index + 1}`.padStart(2, ' ');
+        if (!_process.active) {
+            console.log(`\x1b[33m${position}. ${_process.id} (inactive)\x1b[0m`);
+            return;
+        }
+        const details = [
+            runsAfter.length > 0 ? `after: ${runsAfter.join(', ')}` : null,
+            reused.length > 0 ? `reused: ${reused.join(', ')}` : null,
+        ].filter(Boolean).join(' | ');
+        console.log(`${position}. ${_process.id}${details ? ` \x1b[90m(${details})\x1b[0m` : ''}`);
+    });
+}
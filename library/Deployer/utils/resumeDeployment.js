@@ -0,0 +1,33 @@
+// Restores a deployment from the checkpoint saved by runProcessesSequence.
+// provider / getWallet / signer / estimatedCost are not restored: prepareEnvironment and prepareContracts rerun on resume.
+export default async function resumeDeployment(deployment, deployer, deploymentId) {
+    const networkName = deployment?.network || process.env.NETWORK;
+    if(!networkName) throw new Error('Missing network configuration');
+
+    const network = await deployer.readNetworkFile(networkName);
+    deployer.setNetwork(network);
+
+    const checkpoint = await deployer.getStateAdapter().readDeploymentCheckpoint(deploymentId);
+    const { logs, signer, estimatedCost, ...savedState } = checkpoint;
+
+    if(!savedState.checkpoint?.completedProcesses) {
+        throw new Error(`Checkpoint for deployment ${deploymentId} has no completed processes`);
+    }
+
+    Object.assign(deployment, savedState, { id: deploymentId });
+
+    // The log of the interrupted run goes on in this one: the next checkpoint saves both, signed checkpoints included
+    if (logs?.logs) {
+        await deployer.logger.root.continueChain(logs);
+    }
+
+    deployer.logger.addLog('RESUME_DEPLOYMENT', {
+        deploymentId,
+        completedProcesses: savedState.checkpoint.completedProcesses,
+        failedProcess: savedState.checkpoint.failedProcess,
+        // Where the interrupted run stopped in the chain
+        previousFinalHash: logs?.finalHash || null
+    });
+
+    return deployment;
+}
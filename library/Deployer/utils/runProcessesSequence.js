@@ -1,8 +1,68 @@
 import { ethers } from "ethers";
 import { processes } from "../processes/index.js";
+import exportDeployment from "./exportDeployment.js";
+import resolveProcessPlan, { printProcessPlan } from "./resolveProcessPlan.js";
+import ensureConfirmedDeployments from "./ensureConfirmedDeployments.js";
+import { getLogsOptions } from "../methods/checkpointLogs.js";
+import createCostReport, { checkBudget, describeTransactionCost, printCostReport } from "./costReport.js";
+
+async function saveCheckpoint(deployment, deployer) {
+	// The state adapter only exists once prepareEnvironment has set the network
+	if (!deployer.stateAdapter || !deployer.options.persistState) return null;
+
+	deployment.checkpoint.updatedAt = +new Date();
+	await deployer.logger.flush();
+	const { checkpointPath } = await deployer
+		.getStateAdapter()
+		.saveDeploymentCheckpoint(
+			deployment.id,
+			exportDeployment(deployment),
+			deployer.logger.export()
+		);
+	console.log(`\x1b[90m==== Checkpoint saved : ${checkpointPath} ====\x1b[0m`);
+	return checkpointPath;
+}
 
 export default async function runProcessesSequence(deployment, deployer, configs) {
-		for (const _process of processes) {
+		// When resuming, completed processes come from the loaded checkpoint (see resumeDeployment)
+		const completedProcesses = deployment.checkpoint?.completedProcesses || [];
+		deployment.checkpoint = {
+			completedProcesses: [...completedProcesses],
+			failedProcess: null,
+		};
+
+		// Resolved before anything runs so a broken plan never sends a transaction
+		const plan = resolveProcessPlan(processes, deployment);
+		printProcessPlan(plan);
+		deployment.plan = plan.map(({ process: _process }) => _process.id);
+		deployer.processConfigs = configs;
+
+		// Deployment blocks, checked for depth and reorgs before awaitConfirmations processes trust an address
+		deployment.receipts = deployment.receipts || {};
+		const onContractDeployed = (record) => {
+			deployment.receipts[record.contractName] = {
+				...record,
+				processId: deployer.currentStatus.currentStep,
+			};
+		};
+		deployer.on(deployer.DEPLOYER_EVENTS.CONTRACT_DEPLOYED, onContractDeployed);
+
+		// Every confirmed transaction, with the process that sent it - kept in checkpoints so a resumed run counts them
+		deployment.costs = deployment.costs || { transactions: [] };
+		const onTransactionConfirmed = (result) => {
+			if (deployment.costs.transactions.some(({ hash }) => hash === result.hash)) return;
+			deployment.costs.transactions.push(
+				describeTransactionCost(deployer.currentStatus.currentStep, result)
+			);
+		};
+		deployer.on(deployer.DEPLOYER_EVENTS.TRANSACTION_CONFIRMED, onTransactionConfirmed);
+		const removeListeners = () => {
+			deployer.removeListener(deployer.DEPLOYER_EVENTS.CONTRACT_DEPLOYED, onContractDeployed);
+			deployer.removeListener(deployer.DEPLOYER_EVENTS.TRANSACTION_CONFIRMED, onTransactionConfirmed);
+		};
+
+		const logger = deployer.logger.root;
+		for (const { process: _process } of plan) {
 			if (!_process.active) {
 				console.log(
 					`\x1b[33m==== ${_process.name} - ${_process.description} ====\x1b[0m`
@@ -14,17 +74,60 @@ export default async function runProcessesSequence(deployment, deployer, configs
 				};
 				continue;
 			}
+			if (completedProcesses.includes(_process.id) && !_process.rerunOnResume) {
+				console.log(
+					`\x1b[33m==== ${_process.name} - Already completed : ${_process.id} ====\x1b[0m`
+				);
+				continue;
+			}
 			const config = configs[_process.id];
 			try {
-				deployment = await _process.handler(deployer, config, deployment);
+				deployer.emit(deployer.DEPLOYER_EVENTS.PROCESS_START, {
+					processId: _process.id,
+					name: _process.name,
+				});
+				// currentStep lets errors (e.g. unresolved placeholders) name the running process
+				deployer.updateStatus(_process.id, 'running');
+				// Aborts before the first transaction of a step that would go over deployment.budget
+				checkBudget(deployment, _process);
+				// Entries of the process carry its id (see ParaLogger.child), the sequence logs on the root logger
+				deployer.logger = logger.child(_process.id);
+				try {
+					if (_process.awaitConfirmations) {
+						await ensureConfirmedDeployments(deployer, deployment, _process.dependsOn);
+					}
+					deployment = await _process.handler(deployer, config, deployment);
+				} finally {
+					deployer.logger = logger;
+				}
+				deployer.updateStatus(_process.id, 'complete');
 				console.log(
 					`\x1b[32m==== ${_process.name} - Done : ${_process.id} ====\x1b[0m`
 				);
+				if (!deployment.checkpoint.completedProcesses.includes(_process.id)) {
+					deployment.checkpoint.completedProcesses.push(_process.id);
+				}
+				await deployer.checkpointLogs();
+				await saveCheckpoint(deployment, deployer);
 			} catch (error) {
 				console.log(
 					`\x1b[31m==== ${_process.name} - Failed : ${_process.id} ====\x1b[0m`
 				);
+				removeListeners();
 				console.log(error);
+				deployment.checkpoint.failedProcess = _process.id;
+				deployer.updateStatus(_process.id, 'error');
+				try {
+					await deployer.checkpointLogs();
+					if (await saveCheckpoint(deployment, deployer)) {
+						console.log(
+							`\x1b[33m==== Resume with : --resume ${deployment.id} ====\x1b[0m`
+						);
+					}
+				} catch (checkpointError) {
+					// Log the error but don't throw it - we will throw the base error later
+					console.log({ checkpointError });
+				}
 				// Try to get the contract by the address
 				// Find the contract in the deployment.contracts
 				if (error?.transaction?.to) {
@@ -52,7 +155,21 @@ export default async function runProcessesSequence(deployment, deployer, configs
 						console.log({ parsingError });
 					}
 				}
+				// What was spent until the failure (or the budget abort)
+				deployment.costReport = createCostReport(deployment);
+				printCostReport(deployment.costReport);
 				throw error;
 			}
 		}
+		// Opt-in, the anchor transaction is counted in the costs of the sequence
+		if (getLogsOptions(deployer).anchor) {
+			deployer.updateStatus('anchorLogs', 'running');
+			deployment.logAnchor = await deployer.anchorLogs();
+			deployer.updateStatus('anchorLogs', 'complete');
+			await saveCheckpoint(deployment, deployer);
+		}
+		removeListeners();
+		deployment.costReport = createCostReport(deployment);
+		printCostReport(deployment.costReport);
+		return deployment;
 	}
\ No newline at end of file
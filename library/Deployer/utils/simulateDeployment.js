@@ -0,0 +1,68 @@
+import { ethers } from 'ethers';
+import runProcessesSequence from './runProcessesSequence.js';
+import stringifyDeployment from './stringifyDeployment.js';
+import getArtifactName from './getArtifactName.js';
+
+// Replays the process sequence of a deployment on an in-memory Hardhat network forking its network, and measures
+// the gas of every transaction: each contract is deployed with its real constructor args (the addresses of the
+// contracts deployed before it), then the link / init calls run against them.
+// The deployer address is impersonated, so nothing is signed and its real balance does not matter.
+// Resolves with the gas per contract and per process, and the process that failed when the replay stopped early.
+export default async function simulateDeployment(deployment, deployer, configs) {
+    const network = deployer.getNetwork(deployment.network);
+    // Loaded on demand: hardhat is only needed when a simulation runs
+    const { default: createForkProvider } = await import('./createForkProvider.js');
+    const provider = new ethers.BrowserProvider(await createForkProvider(network));
+
+    const address = await deployer.getSigner().getAddress();
+    await provider.send('hardhat_impersonateAccount', [address]);
+    await provider.send('hardhat_setBalance', [address, ethers.toQuantity(ethers.parseEther('1000000'))]);
+
+    // An impersonated account cannot sign: no log checkpoints
+    const simulator = new deployer.constructor({
+        persistState: false,
+        confirmations: 1,
+        verbose: false,
+        logs: { checkpoints: false, anchor: false },
+    });
+    simulator.providerOverride = provider;
+    // The signer is kept when prepareEnvironment reads the network file again (same network name)
+    simulator.setNetwork({ ...network, signer: { type: 'impersonated', address } });
+    simulator.logger.addLog('SIMULATION_START', { network: network.network, address });
+
+    // Checkpoint copy of the deployment: completed processes are not replayed, their contracts already exist on the fork
+    const simulated = JSON.parse(stringifyDeployment(deployment));
+    simulated.budget = null;
+    simulated.costs = { transactions: [] };
+
+    console.log(`\x1b[36m==== Simulating the deployment on a fork of ${network.network} ====\x1b[0m`);
+    let failure = null;
+    try {
+        await runProcessesSequence(simulated, simulator, configs);
+    } catch (error) {
+        failure = { processId: simulated.checkpoint?.failedProcess ?? null, message: error.message };
+    }
+    console.log(`\x1b[36m==== Simulation ${failure ? `stopped in ${failure.processId}: ${failure.message}` : 'complete'} ====\x1b[0m`);
+
+    const processes = {};
+    for (const { processId, gasUsed } of simulated.costs.transactions) {
+        const entry = processes[processId] || (processes[processId] = { transactions: 0, gasUsed: 0n });
+        entry.transactions += 1;
+        entry.gasUsed += BigInt(gasUsed);
+    }
+
+    // Deployment name => gas of its deployment transaction (a proxy adds the implementation to its process only)
+    const contracts = {};
+    for (const [contractName, { transactionHash, processId }] of Object.entries(simulated.receipts || {})) {
+        const transaction = simulated.costs.transactions.find(({ hash }) => hash === transactionHash);
+        if (!transaction) continue;
+        contracts[contractName] = { artifact: getArtifactName(contractName), processId, gasUsed: BigInt(transaction.gasUsed) };
+    }
+
+    return {
+        contracts,
+        processes,
+        gasUsed: simulated.costs.transactions.reduce((total, { gasUsed }) => total + BigInt(gasUsed), 0n),
+        failure,
+    };
+}
@@ -0,0 +1,173 @@
+import { ethers } from 'ethers';
+
+const DAY = 24 * 60 * 60;
+
+// Mirrors the RAACReleaseOrchestrator constructor and constants (contracts/core/minters/RAACReleaseOrchestrator)
+export const ORCHESTRATOR_CATEGORIES = {
+    TEAM: ethers.parseEther('18000000'),
+    ADVISOR: ethers.parseEther('10300000'),
+    TREASURY: ethers.parseEther('5000000'),
+    PRIVATE_SALE: ethers.parseEther('10000000'),
+    PUBLIC_SALE: ethers.parseEther('15000000'),
+    LIQUIDITY: ethers.parseEther('6800000'),
+};
+export const VESTING_CLIFF = 90 * DAY;
+export const VESTING_DURATION = 700 * DAY;
+
+const AMOUNT_REGEX = /^\d[\d_]*(\.\d+)?$/;
+
+// Orchestrator category of a wallet type - deployer wallets vest as TEAM
+export function getWalletCategory(type) {
+    const category = String(type || '').toUpperCase();
+    return category === 'DEPLOYER' ? 'TEAM' : category;
+}
+
+function describeWallet(wallet, index) {
+    const name = wallet.identifier ? `${wallet.identifier}` : `wallets[${index}]`;
+    return wallet.source ? `${name} (${wallet.source.file}:${wallet.source.line})` : name;
+}
+
+function formatDays(seconds) {
+    return `${+(seconds / DAY).toFixed(2)} days`;
+}
+
+// Validates the TGE wallets before anything is sent:
+//  - identifiers and addresses are unique, addresses are checksummed and not zero
+//  - amounts are positive decimal token amounts (18 decimals at most, `_` separators allowed)
+//  - schedules are sane (one per wallet, start < end, cliff < duration) and match what the orchestrator enforces
+//  - vested amounts fit the remaining allocation of their orchestrator category
+//  - the exact supply (bigint, wei) matches initialSupply when it is given
+// categories: category => remaining allocation (wei), defaults to the orchestrator constructor allocations.
+// scheduled: addresses already holding a vesting schedule on a reused orchestrator (not counted again).
+// Returns { errors, warnings, wallets, totalSupply, categories } - wallets are normalized (amount without `_`).
+export default function validateTGEAllocations(tgeConfig, { categories = ORCHESTRATOR_CATEGORIES, scheduled = [], now = Math.floor(Date.now() / 1000) } = {}) {
+    const errors = [];
+    const warnings = [];
+    const wallets = [];
+    const identifiers = {};
+    const addresses = {};
+    const report = Object.fromEntries(Object.entries(categories).map(([category, allocation]) => [
+        category,
+        { allocation, vested: 0n, direct: 0n },
+    ]));
+    let totalSupply = 0n;
+
+    if (!Array.isArray(tgeConfig?.wallets) || tgeConfig.wallets.length === 0) {
+        errors.push('No wallets to distribute');
+    }
+
+    (tgeConfig?.wallets || []).forEach((wallet, index) => {
+        const name = describeWallet(wallet, index);
+        const fail = (message) => errors.push(`${name}: ${message}`);
+
+        if (!wallet.identifier) {
+            fail('missing identifier');
+        } else if (identifiers[wallet.identifier]) {
+            fail(`duplicate identifier, already used by ${identifiers[wallet.identifier]}`);
+        } else {
+            identifiers[wallet.identifier] = name;
+        }
+
+        const category = getWalletCategory(wallet.type);
+        if (!report[category]) {
+            fail(`unknown type ${wallet.type} (expected deployer or one of ${Object.keys(report).map(key => key.toLowerCase()).join(', ')})`);
+        }
+
+        let address = null;
+        try {
+            address = ethers.getAddress(wallet.address);
+        } catch (_) {
+            fail(`invalid address ${wallet.address}`);
+        }
+        if (address && address !== wallet.address) {
+            fail(`address ${wallet.address} is not checksummed (expected ${address})`);
+        }
+        if (address === ethers.ZeroAddress) {
+            fail('zero address');
+        } else if (address && addresses[address]) {
+            fail(`duplicate address ${address}, already used by ${addresses[address]}`);
+        } else if (address) {
+            addresses[address] = name;
+        }
+
+        let amount = null;
+        const rawAmount = String(wallet.amount ?? '').trim();
+        if (!AMOUNT_REGEX.test(rawAmount)) {
+            fail(`invalid amount ${wallet.amount}`);
+        } else {
+            const normalized = rawAmount.replace(/_/g, '');
+            const decimals = normalized.split('.')[1] || '';
+            if (decimals.length > 18) {
+                fail(`amount ${rawAmount} has more than 18 decimals`);
+            } else {
+                amount = ethers.parseEther(normalized);
+                if (amount === 0n) fail('amount is 0');
+                totalSupply += amount;
+            }
+        }
+
+        const schedules = wallet.schedules || [];
+        if (schedules.length > 1) {
+            fail(`${schedules.length} schedules, the orchestrator holds one vesting schedule per beneficiary`);
+        }
+        for (const schedule of schedules.slice(0, 1)) {
+            const { type, start, end, cliff } = schedule;
+            if (type !== 'linear') fail(`unsupported schedule type ${type} (expected linear)`);
+            if (!Number.isSafeInteger(start) || !Number.isSafeInteger(end)) {
+                fail(`schedule start and end must be unix timestamps, got ${start} - ${end}`);
+                continue;
+            }
+            if (start >= end) {
+                fail(`schedule starts at ${start}, not before its end ${end}`);
+                continue;
+            }
+            if (cliff !== undefined && (!Number.isSafeInteger(cliff) || cliff < 0 || cliff >= end - start)) {
+                fail(`cliff ${cliff} must be a number of seconds shorter than the schedule (${end - start})`);
+            } else if (cliff !== undefined && cliff !== VESTING_CLIFF) {
+                // The orchestrator only takes the start: duration and cliff are its constants, it cannot honor other ones
+                fail(`cliff of ${formatDays(cliff)}, RAACReleaseOrchestrator enforces ${formatDays(VESTING_CLIFF)}`);
+            }
+            if (end - start !== VESTING_DURATION) {
+                fail(`schedule lasts ${formatDays(end - start)}, RAACReleaseOrchestrator vests over ${formatDays(VESTING_DURATION)}`);
+            }
+            if (start < now - DAY) {
+                warnings.push(`${name}: schedule started ${formatDays(now - start)} ago`);
+            }
+        }
+
+        wallets.push({ ...wallet, amount: rawAmount.replace(/_/g, '') });
+        if (amount !== null && report[category] && !scheduled.includes(address)) {
+            report[category][schedules.length > 0 ? 'vested' : 'direct'] += amount;
+        }
+    });
+
+    // Vested amounts are created on the orchestrator, which reverts past the category allocation
+    for (const [category, { allocation, vested }] of Object.entries(report)) {
+        if (vested > allocation) {
+            errors.push(`${category}: ${ethers.formatEther(vested)} vested exceeds the remaining RAACReleaseOrchestrator allocation of ${ethers.formatEther(allocation)}`);
+        }
+    }
+
+    if (tgeConfig?.initialSupply !== undefined && tgeConfig?.initialSupply !== null) {
+        const initialSupply = String(tgeConfig.initialSupply);
+        if (!/^\d+$/.test(initialSupply)) {
+            errors.push(`initialSupply ${initialSupply} must be an integer amount of wei`);
+        } else if (BigInt(initialSupply) !== totalSupply) {
+            const difference = BigInt(initialSupply) - totalSupply;
+            errors.push(`initialSupply ${initialSupply} does not match the sum of the wallets ${totalSupply} (${difference > 0n ? '+' : ''}${difference} wei)`);
+        }
+    }
+
+    return { errors, warnings, wallets, totalSupply, categories: report };
+}
+
+export function printTGEValidation({ errors, warnings, totalSupply, categories }) {
+    console.log(`\x1b[36m==== TGE allocations : ${ethers.formatEther(totalSupply)} RAAC ====\x1b[0m`);
+    for (const [category, { allocation, vested, direct }] of Object.entries(categories)) {
+        if (vested === 0n && direct === 0n) continue;
+        console.log(`${category.padEnd(14)} vested ${ethers.formatEther(vested)} / ${ethers.formatEther(allocation)}` +
+            (direct > 0n ? ` \x1b[90m(+ ${ethers.formatEther(direct)} transferred)\x1b[0m` : ''));
+    }
+    warnings.forEach(warning => console.log(`\x1b[33m - ${warning}\x1b[0m`));
+    errors.forEach(error => console.log(`\x1b[31m - ${error}\x1b[0m`));
+}
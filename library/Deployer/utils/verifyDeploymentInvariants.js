@@ -0,0 +1,77 @@
+import { ethers } from 'ethers';
+import getArtifactName from './getArtifactName.js';
+import getDeploymentInvariants from './getDeploymentInvariants.js';
+
+function normalize(value) {
+    if (typeof value === 'string' && ethers.isAddress(value)) return ethers.getAddress(value);
+    if (typeof value === 'number') return BigInt(value);
+    return value;
+}
+
+// Checks every invariant against the chain. Never throws on a mismatch: returns a structured diff
+// { success, checked, mismatches: [{ contract, address, property, expected, actual, error? }], skipped: [{ contract, property, reason }] }
+export default async function verifyDeploymentInvariants(deployer, contracts, runner, settings = {}) {
+    const report = {
+        success: true,
+        checked: 0,
+        mismatches: [],
+        skipped: [],
+    };
+    const instances = {};
+
+    const getInstance = (contractName) => {
+        if (!instances[contractName]) {
+            const artifact = deployer.readArtifactFile(getArtifactName(contractName));
+            instances[contractName] = new ethers.Contract(contracts[contractName], artifact.abi, runner);
+        }
+        return instances[contractName];
+    };
+
+    for (const invariant of getDeploymentInvariants(settings)) {
+        const { contract: contractName, property, call, expect, args = [] } = invariant;
+
+        const missing = [contractName, expect, ...args].filter(name => name && !contracts[name]);
+        if (missing.length > 0) {
+            report.skipped.push({ contract: contractName, property, reason: `${missing.join(', ')} not deployed` });
+            continue;
+        }
+        if (!expect && invariant.value === undefined) {
+            report.skipped.push({ contract: contractName, property, reason: 'no expected value configured' });
+            continue;
+        }
+
+        const expected = normalize(expect ? contracts[expect] : invariant.value);
+        const entry = {
+            contract: contractName,
+            address: contracts[contractName],
+            property,
+            expected: expect ? `${expect} (${expected})` : expected,
+        };
+
+        report.checked++;
+        try {
+            const actual = normalize(await getInstance(contractName)[call](...args.map(name => contracts[name])));
+            if (actual !== expected) {
+                report.mismatches.push({ ...entry, actual });
+            }
+        } catch (error) {
+            report.mismatches.push({ ...entry, actual: null, error: error.shortMessage || error.message });
+        }
+    }
+
+    report.success = report.mismatches.length === 0;
+    return report;
+}
+
+export function printInvariantReport(report) {
+    const color = report.success ? '\x1b[32m' : '\x1b[31m';
+    console.log(`${color}==== Deployment invariants : ${report.checked - report.mismatches.length}/${report.checked} hold ====\x1b[0m`);
+    for (const { contract, address, property, expected, actual, error } of report.mismatches) {
+        console.log(`\x1b[31m ✗ ${contract}.${property}\x1b[0m \x1b[90m(${address})\x1b[0m`);
+        console.log(`\x1b[32m   - expected: ${expected}\x1b[0m`);
+        console.log(`\x1b[31m   + actual:   ${error ? `call failed (${error})` : actual}\x1b[0m`);
+    }
+    for (const { contract, property, reason } of report.skipped) {
+        console.log(`\x1b[33m - ${contract}.${property} skipped: ${reason}\x1b[0m`);
+    }
+}
@@ -0,0 +1,171 @@
+import { ethers } from 'ethers';
+import { verifyLogChain } from './ParaLogger/ParaLogger.js';
+
+// Attempts that may never be mined (replaced by a fee bump) - only the hashes logged as mined are checked
+const UNMINED_TYPES = ['TX_SENT', 'TX_BUMPED'];
+
+// Transactions referenced by the entries: TX_MINED ({ hash, nonce, blockNumber }), CONTRACT_DEPLOYED ({ transactionHash, address })
+// and any other entry with a hash (CREATE2_DEPLOYED, PROXY_DEPLOYED...). A reorg moves the expected block (TX_REORGED).
+function collectTransactions(logs) {
+    const transactions = new Map();
+    const get = (hash, index) => transactions.get(hash) || transactions.set(hash, { hash, index, entries: [] }).get(hash);
+
+    logs.forEach(({ type, data }, index) => {
+        const hash = data?.transactionHash ?? data?.hash;
+        if (UNMINED_TYPES.includes(type) || !ethers.isHexString(hash, 32)) return;
+
+        const transaction = get(hash, index);
+        transaction.entries.push(type);
+        if (type === 'TX_MINED') {
+            transaction.nonce = data.nonce;
+            transaction.blockNumber = data.blockNumber;
+        }
+        if (type === 'TX_REORGED') {
+            transaction.blockNumber = data.newBlockNumber ?? transaction.blockNumber;
+        }
+        if (type === 'CONTRACT_DEPLOYED') {
+            transaction.address = data.address;
+        }
+        if (type === 'LOG_ANCHORED') {
+            transaction.anchoredHash = data.lastHash;
+        }
+    });
+    return [...transactions.values()];
+}
+
+async function checkTransaction(provider, { hash, nonce, blockNumber, address, anchoredHash }, signers) {
+    const [transaction, receipt] = await Promise.all([
+        provider.getTransaction(hash),
+        provider.getTransactionReceipt(hash),
+    ]);
+    if (!transaction || !receipt) return ['not found on the network'];
+
+    const errors = [];
+    if (nonce !== undefined && transaction.nonce !== Number(nonce)) {
+        errors.push(`nonce ${transaction.nonce} on chain, ${nonce} logged`);
+    }
+    if (blockNumber !== undefined && receipt.blockNumber !== Number(blockNumber)) {
+        errors.push(`mined in block ${receipt.blockNumber}, block ${blockNumber} logged`);
+    }
+    // The key that signed the checkpoints is the one that sent the transactions
+    if (signers.length > 0 && !signers.includes(transaction.from)) {
+        errors.push(`sent by ${transaction.from}, not by the checkpoint signer ${signers.join(' / ')}`);
+    }
+    if (anchoredHash && transaction.data !== anchoredHash) {
+        errors.push(`anchors ${transaction.data}, ${anchoredHash} logged`);
+    }
+    // A CREATE2 deployment goes through the factory: the receipt has no contract address
+    if (address && receipt.contractAddress && receipt.contractAddress !== ethers.getAddress(address)) {
+        errors.push(`created ${receipt.contractAddress}, ${address} logged`);
+    }
+    return errors;
+}
+
+// Audits a saved logs file (ParaLogger.export(): { logs, finalHash, difficulty }): the chain itself and its signed
+// checkpoints (see verifyLogChain), its final hash, and with a provider every logged transaction against its receipt.
+// With `signer`, the log must be checkpointed by that address only. A log without any signed checkpoint is invalid
+// (stripping them and recomputing the chain hides an edit) unless `allowUnsigned` is set.
+// Never throws on a mismatch: { valid, entries, difficulty, finalHash, firstInvalid, errors, checkpoints, transactions }
+// firstInvalid is the first tampered entry ({ index, type, reason }), index = entries when only the final hash is wrong.
+// checkpoints.unsigned counts the entries after the last checkpoint: nothing but the chain protects them.
+export default async function verifyLogs(loggerState, { provider = null, difficulty = null, signer = null, allowUnsigned = false } = {}) {
+    const logs = loggerState?.logs;
+    if (!Array.isArray(logs)) {
+        throw new Error('Not a logs file: no logs array');
+    }
+    if (logs.length > 0 && logs[0].hash === undefined) {
+        throw new Error('Logs exported without hashes (excludeHashes) cannot be verified');
+    }
+
+    const { errors, checkpoints } = verifyLogChain(logs, loggerState.difficulty);
+    const signers = [...new Set(checkpoints.map(checkpoint => checkpoint.signer).filter(Boolean))];
+    // Recomputing every nonce at a lower difficulty is cheap: the expected one can be enforced
+    if (difficulty !== null && loggerState.difficulty !== difficulty) {
+        errors.unshift({ index: 0, type: logs[0]?.type ?? null, reason: `difficulty ${loggerState.difficulty}, expected ${difficulty}` });
+    }
+    if (checkpoints.length === 0 && signer) {
+        errors.push({ index: 0, type: logs[0]?.type ?? null, reason: `no checkpoint signed by ${signer}` });
+    } else if (checkpoints.length === 0 && !allowUnsigned) {
+        errors.push({ index: 0, type: logs[0]?.type ?? null, reason: 'no signed checkpoint, the chain can be recomputed after an edit' });
+    }
+    if (signer) {
+        for (const { index, signer: recovered } of checkpoints) {
+            if (recovered && recovered !== ethers.getAddress(signer)) {
+                errors.push({ index, type: 'LOG_CHECKPOINT', reason: `checkpoint signed by ${recovered}, expected ${signer}` });
+            }
+        }
+    }
+    // Catches entries removed from the end, the chain itself stays valid
+    const lastHash = logs.length > 0 ? logs[logs.length - 1].hash : '';
+    if (loggerState.finalHash !== lastHash) {
+        errors.push({ index: logs.length, type: null, reason: `finalHash ${loggerState.finalHash} is not the hash of the last entry ${lastHash || '(none)'}` });
+    }
+
+    let transactions = null;
+    if (provider) {
+        transactions = { checked: 0, mismatches: [] };
+        for (const transaction of collectTransactions(logs)) {
+            transactions.checked++;
+            for (const reason of await checkTransaction(provider, transaction, signers)) {
+                transactions.mismatches.push({ index: transaction.index, hash: transaction.hash, entries: transaction.entries, reason });
+            }
+        }
+    }
+
+    return {
+        valid: errors.length === 0 && !transactions?.mismatches.length,
+        entries: logs.length,
+        difficulty: loggerState.difficulty,
+        finalHash: loggerState.finalHash,
+        signer: signer ? ethers.getAddress(signer) : null,
+        firstInvalid: errors.reduce((first, error) => (!first || error.index < first.index ? error : first), null),
+        errors,
+        checkpoints: {
+            count: checkpoints.length,
+            signers,
+            unsigned: logs.length - (checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].index + 1 : 0),
+        },
+        transactions,
+    };
+}
+
+export function printLogsReport(report) {
+    const color = report.valid ? '\x1b[32m' : '\x1b[31m';
+    console.log(`${color}==== Logs: ${report.entries} entries, difficulty ${report.difficulty}, final hash ${report.finalHash} ====\x1b[0m`);
+
+    if (report.firstInvalid) {
+        const { index, type, reason } = report.firstInvalid;
+        console.log(`\x1b[31m ✗ first tampered entry: #${index}${type ? ` ${type}` : ''} - ${reason}\x1b[0m`);
+        for (const error of report.errors.filter(error => error !== report.firstInvalid)) {
+            console.log(`\x1b[31m   #${error.index}${error.type ? ` ${error.type}` : ''} - ${error.reason}\x1b[0m`);
+        }
+    } else {
+        console.log(`\x1b[32m ✓ chain linkage, difficulty and hashes\x1b[0m`);
+    }
+
+    const { count, signers, unsigned } = report.checkpoints;
+    if (count === 0) {
+        console.log(`\x1b[33m - no signed checkpoint: the chain can be recomputed after an edit\x1b[0m`);
+    } else {
+        console.log(`\x1b[32m ✓ ${count} checkpoints signed by ${signers.join(', ')}\x1b[0m`);
+        if (!report.signer) {
+            console.log(`\x1b[33m - signer not checked: any key can re-sign a recomputed chain (--signer <address>)\x1b[0m`);
+        }
+        if (unsigned > 0) {
+            console.log(`\x1b[33m - last ${unsigned} entries after the last checkpoint are not signed\x1b[0m`);
+        }
+    }
+
+    if (!report.transactions) {
+        console.log(`\x1b[33m - transactions not checked (no network)\x1b[0m`);
+        return;
+    }
+    const { checked, mismatches } = report.transactions;
+    if (mismatches.length === 0) {
+        console.log(`\x1b[32m ✓ ${checked} transactions match their receipts\x1b[0m`);
+    }
+    for (const { index, hash, entries, reason } of mismatches) {
+        console.log(`\x1b[31m ✗ ${hash}\x1b[0m \x1b[90m(#${index} ${entries.join(', ')})\x1b[0m`);
+        console.log(`\x1b[31m   ${reason}\x1b[0m`);
+    }
+}
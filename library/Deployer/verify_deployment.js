@@ -0,0 +1,44 @@
+import Deployer from './Deployer.js';
+import loadSavedDeployment from './utils/loadSavedDeployment.js';
+import verifyDeploymentInvariants, { printInvariantReport } from './utils/verifyDeploymentInvariants.js';
+import verifyDeploymentConfig from './configs/verifyDeployment.js';
+
+// Audits the wiring of a saved deployment against the live network (read-only, no wallet needed)
+// Usage: NETWORK=sepolia node --env-file=.env verify_deployment --deployment <deploymentId|deploymentHash> [--json]
+async function main() {
+    const deployer = new Deployer();
+
+    const networkName = process.env.NETWORK;
+    if (!networkName) throw new Error('NETWORK is not set');
+    const network = await deployer.readNetworkFile(networkName);
+    deployer.setNetwork(network);
+
+    const index = process.argv.indexOf('--deployment');
+    const deploymentId = index !== -1 ? process.argv[index + 1] : process.env.DEPLOYMENT_ID;
+    if (!deploymentId || deploymentId.startsWith('--')) {
+        throw new Error('Missing deployment. Usage: --deployment <deploymentId|deploymentHash>');
+    }
+
+    const savedDeployment = await loadSavedDeployment(deployer, networkName, deploymentId);
+    const contracts = { ...savedDeployment.contracts };
+    for (const [contractName, dependency] of Object.entries(savedDeployment.dependencies)) {
+        contracts[contractName] = contracts[contractName] || dependency.address;
+    }
+
+    const provider = deployer.createProvider(networkName);
+    const report = await verifyDeploymentInvariants(deployer, contracts, provider, verifyDeploymentConfig.settings);
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(report, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2));
+    } else {
+        printInvariantReport(report);
+    }
+    return report.success;
+}
+
+main()
+    .then((success) => process.exit(success ? 0 : 1))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import Deployer from './Deployer.js';
+import verifyLogs, { printLogsReport } from './utils/verifyLogs.js';
+
+// Proves a saved deployment log was not edited: chain linkage, difficulty and every hash, then the logged transactions
+// against their receipts when NETWORK is set (read-only, no wallet needed). Exits with 1 on the first tampered entry.
+// A log without signed checkpoint fails unless --allow-unsigned. With --deployment, the checkpoints must be signed by
+// the deployer of the saved deployment unless --signer names another address.
+// Usage: [NETWORK=sepolia] node --env-file=.env verify_logs <path/to/logs.json> [--difficulty <n>] [--signer <address>] [--allow-unsigned] [--json]
+//        NETWORK=sepolia node --env-file=.env verify_logs --deployment <deploymentId|deploymentHash> [--difficulty <n>] [--signer <address>] [--allow-unsigned] [--json]
+function getArg(name) {
+    const index = process.argv.indexOf(name);
+    const value = index !== -1 ? process.argv[index + 1] : undefined;
+    return value && !value.startsWith('--') ? value : undefined;
+}
+
+// { logs, deployer }: the deployer wallet is known in --deployment mode only
+async function readLogs(deployer, networkName) {
+    const deploymentId = getArg('--deployment');
+    const file = process.argv.slice(2).find((arg, i, args) => !arg.startsWith('--') && !['--deployment', '--difficulty', '--signer'].includes(args[i - 1]));
+
+    if (file) {
+        return { logs: JSON.parse(await fs.readFile(file, 'utf8')), deployer: null };
+    }
+    if (!deploymentId) {
+        throw new Error('Missing logs. Usage: verify_logs <path/to/logs.json> | --deployment <deploymentId|deploymentHash>');
+    }
+    if (!networkName) throw new Error('NETWORK is not set');
+
+    // Checkpoint of a deployment id, or deployment state of a hash - as verify_deployment
+    const stateAdapter = deployer.getStateAdapter();
+    let state;
+    try {
+        state = await stateAdapter.readDeploymentCheckpoint(deploymentId);
+    } catch (error) {
+        state = await stateAdapter.readDeploymentStateFile(deploymentId);
+    }
+    if (!state.logs) {
+        throw new Error(`No logs saved for deployment ${deploymentId} on ${networkName}`);
+    }
+    // deployer in a deployment state file, signer.address in a checkpoint
+    return { logs: state.logs, deployer: state.deployer || state.signer?.address || null };
+}
+
+async function main() {
+    const deployer = new Deployer();
+
+    const networkName = process.env.NETWORK;
+    if (networkName) {
+        const network = await deployer.readNetworkFile(networkName);
+        deployer.setNetwork(network);
+    }
+
+    const { logs, deployer: deployerAddress } = await readLogs(deployer, networkName);
+    const difficulty = getArg('--difficulty');
+    const report = await verifyLogs(logs, {
+        provider: networkName ? deployer.createProvider(networkName) : null,
+        difficulty: difficulty === undefined ? null : Number(difficulty),
+        signer: getArg('--signer') || deployerAddress,
+        allowUnsigned: process.argv.includes('--allow-unsigned'),
+    });
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printLogsReport(report);
+    }
+    return report.valid;
+}
+
+main()
+    .then((valid) => process.exit(valid ? 0 : 1))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -8,14 +8,23 @@ import deployContractsConfig from './../library/Deployer/configs/deployContracts
 import deployTokenConfig from './../library/Deployer/configs/deployToken.js';
 import dependenciesConfig from './../library/Deployer/configs/dependencies.js';
 import prepareTGEConfig from './../library/Deployer/configs/prepareTGE.js';
+import transferOwnershipsConfig from './../library/Deployer/configs/transferOwnerships.js';
+import verifyDeploymentConfig from './../library/Deployer/configs/verifyDeployment.js';
+import verifySourcesConfig from './../library/Deployer/configs/verifySources.js';
 
 import exportDeployment from './../library/Deployer/utils/exportDeployment.js';
 import stringifyDeployment from './../library/Deployer/utils/stringifyDeployment.js';
 import runProcessesSequence from './../library/Deployer/utils/runProcessesSequence.js';
-import prepareConstructorArgs from './../library/Deployer/utils/prepareConstructorArgs.js';
+import resumeDeployment from './../library/Deployer/utils/resumeDeployment.js';
+import getResumeDeploymentId from './../library/Deployer/utils/getResumeDeploymentId.js';
+import createDeployment from './../library/Deployer/utils/createDeployment.js';
+import loadManifest, { getManifestPath } from './../library/Deployer/utils/loadManifest.js';
+import { redactConsole } from './../library/Deployer/utils/redaction.js';
 
 
 async function main() {
+    // Secrets are replaced in console output for the whole run (see library/Deployer/utils/redaction.js)
+    redactConsole();
     // Check if the local node is running
     try {
         const provider = new ethers.JsonRpcProvider('http://127.0.0.1:8545');
@@ -33,16 +42,26 @@ async function main() {
 	const deployer = new Deployer();
 
 
-	const deployerAddress = prepareTGEConfig.tgeConfig.owner;
-	const faucetAddress = prepareTGEConfig.tgeConfig.faucet;
+	// Deployment manifest (DEPLOY_MANIFEST=<file|network>, see library/Deployer/manifests) or the config modules
+	const manifestPath = getManifestPath();
+	const manifest = manifestPath ? loadManifest(manifestPath) : null;
+	if (manifest) {
+		console.log(`Using deployment manifest ${manifest.file}`);
+	}
+
+	const deployerAddress = manifest ? manifest.deployerAddress : prepareTGEConfig.tgeConfig.owner;
+	const faucetAddress = manifest ? manifest.faucetAddress : prepareTGEConfig.tgeConfig.faucet;
 
 	// Prepare environment
-	const configs = {
+	const configs = manifest ? manifest.configs : {
 		prepareEnvironment: prepareEnvironmentConfig,
 		prepareContracts: prepareContractsConfig,
 		prepareTGE: prepareTGEConfig,
 		deployToken: deployTokenConfig,
 		deployContracts: deployContractsConfig,
+		verifyDeployment: verifyDeploymentConfig,
+		verifySources: verifySourcesConfig,
+		transferOwnerships: transferOwnershipsConfig,
 	};
 
     console.log('Deployer logger initialized');
@@ -53,34 +72,24 @@ async function main() {
         );
     });
 
-    let deployment = {
-		id: new Date().getTime().toString(16),
-		network: prepareEnvironmentConfig.network,
-		// Dependencies in form [contractName: {address: string}]
-		// When dependencies is set, the deployer will properly use it (as if deployed).
-		dependencies: dependenciesConfig,
-		constructorArgs: prepareConstructorArgs(deployerAddress),
-		faucet: { address: faucetAddress },
-		processes: {},
-		contracts: {},
+	let deployment = createDeployment({
+		network: manifest ? manifest.network : prepareEnvironmentConfig.network,
+		dependencies: manifest ? manifest.dependencies : dependenciesConfig,
+		deployerAddress,
+		faucetAddress,
 		config: configs["prepareEnvironment"],
-		estimatedCost: {
-			totalMax: 0n,
-			totalMin: 0n,
-			perContract: {},
-		},
-		signer: {
-			address: deployerAddress,
-			balance: 0n,
-			fee: {
-				gasPrice: 0n,
-				maxFeePerGas: 0n,
-				maxPriorityFeePerGas: 0n,
-			},
-		},
-		provider: null,
-		getWallet: null,
-	};
+		constructorArgs: manifest?.constructorArgs,
+		proxies: manifest?.proxies,
+		create2: manifest?.create2,
+		budget: manifest?.budget,
+	});
+
+	// Resume from a saved checkpoint (--resume <deploymentId>)
+	const resumeDeploymentId = getResumeDeploymentId();
+	if (resumeDeploymentId) {
+		console.log(`Resuming deployment ${resumeDeploymentId}...`);
+		await resumeDeployment(deployment, deployer, resumeDeploymentId);
+	}
 
     // Run processes
 	await runProcessesSequence(deployment, deployer, configs);
@@ -0,0 +1,65 @@
+import Deployer from '../library/Deployer/Deployer.js';
+
+import prepareEnvironmentConfig from './../library/Deployer/configs/prepareEnvironment.js';
+import prepareContractsConfig from './../library/Deployer/configs/prepareContracts.js';
+import deployContractsConfig from './../library/Deployer/configs/deployContracts.js';
+import deployTokenConfig from './../library/Deployer/configs/deployToken.js';
+import dependenciesConfig from './../library/Deployer/configs/dependencies.js';
+import prepareTGEConfig from './../library/Deployer/configs/prepareTGE.js';
+import transferOwnershipsConfig from './../library/Deployer/configs/transferOwnerships.js';
+import verifyDeploymentConfig from './../library/Deployer/configs/verifyDeployment.js';
+import verifySourcesConfig from './../library/Deployer/configs/verifySources.js';
+
+import createDeployment from './../library/Deployer/utils/createDeployment.js';
+import planDeployment, { printDeploymentPlan } from './../library/Deployer/utils/planDeployment.js';
+import loadManifest, { getManifestPath } from './../library/Deployer/utils/loadManifest.js';
+import { redactConsole } from './../library/Deployer/utils/redaction.js';
+
+// Dry-run of the whole Deployer pipeline against an in-process fork of NETWORK.
+// Optional FORK_BLOCK_NUMBER pins the fork for reproducible plans, DEPLOY_MANIFEST plans a deployment manifest,
+// PLAN_ADDRESS sends as another address than the signer of the network file (impersonated, nothing is signed).
+async function main() {
+	// Secrets are replaced in console output for the whole run (see library/Deployer/utils/redaction.js)
+	redactConsole();
+	console.log('Planning deployment...');
+	const deployer = new Deployer();
+
+	const manifestPath = getManifestPath();
+	const manifest = manifestPath ? loadManifest(manifestPath) : null;
+
+	const configs = manifest ? manifest.configs : {
+		prepareEnvironment: prepareEnvironmentConfig,
+		prepareContracts: prepareContractsConfig,
+		prepareTGE: prepareTGEConfig,
+		deployToken: deployTokenConfig,
+		deployContracts: deployContractsConfig,
+		verifyDeployment: verifyDeploymentConfig,
+		verifySources: verifySourcesConfig,
+		transferOwnerships: transferOwnershipsConfig,
+	};
+
+	const deployment = createDeployment({
+		network: manifest ? manifest.network : prepareEnvironmentConfig.network,
+		dependencies: manifest ? manifest.dependencies : dependenciesConfig,
+		deployerAddress: manifest ? manifest.deployerAddress : prepareTGEConfig.tgeConfig.owner,
+		faucetAddress: manifest ? manifest.faucetAddress : prepareTGEConfig.tgeConfig.faucet,
+		config: configs["prepareEnvironment"],
+		constructorArgs: manifest?.constructorArgs,
+		proxies: manifest?.proxies,
+		create2: manifest?.create2,
+		budget: manifest?.budget,
+	});
+
+	const plan = await planDeployment(deployment, deployer, configs, {
+		blockNumber: process.env.FORK_BLOCK_NUMBER,
+		address: process.env.PLAN_ADDRESS,
+	});
+
+	printDeploymentPlan(plan);
+	process.exit(plan.success ? 0 : 1);
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(1);
+});
@@ -0,0 +1,92 @@
+import { expect } from "chai";
+import compareStorageLayouts from "../../../library/Deployer/utils/compareStorageLayouts.js";
+
+const TYPES = {
+    t_address: { label: "address", numberOfBytes: "20", encoding: "inplace" },
+    t_uint8: { label: "uint8", numberOfBytes: "1", encoding: "inplace" },
+    t_uint256: { label: "uint256", numberOfBytes: "32", encoding: "inplace" },
+    "t_array(t_uint256)50_storage": { label: "uint256[50]", numberOfBytes: "1600", encoding: "inplace", base: "t_uint256" },
+    "t_array(t_uint256)48_storage": { label: "uint256[48]", numberOfBytes: "1536", encoding: "inplace", base: "t_uint256" },
+    "t_mapping(t_address,t_uint256)": { label: "mapping(address => uint256)", numberOfBytes: "32", encoding: "mapping", key: "t_address", value: "t_uint256" },
+    "t_struct(Position)12_storage": {
+        label: "struct Box.Position",
+        numberOfBytes: "64",
+        encoding: "inplace",
+        members: [{ label: "amount", slot: "0", offset: 0, type: "t_uint256" }, { label: "owner", slot: "1", offset: 0, type: "t_address" }],
+    },
+    "t_struct(Position)34_storage": {
+        label: "struct Box.Position",
+        numberOfBytes: "64",
+        encoding: "inplace",
+        members: [{ label: "owner", slot: "0", offset: 0, type: "t_address" }, { label: "amount", slot: "1", offset: 0, type: "t_uint256" }],
+    },
+};
+
+const variable = (label, slot, type, offset = 0) => ({ label, slot: String(slot), offset, type, contract: "contracts/Box.sol:Box" });
+const layout = (...storage) => ({ storage, types: TYPES });
+
+// owner and paused share slot 0, then a balance mapping, a struct and a 50 slot gap
+const V1 = layout(
+    variable("owner", 0, "t_address"),
+    variable("paused", 0, "t_uint8", 20),
+    variable("balances", 1, "t_mapping(t_address,t_uint256)"),
+    variable("position", 2, "t_struct(Position)12_storage"),
+    variable("__gap", 4, "t_array(t_uint256)50_storage"),
+);
+
+describe("compareStorageLayouts", () => {
+    it("should accept the same layout, and struct type ids from another compilation", () => {
+        const next = layout(...V1.storage.map(entry => entry.label === "position" ? { ...entry, type: "t_struct(Position)99_storage" } : entry));
+        next.types = { ...TYPES, "t_struct(Position)99_storage": TYPES["t_struct(Position)12_storage"] };
+        expect(compareStorageLayouts(V1, next)).to.deep.equal({ errors: [], warnings: [] });
+    });
+
+    it("should accept variables appended after the gap or packed in free bytes", () => {
+        const next = layout(...V1.storage, variable("fee", 0, "t_uint8", 21), variable("cap", 54, "t_uint256"));
+        expect(compareStorageLayouts(V1, next).errors).to.deep.equal([]);
+    });
+
+    it("should accept variables taking the place of a shrunk gap", () => {
+        const next = layout(...V1.storage.slice(0, 4), variable("cap", 4, "t_uint256"), variable("fee", 5, "t_uint256"), variable("__gap", 6, "t_array(t_uint256)48_storage"));
+        expect(compareStorageLayouts(V1, next).errors).to.deep.equal([]);
+    });
+
+    it("should reject a gap that does not end at the same slot", () => {
+        const next = layout(...V1.storage.slice(0, 4), variable("cap", 4, "t_uint256"), variable("__gap", 5, "t_array(t_uint256)50_storage"));
+        expect(compareStorageLayouts(V1, next).errors).to.deep.equal([
+            "__gap (Box, slot 4, offset 0): gap resized or moved, it must still end at slot 54",
+            "cap (Box, slot 4, offset 0): overlaps __gap (Box, slot 4, offset 0), new variables must be appended",
+        ]);
+    });
+
+    it("should reject inserted, removed and retyped variables", () => {
+        // A variable inserted before balances moves everything after it
+        const inserted = layout(V1.storage[0], V1.storage[1], variable("cap", 1, "t_uint256"), ...V1.storage.slice(2).map(entry => ({ ...entry, slot: String(Number(entry.slot) + 1) })));
+        expect(compareStorageLayouts(V1, inserted).errors).to.include("balances (Box, slot 1, offset 0): type changed from mapping(address => uint256) to uint256");
+
+        const removed = layout(V1.storage[0], ...V1.storage.slice(2));
+        expect(compareStorageLayouts(V1, removed).errors).to.deep.equal(["paused (Box, slot 0, offset 20): removed or moved"]);
+
+        const retyped = layout(variable("owner", 0, "t_uint256"), ...V1.storage.slice(1));
+        expect(compareStorageLayouts(V1, retyped).errors).to.deep.equal(["owner (Box, slot 0, offset 0): type changed from address to uint256"]);
+    });
+
+    it("should reject reordered struct members", () => {
+        const next = layout(...V1.storage.map(entry => entry.label === "position" ? { ...entry, type: "t_struct(Position)34_storage" } : entry));
+        const [error] = compareStorageLayouts(V1, next).errors;
+        expect(error).to.equal("position (Box, slot 2, offset 0): type changed from " +
+            "struct Box.Position { amount@0:0 uint256; owner@1:0 address } to struct Box.Position { owner@0:0 address; amount@1:0 uint256 }");
+    });
+
+    it("should reject a new variable overlapping a previous one", () => {
+        const next = layout(...V1.storage, variable("fee", 3, "t_uint256"));
+        expect(compareStorageLayouts(V1, next).errors).to.deep.equal([
+            "fee (Box, slot 3, offset 0): overlaps position (Box, slot 2, offset 0), new variables must be appended",
+        ]);
+    });
+
+    it("should only warn about renamed variables", () => {
+        const next = layout(variable("admin", 0, "t_address"), ...V1.storage.slice(1));
+        expect(compareStorageLayouts(V1, next)).to.deep.equal({ errors: [], warnings: ["owner (Box, slot 0, offset 0): renamed to admin"] });
+    });
+});
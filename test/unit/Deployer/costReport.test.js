@@ -0,0 +1,137 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import createCostReport, { checkBudget, describeTransactionCost } from "../../../library/Deployer/utils/costReport.js";
+import runProcessesSequence from "../../../library/Deployer/utils/runProcessesSequence.js";
+import createDeployment from "../../../library/Deployer/utils/createDeployment.js";
+import { createTestDeployer, createTestNetwork, testProcess, withProcesses, expectRejection, DEPLOYER_ADDRESS } from "./helpers.js";
+
+const GWEI = 1_000_000_000n;
+const hash = (n) => `0x${n.toString(16).padStart(64, "0")}`;
+
+// Transaction of deployment.costs: `gas` at `price` gwei
+const transaction = (processId, n, gas, price = 10n) => describeTransactionCost(processId, { hash: hash(n), receipt: { gasUsed: gas, gasPrice: price * GWEI } });
+
+describe("Cost report", () => {
+    describe("describeTransactionCost", () => {
+        it("should keep the fee of the effective gas price as strings", () => {
+            expect(transaction("deployToken", 1, 100_000n, 12n)).to.deep.equal({
+                processId: "deployToken",
+                hash: hash(1),
+                gasUsed: "100000",
+                effectiveGasPrice: "12000000000",
+                fee: "1200000000000000",
+            });
+            const legacy = describeTransactionCost("x", { hash: hash(2), receipt: { gasUsed: 2n, effectiveGasPrice: 3n } });
+            expect(legacy.fee).to.equal("6");
+        });
+    });
+
+    describe("createCostReport", () => {
+        const deployment = {
+            budget: "0.01",
+            costs: { transactions: [transaction("deployToken", 1, 100_000n), transaction("deployToken", 2, 50_000n), transaction("deployPool", 3, 200_000n, 20n)] },
+            receipts: { Token: { transactionHash: hash(1) }, RAACLendingPool: { transactionHash: hash(3) }, Reused: { transactionHash: hash(9) } },
+            estimatedCost: {
+                totalMin: (3n * 10n ** 15n).toString(),
+                totalMax: (6n * 10n ** 15n).toString(),
+                confidence: "simulated",
+                // LendingPool is the artifact of RAACLendingPool
+                perContract: { Token: { gasEstimate: "80000", maxCost: "2000000000000000" }, LendingPool: { gasLimit: "250000", maxCost: "5000000000000000" } },
+            },
+        };
+
+        it("should sum the costs per process and in total", () => {
+            const report = createCostReport(deployment);
+            expect(report.processes).to.deep.equal({
+                deployToken: { transactions: 2, gasUsed: 150_000n, fee: 1_500_000n * GWEI },
+                deployPool: { transactions: 1, gasUsed: 200_000n, fee: 4_000_000n * GWEI },
+            });
+            expect(report.total).to.deep.equal({
+                transactions: 3,
+                gasUsed: 350_000n,
+                fee: 5_500_000n * GWEI,
+                effectiveGasPrice: 5_500_000n * GWEI / 350_000n,
+                estimatedMin: 3n * 10n ** 15n,
+                estimatedMax: 6n * 10n ** 15n,
+                confidence: "simulated",
+            });
+            expect(report.budget).to.deep.equal({ limit: ethers.parseEther("0.01"), remaining: ethers.parseEther("0.01") - 5_500_000n * GWEI });
+        });
+
+        it("should compare the gas of each deployment to its estimate", () => {
+            const { contracts } = createCostReport(deployment);
+            expect(contracts).to.have.keys("Token", "RAACLendingPool");
+            expect(contracts.Token).to.include({ processId: "deployToken", gasUsed: 100_000n, estimatedGas: 80_000n, estimateError: 25 });
+            expect(contracts.RAACLendingPool).to.include({ estimatedGas: 250_000n, estimatedMaxFee: 5n * 10n ** 15n, estimateError: -20 });
+        });
+
+        it("should report an empty deployment without a budget", () => {
+            const report = createCostReport({});
+            expect(report.total).to.include({ transactions: 0, gasUsed: 0n, fee: 0n, effectiveGasPrice: 0n, confidence: "heuristic" });
+            expect(report.budget).to.equal(null);
+        });
+    });
+
+    describe("checkBudget", () => {
+        const spent = { transactions: [transaction("deployToken", 1, 100_000n)] };
+        const deployPool = { id: "deployPool", produces: ["Pool", "Token"] };
+
+        it("should stop a process whose estimate would exceed the budget", () => {
+            const deployment = { budget: "0.002", costs: spent, contracts: { Token: "0x1" }, estimatedCost: { perProcess: { deployPool: { maxCost: (GWEI * 1_000_001n).toString() } } } };
+            expect(() => checkBudget(deployment, deployPool))
+                .to.throw("Budget exceeded before deployPool: 0.001 ETH spent + 0.001000001 ETH estimated (max) > budget 0.002 ETH");
+            expect(() => checkBudget({ ...deployment, budget: null }, deployPool)).to.not.throw();
+        });
+
+        it("should fall back to the estimates of the contracts still to deploy", () => {
+            const perContract = { Pool: { maxCost: (GWEI * 500_000n).toString() }, Token: { maxCost: (GWEI * 10n ** 7n).toString() } };
+            const deployment = { budget: "0.0015", costs: spent, contracts: { Token: "0x1" }, estimatedCost: { perContract } };
+            expect(() => checkBudget(deployment, deployPool)).to.not.throw();
+            expect(() => checkBudget({ ...deployment, contracts: {} }, deployPool)).to.throw("0.0105 ETH estimated (max)");
+            // Nothing estimated: only stopped once the budget is spent
+            expect(() => checkBudget({ ...deployment, budget: "0.001" }, { id: "configure" })).to.not.throw();
+            expect(() => checkBudget({ ...deployment, budget: "0.0009" }, { id: "configure" })).to.throw("Budget exceeded before configure");
+        });
+    });
+
+    describe("runProcessesSequence", () => {
+        it("should count the transactions of each process and stop at the budget", async () => {
+            const network = createTestNetwork();
+            const deployer = createTestDeployer(network);
+            const deployment = createDeployment({
+                network: network.network,
+                dependencies: {},
+                deployerAddress: DEPLOYER_ADDRESS,
+                faucetAddress: DEPLOYER_ADDRESS,
+                config: {},
+                constructorArgs: {},
+                budget: "0.0015",
+            });
+            // Emitted as executeTransaction does once a transaction is confirmed
+            const confirm = (processId, n) => {
+                const { hash: transactionHash } = transaction(processId, n, 100_000n);
+                deployer.emit(deployer.DEPLOYER_EVENTS.TRANSACTION_CONFIRMED, { hash: transactionHash, receipt: { gasUsed: 100_000n, gasPrice: 10n * GWEI } });
+            };
+            const processes = [
+                testProcess("first", async (deployer, config, deployment) => {
+                    confirm("first", 1);
+                    confirm("first", 1);
+                    return deployment;
+                }),
+                testProcess("second", async (deployer, config, deployment) => {
+                    confirm("second", 2);
+                    return deployment;
+                }, { dependsOn: ["first"] }),
+                testProcess("third", async (deployer, config, deployment) => deployment, { dependsOn: ["second"] }),
+            ];
+
+            await withProcesses(processes, async () => {
+                await expectRejection(runProcessesSequence(deployment, deployer, {}), "Budget exceeded before third: 0.002 ETH spent");
+            });
+            // The same hash is only counted once
+            expect(deployment.costs.transactions.map(({ processId, hash }) => [processId, hash])).to.deep.equal([["first", hash(1)], ["second", hash(2)]]);
+            expect(deployment.costReport.total.fee).to.equal(2n * 10n ** 15n);
+            expect(deployment.costReport.budget.remaining).to.equal(-(5n * 10n ** 14n));
+        });
+    });
+});
@@ -0,0 +1,120 @@
+import { expect } from "chai";
+import detectReorgs, { markForRedeploy } from "../../../library/Deployer/utils/detectReorgs.js";
+
+const hash = (n) => `0x${n.toString(16).padStart(64, "0")}`;
+const address = (n) => `0x${n.toString(16).padStart(40, "0")}`;
+
+// Canonical chain: block number => hash, transaction hash => block number (none when dropped)
+function createProvider(blocks, minedIn) {
+    return {
+        getBlock: async (blockNumber) => blocks[blockNumber] ? { number: blockNumber, hash: blocks[blockNumber] } : null,
+        getTransactionReceipt: async (transactionHash) => minedIn[transactionHash] ? { blockNumber: minedIn[transactionHash] } : null,
+    };
+}
+
+// RAACToken, then linked, then used by the TGE. Treasury does not depend on it.
+const PROCESSES = [
+    { id: "deployRAACToken", dependsOn: ["wallet"], produces: ["RAACToken"] },
+    { id: "deployTreasury", dependsOn: ["wallet"], produces: ["Treasury"] },
+    { id: "linkRAACToken", dependsOn: ["RAACToken"], produces: ["RAACToken:deployerMinter"] },
+    { id: "processRAACTGE", dependsOn: ["tgeConfig", "RAACToken:deployerMinter"], produces: ["tgeDistribution"] },
+    { id: "deployFeeCollector", dependsOn: ["Treasury"], produces: ["FeeCollector"] },
+];
+
+describe("Reorg detection", () => {
+    const receipts = () => ({
+        RAACToken: { address: address(1), transactionHash: hash(0xa1), blockNumber: 10, blockHash: hash(10), processId: "deployRAACToken" },
+        Treasury: { address: address(2), transactionHash: hash(0xa2), blockNumber: 11, blockHash: hash(11), processId: "deployTreasury" },
+        // Recorded before blockHash was: never reported
+        RepairFund: { address: address(3), transactionHash: hash(0xa3), blockNumber: 11 },
+    });
+
+    describe("detectReorgs", () => {
+        it("should report nothing while every deployment block is canonical", async () => {
+            const provider = createProvider({ 10: hash(10), 11: hash(11) }, {});
+            expect(await detectReorgs(provider, receipts())).to.deep.equal([]);
+        });
+
+        it("should report a deployment whose block hash moved, and a dropped transaction", async () => {
+            // Block 10 replaced: the RAACToken deployment was mined again in block 12, the Treasury one is gone
+            const provider = createProvider({ 10: hash(0xb10), 11: hash(0xb11) }, { [hash(0xa1)]: 12 });
+            const reorgs = await detectReorgs(provider, receipts());
+
+            expect(reorgs).to.deep.equal([
+                {
+                    contractName: "RAACToken",
+                    address: address(1),
+                    transactionHash: hash(0xa1),
+                    processId: "deployRAACToken",
+                    blockNumber: 10,
+                    blockHash: hash(10),
+                    currentBlockHash: hash(0xb10),
+                    newBlockNumber: 12,
+                    reason: "deployment moved from block 10 to block 12",
+                },
+                {
+                    contractName: "Treasury",
+                    address: address(2),
+                    transactionHash: hash(0xa2),
+                    processId: "deployTreasury",
+                    blockNumber: 11,
+                    blockHash: hash(11),
+                    currentBlockHash: hash(0xb11),
+                    newBlockNumber: null,
+                    reason: "deployment transaction no longer mined (block 11 reorged out)",
+                },
+            ]);
+        });
+
+        it("should report a deployment block the node no longer has", async () => {
+            const provider = createProvider({ 11: hash(11) }, {});
+            const [reorg, ...others] = await detectReorgs(provider, receipts());
+            expect(reorg).to.include({ contractName: "RAACToken", currentBlockHash: null, newBlockNumber: null });
+            expect(others).to.deep.equal([]);
+        });
+    });
+
+    describe("markForRedeploy", () => {
+        let deployment;
+
+        beforeEach(() => {
+            deployment = {
+                contracts: { RAACToken: address(1), Treasury: address(2), RepairFund: address(3) },
+                receipts: receipts(),
+                checkpoint: { completedProcesses: ["deployRAACToken", "deployTreasury", "linkRAACToken", "processRAACTGE", "deployFeeCollector"] },
+            };
+        });
+
+        it("should drop the reorged contract and rerun its process with every process depending on it", async () => {
+            const provider = createProvider({ 10: hash(0xb10), 11: hash(11) }, { [hash(0xa1)]: 12 });
+            const reorgs = await detectReorgs(provider, deployment.receipts);
+            const rerun = markForRedeploy(deployment, reorgs, PROCESSES);
+
+            // processRAACTGE depends on RAACToken through linkRAACToken
+            expect(rerun).to.deep.equal(["deployRAACToken", "linkRAACToken", "processRAACTGE"]);
+            expect(deployment.checkpoint.completedProcesses).to.deep.equal(["deployTreasury", "deployFeeCollector"]);
+            expect(deployment.contracts).to.deep.equal({ Treasury: address(2), RepairFund: address(3) });
+            expect(deployment.receipts).to.have.all.keys("Treasury", "RepairFund");
+            expect(deployment.redeploy.RAACToken).to.include({ address: address(1), processId: "deployRAACToken", newBlockNumber: 12 });
+            expect(deployment.redeploy.RAACToken.detectedAt).to.be.a("number");
+        });
+
+        it("should rerun the processes of every reorged contract", async () => {
+            const provider = createProvider({ 10: hash(0xb10), 11: hash(0xb11) }, {});
+            const rerun = markForRedeploy(deployment, await detectReorgs(provider, deployment.receipts), PROCESSES);
+
+            expect(rerun).to.have.members(["deployRAACToken", "deployTreasury", "linkRAACToken", "processRAACTGE", "deployFeeCollector"]);
+            expect(deployment.checkpoint.completedProcesses).to.deep.equal([]);
+            expect(deployment.contracts).to.deep.equal({ RepairFund: address(3) });
+            expect(Object.keys(deployment.redeploy)).to.deep.equal(["RAACToken", "Treasury"]);
+        });
+
+        it("should drop a contract recorded without its process, and rerun nothing", () => {
+            delete deployment.checkpoint;
+            const reorg = { contractName: "RepairFund", address: address(3), processId: null, reason: "deployment transaction no longer mined (block 11 reorged out)" };
+            expect(markForRedeploy(deployment, [reorg], PROCESSES)).to.deep.equal([]);
+            expect(deployment.contracts).to.not.have.property("RepairFund");
+            expect(deployment.redeploy.RepairFund).to.include({ processId: null });
+        });
+    });
+});
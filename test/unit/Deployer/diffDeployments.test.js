@@ -0,0 +1,121 @@
+import { expect } from "chai";
+import StateAdapter from "../../../library/Deployer/adapters/StateAdapter/StateAdapter.js";
+import diffDeployments, {
+    findDeployment,
+    indexDeploymentResults,
+    summarizeDeployment,
+} from "../../../library/Deployer/utils/diffDeployments.js";
+import { createTestNetwork, DEPLOYER_ADDRESS } from "./helpers.js";
+
+const address = (n) => `0x${n.toString(16).padStart(40, "0")}`;
+const hash = (n) => `0x${n.toString(16).padStart(64, "0")}`;
+
+// Checkpoint of a whole deployment, as saved by runProcessesSequence
+function checkpoint(id, contracts, { gas = {}, failedProcess = null, plan = ["deployToken", "deployPool"] } = {}) {
+    const receipts = {};
+    const transactions = [];
+    Object.entries(contracts).forEach(([contractName, contractAddress], index) => {
+        const transactionHash = hash(parseInt(id, 16) * 0x100 + index);
+        receipts[contractName] = { address: contractAddress, transactionHash, processId: "deploy" };
+        if (gas[contractName]) transactions.push({ processId: "deploy", hash: transactionHash, gasUsed: String(gas[contractName]) });
+    });
+    return {
+        id,
+        plan,
+        contracts,
+        receipts,
+        costs: { transactions },
+        signer: { address: DEPLOYER_ADDRESS },
+        checkpoint: { completedProcesses: failedProcess ? plan.slice(0, plan.indexOf(failedProcess)) : plan, failedProcess },
+    };
+}
+
+describe("diffDeployments", () => {
+    const from = checkpoint("18f2a", { Token: address(1), Pool: address(2), Old: address(3) }, { gas: { Token: 100, Pool: 200 } });
+    const to = checkpoint("18f2b", { Token: address(1), Pool: address(12), New: address(13), Skipped: null }, { gas: { Pool: 150 } });
+    // Per-contract deployment states: one deploy call each
+    const results = indexDeploymentResults([
+        { timestamp: 1, results: [{ contractName: "Pool", address: address(2), constructorArgs: [address(1), "5"] }] },
+        { timestamp: 2, results: [{ contractName: "Pool", address: address(12), constructorArgs: [address(1), "6"] }] },
+    ]);
+
+    it("should compare the contracts of two whole deployments", () => {
+        const diff = diffDeployments(from, to, results);
+        expect(diff.contracts.added).to.deep.equal([{ contract: "New", address: address(13) }]);
+        expect(diff.contracts.removed).to.deep.equal([{ contract: "Old", address: address(3) }]);
+        expect(diff.contracts.changed).to.deep.equal([{ contract: "Pool", before: address(2), after: address(12) }]);
+        expect(diff.contracts.unchanged).to.deep.equal([{ contract: "Token", address: address(1) }]);
+    });
+
+    it("should compare constructor args by contract name and gas from the costs of each run", () => {
+        const diff = diffDeployments(from, to, results);
+        expect(diff.constructorArgs).to.deep.equal([{ contract: "Pool", before: ["{{Token}}", "5"], after: ["{{Token}}", "6"] }]);
+        expect(diff.gas).to.deep.equal([{ contract: "Pool", before: 200n, after: 150n, delta: -50n }]);
+    });
+
+    it("should report wiring differences", () => {
+        const wiring = { before: { "Pool.token": "Token", "Pool.fee": "5" }, after: { "Pool.token": "Token", "Pool.owner": "0x1" } };
+        expect(diffDeployments(from, to, {}, wiring).wiring).to.deep.equal([
+            { property: "Pool.fee", before: "5", after: null },
+            { property: "Pool.owner", before: null, after: "0x1" },
+        ]);
+    });
+
+    it("should summarize a deployment from its checkpoint", () => {
+        expect(summarizeDeployment(from)).to.include({ id: "18f2a", timestamp: 0x18f2a, deployer: DEPLOYER_ADDRESS, contracts: 3, success: true });
+        const failed = checkpoint("18f2c", { Token: address(1) }, { failedProcess: "deployPool" });
+        expect(summarizeDeployment(failed)).to.include({ contracts: 1, completedProcesses: 1, failedProcess: "deployPool", success: false });
+    });
+
+    it("should find a deployment by id", () => {
+        expect(findDeployment([from, to], "18f2b")).to.equal(to);
+        expect(() => findDeployment([from, to], "18f2c")).to.throw("No deployment checkpoint or state found for 18f2c");
+    });
+
+    it("should find the deployment of a state by key or hash, and compare a state deployed outside of a run", () => {
+        // As read by readDeploymentHistory: the Pool of `to`, then a deploy script
+        const states = [
+            {
+                key: `1700000000000_${hash(0xaa)}`,
+                deploymentHash: hash(0xaa),
+                timestamp: 1700000000000,
+                results: [{ contractName: "Pool", address: address(12), transactionHash: to.receipts.Pool.transactionHash }],
+            },
+            {
+                key: `1700000100000_${hash(0xbb)}`,
+                deploymentHash: hash(0xbb),
+                timestamp: 1700000100000,
+                deployer: DEPLOYER_ADDRESS,
+                results: [
+                    { contractName: "Token", address: address(1), transactionHash: hash(0xbb) },
+                    { contractName: "Pool", address: address(22), transactionHash: hash(0xbc), gasUsed: "120" },
+                ],
+            },
+        ];
+        expect(findDeployment([from, to], `1700000000000_${hash(0xaa)}`, states)).to.equal(to);
+        expect(findDeployment([from, to], hash(0xaa), states)).to.equal(to);
+
+        const script = findDeployment([from, to], hash(0xbb), states);
+        expect(script.contracts).to.deep.equal({ Token: address(1), Pool: address(22) });
+        expect(summarizeDeployment(script)).to.include({ id: `1700000100000_${hash(0xbb)}`, timestamp: 1700000100000, deployer: DEPLOYER_ADDRESS, contracts: 2, success: true });
+
+        const diff = diffDeployments(to, script, indexDeploymentResults(states));
+        expect(diff.contracts.changed).to.deep.equal([{ contract: "Pool", before: address(12), after: address(22) }]);
+        expect(diff.contracts.removed.map(({ contract }) => contract)).to.deep.equal(["New"]);
+        expect(diff.gas).to.deep.equal([{ contract: "Pool", before: 150n, after: 120n, delta: -30n }]);
+        expect(() => findDeployment([from, to], hash(0xcc), states)).to.throw(`No deployment checkpoint or state found for ${hash(0xcc)}`);
+    });
+
+    it("should read one deployment per checkpoint, oldest first", async () => {
+        const stateAdapter = new StateAdapter(createTestNetwork().network, { type: "memory" });
+        await stateAdapter.saveDeploymentCheckpoint(to.id, to, { logs: [] });
+        await stateAdapter.saveDeploymentCheckpoint(from.id, from, { logs: [] });
+        // A per-contract state is not a deployment
+        await stateAdapter.saveDeploymentState({ timestamp: 1, deploymentHash: hash(1), results: [] });
+
+        const history = await stateAdapter.readDeploymentCheckpoints();
+        expect(history.map(({ id }) => id)).to.deep.equal(["18f2a", "18f2b"]);
+        expect(history[0].contracts).to.deep.equal(from.contracts);
+        expect(history[0].logs).to.equal(undefined);
+    });
+});
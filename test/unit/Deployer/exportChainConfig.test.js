@@ -0,0 +1,132 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import exportChainConfig, { readChainAbis, readChainConfig, writeChainConfig } from "../../../library/Deployer/utils/exportChainConfig.js";
+
+const address = (n) => `0x${n.toString(16).padStart(40, "0")}`;
+
+const NETWORK = { network: "sepolia", chainId: 11155111, rpcUrl: "https://sepolia.infura.io/v3/38126531f7b3458d80e5a822dfbf5854", nativeCurrency: { symbol: "ETH", decimals: 18 } };
+const SETTINGS = {
+    rpcs: { local: ["http://localhost:8545"] },
+    contracts: {
+        RAACMinter: { section: "contracts", id: "raacminter", name: "RAAC Minter" },
+        RAACLendingPool: { section: "pools", id: "lendingpool", name: "Lending Pool" },
+        RAACHousePriceOracle: { section: "contracts", id: "raachousepriceoracle", name: "RAAC House Price Oracle" },
+        crvUSDToken: { section: "assets", id: "crvusd", name: "CRVUSD", decimals: 18 },
+    },
+};
+const DEPLOYMENT = {
+    id: "18f2a",
+    contracts: { RAACMinter: address(1), RAACLendingPool: address(2) },
+    dependencies: { crvUSDToken: { address: address(3) } },
+};
+// ABI of the artifact, named after it (LendingPool for RAACLendingPool)
+const deployer = { readArtifactFile: (artifactName) => ({ abi: [artifactName] }) };
+
+// Chain config of the frontend: ids the Deployer exports, and ids it does not know
+const previous = () => ({
+    chainId: NETWORK.chainId,
+    name: "Sepolia",
+    rpcs: ["https://rpc.sepolia.org"],
+    contracts: {
+        raacminter: { id: "raacminter", name: "RAAC Minter", contract: address(11) },
+        raachousepriceoracle: { id: "raachousepriceoracle", name: "RAAC House Price Oracle", contract: address(12) },
+        zenofactory: { id: "zenofactory", name: "Zeno Factory", contract: address(13) },
+    },
+    pools: { lendingpool: { id: "lendingpool", name: "Lending Pool", contract: address(2) } },
+    nfts: {},
+    assets: { marketcreator: { id: "marketcreator", name: "Market Creator", contract: address(14) } },
+});
+
+describe("Chain config export", () => {
+    describe("exportChainConfig", () => {
+        it("should export the deployment and its dependencies, with the ABI of each id", () => {
+            const { chainConfig, abis, skipped, warnings } = exportChainConfig(deployer, NETWORK, DEPLOYMENT, SETTINGS);
+            expect(chainConfig.contracts).to.deep.equal({ raacminter: { id: "raacminter", name: "RAAC Minter", contract: address(1) } });
+            expect(chainConfig.pools.lendingpool.contract).to.equal(address(2));
+            expect(chainConfig.assets).to.deep.equal({
+                eth: { id: "eth", name: "ETH", decimals: 18, contract: address(0) },
+                crvusd: { id: "crvusd", name: "CRVUSD", decimals: 18, contract: address(3) },
+            });
+            expect(abis).to.deep.equal({ raacminter: ["RAACMinter"], lendingpool: ["LendingPool"], crvusd: ["crvUSDToken"] });
+            expect(skipped).to.deep.equal(["RAACHousePriceOracle"]);
+            // Never the RPC of the network file
+            expect(chainConfig.rpcs).to.deep.equal([]);
+            expect(warnings).to.deep.equal(["No public RPC for sepolia: set rpcs.sepolia in configs/exportChainConfig.js"]);
+        });
+
+        it("should keep the ids it does not deploy and drop the stale ones", () => {
+            const previousAbis = { zenofactory: ["ZenoFactory"], raacminter: ["old"] };
+            const { chainConfig, abis, removed, changed, kept } = exportChainConfig(deployer, NETWORK, DEPLOYMENT, SETTINGS, previous(), { previousAbis });
+            expect(chainConfig.rpcs).to.deep.equal(["https://rpc.sepolia.org"]);
+            expect(chainConfig.contracts.zenofactory).to.deep.equal(previous().contracts.zenofactory);
+            expect(chainConfig.assets.marketcreator).to.deep.equal(previous().assets.marketcreator);
+            expect(abis.zenofactory).to.deep.equal(["ZenoFactory"]);
+            expect(abis.raacminter).to.deep.equal(["RAACMinter"]);
+            expect(kept.map(({ id }) => id)).to.deep.equal(["zenofactory", "marketcreator"]);
+            // Listed but not deployed: its address would be stale
+            expect(removed).to.deep.equal([{ section: "contracts", id: "raachousepriceoracle", contract: address(12) }]);
+            expect(changed).to.deep.equal([{ section: "contracts", id: "raacminter", before: address(11), after: address(1) }]);
+        });
+
+        it("should only remove the ids it does not deploy with prune", () => {
+            const { chainConfig, removed, kept } = exportChainConfig(deployer, NETWORK, DEPLOYMENT, SETTINGS, previous(), { prune: true });
+            expect(chainConfig.contracts).to.not.have.property("zenofactory");
+            expect(chainConfig.assets).to.not.have.property("marketcreator");
+            expect(removed.map(({ id }) => id)).to.deep.equal(["raachousepriceoracle", "zenofactory", "marketcreator"]);
+            expect(kept).to.deep.equal([]);
+        });
+
+        it("should refuse an RPC carrying a key, and take the public RPCs of a new chain from the settings", () => {
+            const withKey = { ...previous(), rpcs: [NETWORK.rpcUrl] };
+            expect(() => exportChainConfig(deployer, NETWORK, DEPLOYMENT, SETTINGS, withKey))
+                .to.throw("RPC of chain 11155111 carries a secret, it cannot be exported: https://sepolia.infura.io/v3/[REDACTED]");
+
+            const local = { ...NETWORK, network: "local", chainId: 8453, rpcUrl: "http://localhost:8545" };
+            const { chainConfig, warnings } = exportChainConfig(deployer, local, DEPLOYMENT, SETTINGS);
+            expect(chainConfig).to.include({ chainId: 8453, name: "Local" });
+            expect(chainConfig.rpcs).to.deep.equal(["http://localhost:8545"]);
+            expect(warnings).to.deep.equal([]);
+        });
+    });
+
+    describe("writeChainConfig", () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "chains-"));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("should write the config and its ABIs, and register the chain once in list.json and index.js", () => {
+            fs.writeFileSync(path.join(dir, "list.json"), JSON.stringify(["8453"]));
+            const { chainConfig, abis } = exportChainConfig(deployer, NETWORK, DEPLOYMENT, SETTINGS, previous());
+            writeChainConfig(dir, chainConfig, abis);
+            writeChainConfig(dir, chainConfig, abis);
+
+            expect(readChainConfig(dir, NETWORK.chainId)).to.deep.equal(chainConfig);
+            expect(readChainAbis(dir, NETWORK.chainId)).to.deep.equal(abis);
+            expect(JSON.parse(fs.readFileSync(path.join(dir, "list.json"), "utf8"))).to.deep.equal(["8453", "11155111"]);
+            expect(fs.readFileSync(path.join(dir, "index.js"), "utf8")).to.equal([
+                "import chain8453 from './8453.json' assert { type: 'json' };",
+                "import chain11155111 from './11155111.json' assert { type: 'json' };",
+                "",
+                "const chains = {",
+                "    8453: chain8453,",
+                "    11155111: chain11155111,",
+                "}",
+                "",
+                "export default chains;",
+            ].join("\n"));
+        });
+
+        it("should read nothing for a chain not exported yet", () => {
+            expect(readChainConfig(dir, 1)).to.equal(null);
+            expect(readChainAbis(dir, 1)).to.deep.equal({});
+        });
+    });
+});
@@ -0,0 +1,89 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import Deployer from "../../../library/Deployer/Deployer.js";
+import { processes } from "../../../library/Deployer/processes/index.js";
+
+export const DEPLOYER_ADDRESS = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+// Network object of the tests: in-memory state backend, no RPC reached unless a test sets one up
+export function createTestNetwork(overrides = {}) {
+    return {
+        network: `test-${Math.random().toString(16).slice(2)}`,
+        chainId: 31337,
+        rpcUrl: "http://127.0.0.1:1",
+        stateBackend: { type: "memory" },
+        ...overrides,
+    };
+}
+
+// Deployer on a test network, without proof of work on its log entries
+export function createTestDeployer(network = createTestNetwork(), options = {}) {
+    const deployer = new Deployer({ logDifficulty: 0, ...options });
+    deployer.setNetwork(network);
+    // prepareEnvironment / resumeDeployment read the network file
+    deployer.readNetworkFile = async () => network;
+    return deployer;
+}
+
+// Runs fn with the process registry replaced by `list`, restored afterwards
+export async function withProcesses(list, fn) {
+    const original = [...processes];
+    processes.splice(0, processes.length, ...list);
+    try {
+        return await fn();
+    } finally {
+        processes.splice(0, processes.length, ...original);
+    }
+}
+
+// Process declaration as in processes/index.js
+export function testProcess(id, handler, { dependsOn = [], produces = [id], ...rest } = {}) {
+    return { id, handler, dependsOn, produces, name: id, description: id, active: true, ...rest };
+}
+
+// Awaits a promise expected to reject with `message`, resolves with the error
+export async function expectRejection(promise, message) {
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.message).to.include(message);
+        return error;
+    }
+    expect.fail(`Expected a rejection with "${message}"`);
+}
+
+// Reverts a call of a fake contract (see createFakeChain)
+export function revertUnless(condition, reason) {
+    if (!condition) throw new Error(`reverted: ${reason}`);
+}
+
+// Contracts answering ethers.Contract: `abis` maps a contract name to its (human-readable) ABI, each contract is a set of
+// handlers (args, from) => result keeping its state in plain objects. A wallet with `call: chain.call` reads from them,
+// chain.send applies a populated transaction and records it in chain.sent as "<contractName>.<method>".
+export function createFakeChain(abis) {
+    const contracts = {};
+    const chain = {
+        sent: [],
+        add(contractName, handlers) {
+            const address = ethers.getAddress(`0x${(Object.keys(contracts).length + 1).toString(16).padStart(40, "0")}`);
+            contracts[address] = { contractName, handlers, iface: new ethers.Interface(abis[contractName]) };
+            return address;
+        },
+        parse({ to, data }) {
+            const contract = contracts[ethers.getAddress(to)];
+            return { contract, transaction: contract.iface.parseTransaction({ data }) };
+        },
+        async call(request) {
+            const { contract, transaction } = chain.parse(request);
+            const result = contract.handlers[transaction.name]([...transaction.args]);
+            return contract.iface.encodeFunctionResult(transaction.fragment, transaction.fragment.outputs.length === 1 ? [result] : result);
+        },
+        send(request, from) {
+            const { contract, transaction } = chain.parse(request);
+            contract.handlers[transaction.name]([...transaction.args], from);
+            chain.sent.push(`${contract.contractName}.${transaction.name}`);
+            return { hash: ethers.id(`${chain.sent.length}`) };
+        },
+    };
+    return chain;
+}
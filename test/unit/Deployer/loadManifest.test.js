@@ -0,0 +1,91 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import loadManifest from "../../../library/Deployer/utils/loadManifest.js";
+import { expectRejection } from "./helpers.js";
+
+const LOCAL_MANIFEST = path.join(path.dirname(fileURLToPath(import.meta.url)), "../../../library/Deployer/manifests/local.yaml");
+const DEPLOYER = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const DAY = 24 * 60 * 60;
+
+// 1-based line of the first line of `source` containing `text`
+const lineOf = (source, text) => source.split("\n").findIndex(line => line.includes(text)) + 1;
+
+describe("loadManifest", () => {
+    let dir;
+    const local = fs.readFileSync(LOCAL_MANIFEST, "utf8");
+
+    // Writes `source` as a manifest of the temporary directory
+    const write = (source, name = "manifest.yaml") => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, source);
+        return file;
+    };
+    const load = (file) => Promise.resolve().then(() => loadManifest(file));
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should load the local manifest", () => {
+        const manifest = loadManifest("local");
+        expect(manifest).to.include({ network: "local", deployerAddress: DEPLOYER, faucetAddress: DEPLOYER, budget: null });
+        // YAML integers become bigints, {{deployer}} is resolved, other placeholders are left to deploy time
+        expect(manifest.constructorArgs.RAACToken).to.deep.equal([DEPLOYER, 100n, 50n]);
+        expect(manifest.constructorArgs.RAACReleaseOrchestrator).to.deep.equal(["{{RAACToken}}"]);
+
+        const { tgeConfig } = manifest.configs.prepareTGE;
+        expect(tgeConfig).to.include({ initialSupply: "8866666666600000000000000", owner: DEPLOYER });
+        const [schedule] = tgeConfig.wallets[0].schedules;
+        expect(schedule.end - schedule.start).to.equal(700 * DAY);
+    });
+
+    it("should report every schema error on its line", async () => {
+        const source = local
+            .replace("faucet: \"0xf39", "fauset: \"0xf39")
+            .replace("deployer: \"0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266\"", "deployer: \"0xF39Fd6e51aad88F6F4ce6aB8827279cffFb92266\"")
+            .replace("initialSupply: \"8866666666600000000000000\"", "initialSupply: 8866666666600000000000000")
+            .replace("identifier: team4", "identifier: team4\n      adress: \"0x70997970C51812dc3A010C7d01b50e0d17dc79C8\"");
+        const file = write(source);
+
+        await expectRejection(load(file), [
+            `Invalid manifest ${file} (4 errors):`,
+            `  ${file}:${lineOf(source, "deployer: \"0xF39")} deployer: 0xF39Fd6e51aad88F6F4ce6aB8827279cffFb92266 is not a valid address (wrong length or checksum)`,
+            `  ${file}:${lineOf(source, "fauset:")} fauset: unknown key fauset (expected one of network, deployer, faucet, contracts, constructorArgs, dependencies, proxies, create2, budget, tge, processes)`,
+            `  ${file}:${lineOf(source, "initialSupply:")} tge.initialSupply: 8.8666666666e+24 must be quoted: numbers lose precision above 2^53`,
+            `  ${file}:${lineOf(source, "adress:")} tge.wallets[5].adress: unknown key adress (expected one of identifier, type, address, amount, schedules)`,
+        ].join("\n"));
+    });
+
+    it("should report a missing key on its parent, and unknown names once the schema passes", async () => {
+        const missing = write(local.replace("      amount: \"1000000\"\n    - identifier: team2", "    - identifier: team2"));
+        await expectRejection(load(missing),
+            `  ${missing}:${lineOf(local, "identifier: team1")} tge.wallets[2]: missing required amount`);
+
+        const unknown = local
+            .replace("  RepairFund: [\"{{deployer}}\"]", "  RepairFunds: [\"{{deployer}}\"]")
+            .replace("  verifySources:", "  verifySource:");
+        const file = write(unknown);
+        const error = await expectRejection(load(file), `  ${file}:${lineOf(unknown, "RepairFunds")} constructorArgs.RepairFunds: unknown contract RepairFunds (expected one of `);
+        expect(error.message).to.include(`  ${file}:${lineOf(unknown, "constructorArgs:")} constructorArgs: missing constructor args of RepairFund`);
+        expect(error.message).to.include(`  ${file}:${lineOf(unknown, "verifySource:")} processes.verifySource: unknown process verifySource`);
+    });
+
+    it("should report the line of a syntax error", async () => {
+        const source = local.replace("faucet: \"0x", "network: sepolia\nfaucet: \"0x");
+        const yaml = write(source);
+        await expectRejection(load(yaml), `Invalid manifest ${yaml}:${lineOf(source, "network: sepolia")}: duplicated mapping key`);
+
+        // Node reports a position, or the source around the unexpected token
+        const missingComma = write("{\n  \"network\": \"local\"\n  \"deployer\": \"0x\"\n}\n", "comma.json");
+        await expectRejection(load(missingComma), `Invalid manifest ${missingComma}:3: `);
+        const missingValue = write("{\n  \"network\": \"local\",\n  \"deployer\": }\n", "value.json");
+        await expectRejection(load(missingValue), `Invalid manifest ${missingValue}:3: Unexpected token '}'`);
+    });
+});
@@ -0,0 +1,84 @@
+import { expect } from "chai";
+import ExplorerClient from "../../../library/Deployer/utils/ExplorerClient/ExplorerClient.js";
+import createLocalExplorerServer from "../../../library/Deployer/utils/createLocalExplorerServer.js";
+import { expectRejection } from "./helpers.js";
+
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const COMPILER = "v0.8.28+commit.7893614a";
+const INPUT = { language: "Solidity", sources: { "contracts/Token.sol": { content: "contract Token {}" } }, settings: { optimizer: { enabled: true } } };
+const ARGS = "00000000000000000000000000000000000000000000000000000000000000ff";
+
+const submission = (overrides = {}) => ({
+    address: CONTRACT,
+    contractName: "contracts/Token.sol:Token",
+    compilerVersion: COMPILER,
+    input: INPUT,
+    constructorArguments: ARGS,
+    ...overrides,
+});
+
+// One block with the creation transaction of CONTRACT, deployed with `ARGS`
+const chain = {
+    getCode: async (address) => address === CONTRACT ? "0x6080" : "0x",
+    getBlockNumber: async () => 0,
+    getBlock: async () => ({ prefetchedTransactions: [{ to: null, hash: "0xcreate", data: `0x6080${ARGS}` }] }),
+    getTransactionReceipt: async () => ({ contractAddress: CONTRACT }),
+};
+
+describe("Local stand-in explorer", () => {
+    const servers = [];
+
+    async function connect(options = {}, apiKey = "") {
+        const server = createLocalExplorerServer({ log: () => {}, ...options });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        servers.push(server);
+        return new ExplorerClient({ apiUrl: `http://127.0.0.1:${server.address().port}/api`, apiKey, chainId: 31337 });
+    }
+
+    after(() => {
+        servers.forEach(server => server.close());
+    });
+
+    it("should verify a submission after the pending checks", async () => {
+        const client = await connect({ pendingChecks: 2 });
+        expect(await client.isVerified(CONTRACT)).to.be.false;
+
+        const guid = await client.submit(submission());
+        expect(guid).to.match(/^[0-9a-f]{50}$/);
+        expect((await client.checkStatus(guid)).status).to.equal("pending");
+        expect((await client.checkStatus(guid)).status).to.equal("pending");
+        expect(await client.checkStatus(guid)).to.deep.equal({ status: "verified", message: "Pass - Verified" });
+        expect(await client.isVerified(CONTRACT)).to.be.true;
+        // A second submission is reported as already verified
+        expect(await client.submit(submission())).to.equal(null);
+    });
+
+    it("should reject malformed submissions", async () => {
+        const client = await connect();
+        await expectRejection(client.submit(submission({ compilerVersion: "0.8.28" })), "Invalid compiler version 0.8.28");
+        await expectRejection(client.submit(submission({ contractName: "contracts/Other.sol:Other" })), "Source contracts/Other.sol of contracts/Other.sol:Other is not part of the input");
+        await expectRejection(client.submit(submission({ input: { sources: {} } })), "sourceCode is not a standard-JSON input");
+        await expectRejection(client.submit(submission({ constructorArguments: `0x${ARGS}` })), "Constructor arguments must be hex encoded, without 0x");
+        expect(await client.checkStatus("unknown")).to.deep.equal({ status: "failed", message: "Unknown UID" });
+    });
+
+    it("should require its API key when one is set", async () => {
+        const client = await connect({ apiKey: "explorer-key" });
+        await expectRejection(client.submit(submission()), "Invalid API Key");
+        expect(await (await connect({ apiKey: "explorer-key" }, "explorer-key")).isVerified(CONTRACT)).to.be.false;
+    });
+
+    it("should check the code and the creation transaction of the address with a provider", async () => {
+        const client = await connect({ pendingChecks: 0, provider: chain });
+        expect((await client.checkStatus(await client.submit(submission()))).status).to.equal("verified");
+
+        const other = await connect({ pendingChecks: 0, provider: chain });
+        const mismatch = await other.checkStatus(await other.submit(submission({ constructorArguments: ARGS.replace("ff", "fe") })));
+        expect(mismatch).to.deep.equal({ status: "failed", message: "Fail - Unable to verify. Constructor arguments do not match the creation transaction" });
+
+        const empty = "0x0000000000000000000000000000000000000bad";
+        const missing = await other.checkStatus(await other.submit(submission({ address: empty })));
+        expect(missing.message).to.equal(`Fail - Unable to verify. no contract at ${empty}`);
+        expect(await other.isVerified(empty)).to.be.false;
+    });
+});
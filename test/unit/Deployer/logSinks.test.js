@@ -0,0 +1,174 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import ParaLogger from "../../../library/Deployer/utils/ParaLogger/ParaLogger.js";
+import { getLogLevel, meetsLevel, registerLogType } from "../../../library/Deployer/utils/ParaLogger/logTypes.js";
+import createLogSink, { createEnvLogSinks } from "../../../library/Deployer/utils/ParaLogger/sinks/index.js";
+
+// Sink keeping the type of every entry it is given
+function createMemorySink(options = {}) {
+    const written = [];
+    return { type: "memory", level: "debug", scopes: null, ...options, written, write: (entry) => written.push(entry.type) };
+}
+
+describe("ParaLogger levels and sinks", () => {
+    let logger;
+
+    beforeEach(() => {
+        logger = new ParaLogger(0, { workers: 0 });
+    });
+
+    describe("logTypes", () => {
+        it("should infer the level of an unregistered type from its name", () => {
+            expect(getLogLevel("DEPLOY_ERROR")).to.equal("error");
+            expect(getLogLevel("VERIFICATION_FAILED_RETRY")).to.equal("error");
+            expect(getLogLevel("BYTECODE_MISMATCH")).to.equal("warn");
+            expect(getLogLevel("ROLE_NOT_GRANTED")).to.equal("warn");
+            expect(getLogLevel("CONFIG_NETWORK")).to.equal("debug");
+            expect(getLogLevel("ARTIFACTS_LOADING")).to.equal("debug");
+            expect(getLogLevel("DEPLOYMENT_START")).to.equal("info");
+            // A word, not part of one
+            expect(getLogLevel("ERRORS_SUMMARY")).to.equal("info");
+        });
+
+        it("should prefer a registered level, and refuse an unknown one", () => {
+            expect(getLogLevel("CONTRACT_ALREADY_DEPLOYED")).to.equal("warn");
+            expect(getLogLevel("CREATE2_FACTORY_MISSING")).to.equal("warn");
+
+            registerLogType("TEST_NETWORK_MISMATCH_IGNORED", "debug");
+            expect(getLogLevel("TEST_NETWORK_MISMATCH_IGNORED")).to.equal("debug");
+            expect(() => registerLogType("TEST_TYPE", "verbose"))
+                .to.throw("Unknown log level verbose for TEST_TYPE (expected one of debug, info, warn, error)");
+        });
+
+        it("should order the levels", () => {
+            expect(meetsLevel("warn", "info")).to.be.true;
+            expect(meetsLevel("info", "info")).to.be.true;
+            expect(meetsLevel("debug", "info")).to.be.false;
+            expect(meetsLevel("debug")).to.be.true;
+        });
+    });
+
+    describe("ScopedLogger", () => {
+        it("should log the level of each entry, given or inferred", async () => {
+            logger.addLog("DEPLOY_ERROR", {});
+            logger.warn("DEPLOYMENT_START", {});
+            logger.child("deployBox").debug("DEPLOY_ERROR", {});
+            await logger.flush();
+
+            expect(logger.logs.map(({ type, level }) => `${type} ${level}`)).to.deep.equal([
+                "DEPLOY_ERROR error",
+                "DEPLOYMENT_START warn",
+                "DEPLOY_ERROR debug",
+            ]);
+            expect(() => logger.addLog("DEPLOYMENT_START", {}, "verbose"))
+                .to.throw("Unknown log level verbose for DEPLOYMENT_START (expected one of debug, info, warn, error)");
+        });
+
+        it("should nest scopes on the chain of the root logger", async () => {
+            const box = logger.child("deployBox");
+            const proxy = box.child("proxy");
+            logger.addLog("ROOT", {});
+            box.addLog("BOX", {});
+            proxy.addLog("PROXY", {});
+            await proxy.flush();
+
+            expect(proxy.root).to.equal(logger);
+            expect(proxy.logs).to.equal(logger.logs);
+            expect(logger.logs.map(({ type, scope }) => `${type} ${scope}`)).to.deep.equal([
+                "ROOT null",
+                "BOX deployBox",
+                "PROXY deployBox/proxy",
+            ]);
+            expect(box.verify()).to.be.true;
+        });
+    });
+
+    describe("sinks", () => {
+        it("should only write the entries at or above the level of a sink, from its scopes", async () => {
+            const all = logger.addSink(createMemorySink());
+            const warnings = logger.addSink(createMemorySink({ level: "warn" }));
+            const box = logger.addSink(createMemorySink({ scopes: ["deployBox"] }));
+
+            logger.addLog("CONFIG_NETWORK", {});
+            logger.addLog("BYTECODE_MISMATCH", {});
+            logger.child("deployBox").addLog("DEPLOYMENT_START", {});
+            logger.child("deployBox").child("proxy").addLog("DEPLOY_ERROR", {});
+            logger.child("deployBoxes").addLog("DEPLOY_ERROR", {});
+            await logger.flush();
+
+            expect(all.written).to.deep.equal(["CONFIG_NETWORK", "BYTECODE_MISMATCH", "DEPLOYMENT_START", "DEPLOY_ERROR", "DEPLOY_ERROR"]);
+            expect(warnings.written).to.deep.equal(["BYTECODE_MISMATCH", "DEPLOY_ERROR", "DEPLOY_ERROR"]);
+            // Nested scopes belong to their process
+            expect(box.written).to.deep.equal(["DEPLOYMENT_START", "DEPLOY_ERROR"]);
+        });
+
+        it("should remove a failing sink and keep chaining", async () => {
+            const errors = [];
+            const consoleError = console.error;
+            console.error = (message) => errors.push(message);
+
+            const kept = logger.addSink(createMemorySink());
+            const failing = logger.addSink(createMemorySink({ type: "broken" }));
+            failing.write = () => { throw new Error("disk full"); };
+            try {
+                logger.addLog("FIRST", {});
+                logger.addLog("SECOND", {});
+                await logger.flush();
+            } finally {
+                console.error = consoleError;
+            }
+
+            expect(errors).to.deep.equal(["Log sink broken removed: disk full"]);
+            expect(logger.sinks).to.deep.equal([kept]);
+            expect(kept.written).to.deep.equal(["FIRST", "SECOND"]);
+            expect(logger.logs).to.have.length(2);
+        });
+    });
+
+    describe("createEnvLogSinks", () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "logs-"));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("should filter the output with LOG_LEVEL and LOG_PROCESSES", () => {
+            const [sink, ...others] = createEnvLogSinks({ type: "console", color: false }, { LOG_LEVEL: "warn", LOG_PROCESSES: "deployBox, configure," });
+            expect(sink).to.include({ type: "console", level: "warn", color: false });
+            expect(sink.scopes).to.deep.equal(["deployBox", "configure"]);
+            expect(others).to.deep.equal([]);
+
+            const [unfiltered] = createEnvLogSinks({ type: "console" }, {});
+            expect(unfiltered).to.include({ level: "info", scopes: null });
+        });
+
+        it("should write every entry to LOG_FILE", async () => {
+            const file = path.join(dir, "nested", "deployment.ndjson");
+            const sinks = createEnvLogSinks({ type: "console" }, { LOG_LEVEL: "error", LOG_FILE: file });
+            expect(sinks.map(({ type, level }) => `${type} ${level}`)).to.deep.equal(["console error", "ndjson debug"]);
+
+            logger.addSink(sinks[1]);
+            logger.addLog("CONFIG_NETWORK", { chainId: 1 });
+            logger.addLog("DEPLOYMENT_START", {});
+            await logger.close();
+
+            const entries = fs.readFileSync(file, "utf8").trim().split("\n").map(line => JSON.parse(line));
+            expect(entries.map(({ type }) => type)).to.deep.equal(["CONFIG_NETWORK", "DEPLOYMENT_START"]);
+            expect(entries[1].previousHash).to.equal(entries[0].hash);
+        });
+
+        it("should refuse an unknown level or sink", () => {
+            expect(() => createEnvLogSinks({ type: "console" }, { LOG_LEVEL: "verbose" }))
+                .to.throw("Unknown log level verbose (expected one of debug, info, warn, error)");
+            expect(() => createLogSink({ type: "syslog" }))
+                .to.throw("Unknown log sink syslog (expected one of console, ndjson, climatic)");
+            expect(() => createLogSink({ type: "ndjson" })).to.throw("NDJSON log sink needs a file");
+        });
+    });
+});
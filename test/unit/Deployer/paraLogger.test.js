@@ -0,0 +1,157 @@
+import { expect } from "chai";
+import ParaLogger, { verifyLogChain } from "../../../library/Deployer/utils/ParaLogger/ParaLogger.js";
+import { getTarget, meetsTarget } from "../../../library/Deployer/utils/ParaLogger/proofOfWork.js";
+import { expectRejection } from "./helpers.js";
+
+// Logger whose nonce search fails for the entries of `failingTypes`, as a crashed search would
+function createLogger(failingTypes = []) {
+    const logger = new ParaLogger(1, { workers: 0 });
+    const findNonceAsync = logger.findNonceAsync.bind(logger);
+    logger.findNonceAsync = async (data, previousHash) => {
+        if (failingTypes.includes(data.type)) throw new Error(`no nonce for ${data.type}`);
+        return findNonceAsync(data, previousHash);
+    };
+    return logger;
+}
+
+describe("ParaLogger queue", () => {
+    let unhandled;
+    const onUnhandled = (reason) => unhandled.push(reason);
+
+    beforeEach(() => {
+        unhandled = [];
+        process.on("unhandledRejection", onUnhandled);
+    });
+
+    afterEach(() => {
+        process.removeListener("unhandledRejection", onUnhandled);
+    });
+
+    it("should chain entries in call order without being awaited", async () => {
+        const logger = createLogger();
+        const data = { step: 1 };
+        ["FIRST", "SECOND", "THIRD"].forEach(type => logger.addLog(type, data));
+        data.step = 2;
+        expect(logger.queued).to.equal(3);
+
+        await logger.flush();
+        expect(logger.queued).to.equal(0);
+        expect(logger.logs.map(({ type }) => type)).to.deep.equal(["FIRST", "SECOND", "THIRD"]);
+        expect(logger.logs.map(({ data }) => data.step)).to.deep.equal([1, 1, 1]);
+        expect(logger.verify()).to.be.true;
+    });
+
+    it("should record an entry that cannot be chained and go on with the next ones", async () => {
+        const logger = createLogger(["BROKEN"]);
+        const failures = [];
+        logger.on("LOG_ERROR", ({ type }) => failures.push(type));
+
+        logger.addLog("FIRST", {});
+        const broken = logger.addLog("BROKEN", {});
+        logger.addLog("LAST", {});
+
+        expect(await broken).to.equal(null);
+        await expectRejection(logger.flush(), "1 log entries could not be chained: BROKEN (no nonce for BROKEN)");
+        expect(logger.queued).to.equal(0);
+        expect(failures).to.deep.equal(["BROKEN"]);
+        expect(logger.logs.map(({ type }) => type)).to.deep.equal(["FIRST", "LAST"]);
+        expect(logger.verify()).to.be.true;
+
+        // Reported once
+        await logger.flush();
+        await new Promise(resolve => setImmediate(resolve));
+        expect(unhandled).to.deep.equal([]);
+    });
+
+    it("should close the sinks before rethrowing a lost entry", async () => {
+        const logger = createLogger(["BROKEN"]);
+        const written = [];
+        let closed = false;
+        logger.addSink({ type: "memory", level: "debug", write: (entry) => written.push(entry.type), close: async () => { closed = true; } });
+
+        logger.addLog("BROKEN", {});
+        logger.addLog("LAST", {});
+        await expectRejection(logger.close(), "BROKEN (no nonce for BROKEN)");
+        expect(closed).to.be.true;
+        expect(logger.sinks).to.deep.equal([]);
+        expect(written).to.deep.equal(["LAST"]);
+    });
+});
+
+describe("ParaLogger proof of work", () => {
+    it("should require d leading zeros for a whole difficulty", () => {
+        expect(getTarget(0)).to.equal("g");
+        expect(getTarget(1)).to.equal("1".padEnd(64, "0"));
+        expect(getTarget(2)).to.equal("01".padEnd(64, "0"));
+        expect(meetsTarget("0f".padEnd(64, "f"), getTarget(1))).to.be.true;
+        expect(meetsTarget("1".padEnd(64, "0"), getTarget(1))).to.be.false;
+        expect(meetsTarget("00".padEnd(64, "f"), getTarget(2))).to.be.true;
+        expect(meetsTarget("01".padEnd(64, "0"), getTarget(2))).to.be.false;
+        expect(() => getTarget(65)).to.throw("Difficulty 65 is above 64 (sha256 has 64 hex digits)");
+    });
+
+    it("should keep 16^-difficulty of the hashes for a fractional difficulty", () => {
+        // 16^-1.5 = 1/64: a leading 0, then a digit below 4
+        expect(getTarget(1.5)).to.equal("04".padEnd(64, "0"));
+        expect(meetsTarget("03".padEnd(64, "f"), getTarget(1.5))).to.be.true;
+        expect(meetsTarget("04".padEnd(64, "0"), getTarget(1.5))).to.be.false;
+
+        const target = getTarget(3.2);
+        expect(target).to.have.length(64);
+        expect(target.startsWith("00093089")).to.be.true;
+        const share = Number(BigInt(`0x${target}`)) / 2 ** 256;
+        expect(share / 16 ** -3.2).to.be.closeTo(1, 1e-6);
+        expect(getTarget(3) > target && target > getTarget(4)).to.be.true;
+    });
+});
+
+describe("ParaLogger nonce pool", () => {
+    const DIFFICULTY = 2.5;
+    let logger;
+
+    beforeEach(() => {
+        logger = new ParaLogger(DIFFICULTY, { workers: 1, inlineDifficulty: 1 });
+    });
+
+    afterEach(async () => {
+        await logger.close();
+    });
+
+    it("should chain entries through a worker above inlineDifficulty", async () => {
+        ["FIRST", "SECOND", "THIRD"].forEach((type, step) => logger.addLog(type, { step }));
+        await logger.flush();
+
+        expect(logger.pool).to.not.equal(null);
+        expect(logger.pool.workers).to.have.length(1);
+        const { logs } = logger.export();
+        expect(logs.map(({ type }) => type)).to.deep.equal(["FIRST", "SECOND", "THIRD"]);
+        logs.forEach(({ hash }) => expect(meetsTarget(hash, getTarget(DIFFICULTY))).to.be.true);
+        expect(verifyLogChain(logs, DIFFICULTY)).to.deep.equal({ valid: true, errors: [], checkpoints: [] });
+    });
+
+    it("should fall back to the main thread when the pool fails", async () => {
+        const failures = [];
+        logger.on("POOL_ERROR", (error) => failures.push(error.message));
+        logger.addLog("FIRST", {});
+        await logger.flush();
+
+        // The worker dies during the next search
+        const pool = logger.pool;
+        const search = pool.search.bind(pool);
+        pool.search = (prefix, target) => {
+            const result = search(prefix, target);
+            pool.workers[0].emit("error", new Error("worker crashed"));
+            return result;
+        };
+        logger.addLog("SECOND", {});
+        logger.addLog("THIRD", {});
+        await logger.flush();
+
+        expect(failures).to.deep.equal(["worker crashed"]);
+        expect(logger.pool).to.equal(null);
+        expect(logger.options.workers).to.equal(0);
+        expect(pool.workers).to.deep.equal([]);
+        expect(verifyLogChain(logger.export().logs, DIFFICULTY).valid).to.be.true;
+        expect(logger.logs).to.have.length(3);
+    });
+});
@@ -0,0 +1,139 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import { processRAACTGE } from "../../../library/Deployer/processes/process/processRAACTGE.js";
+import { VESTING_DURATION } from "../../../library/Deployer/utils/validateTGEAllocations.js";
+import { createFakeChain, createTestDeployer, expectRejection, revertUnless, DEPLOYER_ADDRESS } from "./helpers.js";
+
+const TEAM = "0x2549E2E821E3413E6C0235318E3799263E643013";
+const LIQUIDITY = "0xc6822649A9959C0a45c092a329C77d16F5978426";
+const START = 1_800_000_000;
+const SCHEDULE = "tuple(uint256 totalAmount, uint256 releasedAmount, uint256 startTime, uint256 duration, uint256 lastClaimTime, bool initialized)";
+
+const ABIS = {
+    RAACToken: [
+        "function owner() view returns (address)",
+        "function minter() view returns (address)",
+        "function totalSupply() view returns (uint256)",
+        "function balanceOf(address account) view returns (uint256)",
+        "function mint(address to, uint256 amount)",
+        "function transfer(address to, uint256 amount) returns (bool)",
+    ],
+    RAACReleaseOrchestrator: [
+        `function getVestingSchedule(address beneficiary) view returns (${SCHEDULE} schedule)`,
+        "function getCategoryDetails(bytes32 category) view returns (uint256 allocation, uint256 used)",
+        "function ORCHESTRATOR_ROLE() view returns (bytes32)",
+        "function hasRole(bytes32 role, address account) view returns (bool)",
+        "function paused() view returns (bool)",
+        "function createVestingSchedule(address beneficiary, bytes32 category, uint256 amount, uint256 startTime)",
+    ],
+};
+
+function token(state) {
+    const transfer = (from, to, amount) => {
+        revertUnless((state.balances[from] || 0n) >= amount, "insufficient balance");
+        state.balances[from] -= amount;
+        state.balances[to] = (state.balances[to] || 0n) + amount;
+    };
+    return {
+        owner: () => DEPLOYER_ADDRESS,
+        minter: () => DEPLOYER_ADDRESS,
+        totalSupply: () => Object.values(state.balances).reduce((sum, balance) => sum + balance, 0n),
+        balanceOf: ([account]) => state.balances[account] || 0n,
+        mint: ([to, amount], from) => {
+            revertUnless(from === DEPLOYER_ADDRESS, "not the minter");
+            state.balances[to] = (state.balances[to] || 0n) + amount;
+        },
+        transfer: ([to, amount], from) => {
+            transfer(from, to, amount);
+            return true;
+        },
+    };
+}
+
+const NO_SCHEDULE = { totalAmount: 0n, releasedAmount: 0n, startTime: 0n, duration: 0n, lastClaimTime: 0n, initialized: false };
+
+function orchestrator(state) {
+    return {
+        getVestingSchedule: ([beneficiary]) => state.schedules[beneficiary] || NO_SCHEDULE,
+        getCategoryDetails: () => [ethers.parseEther("1000000"), 0n],
+        ORCHESTRATOR_ROLE: () => ethers.id("ORCHESTRATOR_ROLE"),
+        hasRole: ([, account]) => account === DEPLOYER_ADDRESS,
+        paused: () => false,
+        createVestingSchedule: ([beneficiary, , amount, startTime]) => {
+            revertUnless(!state.schedules[beneficiary], "schedule exists");
+            state.schedules[beneficiary] = { ...NO_SCHEDULE, totalAmount: amount, startTime, duration: BigInt(VESTING_DURATION), initialized: true };
+        },
+    };
+}
+
+describe("processRAACTGE", () => {
+    let chain;
+    let deployer;
+    let deployment;
+    let state;
+
+    // 500 RAAC transferred to LIQUIDITY, 1000 RAAC vested by TEAM
+    const wallets = [
+        { identifier: "liquidity1", type: "liquidity", address: LIQUIDITY, amount: "500" },
+        { identifier: "team1", type: "team", address: TEAM, amount: "1000", schedules: [{ type: "linear", start: START, end: START + VESTING_DURATION }] },
+    ];
+
+    beforeEach(() => {
+        chain = createFakeChain(ABIS);
+        state = { balances: {}, schedules: {} };
+        deployer = createTestDeployer();
+        deployer.readArtifactFile = (contractName) => ({ abi: ABIS[contractName] });
+        deployer.executeContractCall = async (description, contract, method, args) =>
+            chain.send(await contract[method].populateTransaction(...args), DEPLOYER_ADDRESS);
+
+        const wallet = { address: DEPLOYER_ADDRESS, call: chain.call };
+        deployment = {
+            processes: { prepareTGE: { result: { tokenConfig: { wallets, token: { initialSupply: ethers.parseEther("1500").toString() } } } } },
+            contracts: {
+                RAACToken: chain.add("RAACToken", token(state)),
+                RAACReleaseOrchestrator: chain.add("RAACReleaseOrchestrator", orchestrator(state)),
+            },
+            getWallet: () => wallet,
+        };
+    });
+
+    const logTypes = async () => {
+        await deployer.logger.flush();
+        return deployer.logger.logs.map(({ type }) => type);
+    };
+
+    it("should distribute the supply, then send nothing on a rerun", async () => {
+        await processRAACTGE(deployer, {}, deployment);
+        expect(chain.sent).to.deep.equal([
+            "RAACToken.mint",
+            "RAACToken.transfer",
+            "RAACToken.transfer",
+            "RAACReleaseOrchestrator.createVestingSchedule",
+        ]);
+        expect(state.balances[LIQUIDITY]).to.equal(ethers.parseEther("500"));
+        expect(state.balances[deployment.contracts.RAACReleaseOrchestrator]).to.equal(ethers.parseEther("1000"));
+        expect(deployment.vesting.team1).to.include({ address: TEAM, category: "TEAM", status: "created", startTime: BigInt(START) });
+
+        await processRAACTGE(deployer, {}, deployment);
+        expect(chain.sent).to.have.length(4);
+        expect(await logTypes()).to.include.members(["PROCESS_RAAC_TGE_VESTING_ALREADY_EXISTS", "PROCESS_RAAC_TGE_DIRECT_TRANSFER_ALREADY_HAS_BALANCE"]);
+        expect(deployment.vesting.team1.status).to.equal("existing");
+    });
+
+    it("should only complete a partial direct transfer", async () => {
+        state.balances[LIQUIDITY] = ethers.parseEther("200");
+        await processRAACTGE(deployer, {}, deployment);
+        expect(state.balances[LIQUIDITY]).to.equal(ethers.parseEther("500"));
+        // Minted: what the wallets and the orchestrator miss, no more
+        expect(state.balances[DEPLOYER_ADDRESS]).to.equal(0n);
+        await deployer.logger.flush();
+        const transfer = deployer.logger.logs.find(({ type }) => type === "PROCESS_RAAC_TGE_DIRECT_TRANSFER");
+        expect(transfer.data).to.include({ address: LIQUIDITY, missing: ethers.parseEther("300").toString(), partial: true });
+    });
+
+    it("should fail before sending anything when an existing schedule has another amount", async () => {
+        state.schedules[TEAM] = { ...NO_SCHEDULE, totalAmount: ethers.parseEther("999"), startTime: BigInt(START), duration: BigInt(VESTING_DURATION), initialized: true };
+        await expectRejection(processRAACTGE(deployer, {}, deployment), "Existing vesting schedules do not match the TGE config:\n - team1 (" + TEAM + "): 999.0 instead of 1000.0");
+        expect(chain.sent).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,114 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import RemoteSigner from "../../../library/Deployer/adapters/SignerAdapter/sources/RemoteSigner.js";
+import RemoteSource from "../../../library/Deployer/adapters/SignerAdapter/sources/RemoteSource.js";
+import createRemoteSignerServer from "../../../library/Deployer/utils/createRemoteSignerServer.js";
+import { expectRejection } from "./helpers.js";
+
+const PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const OTHER_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+const RECIPIENT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+const TRANSACTION = {
+    type: 2,
+    chainId: 31337n,
+    nonce: 7,
+    to: RECIPIENT,
+    value: ethers.parseEther("1"),
+    data: "0x1234",
+    gasLimit: 21_000n,
+    maxFeePerGas: ethers.parseUnits("2", "gwei"),
+    maxPriorityFeePerGas: ethers.parseUnits("1", "gwei"),
+};
+
+// Serves the RemoteSigner protocol for `wallet` on a free localhost port
+async function startSigner(wallet, options = {}) {
+    const server = createRemoteSignerServer(wallet, { log: () => {}, ...options });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe("Remote signer", () => {
+    const wallet = new ethers.Wallet(PRIVATE_KEY);
+    const servers = [];
+
+    async function connect(signingWallet = wallet, options = {}) {
+        const { server, url } = await startSigner(signingWallet, options);
+        servers.push(server);
+        return { url, signer: new RemoteSigner(url, wallet.address) };
+    }
+
+    after(() => {
+        servers.forEach(server => server.close());
+    });
+
+    describe("Stand-in server", () => {
+        it("should expose its account to the remote source", async () => {
+            const { url } = await connect();
+            const source = new RemoteSource({ url });
+            expect(await source.getAddress()).to.equal(wallet.address);
+            expect(await source.unlock()).to.equal(wallet.address);
+            expect(await source.connect(null).getAddress()).to.equal(wallet.address);
+        });
+
+        it("should require its bearer token when one is set", async () => {
+            const { url } = await connect(wallet, { token: "s3cret-token" });
+            await expectRejection(RemoteSigner.request(url, "eth_accounts"), "answered 401 to eth_accounts");
+            expect(await RemoteSigner.request(url, "eth_accounts", [], { Authorization: "Bearer s3cret-token" }))
+                .to.deep.equal([wallet.address]);
+        });
+
+        it("should reject unknown methods and accounts", async () => {
+            const { url } = await connect();
+            await expectRejection(RemoteSigner.request(url, "eth_sendTransaction"), "Unsupported method eth_sendTransaction");
+            await expectRejection(RemoteSigner.request(url, "eth_sign", [RECIPIENT, "0x1234"]), `Unknown account ${RECIPIENT}`);
+        });
+    });
+
+    describe("RemoteSigner", () => {
+        it("should return the transaction signed as requested", async () => {
+            const { signer } = await connect();
+            const signed = await signer.signTransaction(TRANSACTION);
+            expect(signed).to.equal(await wallet.signTransaction(TRANSACTION));
+        });
+
+        it("should refuse a transaction from another address", async () => {
+            const { signer } = await connect();
+            await expectRejection(signer.signTransaction({ ...TRANSACTION, from: RECIPIENT }), `cannot be signed by ${wallet.address}`);
+        });
+
+        it("should reject a signature by another key", async () => {
+            const other = new ethers.Wallet(OTHER_KEY);
+            const { signer } = await connect({ address: wallet.address, signTransaction: (tx) => other.signTransaction({ ...tx, from: undefined }) });
+            await expectRejection(signer.signTransaction(TRANSACTION), `Remote signer signed with ${other.address}`);
+        });
+
+        it("should reject a transaction changed by the remote signer, whatever the field", async () => {
+            // Same key and recipient, so only the comparison of the whole unsigned transaction catches it
+            const tampering = {
+                address: wallet.address,
+                signTransaction: (tx) => wallet.signTransaction({ ...tx, nonce: tx.nonce + 1, value: tx.value * 2n }),
+            };
+            const { signer } = await connect(tampering);
+            await expectRejection(signer.signTransaction(TRANSACTION), "Remote signer changed the transaction (nonce, value)");
+
+            const fees = { address: wallet.address, signTransaction: (tx) => wallet.signTransaction({ ...tx, maxPriorityFeePerGas: tx.maxFeePerGas }) };
+            const { signer: feeSigner } = await connect(fees);
+            await expectRejection(feeSigner.signTransaction(TRANSACTION), "Remote signer changed the transaction (maxPriorityFeePerGas)");
+        });
+
+        it("should check message and typed data signatures", async () => {
+            const { signer } = await connect();
+            expect(ethers.verifyMessage("hello", await signer.signMessage("hello"))).to.equal(wallet.address);
+
+            const domain = { name: "ParaLogger", version: "1", chainId: 31337 };
+            const types = { Checkpoint: [{ name: "lastHash", type: "bytes32" }] };
+            const value = { lastHash: ethers.ZeroHash };
+            const signature = await signer.signTypedData(domain, types, value);
+            expect(ethers.verifyTypedData(domain, types, value, signature)).to.equal(wallet.address);
+
+            const { signer: otherSigner } = await connect(new ethers.Wallet(OTHER_KEY));
+            await expectRejection(otherSigner.signMessage("hello"), "Unknown account");
+        });
+    });
+});
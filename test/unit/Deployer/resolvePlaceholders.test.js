@@ -0,0 +1,78 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import resolvePlaceholders, { isPlaceholder, resolvePlaceholder } from "../../../library/Deployer/utils/resolvePlaceholders.js";
+
+const TOKEN = "0x0000000000000000000000000000000000000001";
+const ROUTER = "0x0000000000000000000000000000000000000002";
+const USDC = "0x0000000000000000000000000000000000000003";
+
+const context = {
+    contractName: "Pool",
+    processId: "deployPool",
+    contracts: { Token: TOKEN },
+    dependencies: { Router: { address: ROUTER } },
+    network: {
+        network: "sepolia",
+        constants: { USDC, DON_ID: "bytes32:fun-ethereum-sepolia-1", FEE: "100_000" },
+    },
+    env: { OWNER: USDC, EMPTY: "" },
+};
+
+describe("resolvePlaceholders", () => {
+    it("should only treat {{...}} strings as placeholders", () => {
+        expect(isPlaceholder("{{Token}}")).to.be.true;
+        expect(isPlaceholder("Token")).to.be.false;
+        expect(isPlaceholder(12)).to.be.false;
+        expect(resolvePlaceholder("Token", context)).to.equal("Token");
+        expect(resolvePlaceholder(12n, context)).to.equal(12n);
+    });
+
+    it("should resolve built-ins and typed literals", () => {
+        expect(resolvePlaceholder("{{ZERO_ADDRESS}}")).to.equal(ethers.ZeroAddress);
+        expect(resolvePlaceholder("{{NULL}}")).to.equal(null);
+        expect(resolvePlaceholder("{{bytes32:raac}}")).to.equal(ethers.encodeBytes32String("raac"));
+        expect(resolvePlaceholder("{{0.1@27}}")).to.equal(10n ** 26n);
+        expect(resolvePlaceholder("{{1.5@gwei}}")).to.equal(1_500_000_000n);
+        expect(resolvePlaceholder("{{100_000_000}}")).to.equal(100_000_000n);
+    });
+
+    it("should resolve contracts, reused dependencies, network constants and env variables", () => {
+        expect(resolvePlaceholder("{{contract:Token}}", context)).to.equal(TOKEN);
+        expect(resolvePlaceholder("{{Router}}", context)).to.equal(ROUTER);
+        expect(resolvePlaceholder("{{network:USDC}}", context)).to.equal(USDC);
+        expect(resolvePlaceholder("{{network:DON_ID}}", context)).to.equal(ethers.encodeBytes32String("fun-ethereum-sepolia-1"));
+        expect(resolvePlaceholder("{{FEE}}", context)).to.equal(100_000n);
+        expect(resolvePlaceholder("{{env:OWNER}}", context)).to.equal(USDC);
+    });
+
+    it("should take the first alternative that resolves", () => {
+        expect(resolvePlaceholder("{{contract:Missing|env:EMPTY|network:USDC}}", context)).to.equal(USDC);
+        expect(resolvePlaceholder("{{Missing | NULL}}", context)).to.equal(null);
+    });
+
+    it("should give every reason when no alternative resolves", () => {
+        expect(() => resolvePlaceholders(["{{contract:Missing|env:UNSET|network:NOPE|other:X}}"], context)).to.throw(
+            "Unresolved placeholder {{contract:Missing|env:UNSET|network:NOPE|other:X}} for Pool argument #0 required by process deployPool: " +
+            "contract Missing is not deployed; environment variable UNSET is not set; network sepolia has no constant NOPE; unknown placeholder scope other"
+        );
+    });
+
+    it("should resolve arrays and name the argument from the ABI inputs", () => {
+        const inputs = [{ name: "tokens", type: "address[]" }, { name: "owner", type: "address" }];
+        expect(resolvePlaceholders([["{{Token}}", "{{Router}}"], "{{env:OWNER}}"], { ...context, inputs }))
+            .to.deep.equal([[TOKEN, ROUTER], USDC]);
+        expect(() => resolvePlaceholders(["{{Token}}", "{{Nothing}}"], { ...context, inputs }))
+            .to.throw("for Pool argument #1 (owner) required by process deployPool");
+    });
+
+    it("should reject a non-address for an address input", () => {
+        const inputs = [{ name: "owner", type: "address" }];
+        expect(() => resolvePlaceholders(["{{FEE}}"], { ...context, inputs }))
+            .to.throw("Invalid Pool argument #0 (owner): expected an address, got 100000 in process deployPool");
+        expect(resolvePlaceholders(["{{NULL}}"], { ...context, inputs })).to.deep.equal([null]);
+    });
+
+    it("should reject missing constructor arguments", () => {
+        expect(() => resolvePlaceholders(undefined, { contractName: "Pool" })).to.throw("Constructor arguments not found for Pool");
+    });
+});
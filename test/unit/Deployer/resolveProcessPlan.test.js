@@ -0,0 +1,80 @@
+import { expect } from "chai";
+import resolveProcessPlan from "../../../library/Deployer/utils/resolveProcessPlan.js";
+import { processes } from "../../../library/Deployer/processes/index.js";
+import { testProcess } from "./helpers.js";
+
+const noop = async (deployer, config, deployment) => deployment;
+const ids = (plan) => plan.map(({ process: _process }) => _process.id);
+
+describe("resolveProcessPlan", () => {
+    it("should keep the array order when dependencies allow it", () => {
+        const plan = resolveProcessPlan([
+            testProcess("a", noop),
+            testProcess("b", noop, { dependsOn: ["a"] }),
+            testProcess("c", noop),
+        ]);
+        expect(ids(plan)).to.deep.equal(["a", "b", "c"]);
+        expect(plan[1].runsAfter).to.deep.equal(["a"]);
+    });
+
+    it("should move a process after the producers of its dependencies", () => {
+        const plan = resolveProcessPlan([
+            testProcess("link", noop, { dependsOn: ["Token", "Pool"] }),
+            testProcess("deployToken", noop, { produces: ["Token"] }),
+            testProcess("deployPool", noop, { produces: ["Pool"], dependsOn: ["Token"] }),
+        ]);
+        expect(ids(plan)).to.deep.equal(["deployToken", "deployPool", "link"]);
+        expect(plan[2].runsAfter).to.have.members(["deployToken", "deployPool"]);
+    });
+
+    it("should accept dependencies reused from deployment.dependencies", () => {
+        const plan = resolveProcessPlan(
+            [testProcess("link", noop, { dependsOn: ["Token"] })],
+            { dependencies: { Token: { address: "0x0000000000000000000000000000000000000001" } } }
+        );
+        expect(plan[0].reused).to.deep.equal(["Token"]);
+        expect(plan[0].runsAfter).to.deep.equal([]);
+    });
+
+    it("should keep inactive processes in the plan without scheduling them", () => {
+        const plan = resolveProcessPlan([
+            testProcess("a", noop),
+            testProcess("skipped", noop, { active: false, dependsOn: ["missing"] }),
+        ]);
+        expect(ids(plan)).to.deep.equal(["a", "skipped"]);
+        expect(plan[1].runsAfter).to.deep.equal([]);
+    });
+
+    it("should name the inactive producer of a missing dependency", () => {
+        expect(() => resolveProcessPlan([
+            testProcess("deployToken", noop, { produces: ["Token"], active: false }),
+            testProcess("link", noop, { dependsOn: ["Token"] }),
+        ])).to.throw("link depends on Token but no active process produces it (deployToken is inactive)");
+    });
+
+    it("should reject a key produced twice", () => {
+        expect(() => resolveProcessPlan([
+            testProcess("a", noop, { produces: ["Token"] }),
+            testProcess("b", noop, { produces: ["Token"] }),
+        ])).to.throw("Token is produced by both a and b");
+    });
+
+    it("should report a dependency cycle", () => {
+        expect(() => resolveProcessPlan([
+            testProcess("a", noop, { dependsOn: ["c"] }),
+            testProcess("b", noop, { dependsOn: ["a"] }),
+            testProcess("c", noop, { dependsOn: ["b"] }),
+        ])).to.throw("dependency cycle a -> c -> b -> a");
+    });
+
+    it("should resolve the processes of the repository", () => {
+        const plan = resolveProcessPlan(processes, { dependencies: {} });
+        const order = ids(plan);
+        expect(order[0]).to.equal("prepareEnvironment");
+        for (const { process: _process, runsAfter } of plan) {
+            for (const id of runsAfter) {
+                expect(order.indexOf(id), `${_process.id} after ${id}`).to.be.lessThan(order.indexOf(_process.id));
+            }
+        }
+    });
+});
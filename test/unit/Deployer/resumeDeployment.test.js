@@ -0,0 +1,170 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import runProcessesSequence from "../../../library/Deployer/utils/runProcessesSequence.js";
+import resumeDeployment from "../../../library/Deployer/utils/resumeDeployment.js";
+import getResumeDeploymentId from "../../../library/Deployer/utils/getResumeDeploymentId.js";
+import createDeployment from "../../../library/Deployer/utils/createDeployment.js";
+import verifyLogs from "../../../library/Deployer/utils/verifyLogs.js";
+import { createTestDeployer, createTestNetwork, testProcess, withProcesses, expectRejection, DEPLOYER_ADDRESS } from "./helpers.js";
+
+const PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+function newDeployment(network) {
+    return createDeployment({
+        network: network.network,
+        dependencies: {},
+        deployerAddress: DEPLOYER_ADDRESS,
+        faucetAddress: DEPLOYER_ADDRESS,
+        config: {},
+        constructorArgs: {},
+    });
+}
+
+describe("Deployer checkpoints and resume", () => {
+    describe("getResumeDeploymentId", () => {
+        let resumeId;
+
+        beforeEach(() => {
+            resumeId = process.env.RESUME_DEPLOYMENT_ID;
+            delete process.env.RESUME_DEPLOYMENT_ID;
+        });
+
+        afterEach(() => {
+            if (resumeId !== undefined) process.env.RESUME_DEPLOYMENT_ID = resumeId;
+        });
+
+        it("should read --resume <deploymentId>", () => {
+            expect(getResumeDeploymentId(["node", "main.js", "--resume", "18f2a"])).to.equal("18f2a");
+        });
+
+        it("should fall back to RESUME_DEPLOYMENT_ID", () => {
+            expect(getResumeDeploymentId(["node", "main.js"])).to.equal(null);
+            process.env.RESUME_DEPLOYMENT_ID = "18f2b";
+            expect(getResumeDeploymentId(["node", "main.js"])).to.equal("18f2b");
+        });
+
+        it("should reject --resume without an id", () => {
+            expect(() => getResumeDeploymentId(["node", "main.js", "--resume"])).to.throw("Missing deployment id");
+            expect(() => getResumeDeploymentId(["node", "main.js", "--resume", "--logs"])).to.throw("Missing deployment id");
+        });
+    });
+
+    describe("runProcessesSequence", () => {
+        let network;
+        let runs;
+        let failing;
+
+        const processList = () => [
+            testProcess("first", async (deployer, config, deployment) => {
+                runs.push("first");
+                deployer.logger.addLog("FIRST_DONE", {});
+                deployment.contracts.First = "0x0000000000000000000000000000000000000001";
+                return deployment;
+            }),
+            testProcess("second", async (deployer, config, deployment) => {
+                runs.push("second");
+                deployer.logger.addLog("SECOND_START", {});
+                if (failing) throw new Error("second failed");
+                deployment.contracts.Second = "0x0000000000000000000000000000000000000002";
+                return deployment;
+            }, { dependsOn: ["first"] }),
+            testProcess("always", async (deployer, config, deployment) => {
+                runs.push("always");
+                return deployment;
+            }, { rerunOnResume: true }),
+        ];
+
+        beforeEach(() => {
+            network = createTestNetwork();
+            runs = [];
+            failing = true;
+        });
+
+        it("should save a checkpoint naming the failed process", async () => {
+            const deployer = createTestDeployer(network);
+            const deployment = newDeployment(network);
+
+            await withProcesses(processList(), async () => {
+                await expectRejection(runProcessesSequence(deployment, deployer, {}), "second failed");
+            });
+
+            const checkpoint = await deployer.getStateAdapter().readDeploymentCheckpoint(deployment.id);
+            expect(checkpoint.checkpoint.completedProcesses).to.deep.equal(["first"]);
+            expect(checkpoint.checkpoint.failedProcess).to.equal("second");
+            expect(checkpoint.contracts).to.deep.equal({ First: "0x0000000000000000000000000000000000000001" });
+            expect(checkpoint.logs.logs.length).to.be.greaterThan(0);
+        });
+
+        it("should resume after the completed processes, rerunning the environment bound ones", async () => {
+            const deployer = createTestDeployer(network);
+            const deployment = newDeployment(network);
+            await withProcesses(processList(), async () => {
+                await runProcessesSequence(deployment, deployer, {}).catch(() => {});
+            });
+            expect(runs).to.deep.equal(["first", "second"]);
+
+            runs = [];
+            failing = false;
+            const resumer = createTestDeployer(network);
+            const resumed = await resumeDeployment(newDeployment(network), resumer, deployment.id);
+            expect(resumed.id).to.equal(deployment.id);
+
+            await withProcesses(processList(), async () => {
+                await runProcessesSequence(resumed, resumer, {});
+            });
+            expect(runs).to.deep.equal(["second", "always"]);
+            expect(resumed.contracts).to.have.keys("First", "Second");
+            expect(resumed.checkpoint.completedProcesses).to.have.members(["first", "second", "always"]);
+
+            const resumeLog = resumer.logger.logs.find(({ type }) => type === "RESUME_DEPLOYMENT");
+            expect(resumeLog.data.previousFinalHash).to.equal(deployer.logger.export().finalHash);
+        });
+
+        it("should continue the log chain of the interrupted run, signed checkpoints included", async () => {
+            // Signs the checkpoints of both runs (see checkpointLogs)
+            const wallet = new ethers.Wallet(PRIVATE_KEY, { getNetwork: async () => ({ chainId: 31337n }) });
+            const deployer = createTestDeployer(network);
+            deployer.signer = wallet;
+            const deployment = newDeployment(network);
+            await withProcesses(processList(), async () => {
+                await runProcessesSequence(deployment, deployer, {}).catch(() => {});
+            });
+            const interrupted = deployer.logger.export();
+
+            failing = false;
+            const resumer = createTestDeployer(network);
+            resumer.signer = wallet;
+            const resumed = await resumeDeployment(newDeployment(network), resumer, deployment.id);
+            await withProcesses(processList(), async () => {
+                await runProcessesSequence(resumed, resumer, {});
+            });
+
+            const { logs } = await resumer.getStateAdapter().readDeploymentCheckpoint(deployment.id);
+            expect(logs.logs.slice(0, interrupted.logs.length)).to.deep.equal(interrupted.logs);
+            expect(logs.logs[interrupted.logs.length].type).to.equal("RESUME_DEPLOYMENT");
+            const report = await verifyLogs(logs, { signer: wallet.address });
+            expect(report.errors).to.deep.equal([]);
+            expect(report.valid).to.be.true;
+            expect(report.checkpoints.count).to.be.greaterThan(interrupted.logs.filter(({ type }) => type === "LOG_CHECKPOINT").length);
+        });
+
+        it("should refuse to continue a tampered log chain", async () => {
+            const deployer = createTestDeployer(network);
+            const deployment = newDeployment(network);
+            await withProcesses(processList(), async () => {
+                await runProcessesSequence(deployment, deployer, {}).catch(() => {});
+            });
+            const { logs, ...state } = await deployer.getStateAdapter().readDeploymentCheckpoint(deployment.id);
+            logs.logs[0].data.tampered = true;
+            await deployer.getStateAdapter().saveDeploymentCheckpoint(deployment.id, state, logs);
+
+            await expectRejection(resumeDeployment(newDeployment(network), createTestDeployer(network), deployment.id),
+                "Cannot continue the saved log chain, entry #0");
+        });
+
+        it("should refuse to resume an unknown deployment", async () => {
+            const deployer = createTestDeployer(network);
+            await expectRejection(resumeDeployment(newDeployment(network), deployer, "missing"), "No checkpoint found for deployment missing");
+        });
+    });
+});
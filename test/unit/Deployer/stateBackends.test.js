@@ -0,0 +1,101 @@
+import { expect } from "chai";
+import StateAdapter from "../../../library/Deployer/adapters/StateAdapter/StateAdapter.js";
+import createStateBackend from "../../../library/Deployer/adapters/StateAdapter/backends/index.js";
+import MemoryBackend from "../../../library/Deployer/adapters/StateAdapter/backends/MemoryBackend.js";
+import SQLiteBackend from "../../../library/Deployer/adapters/StateAdapter/backends/SQLiteBackend.js";
+import { createTestNetwork, expectRejection } from "./helpers.js";
+
+describe("Deployer state backends", () => {
+    describe("createStateBackend", () => {
+        let stateBackend;
+
+        beforeEach(() => {
+            stateBackend = process.env.STATE_BACKEND;
+            delete process.env.STATE_BACKEND;
+        });
+
+        afterEach(() => {
+            if (stateBackend !== undefined) process.env.STATE_BACKEND = stateBackend;
+            else delete process.env.STATE_BACKEND;
+        });
+
+        it("should default to the filesystem and let STATE_BACKEND override the network file", () => {
+            expect(createStateBackend().type).to.equal("filesystem");
+            expect(createStateBackend({ type: "memory" }).type).to.equal("memory");
+            process.env.STATE_BACKEND = "memory";
+            expect(createStateBackend({ type: "filesystem" }).type).to.equal("memory");
+        });
+
+        it("should reject an unknown backend", () => {
+            expect(() => createStateBackend({ type: "redis" }))
+                .to.throw("Unknown state backend redis (expected one of filesystem, sqlite, memory)");
+        });
+    });
+
+    describe("MemoryBackend", () => {
+        it("should store copies of the documents", async () => {
+            const backend = new MemoryBackend();
+            const document = { contracts: { Token: "0x1" } };
+            const location = await backend.write("memory-test", "deployments", "a", document);
+            document.contracts.Token = "0x2";
+
+            expect(location).to.equal("memory:memory-test/deployments/a");
+            const read = await backend.read("memory-test", "deployments", "a");
+            expect(read).to.deep.equal({ contracts: { Token: "0x1" } });
+            read.contracts.Token = "0x3";
+            expect((await backend.read("memory-test", "deployments", "a")).contracts.Token).to.equal("0x1");
+        });
+
+        it("should keep networks and collections apart, and be shared by every instance", async () => {
+            await new MemoryBackend().write("memory-a", "plans", "x", { plan: 1 });
+            const backend = new MemoryBackend();
+            expect(await backend.read("memory-a", "plans", "x")).to.deep.equal({ plan: 1 });
+            expect(await backend.read("memory-b", "plans", "x")).to.equal(null);
+            expect(await backend.read("memory-a", "checkpoints", "x")).to.equal(null);
+            expect(await backend.list("memory-a", "plans")).to.deep.equal(["x"]);
+        });
+    });
+
+    describe("StateAdapter on the memory backend", () => {
+        let stateAdapter;
+
+        beforeEach(() => {
+            const { network } = createTestNetwork();
+            stateAdapter = new StateAdapter(network, { type: "memory" });
+        });
+
+        it("should save states with their logs and read them back by hash or latest", async () => {
+            const logs = { logs: [{ type: "DEPLOYMENT_START" }], finalHash: "0xabc" };
+            await stateAdapter.saveDeploymentState({ timestamp: 1000, deploymentHash: "0xaaa", amount: 10n ** 18n, logs });
+            await stateAdapter.saveDeploymentState({ timestamp: 2000, deploymentHash: "0xbbb", logs });
+
+            expect(await stateAdapter.listDeploymentFiles()).to.have.members(["1000_0xaaa", "2000_0xbbb"]);
+            const first = await stateAdapter.readDeploymentStateFile("0xaaa");
+            expect(first.amount).to.equal("1000000000000000000");
+            expect(first.logs).to.deep.equal(logs);
+            expect((await stateAdapter.readDeploymentStateFile()).deploymentHash).to.equal("0xbbb");
+            await expectRejection(stateAdapter.readDeploymentStateFile("0xccc"), "No deployment state found for 0xccc");
+        });
+
+        it("should require a timestamp and a deployment hash", async () => {
+            await expectRejection(stateAdapter.saveDeploymentState({ deploymentHash: "0xaaa" }), "Timestamp and deployment hash are required");
+        });
+
+        it("should save and read checkpoints by deployment id", async () => {
+            await stateAdapter.saveDeploymentCheckpoint("18f2a", { checkpoint: { completedProcesses: ["a"] } }, { logs: [] });
+            const checkpoint = await stateAdapter.readDeploymentCheckpoint("18f2a");
+            expect(checkpoint.checkpoint.completedProcesses).to.deep.equal(["a"]);
+            expect(checkpoint.logs).to.deep.equal({ logs: [] });
+            await expectRejection(stateAdapter.readDeploymentCheckpoint("18f2b"), "No checkpoint found for deployment 18f2b");
+        });
+    });
+
+    describe("SQLiteBackend", () => {
+        it("should tell which Node.js versions provide node:sqlite and point to the filesystem backend", async function () {
+            const available = await import("node:sqlite").then(() => true, () => false);
+            if (available) this.skip();
+            const error = await expectRejection(new SQLiteBackend({ file: "unused.sqlite" }).read("local", "deployments", "a"), "Node.js >= 22.13 or >= 23.4");
+            expect(error.message).to.include("stateBackend: { type: 'filesystem' }");
+        });
+    });
+});
@@ -0,0 +1,215 @@
+import { expect } from "chai";
+import TransactionManager from "../../../library/Deployer/utils/TransactionManager/TransactionManager.js";
+import { expectRejection, DEPLOYER_ADDRESS } from "./helpers.js";
+
+const GWEI = 1_000_000_000n;
+const OTHER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+// Node and signer double: transactions are mined by `chain.mine(hash)`, or by `onSend` as soon as they are sent
+function createChain({ pendingNonce = 0, feeData = { maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: 2n * GWEI, gasPrice: null } } = {}) {
+    const chain = {
+        sent: [],
+        receipts: {},
+        latestNonce: pendingNonce,
+        pendingNonce,
+        blockNumber: 100,
+        feeData,
+        // Mined nonces of other senders
+        others: {},
+        onSend: null,
+        mine(hash, from = DEPLOYER_ADDRESS) {
+            chain.receipts[hash] = { hash, status: 1, blockNumber: chain.blockNumber, blockHash: `0xb${chain.blockNumber}` };
+            if (from === DEPLOYER_ADDRESS) chain.latestNonce++;
+            else chain.others[from] = (chain.others[from] || 0) + 1;
+        },
+    };
+    const provider = {
+        getTransactionCount: async (address, tag) => {
+            if (address !== DEPLOYER_ADDRESS) return chain.others[address] || 0;
+            return tag === "pending" ? chain.pendingNonce : chain.latestNonce;
+        },
+        getFeeData: async () => chain.feeData,
+        getTransactionReceipt: async (hash) => chain.receipts[hash] || null,
+        getTransaction: async (hash) => chain.sent.find(tx => tx.hash === hash) || null,
+        getBlockNumber: async () => chain.blockNumber,
+    };
+    const signer = {
+        provider,
+        getAddress: async () => DEPLOYER_ADDRESS,
+        sendTransaction: async (tx) => {
+            const hash = `0x${(chain.sent.length + 1).toString(16).padStart(64, "0")}`;
+            chain.sent.push({ ...tx, hash, from: DEPLOYER_ADDRESS });
+            chain.pendingNonce = Math.max(chain.pendingNonce, tx.nonce + 1);
+            if (chain.onSend) chain.onSend(hash, chain.sent.length);
+            return { hash };
+        },
+    };
+    return { chain, signer };
+}
+
+// Stuck as soon as sent, no wait between polls
+const FAST = { stuckTimeout: -1, pollInterval: 1 };
+
+describe("TransactionManager", () => {
+    describe("Nonces", () => {
+        it("should give concurrent transactions consecutive nonces", async () => {
+            const { chain, signer } = createChain({ pendingNonce: 5 });
+            chain.onSend = (hash) => chain.mine(hash);
+            const manager = new TransactionManager(signer, FAST);
+
+            const results = await Promise.all([1, 2, 3].map(index => manager.send({ to: OTHER, value: BigInt(index) }, `tx ${index}`)));
+            expect(results.map(({ nonce }) => nonce)).to.have.members([5, 6, 7]);
+            expect(chain.sent.map(({ nonce }) => nonce)).to.have.members([5, 6, 7]);
+        });
+
+        it("should follow the pending count of the node when transactions are sent elsewhere", async () => {
+            const { chain, signer } = createChain();
+            chain.onSend = (hash) => chain.mine(hash);
+            const manager = new TransactionManager(signer, FAST);
+
+            expect((await manager.send({ to: OTHER })).nonce).to.equal(0);
+            chain.pendingNonce = chain.latestNonce = 4;
+            expect((await manager.send({ to: OTHER })).nonce).to.equal(4);
+        });
+
+        it("should ignore the nonce and sender of the request", async () => {
+            const { chain, signer } = createChain({ pendingNonce: 2 });
+            chain.onSend = (hash) => chain.mine(hash);
+            const manager = new TransactionManager(signer, FAST);
+
+            await manager.send({ to: OTHER, nonce: 99, from: OTHER });
+            expect(chain.sent[0].nonce).to.equal(2);
+            expect(chain.sent[0]).to.not.have.property("from", OTHER);
+        });
+
+        it("should release the nonce of a transaction that could not be broadcast", async () => {
+            const { chain, signer } = createChain({ pendingNonce: 3 });
+            const sendTransaction = signer.sendTransaction;
+            signer.sendTransaction = async () => { throw new Error("insufficient funds"); };
+            const manager = new TransactionManager(signer, FAST);
+            await expectRejection(manager.send({ to: OTHER }), "insufficient funds");
+
+            signer.sendTransaction = sendTransaction;
+            chain.onSend = (hash) => chain.mine(hash);
+            expect((await manager.send({ to: OTHER })).nonce).to.equal(3);
+        });
+
+        it("should keep the nonces reserved after one that could not be broadcast", async () => {
+            const { chain, signer } = createChain({ pendingNonce: 3 });
+            chain.onSend = (hash) => chain.mine(hash);
+            const sendTransaction = signer.sendTransaction;
+            // Nonce 3 fails once nonce 4 is reserved, nonce 4 is broadcast once the next send is reserved
+            let reserved;
+            const secondReserved = new Promise(resolve => { reserved = resolve; });
+            let release;
+            const secondReleased = new Promise(resolve => { release = resolve; });
+            signer.sendTransaction = async (tx) => {
+                if (tx.nonce === 3) {
+                    await secondReserved;
+                    throw new Error("insufficient funds");
+                }
+                if (tx.nonce === 4) {
+                    reserved();
+                    await secondReleased;
+                }
+                return sendTransaction(tx);
+            };
+            const manager = new TransactionManager(signer, FAST);
+
+            const first = manager.send({ to: OTHER }, "first");
+            const second = manager.send({ to: OTHER }, "second");
+            await expectRejection(first, "insufficient funds");
+            const third = manager.send({ to: OTHER }, "third");
+            await manager.queue;
+            release();
+
+            expect((await second).nonce).to.equal(4);
+            expect((await third).nonce).to.equal(5);
+            expect(chain.sent.map(({ nonce }) => nonce)).to.deep.equal([4, 5]);
+        });
+    });
+
+    describe("Fee bumps", () => {
+        it("should re-broadcast a stuck transaction with the same nonce and bumped fees", async () => {
+            const { chain, signer } = createChain();
+            // Only the second attempt is mined
+            chain.onSend = (hash, count) => { if (count === 2) chain.mine(hash); };
+            const manager = new TransactionManager(signer, FAST);
+            const bumps = [];
+            manager.on("TX_BUMPED", (data) => bumps.push(data));
+
+            const result = await manager.send({ to: OTHER, value: 1n }, "stuck transfer");
+            expect(chain.sent.map(({ nonce }) => nonce)).to.deep.equal([0, 0]);
+            // 15% + 1 wei on both fees
+            expect(chain.sent[1].maxFeePerGas).to.equal(23n * GWEI + 1n);
+            expect(chain.sent[1].maxPriorityFeePerGas).to.equal(2_300_000_000n + 1n);
+            expect(result.hash).to.equal(chain.sent[1].hash);
+            expect(result.attempts).to.deep.equal(chain.sent.map(({ hash }) => hash));
+            expect(bumps).to.have.length(1);
+            expect(bumps[0]).to.include({ description: "stuck transfer", nonce: 0, attempt: 2 });
+        });
+
+        it("should return the original transaction when it is mined after a bump", async () => {
+            const { chain, signer } = createChain();
+            chain.onSend = (hash, count) => { if (count === 2) chain.mine(chain.sent[0].hash); };
+            const manager = new TransactionManager(signer, FAST);
+            const mined = [];
+            manager.on("TX_MINED", (data) => mined.push(data));
+
+            const result = await manager.send({ to: OTHER });
+            expect(result.hash).to.equal(chain.sent[0].hash);
+            expect(mined[0].replaced).to.be.true;
+        });
+
+        it("should bump legacy gas prices and follow the network fees", async () => {
+            const { chain, signer } = createChain({ feeData: { maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: 10n * GWEI } });
+            const manager = new TransactionManager(signer, FAST);
+            expect(await manager.bumpFees({ gasPrice: 10n * GWEI })).to.deep.equal({ gasPrice: 11_500_000_000n + 1n });
+
+            chain.feeData = { maxFeePerGas: 50n * GWEI, maxPriorityFeePerGas: 2n * GWEI, gasPrice: null };
+            expect(await manager.bumpFees({ maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: 2n * GWEI }))
+                .to.deep.equal({ maxFeePerGas: 50n * GWEI, maxPriorityFeePerGas: 2_300_000_000n + 1n });
+        });
+
+        it("should refuse a bump above the fee cap", async () => {
+            const { signer } = createChain();
+            const manager = new TransactionManager(signer, { ...FAST, maxFeePerGasCap: (22n * GWEI).toString() });
+            await expectRejection(manager.bumpFees({ maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: 2n * GWEI }), "exceeds the cap of 22.0 gwei");
+        });
+
+        it("should give up after maxFeeBumps", async () => {
+            const { chain, signer } = createChain();
+            const manager = new TransactionManager(signer, { ...FAST, maxFeeBumps: 2 });
+            await expectRejection(manager.send({ to: OTHER }, "never mined"), "Transaction never mined (nonce 0) still not mined after 2 fee bumps (pending)");
+            expect(chain.sent).to.have.length(3);
+        });
+    });
+
+    describe("Monitoring", () => {
+        it("should report a nonce consumed by a transaction sent elsewhere", async () => {
+            const { chain, signer } = createChain();
+            chain.onSend = () => { chain.latestNonce = 1; };
+            const manager = new TransactionManager(signer, { ...FAST, stuckTimeout: 60_000 });
+            await expectRejection(manager.send({ to: OTHER }, "replaced"), "was replaced by another transaction");
+            expect(manager.nextNonce).to.equal(null);
+        });
+
+        it("should reject a reverted transaction with its receipt", async () => {
+            const { chain, signer } = createChain();
+            chain.onSend = (hash) => { chain.mine(hash); chain.receipts[hash].status = 0; };
+            const manager = new TransactionManager(signer, FAST);
+            const error = await expectRejection(manager.send({ to: OTHER }, "Token.mint"), "Transaction Token.mint reverted");
+            expect(error.receipt.status).to.equal(0);
+        });
+
+        it("should wait for a transaction of another sender by the nonce of that sender", async () => {
+            const { chain, signer } = createChain({ pendingNonce: 7 });
+            chain.sent.push({ hash: "0xkeyless", from: OTHER, nonce: 0 });
+            const manager = new TransactionManager(signer, { ...FAST, stuckTimeout: 60_000 });
+            const receipt = manager.waitForTransaction("0xkeyless", "CREATE2 factory");
+            // The deployer nonce (7) is above the nonce of the keyless transaction (0): not a replacement
+            setTimeout(() => chain.mine("0xkeyless", OTHER), 20);
+            expect((await receipt).hash).to.equal("0xkeyless");
+        });
+    });
+});
@@ -0,0 +1,182 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import { transferOwnerships } from "../../../library/Deployer/processes/finalize/transferOwnerships.js";
+import { createFakeChain, createTestDeployer, createTestNetwork, expectRejection, revertUnless, DEPLOYER_ADDRESS } from "./helpers.js";
+
+const MULTISIG = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const TIMELOCK = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+const OWNABLE_ABI = ["function owner() view returns (address)", "function transferOwnership(address newOwner)"];
+const ACCESS_CONTROL_ABI = [
+    "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+    "function PAUSER_ROLE() view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function grantRole(bytes32 role, address account)",
+    "function renounceRole(bytes32 role, address account)",
+];
+const ABIS = {
+    RAACToken: OWNABLE_ABI,
+    RToken: OWNABLE_ABI,
+    // Chainlink ConfirmedOwner: no getter for the pending owner
+    RAACHousePriceOracle: [...OWNABLE_ABI, "function acceptOwnership()"],
+    RAACMinter: ACCESS_CONTROL_ABI,
+};
+
+function ownable(state, { twoStep = false } = {}) {
+    return {
+        owner: () => state.owner,
+        transferOwnership: ([newOwner], from) => {
+            revertUnless(from === state.owner, "not the owner");
+            if (twoStep) state.pendingOwner = newOwner;
+            else state.owner = newOwner;
+        },
+        acceptOwnership: (args, from) => {
+            revertUnless(from === state.pendingOwner, "not the pending owner");
+            state.owner = from;
+            state.pendingOwner = null;
+        },
+    };
+}
+
+const ROLES = { DEFAULT_ADMIN_ROLE: ethers.ZeroHash, PAUSER_ROLE: ethers.id("PAUSER_ROLE") };
+
+function accessControl(holders) {
+    const has = (role, account) => holders[role]?.includes(account) || false;
+    return {
+        DEFAULT_ADMIN_ROLE: () => ROLES.DEFAULT_ADMIN_ROLE,
+        PAUSER_ROLE: () => ROLES.PAUSER_ROLE,
+        hasRole: ([role, account]) => has(role, account),
+        grantRole: ([role, account], from) => {
+            revertUnless(has(ROLES.DEFAULT_ADMIN_ROLE, from), "not admin");
+            if (!has(role, account)) holders[role] = [...(holders[role] || []), account];
+        },
+        renounceRole: ([role, account], from) => {
+            revertUnless(account === from, "can only renounce for self");
+            holders[role] = (holders[role] || []).filter(holder => holder !== account);
+        },
+    };
+}
+
+describe("transferOwnerships", () => {
+    let chain;
+    let deployer;
+    let deployment;
+    let state;
+
+    beforeEach(() => {
+        chain = createFakeChain(ABIS);
+        state = {
+            token: { owner: DEPLOYER_ADDRESS },
+            oracle: { owner: DEPLOYER_ADDRESS, pendingOwner: null },
+            roles: { [ROLES.DEFAULT_ADMIN_ROLE]: [DEPLOYER_ADDRESS], [ROLES.PAUSER_ROLE]: [DEPLOYER_ADDRESS] },
+        };
+        const network = createTestNetwork();
+        deployer = createTestDeployer(network);
+        deployer.readArtifactFile = (contractName) => ({ abi: ABIS[contractName] });
+        // Sent through the chain above, as the deployer wallet
+        deployer.executeContractCall = async (description, contract, method, args) =>
+            chain.send(await contract[method].populateTransaction(...args), DEPLOYER_ADDRESS);
+
+        const wallet = { address: DEPLOYER_ADDRESS, provider: { getCode: async () => "0x00" }, call: chain.call };
+        deployment = {
+            network: network.network,
+            dependencies: {},
+            processes: {},
+            contracts: {
+                RAACToken: chain.add("RAACToken", ownable(state.token)),
+                RAACMinter: chain.add("RAACMinter", accessControl(state.roles)),
+            },
+            getWallet: () => wallet,
+        };
+    });
+
+    const config = (governance = {}) => ({
+        [deployment.network]: {
+            requireContractOwners: false,
+            ownable: { RAACToken: MULTISIG },
+            accessControl: { RAACMinter: { DEFAULT_ADMIN_ROLE: TIMELOCK, PAUSER_ROLE: MULTISIG } },
+            ...governance,
+        },
+    });
+    const logTypes = async () => {
+        await deployer.logger.flush();
+        return deployer.logger.logs.map(({ type }) => type);
+    };
+
+    it("should hand ownerships and roles over, and verify them on-chain", async () => {
+        await transferOwnerships(deployer, config(), deployment);
+
+        // Grants first, DEFAULT_ADMIN_ROLE renounced last
+        expect(chain.sent).to.deep.equal([
+            "RAACToken.transferOwnership",
+            "RAACMinter.grantRole",
+            "RAACMinter.grantRole",
+            "RAACMinter.renounceRole",
+            "RAACMinter.renounceRole",
+        ]);
+        expect(state.token.owner).to.equal(MULTISIG);
+        expect(state.roles).to.deep.equal({ [ROLES.DEFAULT_ADMIN_ROLE]: [TIMELOCK], [ROLES.PAUSER_ROLE]: [MULTISIG] });
+        expect(deployment.ownerships.RAACToken).to.include({ address: deployment.contracts.RAACToken, owner: MULTISIG });
+        expect(deployment.ownerships.RAACMinter.roles).to.deep.equal({ DEFAULT_ADMIN_ROLE: TIMELOCK, PAUSER_ROLE: MULTISIG });
+        expect(deployment.ownerships.RAACMinter.transactions.map(({ action, role }) => `${action} ${role}`)).to.deep.equal([
+            "grantRole DEFAULT_ADMIN_ROLE",
+            "grantRole PAUSER_ROLE",
+            "renounceRole PAUSER_ROLE",
+            "renounceRole DEFAULT_ADMIN_ROLE",
+        ]);
+    });
+
+    it("should send nothing on a rerun", async () => {
+        await transferOwnerships(deployer, config(), deployment);
+        const sent = chain.sent.length;
+
+        await transferOwnerships(deployer, config(), deployment);
+        expect(chain.sent).to.have.length(sent);
+        expect(await logTypes()).to.include("TRANSFER_OWNERSHIPS_ALREADY_OWNER");
+        expect(deployment.ownerships.RAACToken.owner).to.equal(MULTISIG);
+        expect(deployment.ownerships.RAACToken.transactions).to.have.length(1);
+    });
+
+    it("should fail before sending anything when a contract would stay with the deployer wallet", async () => {
+        deployment.contracts.RToken = chain.add("RToken", ownable({ owner: DEPLOYER_ADDRESS }));
+        await expectRejection(transferOwnerships(deployer, config(), deployment),
+            "Contracts owned by the deployer wallet are missing from the governance config: RToken");
+        expect(chain.sent).to.deep.equal([]);
+
+        await transferOwnerships(deployer, config({ keepOwnership: ["RToken"] }), deployment);
+        expect(chain.sent).to.include("RAACToken.transferOwnership");
+    });
+
+    it("should fail before sending anything when a role would stay with the deployer wallet or does not exist", async () => {
+        const onlyAdmin = { RAACMinter: { DEFAULT_ADMIN_ROLE: TIMELOCK } };
+        await expectRejection(transferOwnerships(deployer, config({ accessControl: onlyAdmin }), deployment),
+            "RAACMinter roles held by the deployer wallet are missing from the governance config: PAUSER_ROLE");
+
+        const misspelled = { RAACMinter: { DEFAULT_ADMIN_ROLE: TIMELOCK, PAUSE_ROLE: MULTISIG } };
+        await expectRejection(transferOwnerships(deployer, config({ accessControl: misspelled }), deployment),
+            "RAACMinter has no role getter for PAUSE_ROLE");
+        expect(chain.sent).to.deep.equal([]);
+    });
+
+    it("should fail until a two-step ownership is accepted, without proposing it again", async () => {
+        deployment.contracts.RAACHousePriceOracle = chain.add("RAACHousePriceOracle", ownable(state.oracle, { twoStep: true }));
+        const governance = config({ ownable: { RAACToken: MULTISIG, RAACHousePriceOracle: MULTISIG } });
+
+        const pending = `Ownership not accepted yet: RAACHousePriceOracle (${MULTISIG})`;
+        await expectRejection(transferOwnerships(deployer, governance, deployment), pending);
+        // The other contracts are handed over all the same
+        expect(state.token.owner).to.equal(MULTISIG);
+        expect(state.oracle).to.deep.equal({ owner: DEPLOYER_ADDRESS, pendingOwner: MULTISIG });
+        expect(deployment.ownerships.RAACHousePriceOracle).to.include({ owner: DEPLOYER_ADDRESS, pendingOwner: MULTISIG });
+
+        await expectRejection(transferOwnerships(deployer, governance, deployment), pending);
+        expect(chain.sent.filter(sent => sent === "RAACHousePriceOracle.transferOwnership")).to.have.length(1);
+        expect(await logTypes()).to.include("TRANSFER_OWNERSHIPS_ACCEPTANCE_PENDING");
+
+        const oracle = new ethers.Interface(ABIS.RAACHousePriceOracle);
+        chain.send({ to: deployment.contracts.RAACHousePriceOracle, data: oracle.encodeFunctionData("acceptOwnership") }, MULTISIG);
+        await transferOwnerships(deployer, governance, deployment);
+        expect(deployment.ownerships.RAACHousePriceOracle).to.not.have.property("pendingOwner");
+        expect(deployment.ownerships.RAACHousePriceOracle.owner).to.equal(MULTISIG);
+    });
+});
@@ -0,0 +1,149 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "ethers";
+import readAllocationsCSV from "../../../library/Deployer/utils/readAllocationsCSV.js";
+import validateTGEAllocations, { VESTING_CLIFF, VESTING_DURATION } from "../../../library/Deployer/utils/validateTGEAllocations.js";
+
+const NOW = 1_800_000_000;
+const TEAM = "0x2549E2E821E3413E6C0235318E3799263E643013";
+const LIQUIDITY = "0xc6822649A9959C0a45c092a329C77d16F5978426";
+const schedule = (overrides = {}) => ({ type: "linear", start: NOW, end: NOW + VESTING_DURATION, cliff: VESTING_CLIFF, ...overrides });
+
+const team = (overrides = {}) => ({ identifier: "team1", type: "team", address: TEAM, amount: "2433333.3333", schedules: [schedule()], ...overrides });
+const liquidity = (overrides = {}) => ({ identifier: "liquidity1", type: "liquidity", address: LIQUIDITY, amount: "500_000", ...overrides });
+
+const validate = (wallets, options = {}) => validateTGEAllocations({ wallets, ...options.config }, { now: NOW, ...options });
+
+describe("TGE allocations", () => {
+    describe("validateTGEAllocations", () => {
+        it("should compute the exact supply and the amounts per category", () => {
+            const { errors, warnings, wallets, totalSupply, categories } = validate([team(), liquidity()], {
+                config: { initialSupply: ethers.parseEther("2933333.3333").toString() },
+            });
+            expect(errors).to.deep.equal([]);
+            expect(warnings).to.deep.equal([]);
+            expect(totalSupply).to.equal(ethers.parseEther("2933333.3333"));
+            expect(wallets[1].amount).to.equal("500000");
+            expect(categories.TEAM).to.include({ vested: ethers.parseEther("2433333.3333"), direct: 0n });
+            expect(categories.LIQUIDITY).to.include({ vested: 0n, direct: ethers.parseEther("500000") });
+        });
+
+        it("should report the difference with initialSupply in wei", () => {
+            const { errors } = validate([team({ amount: "1.000000000000000001" })], { config: { initialSupply: ethers.parseEther("1").toString() } });
+            expect(errors).to.deep.equal(["initialSupply 1000000000000000000 does not match the sum of the wallets 1000000000000000001 (-1 wei)"]);
+            expect(validate([team()], { config: { initialSupply: "1e18" } }).errors)
+                .to.deep.equal(["initialSupply 1e18 must be an integer amount of wei"]);
+        });
+
+        it("should reject invalid, unchecksummed, zero and duplicate addresses and identifiers", () => {
+            const { errors } = validate([
+                team(),
+                liquidity({ identifier: "team1", address: TEAM.toLowerCase() }),
+                liquidity({ identifier: "zero", address: ethers.ZeroAddress }),
+                liquidity({ identifier: "bad", address: "0x1234" }),
+                liquidity({ identifier: "again", address: TEAM }),
+            ]);
+            expect(errors).to.deep.equal([
+                "team1: duplicate identifier, already used by team1",
+                `team1: address ${TEAM.toLowerCase()} is not checksummed (expected ${TEAM})`,
+                `team1: duplicate address ${TEAM}, already used by team1`,
+                "zero: zero address",
+                "bad: invalid address 0x1234",
+                `again: duplicate address ${TEAM}, already used by team1`,
+            ]);
+        });
+
+        it("should reject invalid amounts and types", () => {
+            const { errors } = validate([
+                liquidity({ identifier: "a", address: TEAM, amount: "1,5" }),
+                liquidity({ identifier: "b", amount: "0.0000000000000000001" }),
+                liquidity({ identifier: "c", address: ethers.getAddress("0x0000000000000000000000000000000000000003"), amount: "0", type: "marketing" }),
+            ]);
+            expect(errors).to.deep.equal([
+                "a: invalid amount 1,5",
+                "b: amount 0.0000000000000000001 has more than 18 decimals",
+                "c: unknown type marketing (expected deployer or one of team, advisor, treasury, private_sale, public_sale, liquidity)",
+                "c: amount is 0",
+            ]);
+        });
+
+        it("should check schedules against what the orchestrator honors", () => {
+            expect(validate([team({ schedules: [schedule({ end: NOW })] })]).errors)
+                .to.deep.equal([`team1: schedule starts at ${NOW}, not before its end ${NOW}`]);
+            expect(validate([team({ schedules: [schedule({ cliff: VESTING_DURATION })] })]).errors)
+                .to.deep.equal([`team1: cliff ${VESTING_DURATION} must be a number of seconds shorter than the schedule (${VESTING_DURATION})`]);
+            expect(validate([team({ schedules: [schedule(), schedule()] })]).errors)
+                .to.deep.equal(["team1: 2 schedules, the orchestrator holds one vesting schedule per beneficiary"]);
+
+            // Duration and cliff are constants of RAACReleaseOrchestrator
+            const { errors, warnings } = validate([team({ schedules: [schedule({ start: NOW - 2 * 86400, end: NOW + 363 * 86400, cliff: 0 })] })]);
+            expect(errors).to.deep.equal([
+                "team1: cliff of 0 days, RAACReleaseOrchestrator enforces 90 days",
+                "team1: schedule lasts 365 days, RAACReleaseOrchestrator vests over 700 days",
+            ]);
+            expect(warnings).to.deep.equal(["team1: schedule started 2 days ago"]);
+            expect(validate([team({ schedules: [schedule({ start: NOW - 2 * 86400, end: NOW + 698 * 86400 })] })]).errors).to.deep.equal([]);
+        });
+
+        it("should check vested amounts against the remaining category allocation", () => {
+            const categories = { TEAM: ethers.parseEther("1000000") };
+            const deployer = team({ identifier: "deployer", type: "deployer", address: LIQUIDITY, amount: "1" });
+            expect(validate([team(), deployer], { categories }).errors)
+                .to.deep.equal(["TEAM: 2433334.3333 vested exceeds the remaining RAACReleaseOrchestrator allocation of 1000000.0"]);
+            // Wallets already scheduled on a reused orchestrator are not counted again
+            expect(validate([team(), deployer], { categories, scheduled: [TEAM] }).errors).to.deep.equal([]);
+        });
+
+        it("should require wallets", () => {
+            expect(validate([]).errors).to.deep.equal(["No wallets to distribute"]);
+        });
+    });
+
+    describe("readAllocationsCSV", () => {
+        let dir;
+
+        before(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "allocations-"));
+        });
+
+        after(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const write = (name, content) => {
+            const file = path.join(dir, name);
+            fs.writeFileSync(file, content);
+            return file;
+        };
+
+        it("should read wallets with relative schedules and keep their line", () => {
+            const file = write("good.csv", [
+                "identifier,type,address,amount,start,end,cliff",
+                "# vested",
+                `team1,TEAM,${TEAM},"1_000_000",now,now+700d,90d`,
+                "",
+                `liquidity1,liquidity,${LIQUIDITY},500000,,,`,
+            ].join("\n"));
+            const wallets = readAllocationsCSV(file, NOW);
+            expect(wallets[0]).to.deep.equal({
+                identifier: "team1",
+                type: "team",
+                address: TEAM,
+                amount: "1_000_000",
+                source: { file, line: 3 },
+                schedules: [{ type: "linear", start: NOW, end: NOW + VESTING_DURATION, cliff: VESTING_CLIFF }],
+            });
+            expect(wallets[1]).to.not.have.property("schedules");
+            expect(validate(wallets).errors).to.deep.equal([]);
+        });
+
+        it("should name the file and line of an invalid row", () => {
+            const file = write("bad.csv", `identifier,type,address,amount,cliff\nteam1,team,${TEAM},1,90d\n`);
+            expect(() => readAllocationsCSV(file, NOW)).to.throw(`Invalid allocations ${file}:2: cliff without start and end`);
+            expect(() => readAllocationsCSV(write("columns.csv", "identifier,address,amount,vesting\n"), NOW))
+                .to.throw("missing column(s) type in the header");
+        });
+    });
+});
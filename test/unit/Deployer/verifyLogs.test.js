@@ -0,0 +1,190 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import ParaLogger, { hashLogEntry, verifyLogChain } from "../../../library/Deployer/utils/ParaLogger/ParaLogger.js";
+import { getTarget, meetsTarget } from "../../../library/Deployer/utils/ParaLogger/proofOfWork.js";
+import verifyLogs from "../../../library/Deployer/utils/verifyLogs.js";
+import { expectRejection } from "./helpers.js";
+
+const PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const OTHER_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const hash = (n) => `0x${n.toString(16).padStart(64, "0")}`;
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// Recomputes every hash from `index` on, as someone editing the file without the checkpoint key would
+function rechain(state, index) {
+    const target = getTarget(state.difficulty);
+    let previousHash = index > 0 ? state.logs[index - 1].hash : "";
+    for (const entry of state.logs.slice(index)) {
+        entry.previousHash = previousHash;
+        for (entry.nonce = 0; !meetsTarget(entry.hash = hashLogEntry(entry), target); entry.nonce++);
+        previousHash = entry.hash;
+    }
+    state.finalHash = previousHash;
+    return state;
+}
+
+describe("Logs verification", () => {
+    const wallet = new ethers.Wallet(PRIVATE_KEY);
+    let state;
+
+    // Deployment of CONTRACT (transaction 1) and a call (transaction 2), signed after the deployment
+    before(async () => {
+        const logger = new ParaLogger(1, { workers: 0 });
+        logger.addLog("DEPLOYMENT_START", { network: "local" });
+        logger.addLog("TX_SENT", { hash: hash(9), nonce: 0 });
+        logger.addLog("TX_MINED", { hash: hash(1), nonce: 0, blockNumber: 5 });
+        logger.addLog("CONTRACT_DEPLOYED", { contractName: "Token", address: CONTRACT, transactionHash: hash(1) });
+        await logger.checkpoint(wallet, 31337);
+        logger.addLog("TX_MINED", { hash: hash(2), nonce: 1, blockNumber: 6 });
+        await logger.checkpoint(wallet, 31337);
+        logger.addLog("DEPLOYMENT_END", {});
+        await logger.close();
+        state = copy(logger.export());
+    });
+
+    // Node answering for the logged transactions, `changes` applied on top
+    function createProvider(changes = {}) {
+        const chain = {
+            [hash(1)]: { transaction: { nonce: 0, from: wallet.address }, receipt: { blockNumber: 5, contractAddress: CONTRACT } },
+            [hash(2)]: { transaction: { nonce: 1, from: wallet.address }, receipt: { blockNumber: 6, contractAddress: null } },
+        };
+        for (const [key, { transaction, receipt }] of Object.entries(changes)) {
+            chain[key] = { transaction: { ...chain[key]?.transaction, ...transaction }, receipt: { ...chain[key]?.receipt, ...receipt } };
+        }
+        return {
+            getTransaction: async (transactionHash) => chain[transactionHash]?.transaction || null,
+            getTransactionReceipt: async (transactionHash) => chain[transactionHash]?.receipt || null,
+        };
+    }
+
+    describe("verifyLogChain", () => {
+        it("should verify the linkage, the difficulty and the signed checkpoints", () => {
+            const { valid, errors, checkpoints } = verifyLogChain(state.logs, state.difficulty);
+            expect(errors).to.deep.equal([]);
+            expect(valid).to.be.true;
+            expect(checkpoints).to.deep.equal([
+                { index: 4, entries: 4, signer: wallet.address },
+                { index: 6, entries: 6, signer: wallet.address },
+            ]);
+        });
+
+        it("should only fail the edited entry", () => {
+            const edited = copy(state);
+            edited.logs[3].data.address = ethers.ZeroAddress;
+            const { errors } = verifyLogChain(edited.logs, edited.difficulty);
+            // The next entry and the checkpoint still link to the stored hash
+            expect(errors).to.have.length(1);
+            expect(errors[0]).to.include({ index: 3, type: "CONTRACT_DEPLOYED" });
+            expect(errors[0].reason).to.match(/^content does not match its hash/);
+        });
+
+        it("should catch a chain recomputed after an edit through its checkpoints", () => {
+            const edited = copy(state);
+            edited.logs[3].data.address = ethers.ZeroAddress;
+            rechain(edited, 3);
+            const { errors } = verifyLogChain(edited.logs, edited.difficulty);
+            // Every hash is valid again, but the signed ones are gone
+            expect(errors.map(({ index, reason }) => [index, reason])).to.deep.equal([
+                [4, `checkpoint over 0x${state.logs[3].hash} does not match entry #3`],
+                [6, `checkpoint over 0x${state.logs[5].hash} does not match entry #5`],
+            ]);
+        });
+
+        it("should reject a checkpoint claiming another signer, and entries below the difficulty", () => {
+            const forged = copy(state);
+            forged.logs[4].data.signer = new ethers.Wallet(OTHER_KEY).address;
+            const { errors } = verifyLogChain(forged.logs, 64);
+            expect(errors.filter(({ reason }) => reason.startsWith("checkpoint signed by"))).to.have.length(1);
+            expect(errors.filter(({ reason }) => reason.includes("does not meet difficulty 64"))).to.have.length(forged.logs.length - 1);
+        });
+    });
+
+    describe("verifyLogs", () => {
+        it("should report a valid log with its checkpoints and transactions", async () => {
+            const report = await verifyLogs(state, { provider: createProvider(), signer: wallet.address, difficulty: 1 });
+            expect(report).to.deep.include({
+                valid: true,
+                entries: 8,
+                difficulty: 1,
+                firstInvalid: null,
+                errors: [],
+                checkpoints: { count: 2, signers: [wallet.address], unsigned: 1 },
+                // The fee bump attempt (TX_SENT) is not checked
+                transactions: { checked: 2, mismatches: [] },
+            });
+        });
+
+        it("should point to the first tampered entry", async () => {
+            const edited = copy(state);
+            edited.logs[5].data.blockNumber = 7;
+            const report = await verifyLogs(edited);
+            expect(report.valid).to.be.false;
+            expect(report.firstInvalid).to.include({ index: 5, type: "TX_MINED" });
+            expect(report.transactions).to.equal(null);
+        });
+
+        it("should catch entries removed from the end", async () => {
+            const truncated = copy(state);
+            truncated.logs.pop();
+            const report = await verifyLogs(truncated);
+            expect(report.firstInvalid).to.deep.equal({
+                index: 7,
+                type: null,
+                reason: `finalHash ${state.finalHash} is not the hash of the last entry ${state.logs[6].hash}`,
+            });
+        });
+
+        it("should enforce the expected difficulty and signer", async () => {
+            const report = await verifyLogs(state, { difficulty: 2, signer: new ethers.Wallet(OTHER_KEY).address });
+            expect(report.errors.map(({ index, reason }) => [index, reason.split(",")[0]])).to.deep.equal([
+                [0, "difficulty 1"],
+                [4, `checkpoint signed by ${wallet.address}`],
+                [6, `checkpoint signed by ${wallet.address}`],
+            ]);
+
+            const unsigned = rechain({ ...copy(state), logs: copy(state.logs).filter(({ type }) => type !== "LOG_CHECKPOINT") }, 0);
+            const { errors, checkpoints } = await verifyLogs(unsigned, { signer: wallet.address });
+            expect(errors).to.deep.equal([{ index: 0, type: "DEPLOYMENT_START", reason: `no checkpoint signed by ${wallet.address}` }]);
+            expect(checkpoints).to.deep.equal({ count: 0, signers: [], unsigned: 6 });
+        });
+
+        it("should fail a log whose checkpoints were stripped unless unsigned logs are allowed", async () => {
+            const stripped = rechain({ ...copy(state), logs: copy(state.logs).filter(({ type }) => type !== "LOG_CHECKPOINT") }, 0);
+            const report = await verifyLogs(stripped);
+            expect(report.valid).to.be.false;
+            expect(report.errors).to.deep.equal([{ index: 0, type: "DEPLOYMENT_START", reason: "no signed checkpoint, the chain can be recomputed after an edit" }]);
+
+            const allowed = await verifyLogs(stripped, { allowUnsigned: true });
+            expect(allowed.valid).to.be.true;
+            expect(allowed.signer).to.equal(null);
+        });
+
+        it("should check every logged transaction against the chain", async () => {
+            const other = new ethers.Wallet(OTHER_KEY).address;
+            const provider = createProvider({
+                [hash(1)]: { transaction: { nonce: 3 }, receipt: { contractAddress: ethers.ZeroAddress } },
+                [hash(2)]: { transaction: { from: other }, receipt: { blockNumber: 8 } },
+            });
+            const { valid, transactions } = await verifyLogs(state, { provider });
+            expect(valid).to.be.false;
+            expect(transactions.mismatches.map(({ index, entries, reason }) => [index, entries, reason])).to.deep.equal([
+                [2, ["TX_MINED", "CONTRACT_DEPLOYED"], "nonce 3 on chain, 0 logged"],
+                [2, ["TX_MINED", "CONTRACT_DEPLOYED"], `created ${ethers.ZeroAddress}, ${CONTRACT} logged`],
+                [5, ["TX_MINED"], "mined in block 8, block 6 logged"],
+                [5, ["TX_MINED"], `sent by ${other}, not by the checkpoint signer ${wallet.address}`],
+            ]);
+
+            const missing = await verifyLogs(state, { provider: { getTransaction: async () => null, getTransactionReceipt: async () => null } });
+            expect(missing.transactions.mismatches.map(({ reason }) => reason)).to.deep.equal(["not found on the network", "not found on the network"]);
+        });
+
+        it("should refuse files it cannot verify", async () => {
+            await expectRejection(verifyLogs({}), "Not a logs file: no logs array");
+            const logger = new ParaLogger(0, { workers: 0 });
+            await logger.addLog("DEPLOYMENT_START", {});
+            await expectRejection(verifyLogs(logger.export({ excludeHashes: true })), "Logs exported without hashes (excludeHashes) cannot be verified");
+        });
+    });
+});